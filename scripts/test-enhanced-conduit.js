@@ -255,7 +255,7 @@ class ConduitTester
             const users = ['user1', 'user2', 'user3'];
             for (const userId of users)
             {
-                const conversationKey = `conversations:${userId}`;
+                const conversationKey = `conversations:${userId}:default`;
                 const conversationCount = await this.redis.llen(conversationKey);
                 console.log(`👤 ${userId}: ${conversationCount} conversations stored`);
 
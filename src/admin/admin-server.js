@@ -0,0 +1,202 @@
+/**
+ * 🩺 Admin Server - Optional HTTP endpoints for probes, inspection and intake control
+ *
+ * GET  /healthz        → 200 while the process is alive and not shutting down
+ * GET  /readyz         → 200 while requests can be taken, 503 with reasons otherwise
+ * GET  /status         → the status message the conduit publishes
+ * GET  /queue          → requests being processed or waiting
+ * GET  /metrics        → Prometheus metrics in text exposition format
+ * POST /admin/pause    → refuse new requests, keep working on accepted ones
+ * POST /admin/resume   → take new requests again (also ends a drain)
+ * POST /admin/drain    → refuse new requests and wait until accepted ones are done
+ *
+ * With HTTP_ADMIN_TOKEN set, everything except the probes needs
+ * `Authorization: Bearer <token>`.
+ *
+ * Author: Mad Tinker
+ * Project: Madness Interactive - Whispermind_Conduit
+ */
+
+const http = require('http');
+const crypto = require('crypto');
+
+/**
+ * ⚙️ Admin server configuration from the environment
+ */
+function loadAdminConfig()
+{
+    return {
+        enabled: process.env.HTTP_ADMIN_ENABLED === 'true',
+        host: process.env.HTTP_ADMIN_HOST || '127.0.0.1',
+        port: parseInt(process.env.HTTP_ADMIN_PORT) || 8787,
+        token: process.env.HTTP_ADMIN_TOKEN || null,
+        drainTimeoutMs: parseInt(process.env.HTTP_ADMIN_DRAIN_TIMEOUT_MS) || 30000
+    };
+}
+
+/**
+ * 🔐 Constant-time comparison of a bearer token
+ */
+function tokenMatches(header, token)
+{
+    const match = /^Bearer\s+(.+)$/i.exec(header || '');
+    if (!match) return false;
+
+    const given = Buffer.from(match[1]);
+    const expected = Buffer.from(token);
+    return given.length === expected.length && crypto.timingSafeEqual(given, expected);
+}
+
+class AdminServer
+{
+    /**
+     * @param {object} config - { host, port, token, drainTimeoutMs }
+     * @param {BaseConduit} conduit - The conduit being probed and controlled
+     * @param {object} logger - Winston logger shared with the conduit
+     */
+    constructor(config, conduit, logger)
+    {
+        this.config = config;
+        this.conduit = conduit;
+        this.logger = logger;
+        this.server = null;
+
+        // Keyed by "METHOD /path"; public routes skip the token check
+        this.routes = {
+            'GET /healthz': { public: true, handle: () => this.healthz() },
+            'GET /readyz': { public: true, handle: () => this.readyz() },
+            'GET /status': { handle: () => ({ status: 200, body: this.conduit.describeStatus() }) },
+            'GET /queue': { handle: () => ({ status: 200, body: this.conduit.describeQueue() }) },
+            'GET /metrics': { handle: () => ({ status: 200, body: this.conduit.metrics.render(), contentType: this.conduit.metrics.contentType }) },
+            'POST /admin/pause': { handle: () => ({ status: 200, body: { intake: this.conduit.pauseIntake() } }) },
+            'POST /admin/resume': { handle: () => ({ status: 200, body: { intake: this.conduit.resumeIntake() } }) },
+            'POST /admin/drain': { handle: (url) => this.drain(url) }
+        };
+    }
+
+    /**
+     * 🚀 Start listening
+     */
+    async start()
+    {
+        this.server = http.createServer((req, res) => this.handle(req, res));
+
+        await new Promise((resolve, reject) =>
+        {
+            this.server.once('error', reject);
+            this.server.listen(this.config.port, this.config.host, () =>
+            {
+                this.server.off('error', reject);
+                resolve();
+            });
+        });
+
+        this.logger.info('🩺 Admin HTTP server listening:', {
+            host: this.config.host,
+            port: this.server.address().port,
+            auth: Boolean(this.config.token)
+        });
+    }
+
+    /**
+     * 📨 Route one HTTP request
+     */
+    async handle(req, res)
+    {
+        const url = new URL(req.url, 'http://localhost');
+        const route = this.routes[`${req.method} ${url.pathname}`];
+
+        try
+        {
+            if (!route)
+            {
+                const knownPath = Object.keys(this.routes).some(key => key.endsWith(` ${url.pathname}`));
+                return this.send(res, knownPath ? 405 : 404, { error: knownPath ? 'method_not_allowed' : 'not_found' });
+            }
+
+            if (!route.public && this.config.token && !tokenMatches(req.headers.authorization, this.config.token))
+            {
+                return this.send(res, 401, { error: 'unauthorized' });
+            }
+
+            const { status, body, contentType } = await route.handle(url);
+            this.send(res, status, body, contentType);
+        } catch (error)
+        {
+            this.logger.error('💥 Admin request failed:', { method: req.method, path: url.pathname, error: error.message });
+            this.send(res, 500, { error: 'internal_error', error_details: error.message });
+        }
+    }
+
+    /**
+     * 💗 Liveness - the event loop answers and the conduit isn't shutting down
+     */
+    healthz()
+    {
+        const alive = !this.conduit.stopping;
+
+        return {
+            status: alive ? 200 : 503,
+            body: {
+                status: alive ? 'ok' : 'stopping',
+                state: this.conduit.health.state,
+                uptime_seconds: this.conduit.requestStats.uptimeSeconds
+            }
+        };
+    }
+
+    /**
+     * 🚦 Readiness - started, critical dependencies up, intake open
+     */
+    readyz()
+    {
+        const reasons = this.conduit.notReadyReasons();
+
+        return {
+            status: reasons.length === 0 ? 200 : 503,
+            body: {
+                ready: reasons.length === 0,
+                state: this.conduit.health.state,
+                intake: this.conduit.intake,
+                reasons
+            }
+        };
+    }
+
+    /**
+     * 🚰 Stop intake and wait (up to `timeout_ms`) for accepted requests to finish
+     */
+    async drain(url)
+    {
+        const timeoutMs = parseInt(url.searchParams.get('timeout_ms')) || this.config.drainTimeoutMs;
+        const result = await this.conduit.drain(timeoutMs);
+
+        return { status: result.drained ? 200 : 202, body: result };
+    }
+
+    /**
+     * 📤 Answer with JSON, or with `body` as it is when a content type is given
+     */
+    send(res, status, body, contentType = null)
+    {
+        res.writeHead(status, { 'Content-Type': contentType || 'application/json' });
+        res.end(contentType ? body : JSON.stringify(body));
+    }
+
+    /**
+     * 🛑 Stop listening
+     */
+    async stop()
+    {
+        if (!this.server) return;
+
+        this.server.closeAllConnections?.();
+        await new Promise((resolve) => this.server.close(resolve));
+        this.server = null;
+    }
+}
+
+module.exports = {
+    AdminServer,
+    loadAdminConfig
+};
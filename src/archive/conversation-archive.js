@@ -0,0 +1,217 @@
+/**
+ * 🏛️ Conversation Archive - Every exchange, kept long after Redis forgets it
+ *
+ * Thread history in Redis is capped and expires; the archive keeps one MongoDB
+ * document per answered request - the request, the full response (model,
+ * backend, usage, timings, routing), the tool calls it made - for as long as
+ * the retention allows. Writes never hold up a response: they run in the
+ * background and a failed write is logged, not retried.
+ *
+ * Documents: { request_id, user, thread_id, client, timestamp, expires_at,
+ * request, response, tool_calls }. `expires_at` is stamped at write time, so a
+ * retention change applies to exchanges archived from then on.
+ *
+ * Author: Mad Tinker
+ * Project: Madness Interactive - Whispermind_Conduit
+ */
+
+const { MongoClient } = require('mongodb');
+
+const DAY_MS = 86400000;
+
+class ConversationArchive
+{
+    /**
+     * @param {object} options
+     * @param {string} options.uri - MongoDB connection string
+     * @param {string} options.database
+     * @param {string} options.collection
+     * @param {number} options.retentionDays - 0 keeps exchanges forever
+     * @param {Function} [options.onAvailability] - Called with (up, detail) when reachability changes
+     * @param {object} options.logger
+     */
+    constructor({ uri, database, collection, retentionDays, onAvailability = () => {}, logger })
+    {
+        this.client = new MongoClient(uri, { serverSelectionTimeoutMS: 5000 });
+        this.database = database;
+        this.collectionName = collection;
+        this.collection = this.client.db(database).collection(collection);
+        this.retentionDays = retentionDays;
+        this.onAvailability = onAvailability;
+        this.logger = logger;
+        this.available = false;
+        this.connecting = null;
+        this.pending = new Set();
+
+        this.client.on('serverHeartbeatSucceeded', () => this.setAvailable(true));
+        this.client.on('serverHeartbeatFailed', (event) => this.setAvailable(false, event.failure?.message));
+    }
+
+    /**
+     * 🔌 Connect and make sure the indexes exist - throws when MongoDB is unreachable
+     *
+     * A failed attempt is forgotten, so the next operation tries again. Once
+     * connected, the driver reconnects on its own.
+     */
+    connect()
+    {
+        this.connecting ??= (async () =>
+        {
+            await this.client.connect();
+            await this.ensureIndexes();
+            this.setAvailable(true);
+        })().catch(async (error) =>
+        {
+            this.connecting = null;
+            await this.client.close();
+            this.setAvailable(false, error.message);
+            throw error;
+        });
+
+        return this.connecting;
+    }
+
+    /**
+     * 🗂️ Indexes for a user's threads over time, the archive's timeline and retention
+     */
+    async ensureIndexes()
+    {
+        await this.collection.createIndexes([
+            { key: { user: 1, thread_id: 1, timestamp: -1 }, name: 'user_thread_time' },
+            { key: { user: 1, timestamp: -1 }, name: 'user_time' },
+            { key: { timestamp: -1 }, name: 'time' },
+            { key: { expires_at: 1 }, name: 'retention', expireAfterSeconds: 0 }
+        ]);
+    }
+
+    setAvailable(up, detail = null)
+    {
+        if (this.available === up) return;
+
+        this.available = up;
+        this.onAvailability(up, detail);
+    }
+
+    /**
+     * 🏛️ Archive an answered request in the background
+     *
+     * @param {object} exchange
+     * @param {object} exchange.request - Validated request
+     * @param {object} exchange.response - Response message as published
+     * @param {object[]} [exchange.toolCalls] - { tool, round, status, arguments, result?, error?, duration_ms }
+     * @param {string} exchange.timestamp - When the exchange was stored, as in the thread history
+     */
+    record({ request, response, toolCalls = [], timestamp })
+    {
+        const archivedAt = new Date(timestamp);
+        const document = {
+            request_id: response.id,
+            user: response.user,
+            thread_id: response.thread_id,
+            client: request.client || null,
+            timestamp: archivedAt,
+            ...(this.retentionDays > 0 && { expires_at: new Date(archivedAt.getTime() + this.retentionDays * DAY_MS) }),
+            request,
+            response,
+            tool_calls: toolCalls
+        };
+
+        const write = this.run(() => this.collection.insertOne(document)).catch((error) =>
+        {
+            this.logger.error('💥 Failed to archive exchange:', { requestId: response.id, user: response.user, error: error.message });
+        });
+
+        this.pending.add(write);
+        write.finally(() => this.pending.delete(write));
+    }
+
+    /**
+     * 📜 Archived exchanges of a thread older than `before`, newest first, shaped like thread history entries
+     *
+     * @param {string|null} before - ISO timestamp of the oldest turn already at hand
+     */
+    async recent(userId, threadId, limit, before = null)
+    {
+        const documents = await this.run(() => this.collection
+            .find({ user: userId, thread_id: threadId, ...(before && { timestamp: { $lt: new Date(before) } }) })
+            .sort({ timestamp: -1 })
+            .limit(limit)
+            .toArray());
+
+        return documents.map(document => ({
+            timestamp: document.timestamp.toISOString(),
+            threadId: document.thread_id,
+            userMessage: document.request.message,
+            aiResponse: document.response.response,
+            processingTime: document.response.processing_time_ms,
+            agentRounds: document.response.agent_rounds || 0,
+            toolsUsed: document.tool_calls.map(call => call.tool),
+            archived: true
+        }));
+    }
+
+    /**
+     * 🗑️ Forget one thread of a user
+     *
+     * @returns {Promise<number>} Number of exchanges deleted
+     */
+    async deleteThread(userId, threadId)
+    {
+        const { deletedCount } = await this.run(() => this.collection.deleteMany({ user: userId, thread_id: threadId }));
+        return deletedCount;
+    }
+
+    /**
+     * 🧹 Forget every exchange of a user
+     *
+     * @returns {Promise<number>} Number of exchanges deleted
+     */
+    async deleteUser(userId)
+    {
+        const { deletedCount } = await this.run(() => this.collection.deleteMany({ user: userId }));
+        return deletedCount;
+    }
+
+    /**
+     * 🩺 Run an operation once connected, tracking whether MongoDB answered
+     */
+    async run(operation)
+    {
+        await this.connect();
+
+        try
+        {
+            const result = await operation();
+            this.setAvailable(true);
+            return result;
+        } catch (error)
+        {
+            if (error.name === 'MongoServerSelectionError' || error.name === 'MongoNetworkError')
+            {
+                this.setAvailable(false, error.message);
+            }
+            throw error;
+        }
+    }
+
+    describe()
+    {
+        return {
+            database: this.database,
+            collection: this.collectionName,
+            retention_days: this.retentionDays,
+            available: this.available
+        };
+    }
+
+    /**
+     * 🔌 Let background writes finish, then disconnect
+     */
+    async close()
+    {
+        await Promise.allSettled([...this.pending]);
+        await this.client.close();
+    }
+}
+
+module.exports = ConversationArchive;
@@ -0,0 +1,387 @@
+/**
+ * 🔏 Client Authentication - Who sent a message, and what they may ask for
+ *
+ * Clients are listed in a clients file, each with a shared secret. A message
+ * carries an `auth` block, either an HMAC signature or an HS256 token (see
+ * signatures.js). The verified identity replaces the message's self-declared
+ * `user`: a token's `sub`, or for HMAC the signed `user` field (the client id
+ * when there is none). A client may only speak for the identities in its
+ * `users` list - by default just its own id, `"*"` for anyone.
+ *
+ * Each client's policy may also narrow the agent modes, tools and models its
+ * requests use, and override the default quotas for its users.
+ *
+ * Every signature and token `jti` is accepted once. The ones seen are kept in
+ * a TTL store until they would have expired anyway - Redis when the conduit
+ * has it, so a replay is refused by every instance and across restarts.
+ *
+ * Clients file (JSON):
+ *
+ *   {
+ *     "clients": {
+ *       "inventorium": {
+ *         "secret_env": "INVENTORIUM_SECRET",
+ *         "users": ["*"],
+ *         "modes": ["standard"],
+ *         "tools": ["mad_calculator"],
+ *         "models": ["qwen2.5-7b-instruct"],
+ *         "quotas": { "tokens_per_day": 500000 }
+ *       }
+ *     }
+ *   }
+ *
+ * Author: Mad Tinker
+ * Project: Madness Interactive - Whispermind_Conduit
+ */
+
+const fs = require('fs').promises;
+const { z } = require('zod');
+const { AGENT_MODES } = require('../routing/agent-router');
+const { QuotaLimitsSchema } = require('../usage/quotas');
+const { MemoryTtlStore } = require('../cache/ttl-store');
+const { keySegment } = require('../storage/redis-keys');
+const { verifySignature, decodeJwt, verifyJwtSignature } = require('./signatures');
+
+const REPLAY_PREFIX = 'auth:seen';
+
+const ClientPolicySchema = z.object({
+    secret: z.string().min(16, 'secrets need at least 16 characters').optional(),
+    secret_env: z.string().min(1).optional(),
+    users: z.array(z.string().min(1)).optional(),
+    modes: z.array(z.enum(AGENT_MODES)).min(1).optional(),
+    tools: z.array(z.string().min(1)).optional(),
+    models: z.array(z.string().min(1)).optional(),
+    quotas: QuotaLimitsSchema.optional()
+}).refine(client => client.secret || client.secret_env, {
+    message: 'a client needs a secret or secret_env'
+});
+
+const ClientsConfigSchema = z.object({
+    clients: z.record(ClientPolicySchema).default({})
+});
+
+/**
+ * 🧱 True for a JSON object - not null, not an array
+ */
+function isObject(value)
+{
+    return typeof value === 'object' && value !== null && !Array.isArray(value);
+}
+
+class AuthError extends Error
+{
+    /**
+     * @param {string} code - UNAUTHORIZED (who are you?) or FORBIDDEN (not allowed)
+     * @param {string} message - Explanation safe to send back to the client
+     */
+    constructor(code, message)
+    {
+        super(message);
+        this.name = 'AuthError';
+        this.code = code;
+    }
+
+    toJSON()
+    {
+        return { code: this.code, message: this.message };
+    }
+}
+
+/**
+ * 📄 Read and validate a clients file - a missing file means no clients
+ *
+ * Secrets given as `secret_env` are read from the environment here, so a
+ * missing variable stops the conduit at boot rather than failing every request.
+ */
+async function loadClients(filePath, logger)
+{
+    let raw = {};
+
+    try
+    {
+        raw = JSON.parse(await fs.readFile(filePath, 'utf8'));
+    } catch (error)
+    {
+        if (error.code !== 'ENOENT')
+        {
+            throw new Error(`Invalid clients file ${filePath}: ${error.message}`);
+        }
+        logger.info('🔏 No clients file found, signed requests will be refused:', { filePath });
+    }
+
+    const parsed = ClientsConfigSchema.safeParse(raw);
+    if (!parsed.success)
+    {
+        const problems = parsed.error.issues.map(issue => `${issue.path.join('.') || 'clients'}: ${issue.message}`);
+        throw new Error(`Invalid clients file ${filePath}: ${problems.join('; ')}`);
+    }
+
+    for (const [name, client] of Object.entries(parsed.data.clients))
+    {
+        if (client.secret) continue;
+
+        client.secret = process.env[client.secret_env];
+        if (!client.secret)
+        {
+            throw new Error(`Invalid clients file ${filePath}: clients.${name}: environment variable ${client.secret_env} is not set`);
+        }
+    }
+
+    return parsed.data.clients;
+}
+
+class ClientAuthenticator
+{
+    /**
+     * @param {object} [clients] - Result of `loadClients()`
+     * @param {object} [options]
+     * @param {boolean} [options.required] - Refuse unsigned messages
+     * @param {number} [options.maxSkewSeconds] - How old (or early) a signature or token may be
+     * @param {object} [options.replays] - TTL store remembering used signatures and token ids
+     */
+    constructor(clients = {}, { required = false, maxSkewSeconds = 300, replays = new MemoryTtlStore({ maxEntries: 100000 }) } = {})
+    {
+        this.clients = clients;
+        this.required = required;
+        this.maxSkewSeconds = maxSkewSeconds;
+        this.replays = replays;
+    }
+
+    /**
+     * 🔍 Verify a message's `auth` block
+     *
+     * @param {object} message - Parsed request or control message
+     * @returns {Promise<{ client: string, user: string }|null>} null for an unsigned message when signing is optional
+     * @throws {AuthError} when the message is unsigned but must be signed, or its auth doesn't check out
+     */
+    async authenticate(message)
+    {
+        const auth = message?.auth;
+
+        if (auth === undefined)
+        {
+            if (this.required)
+            {
+                throw new AuthError('UNAUTHORIZED', 'Messages must be signed - add an auth block with a signature or token');
+            }
+            return null;
+        }
+
+        if (auth === null || typeof auth !== 'object')
+        {
+            throw new AuthError('UNAUTHORIZED', 'auth must be an object');
+        }
+        if (typeof auth.token === 'string')
+        {
+            return this.verifyToken(auth.token);
+        }
+        if (typeof auth.signature === 'string')
+        {
+            return this.verifyHmac(message);
+        }
+        throw new AuthError('UNAUTHORIZED', 'auth needs a token or a client, timestamp and signature');
+    }
+
+    /**
+     * ✍️ HMAC: known client, fresh timestamp, matching signature, not seen before
+     */
+    async verifyHmac(message)
+    {
+        const { client: clientId, timestamp, signature } = message.auth;
+        const client = this.clientFor(clientId);
+        const now = Math.floor(Date.now() / 1000);
+
+        if (!Number.isFinite(timestamp) || Math.abs(now - timestamp) > this.maxSkewSeconds)
+        {
+            throw new AuthError('UNAUTHORIZED', `auth.timestamp must be Unix seconds within ${this.maxSkewSeconds}s of now`);
+        }
+        if (!verifySignature(message, client.secret))
+        {
+            throw new AuthError('UNAUTHORIZED', 'Signature does not match the message');
+        }
+
+        await this.useOnce(`hmac:${signature}`, timestamp + this.maxSkewSeconds - now,
+            'Signature was already used - sign every message afresh');
+
+        const user = message.user !== undefined && message.user !== null ? String(message.user) : clientId;
+        return { client: clientId, user: this.checkUser(clientId, client, user) };
+    }
+
+    /**
+     * 🎫 JWT: HS256, signed by a known client, within its validity, with a subject and an unused `jti`
+     */
+    async verifyToken(token)
+    {
+        const decoded = decodeJwt(token);
+        if (!decoded)
+        {
+            throw new AuthError('UNAUTHORIZED', 'auth.token is not a JSON Web Token');
+        }
+
+        const { header, claims } = decoded;
+        if (!isObject(header) || !isObject(claims))
+        {
+            throw new AuthError('UNAUTHORIZED', 'auth.token header and claims must be JSON objects');
+        }
+        if (header.alg !== 'HS256')
+        {
+            throw new AuthError('UNAUTHORIZED', `Token algorithm ${header.alg} is not supported - use HS256`);
+        }
+
+        const clientId = header.kid ?? claims.iss;
+        const client = this.clientFor(clientId);
+
+        if (!verifyJwtSignature(token, client.secret))
+        {
+            throw new AuthError('UNAUTHORIZED', 'Token signature does not match');
+        }
+
+        const now = Math.floor(Date.now() / 1000);
+        if (!Number.isFinite(claims.exp) || claims.exp + this.maxSkewSeconds < now)
+        {
+            throw new AuthError('UNAUTHORIZED', Number.isFinite(claims.exp) ? 'Token has expired' : 'Token has no exp claim');
+        }
+        if (Number.isFinite(claims.nbf) && claims.nbf - this.maxSkewSeconds > now)
+        {
+            throw new AuthError('UNAUTHORIZED', 'Token is not valid yet');
+        }
+        if (typeof claims.sub !== 'string' || claims.sub.length === 0)
+        {
+            throw new AuthError('UNAUTHORIZED', 'Token has no sub claim naming the user');
+        }
+        if (typeof claims.jti !== 'string' || claims.jti.length === 0)
+        {
+            throw new AuthError('UNAUTHORIZED', 'Token has no jti claim - issue a fresh token with a unique id per message');
+        }
+
+        const user = this.checkUser(clientId, client, claims.sub);
+
+        await this.useOnce(`jwt:${keySegment(clientId)}:${keySegment(claims.jti)}`, claims.exp + this.maxSkewSeconds - now,
+            'Token was already used - issue a fresh token with a new jti for every message');
+
+        return { client: clientId, user };
+    }
+
+    clientFor(clientId)
+    {
+        if (typeof clientId !== 'string' || !Object.hasOwn(this.clients, clientId))
+        {
+            throw new AuthError('UNAUTHORIZED', `Unknown client ${JSON.stringify(clientId ?? null)}`);
+        }
+        return this.clients[clientId];
+    }
+
+    /**
+     * 👤 A client may only speak for the identities in its `users` list
+     */
+    checkUser(clientId, client, user)
+    {
+        const users = client.users || [clientId];
+
+        if (!users.includes('*') && !users.includes(user))
+        {
+            throw new AuthError('FORBIDDEN', `Client ${clientId} may not act for user ${user}`);
+        }
+        return user;
+    }
+
+    /**
+     * 🔁 Mark a signature or token id as used until it would expire anyway
+     *
+     * Fails closed: when the store can't be asked, the message is refused.
+     *
+     * @param {string} id - `hmac:<signature>` or `jwt:<client>:<jti>`
+     * @param {number} ttlSeconds - How long the signature or token stays acceptable
+     * @param {string} reused - Error message for a replay
+     */
+    async useOnce(id, ttlSeconds, reused)
+    {
+        let fresh;
+
+        try
+        {
+            fresh = await this.replays.setIfAbsent(`${REPLAY_PREFIX}:${id}`, Math.floor(Date.now() / 1000), Math.max(1, Math.ceil(ttlSeconds)));
+        } catch (error)
+        {
+            throw new AuthError('UNAUTHORIZED', `Could not check the message for replays (${error.message}) - try again shortly`);
+        }
+
+        if (!fresh)
+        {
+            throw new AuthError('UNAUTHORIZED', reused);
+        }
+    }
+
+    /**
+     * 📜 A client's policy, or null for unsigned messages
+     */
+    policyFor(clientId)
+    {
+        return clientId && Object.hasOwn(this.clients, clientId) ? this.clients[clientId] : null;
+    }
+
+    /**
+     * 🚧 Check the choices a request made against its client's policy
+     *
+     * @param {object} request - Validated request, `client` set by the conduit
+     * @param {string} model - Model the request would be answered by
+     * @throws {AuthError} FORBIDDEN naming the first choice the client may not make
+     */
+    authorize(request, model)
+    {
+        const policy = this.policyFor(request.client);
+        if (!policy) return;
+
+        if (policy.modes && request.agent_mode && request.agent_mode !== 'auto' && !policy.modes.includes(request.agent_mode))
+        {
+            throw new AuthError('FORBIDDEN', `Client ${request.client} may not use agent_mode ${request.agent_mode} (allowed: ${policy.modes.join(', ')})`);
+        }
+
+        const forbiddenTools = policy.tools && request.tools
+            ? request.tools.filter(name => !policy.tools.includes(name))
+            : [];
+        if (forbiddenTools.length > 0)
+        {
+            throw new AuthError('FORBIDDEN', `Client ${request.client} may not use tools: ${forbiddenTools.join(', ')}`);
+        }
+
+        if (policy.models && !policy.models.includes(model))
+        {
+            throw new AuthError('FORBIDDEN', `Client ${request.client} may not use model ${model} (allowed: ${policy.models.join(', ')})`);
+        }
+    }
+
+    /**
+     * 🧭 Keep a routed agent mode within the client's allowed modes
+     *
+     * @returns {string} The mode, or the client's first allowed mode
+     */
+    allowedMode(clientId, mode)
+    {
+        const modes = this.policyFor(clientId)?.modes;
+        return !modes || modes.includes(mode) ? mode : modes[0];
+    }
+
+    /**
+     * 🛠️ Narrow a tool list to the client's allowed tools
+     */
+    allowedTools(clientId, tools)
+    {
+        const allowed = this.policyFor(clientId)?.tools;
+        return allowed ? tools.filter(name => allowed.includes(name)) : tools;
+    }
+
+    describe()
+    {
+        return {
+            required: this.required,
+            clients: Object.keys(this.clients)
+        };
+    }
+}
+
+module.exports = {
+    ClientAuthenticator,
+    AuthError,
+    loadClients
+};
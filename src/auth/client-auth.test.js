@@ -0,0 +1,226 @@
+/**
+ * 🧪 Client Authentication tests - HMAC signatures, JWTs, replays and malformed auth
+ *
+ * Author: Mad Tinker
+ * Project: Madness Interactive - Whispermind_Conduit
+ */
+
+const { ClientAuthenticator, AuthError } = require('./client-auth');
+const { signMessage, verifySignature, signJwt, decodeJwt, verifyJwtSignature } = require('./signatures');
+const { MemoryTtlStore } = require('../cache/ttl-store');
+
+const SECRET = 'webapp-secret-0123456789';
+const CLI_SECRET = 'cli-secret-0123456789';
+
+const clients = {
+    webapp: { secret: SECRET, users: ['*'] },
+    cli: { secret: CLI_SECRET }
+};
+
+/**
+ * 🔤 base64url of a JSON value, for hand-made tokens
+ */
+function encode(value)
+{
+    return Buffer.from(typeof value === 'string' ? value : JSON.stringify(value)).toString('base64url');
+}
+
+/**
+ * 🔏 The AuthError an `authenticate()` call rejects with
+ */
+async function refusal(auth, message)
+{
+    try
+    {
+        await auth.authenticate(message);
+    } catch (error)
+    {
+        return error;
+    }
+    throw new Error('Expected the message to be refused');
+}
+
+describe('signatures', () =>
+{
+    test('an HMAC signature covers the message without its auth block', () =>
+    {
+        const signed = signMessage({ id: '1', message: 'hi' }, 'webapp', SECRET);
+
+        expect(verifySignature(signed, SECRET)).toBe(true);
+        expect(verifySignature({ ...signed, message: 'changed' }, SECRET)).toBe(false);
+        expect(verifySignature(signed, CLI_SECRET)).toBe(false);
+    });
+
+    test('signJwt fills in iat, exp and a unique jti', () =>
+    {
+        const first = decodeJwt(signJwt({ sub: 'alice' }, 'webapp', SECRET));
+        const second = decodeJwt(signJwt({ sub: 'alice' }, 'webapp', SECRET));
+
+        expect(first.header).toEqual({ alg: 'HS256', typ: 'JWT', kid: 'webapp' });
+        expect(first.claims.exp - first.claims.iat).toBe(3600);
+        expect(first.claims.jti).toEqual(expect.any(String));
+        expect(first.claims.jti).not.toBe(second.claims.jti);
+    });
+
+    test('verifyJwtSignature rejects a token signed with another secret', () =>
+    {
+        expect(verifyJwtSignature(signJwt({ sub: 'a' }, 'webapp', SECRET), SECRET)).toBe(true);
+        expect(verifyJwtSignature(signJwt({ sub: 'a' }, 'webapp', CLI_SECRET), SECRET)).toBe(false);
+    });
+
+    test.each(['', 'a.b', 'a.b.c.d', '!!.??.x'])('decodeJwt(%j) is null', (token) =>
+    {
+        expect(decodeJwt(token)).toBeNull();
+    });
+});
+
+describe('ClientAuthenticator', () =>
+{
+    let auth;
+
+    beforeEach(() =>
+    {
+        auth = new ClientAuthenticator(clients, { maxSkewSeconds: 300 });
+    });
+
+    describe('unsigned messages', () =>
+    {
+        test('pass when signing is optional', async () =>
+        {
+            await expect(auth.authenticate({ message: 'hi' })).resolves.toBeNull();
+        });
+
+        test('are refused when signing is required', async () =>
+        {
+            const required = new ClientAuthenticator(clients, { required: true });
+
+            expect((await refusal(required, { message: 'hi' })).code).toBe('UNAUTHORIZED');
+        });
+
+        test.each([null, 'token', 42])('auth %j is refused', async (value) =>
+        {
+            expect(await refusal(auth, { auth: value })).toBeInstanceOf(AuthError);
+        });
+    });
+
+    describe('HMAC', () =>
+    {
+        test('the signed user becomes the identity', async () =>
+        {
+            await expect(auth.authenticate(signMessage({ user: 'alice', message: 'hi' }, 'webapp', SECRET)))
+                .resolves.toEqual({ client: 'webapp', user: 'alice' });
+        });
+
+        test('without a user the client speaks for itself', async () =>
+        {
+            await expect(auth.authenticate(signMessage({ message: 'hi' }, 'cli', CLI_SECRET)))
+                .resolves.toEqual({ client: 'cli', user: 'cli' });
+        });
+
+        test('a signature is accepted once', async () =>
+        {
+            const signed = signMessage({ user: 'alice', message: 'hi' }, 'webapp', SECRET);
+            await auth.authenticate(signed);
+
+            expect((await refusal(auth, signed)).message).toMatch(/already used/);
+        });
+
+        test('replays are refused by every authenticator sharing the store', async () =>
+        {
+            const replays = new MemoryTtlStore();
+            const signed = signMessage({ user: 'alice', message: 'hi' }, 'webapp', SECRET);
+
+            await new ClientAuthenticator(clients, { replays }).authenticate(signed);
+
+            expect((await refusal(new ClientAuthenticator(clients, { replays }), signed)).message).toMatch(/already used/);
+        });
+
+        test('refuses stale timestamps, tampering and unknown clients', async () =>
+        {
+            const stale = signMessage({ message: 'hi' }, 'webapp', SECRET, Math.floor(Date.now() / 1000) - 301);
+            const tampered = { ...signMessage({ user: 'alice', message: 'hi' }, 'webapp', SECRET), user: 'bob' };
+            const unknown = signMessage({ message: 'hi' }, 'nobody', SECRET);
+
+            expect((await refusal(auth, stale)).message).toMatch(/timestamp/);
+            expect((await refusal(auth, tampered)).message).toMatch(/does not match/);
+            expect((await refusal(auth, unknown)).message).toMatch(/Unknown client/);
+        });
+
+        test('a client may only speak for its users', async () =>
+        {
+            const error = await refusal(auth, signMessage({ user: 'alice', message: 'hi' }, 'cli', CLI_SECRET));
+
+            expect(error.code).toBe('FORBIDDEN');
+        });
+    });
+
+    describe('JWT', () =>
+    {
+        test('the subject becomes the identity', async () =>
+        {
+            await expect(auth.authenticate({ auth: { token: signJwt({ sub: 'carol' }, 'webapp', SECRET) } }))
+                .resolves.toEqual({ client: 'webapp', user: 'carol' });
+        });
+
+        test('a token is accepted once', async () =>
+        {
+            const message = { auth: { token: signJwt({ sub: 'carol' }, 'webapp', SECRET) } };
+            await auth.authenticate(message);
+
+            expect((await refusal(auth, message)).message).toMatch(/already used/);
+        });
+
+        test.each([
+            ['no jti', { sub: 'carol', jti: undefined }, /no jti/],
+            ['an empty jti', { sub: 'carol', jti: '' }, /no jti/],
+            ['no sub', { sub: undefined }, /no sub/],
+            ['no exp', { sub: 'carol', exp: undefined }, /no exp/],
+            ['an expired exp', { sub: 'carol', exp: Math.floor(Date.now() / 1000) - 3600 }, /expired/],
+            ['a future nbf', { sub: 'carol', nbf: Math.floor(Date.now() / 1000) + 3600 }, /not valid yet/]
+        ])('refuses a token with %s', async (label, claims, message) =>
+        {
+            const token = signJwt(claims, 'webapp', SECRET);
+
+            expect((await refusal(auth, { auth: { token } })).message).toMatch(message);
+        });
+
+        test('refuses a token signed with the wrong secret', async () =>
+        {
+            const token = signJwt({ sub: 'carol' }, 'webapp', CLI_SECRET);
+
+            expect((await refusal(auth, { auth: { token } })).message).toMatch(/signature does not match/);
+        });
+
+        test('refuses algorithms other than HS256', async () =>
+        {
+            const token = `${encode({ alg: 'none', kid: 'webapp' })}.${encode({ sub: 'carol' })}.`;
+
+            expect((await refusal(auth, { auth: { token } })).message).toMatch(/algorithm none/);
+        });
+
+        test.each([
+            ['not a JWT', 'not-a-token'],
+            ['a null header', `${encode('null')}.${encode('null')}.x`],
+            ['an array header', `${encode('[]')}.${encode('[]')}.x`],
+            ['null claims', `${encode({ alg: 'HS256', kid: 'webapp' })}.${encode('null')}.x`],
+            ['broken base64 JSON', 'eyJ.eyJ.x']
+        ])('refuses %s without throwing anything but an AuthError', async (label, token) =>
+        {
+            const error = await refusal(auth, { auth: { token } });
+
+            expect(error).toBeInstanceOf(AuthError);
+            expect(error.code).toBe('UNAUTHORIZED');
+        });
+    });
+
+    test('refuses a message when the replay store is unreachable', async () =>
+    {
+        const replays = { setIfAbsent: async () => { throw new Error('connection refused'); } };
+        const unreachable = new ClientAuthenticator(clients, { replays });
+
+        const error = await refusal(unreachable, signMessage({ message: 'hi' }, 'webapp', SECRET));
+
+        expect(error).toBeInstanceOf(AuthError);
+        expect(error.message).toMatch(/replays/);
+    });
+});
@@ -0,0 +1,125 @@
+/**
+ * ✍️ Signatures - HMAC request signatures and HS256 JSON Web Tokens
+ *
+ * HMAC: `auth.signature` is the hex HMAC-SHA256 of `<auth.timestamp>.<body>`,
+ * where body is the message without its `auth` field serialised as compact
+ * JSON in the order the sender wrote its keys (JSON.stringify in JavaScript,
+ * json.dumps(..., separators=(',', ':')) in Python).
+ *
+ * JWT: `auth.token` is an HS256 token whose header `kid` (or `iss` claim)
+ * names the client; `sub` is the user, and `exp` and a unique `jti` are required.
+ *
+ * The sign helpers are what clients (and scripts) use to produce both.
+ *
+ * Author: Mad Tinker
+ * Project: Madness Interactive - Whispermind_Conduit
+ */
+
+const crypto = require('crypto');
+
+/**
+ * 🔤 base64url without padding
+ */
+function base64url(input)
+{
+    return Buffer.from(input).toString('base64url');
+}
+
+/**
+ * 🔐 Constant-time comparison of two strings
+ */
+function safeEqual(given, expected)
+{
+    const a = Buffer.from(String(given));
+    const b = Buffer.from(String(expected));
+    return a.length === b.length && crypto.timingSafeEqual(a, b);
+}
+
+/**
+ * 📝 The text an HMAC signature covers
+ */
+function signedText(message, timestamp)
+{
+    const { auth, ...body } = message;
+    return `${timestamp}.${JSON.stringify(body)}`;
+}
+
+/**
+ * ✍️ Add an HMAC `auth` block to a message
+ *
+ * @param {object} message - Request or control message, without `auth`
+ * @param {string} client - Client id from the clients file
+ * @param {string} secret - The client's shared secret
+ */
+function signMessage(message, client, secret, timestamp = Math.floor(Date.now() / 1000))
+{
+    const signature = crypto.createHmac('sha256', secret).update(signedText(message, timestamp)).digest('hex');
+    return { ...message, auth: { client, timestamp, signature } };
+}
+
+/**
+ * ✅ Check an HMAC signature
+ */
+function verifySignature(message, secret)
+{
+    const { timestamp, signature } = message.auth;
+    const expected = crypto.createHmac('sha256', secret).update(signedText(message, timestamp)).digest('hex');
+    return safeEqual(signature, expected);
+}
+
+/**
+ * 🎫 Issue an HS256 token
+ *
+ * @param {object} claims - At least `sub`; `iat`, `exp` (one hour) and a random `jti` are filled in
+ * @param {string} client - Client id, written to the header as `kid`
+ * @param {string} secret - The client's shared secret
+ */
+function signJwt(claims, client, secret)
+{
+    const now = Math.floor(Date.now() / 1000);
+    const header = base64url(JSON.stringify({ alg: 'HS256', typ: 'JWT', kid: client }));
+    const payload = base64url(JSON.stringify({ iat: now, exp: now + 3600, jti: crypto.randomUUID(), ...claims }));
+    const signature = crypto.createHmac('sha256', secret).update(`${header}.${payload}`).digest('base64url');
+
+    return `${header}.${payload}.${signature}`;
+}
+
+/**
+ * 🔍 Split a token into its header and claims without checking the signature
+ *
+ * @returns {{ header: object, claims: object }|null} null when it isn't a JWT
+ */
+function decodeJwt(token)
+{
+    const parts = String(token).split('.');
+    if (parts.length !== 3) return null;
+
+    try
+    {
+        return {
+            header: JSON.parse(Buffer.from(parts[0], 'base64url').toString()),
+            claims: JSON.parse(Buffer.from(parts[1], 'base64url').toString())
+        };
+    } catch (error)
+    {
+        return null;
+    }
+}
+
+/**
+ * ✅ Check an HS256 token's signature
+ */
+function verifyJwtSignature(token, secret)
+{
+    const [header, payload, signature] = String(token).split('.');
+    const expected = crypto.createHmac('sha256', secret).update(`${header}.${payload}`).digest('base64url');
+    return safeEqual(signature, expected);
+}
+
+module.exports = {
+    signMessage,
+    verifySignature,
+    signJwt,
+    decodeJwt,
+    verifyJwtSignature
+};
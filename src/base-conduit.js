@@ -0,0 +1,1850 @@
+/**
+ * 🧠 BaseConduit - Shared request plumbing for every Whispermind_Conduit flavour
+ *
+ * Owns the transport layer, request intake, the processing queue and status
+ * publishing. Subclasses only decide how a request is turned into an answer by
+ * implementing `processRequest(requestId, request, origin, signal)`, where
+ * `signal` aborts when the request is cancelled or runs out of time.
+ *
+ * Dependencies (transports, LLM backends, storage) may be down at boot or drop
+ * later: the conduit then runs DEGRADED, reconnects in the background and holds
+ * or refuses requests it can't answer until they are back.
+ *
+ * Author: Mad Tinker
+ * Project: Madness Interactive - Whispermind_Conduit
+ */
+
+const path = require('path');
+const { v4: uuidv4 } = require('uuid');
+const { TransportManager, loadTransportConfig } = require('./transports');
+const { StreamPublisher } = require('./streaming/stream-publisher');
+const { createConversationStore, resolveThreadId } = require('./history/conversation-store');
+const { buildConversationContext, estimateTokens } = require('./history/context-builder');
+const HistoryApi = require('./history/history-api');
+const ConversationArchive = require('./archive/conversation-archive');
+const { createUsageStore } = require('./usage/usage-store');
+const { QuotaPolicy, loadQuotas } = require('./usage/quotas');
+const { ClientAuthenticator, AuthError, loadClients } = require('./auth/client-auth');
+const { createTtlStore } = require('./cache/ttl-store');
+const RequestLedger = require('./cache/request-ledger');
+const { ResponseCache } = require('./cache/response-cache');
+const WorkQueue = require('./queue/work-queue');
+const { ChatRequestSchema, ControlMessageSchema, HISTORY_ACTIONS, describeIssues } = require('./schemas');
+const { RequestAbortedError } = require('./control/cancellation');
+const { PersonaCatalog, loadPersonas } = require('./personas/persona-catalog');
+const { ModelRouter, loadModelRoutes } = require('./routing/model-router');
+const { ProviderChain, loadProviderConfig } = require('./providers');
+const ServiceHealth = require('./resilience/service-health');
+const { loadReconnectConfig } = require('./resilience/backoff');
+const RequestStats = require('./monitoring/request-stats');
+const ConduitMetrics = require('./monitoring/conduit-metrics');
+const { AdminServer, loadAdminConfig } = require('./admin/admin-server');
+const { sleep } = require('./resilience/backoff');
+const { keySegment } = require('./storage/redis-keys');
+
+// History actions answered by HistoryApi methods (clear_user_data spans every store)
+const HISTORY_METHODS = {
+    list_threads: 'listThreads',
+    get_thread: 'getThread',
+    delete_thread: 'deleteThread',
+    export_thread: 'exportThread'
+};
+
+/**
+ * 🔑 Key of a request in the processing queue - request ids are only unique per user
+ */
+function requestKey(userId, requestId)
+{
+    return `${keySegment(userId)}:${requestId}`;
+}
+
+class BaseConduit
+{
+    /**
+     * @param {object} options
+     * @param {object} options.logger - Winston logger of the concrete conduit
+     * @param {string[]} options.defaultTransports - Transports used when CONDUIT_TRANSPORTS is unset
+     * @param {string} options.defaultHistoryStore - Conversation store used when HISTORY_STORE is unset
+     * @param {string[]} options.defaultProviders - LLM backends, in fail-over order, used when LLM_PROVIDERS is unset
+     * @param {object} options.config - Conduit specific configuration (service, lmStudio, ...)
+     */
+    constructor({ logger, defaultTransports, defaultHistoryStore, defaultProviders, config })
+    {
+        this.logger = logger;
+        this.config = {
+            transports: loadTransportConfig(defaultTransports),
+            streaming: {
+                channelMode: process.env.STREAM_CHANNEL_MODE || 'shared'
+            },
+            responses: {
+                // 'shared', 'per_user' or 'per_thread' - for requests that name no reply_to
+                channelMode: process.env.RESPONSE_CHANNEL_MODE || 'shared'
+            },
+            history: {
+                store: process.env.HISTORY_STORE || defaultHistoryStore,
+                maxTurns: parseInt(process.env.HISTORY_MAX_TURNS) || 20,
+                tokenBudget: parseInt(process.env.HISTORY_TOKEN_BUDGET) || 2000,
+                overflow: process.env.HISTORY_OVERFLOW || 'summarize',
+                maxEntries: 100,
+                ttlSeconds: 604800
+            },
+            archive: {
+                // Empty leaves the archive off
+                uri: process.env.MONGODB_URI || '',
+                database: process.env.MONGODB_DATABASE || 'whispermind',
+                collection: process.env.ARCHIVE_COLLECTION || 'exchanges',
+                // 0 keeps exchanges forever
+                retentionDays: process.env.ARCHIVE_RETENTION_DAYS ? parseInt(process.env.ARCHIVE_RETENTION_DAYS) : 365,
+                backfill: process.env.ARCHIVE_BACKFILL !== 'false'
+            },
+            usage: {
+                store: process.env.USAGE_STORE || defaultHistoryStore,
+                retentionDays: parseInt(process.env.USAGE_RETENTION_DAYS) || 90
+            },
+            quotas: {
+                file: path.resolve(process.env.QUOTAS_FILE || path.join(__dirname, '../config/quotas.json')),
+                // 0 means unlimited
+                tokensPerDay: parseInt(process.env.QUOTA_TOKENS_PER_DAY) || 0,
+                requestsPerMinute: parseInt(process.env.QUOTA_REQUESTS_PER_MINUTE) || 0
+            },
+            cache: {
+                store: process.env.CACHE_STORE || defaultHistoryStore,
+                // 0 turns idempotency off
+                idempotencyWindowSeconds: process.env.IDEMPOTENCY_WINDOW_SECONDS ? parseInt(process.env.IDEMPOTENCY_WINDOW_SECONDS) : 600,
+                responses: process.env.RESPONSE_CACHE === 'true',
+                responseTtlSeconds: parseInt(process.env.RESPONSE_CACHE_TTL_SECONDS) || 3600
+            },
+            auth: {
+                required: process.env.AUTH_REQUIRED === 'true',
+                clientsFile: path.resolve(process.env.CLIENTS_FILE || path.join(__dirname, '../config/clients.json')),
+                maxSkewSeconds: parseInt(process.env.AUTH_MAX_SKEW_SECONDS) || 300
+            },
+            queue: {
+                maxConcurrency: parseInt(process.env.QUEUE_MAX_CONCURRENCY) || 2,
+                maxDepth: parseInt(process.env.QUEUE_MAX_DEPTH) || 50,
+                maxPerUser: parseInt(process.env.QUEUE_MAX_PER_USER) || 10
+            },
+            limits: {
+                maxRounds: parseInt(process.env.AGENT_MAX_ROUNDS) || 10,
+                toolTimeoutMs: parseInt(process.env.AGENT_TOOL_TIMEOUT_MS) || 30000,
+                totalTimeoutMs: parseInt(process.env.REQUEST_TIMEOUT_MS) || 300000
+            },
+            personas: {
+                file: path.resolve(process.env.PERSONAS_FILE || path.join(__dirname, '../config/personas.json')),
+                defaultPersona: process.env.PERSONA_DEFAULT || null
+            },
+            models: {
+                routesFile: path.resolve(process.env.MODEL_ROUTING_RULES || path.join(__dirname, '../config/model-routing.json'))
+            },
+            degraded: {
+                requests: process.env.DEGRADED_REQUESTS || 'hold',
+                holdTimeoutMs: parseInt(process.env.DEGRADED_HOLD_TIMEOUT_MS) || 60000
+            },
+            reconnect: loadReconnectConfig(),
+            heartbeat: {
+                // 0 turns heartbeats off
+                intervalMs: process.env.HEARTBEAT_INTERVAL_MS ? parseInt(process.env.HEARTBEAT_INTERVAL_MS) : 30000
+            },
+            admin: loadAdminConfig(),
+            ...config
+        };
+        this.config.providers = loadProviderConfig(defaultProviders, this.config.lmStudio.model);
+
+        this.transports = new TransportManager(this.config.transports, logger);
+        this.providers = new ProviderChain(this.config.providers, logger);
+        this.processingQueue = new Map();
+        this.workQueue = new WorkQueue(this.config.queue);
+        this.history = null;
+        this.historyApi = null;
+        this.archive = null;
+        this.usage = null;
+        this.cache = null;
+        this.ledger = null;
+        this.responseCache = null;
+        this.quotas = new QuotaPolicy(undefined, { defaults: this.quotaDefaults() });
+        this.auth = new ClientAuthenticator({}, this.config.auth);
+        this.personas = new PersonaCatalog();
+        // Tool registry of conduits that run agents - requests naming tools are checked against it
+        this.tools = null;
+        this.modelRouter = new ModelRouter(undefined, { defaultModel: this.config.lmStudio.model });
+        this.stopping = false;
+        this.heartbeatTimer = null;
+        this.requestStats = new RequestStats();
+        this.adminServer = null;
+
+        // 'open', 'paused' (admin pause) or 'draining' - only 'open' takes new requests
+        this.intake = 'open';
+
+        this.health = new ServiceHealth({ onChange: (change) => this.handleHealthChange(change) });
+        this.trackDependencies();
+        this.metrics = new ConduitMetrics({ workQueue: this.workQueue, health: this.health, requestStats: this.requestStats });
+
+        // Control channel actions, keyed by the message's `action`
+        this.controlHandlers = {
+            cancel: (message, origin) => this.handleCancel(message, origin),
+            ...Object.fromEntries(HISTORY_ACTIONS.map(action => [action, (message, origin) => this.handleHistoryRequest(message, origin)]))
+        };
+    }
+
+    /**
+     * 🩺 Follow every transport and the LLM backends in the service health
+     *
+     * Transports don't gate requests - a request that arrived has a way back.
+     * The LLM backends do, unless a stub backend answers when they are all down.
+     */
+    trackDependencies()
+    {
+        for (const name of this.config.transports.enabled)
+        {
+            this.health.register(`transport:${name}`);
+        }
+        this.transports.onStateChange = (name, connected, detail) => this.health.update(`transport:${name}`, connected, detail);
+
+        this.health.register('llm', { critical: !this.providers.hasFallback, up: true });
+        this.providers.onStateChange = () =>
+        {
+            const open = this.providers.describe()
+                .filter(backend => backend.type !== 'stub' && backend.circuit.state === 'open')
+                .map(backend => backend.name);
+
+            this.health.update('llm', this.providers.healthy, this.providers.healthy ? null : `circuit open: ${open.join(', ')}`);
+        };
+    }
+
+    /**
+     * 🚦 Boot is over - publish the starting state and apply the request policy
+     *
+     * @param {string} onlineMessage - Status message when every dependency is up
+     */
+    async publishStartupStatus(onlineMessage)
+    {
+        this.health.markStarted();
+        this.applyRequestPolicy();
+        this.startHeartbeat();
+
+        const state = this.health.state;
+        if (state === 'DEGRADED')
+        {
+            this.logger.warn('⚠️ Starting DEGRADED - reconnecting in the background', { down: this.health.down() });
+        }
+
+        await this.publishStatus(state, state === 'ONLINE' ? onlineMessage : this.health.summary());
+    }
+
+    /**
+     * 💓 Republish status every HEARTBEAT_INTERVAL_MS so a hung or dead conduit shows up as stale
+     */
+    startHeartbeat()
+    {
+        const { intervalMs } = this.config.heartbeat;
+        if (intervalMs <= 0 || this.heartbeatTimer) return;
+
+        this.heartbeatTimer = setInterval(() =>
+        {
+            if (this.stopping) return;
+
+            this.publishStatus(this.health.state, 'Heartbeat', { heartbeat: true })
+                .catch((error) => this.logger.error('❌ Failed to publish heartbeat:', error));
+        }, intervalMs);
+    }
+
+    /**
+     * 🛑 Stop the heartbeat before publishing the final status
+     */
+    stopHeartbeat()
+    {
+        clearInterval(this.heartbeatTimer);
+        this.heartbeatTimer = null;
+    }
+
+    /**
+     * 🩺 Start the admin HTTP server when HTTP_ADMIN_ENABLED=true
+     *
+     * A port that can't be bound is logged, not fatal - the conduit still serves its buses.
+     */
+    async startAdminServer()
+    {
+        if (!this.config.admin.enabled) return;
+
+        try
+        {
+            this.adminServer = new AdminServer(this.config.admin, this, this.logger);
+            await this.adminServer.start();
+        } catch (error)
+        {
+            this.logger.error('💥 Admin HTTP server failed to start:', { port: this.config.admin.port, error: error.message });
+            this.adminServer = null;
+        }
+    }
+
+    /**
+     * 🛑 Stop the admin HTTP server
+     */
+    async stopAdminServer()
+    {
+        await this.adminServer?.stop();
+    }
+
+    /**
+     * ⏸️ Refuse new requests; accepted ones keep going
+     *
+     * @returns {string} The new intake state
+     */
+    pauseIntake()
+    {
+        if (this.intake === 'open')
+        {
+            this.setIntake('paused');
+        }
+        return this.intake;
+    }
+
+    /**
+     * ▶️ Take new requests again, ending a pause or a drain
+     */
+    resumeIntake()
+    {
+        this.setIntake('open');
+        return this.intake;
+    }
+
+    /**
+     * 🚰 Refuse new requests and wait until every accepted one has finished
+     *
+     * @param {number} timeoutMs - How long to wait before reporting what is left
+     * @returns {Promise<{ intake: string, drained: boolean, remaining: number }>}
+     */
+    async drain(timeoutMs)
+    {
+        this.setIntake('draining');
+        const deadline = Date.now() + timeoutMs;
+
+        while (this.processingQueue.size > 0 && this.intake === 'draining' && Date.now() < deadline)
+        {
+            await sleep(100);
+        }
+
+        const remaining = this.processingQueue.size;
+        this.logger.info(remaining === 0 ? '🚰 Drained' : '🚰 Drain timed out', { remaining });
+        return { intake: this.intake, drained: remaining === 0, remaining };
+    }
+
+    /**
+     * 🔄 Change the intake state and announce it
+     */
+    setIntake(intake)
+    {
+        if (this.intake === intake) return;
+
+        this.logger.warn(`🚪 Intake ${this.intake} → ${intake}`);
+        this.intake = intake;
+
+        this.publishStatus(this.health.state, `Intake ${intake}`)
+            .catch((error) => this.logger.error('❌ Failed to publish intake change:', error));
+    }
+
+    /**
+     * 🚦 Why the conduit can't take requests right now - empty when it can
+     */
+    notReadyReasons()
+    {
+        const reasons = [];
+
+        if (this.stopping) reasons.push('stopping');
+        if (!this.health.started) reasons.push('starting');
+        if (this.intake !== 'open') reasons.push(`intake ${this.intake}`);
+        this.health.down({ critical: true }).forEach(name => reasons.push(`${name} unavailable`));
+
+        return reasons;
+    }
+
+    /**
+     * 📋 Requests this conduit is processing or holding, for the admin /queue endpoint
+     */
+    describeQueue()
+    {
+        const now = Date.now();
+
+        return {
+            intake: this.intake,
+            work_queue: this.workQueue.stats(),
+            requests: [...this.processingQueue.values()].map(entry => ({
+                id: entry.id,
+                user: entry.user,
+                transport: entry.transport,
+                status: entry.status,
+                ...(entry.status === 'queued' && { queue_position: this.workQueue.positionOf(entry.user, entry.id) }),
+                held: Boolean(entry.holdTimer),
+                persona: entry.request.persona || this.personas.defaultName,
+                model: entry.request.model || null,
+                agent_mode: entry.request.agent_mode || 'default',
+                stream: entry.request.stream === true,
+                received_at: entry.timestamp.toISOString(),
+                started_at: entry.startedAt?.toISOString() || null,
+                age_ms: now - entry.timestamp.getTime()
+            }))
+        };
+    }
+
+    /**
+     * 🔄 A dependency went down or came back - adjust intake and announce it
+     */
+    async handleHealthChange({ state, previous, dependency, up, detail })
+    {
+        if (this.stopping) return;
+
+        if (up)
+        {
+            this.logger.info('✅ Dependency back:', { dependency, state });
+            this.metrics.observeReconnect(dependency);
+        } else
+        {
+            this.logger.warn('⚠️ Dependency down:', { dependency, detail, state });
+        }
+
+        if (state !== previous)
+        {
+            this.logger.warn(`🚦 Service state ${previous} → ${state}`);
+        }
+
+        this.applyRequestPolicy();
+
+        await this.publishStatus(state, up ? `${dependency} is back - ${this.health.summary()}` : this.health.summary());
+    }
+
+    /**
+     * ⏸️ Hold the work queue while a critical dependency is down (DEGRADED_REQUESTS=hold)
+     */
+    applyRequestPolicy()
+    {
+        if (this.config.degraded.requests !== 'hold') return;
+
+        if (this.health.ready)
+        {
+            if (!this.workQueue.paused) return;
+
+            for (const entry of this.processingQueue.values())
+            {
+                clearTimeout(entry.holdTimer);
+                entry.holdTimer = null;
+            }
+            this.logger.info('▶️ Releasing held requests', { queued: this.workQueue.stats().queued });
+            this.workQueue.resume();
+        } else
+        {
+            if (this.workQueue.paused) return;
+
+            this.workQueue.pause();
+            for (const entry of this.processingQueue.values())
+            {
+                if (entry.status === 'queued')
+                {
+                    this.holdRequest(entry);
+                }
+            }
+            this.logger.warn('⏸️ Holding requests until dependencies are back', { down: this.health.down({ critical: true }) });
+        }
+    }
+
+    /**
+     * ⏳ Give a held request DEGRADED_HOLD_TIMEOUT_MS to be released before refusing it
+     */
+    holdRequest(entry)
+    {
+        if (entry.holdTimer) return;
+
+        const { holdTimeoutMs } = this.config.degraded;
+        entry.holdTimer = setTimeout(() =>
+        {
+            if (entry.status !== 'queued' || this.health.ready) return;
+
+            const reason = new RequestAbortedError('degraded', `Held for ${holdTimeoutMs}ms while degraded - ${this.health.summary()}`);
+            entry.controller.abort(reason);
+            this.workQueue.cancel(entry.user, entry.id, reason);
+        }, holdTimeoutMs);
+    }
+
+    /**
+     * 💾 Create the conversation store, reusing `redis` when the conduit already has a client
+     */
+    initializeHistory(redis = null)
+    {
+        const { store, maxEntries, ttlSeconds } = this.config.history;
+
+        this.history = createConversationStore({
+            type: store,
+            redis,
+            redisConfig: this.config.transports.redis,
+            maxEntries,
+            ttlSeconds
+        });
+        this.historyApi = new HistoryApi(this.history, this.archive);
+
+        this.logger.info('💾 Conversation history enabled:', { store });
+    }
+
+    /**
+     * 🏛️ Connect the MongoDB archive when MONGODB_URI is set
+     *
+     * The archive is optional: while MongoDB is unreachable the conduit runs
+     * DEGRADED, answers without backfill and logs the exchanges it couldn't archive.
+     */
+    async initializeArchive()
+    {
+        const { uri, database, collection, retentionDays } = this.config.archive;
+        if (!uri) return;
+
+        this.health.register('archive');
+        this.archive = new ConversationArchive({
+            uri,
+            database,
+            collection,
+            retentionDays,
+            onAvailability: (up, detail) => this.health.update('archive', up, detail),
+            logger: this.logger
+        });
+
+        try
+        {
+            await this.archive.connect();
+            this.logger.info('🏛️ Conversation archive ready:', this.archive.describe());
+        } catch (error)
+        {
+            this.logger.error('💥 Conversation archive unreachable - archiving will keep trying:', { error: error.message });
+            this.health.update('archive', false, error.message);
+        }
+    }
+
+    /**
+     * 🔢 Create the usage store, reusing `redis` when the conduit already has a client
+     */
+    initializeUsage(redis = null)
+    {
+        const { store, retentionDays } = this.config.usage;
+
+        this.usage = createUsageStore({
+            type: store,
+            redis,
+            redisConfig: this.config.transports.redis,
+            retentionDays
+        });
+
+        this.logger.info('🔢 Token usage accounting enabled:', { store, retentionDays });
+    }
+
+    /**
+     * 🧾 Create the store behind request idempotency, the response cache and auth replay checks, reusing `redis` when given
+     */
+    initializeCache(redis = null)
+    {
+        const { store, idempotencyWindowSeconds, responses, responseTtlSeconds } = this.config.cache;
+
+        this.cache = createTtlStore({
+            type: store,
+            redis,
+            redisConfig: this.config.transports.redis
+        });
+        this.ledger = idempotencyWindowSeconds > 0
+            ? new RequestLedger(this.cache, { windowSeconds: idempotencyWindowSeconds })
+            : null;
+        this.responseCache = responses
+            ? new ResponseCache(this.cache, { ttlSeconds: responseTtlSeconds })
+            : null;
+
+        this.logger.info('🧾 Request idempotency and response cache ready:', {
+            store,
+            idempotency: this.ledger?.describe() ?? false,
+            responseCache: this.responseCache?.describe() ?? false
+        });
+    }
+
+    /**
+     * 🎟️ Load the per-user quotas
+     */
+    async loadQuotas()
+    {
+        this.quotas = new QuotaPolicy(await loadQuotas(this.config.quotas.file, this.logger), { defaults: this.quotaDefaults() });
+        this.logger.info('🎟️ Quotas ready:', this.quotas.describe());
+    }
+
+    /**
+     * 🔏 Load the clients allowed to sign requests and their policies
+     */
+    async loadClients()
+    {
+        // A shared Redis refuses replays across instances; in memory the authenticator keeps its own, larger store
+        const replays = this.config.cache.store === 'redis' ? this.cache : undefined;
+
+        this.auth = new ClientAuthenticator(await loadClients(this.config.auth.clientsFile, this.logger), { ...this.config.auth, replays });
+        this.logger.info('🔏 Client authentication ready:', this.auth.describe());
+    }
+
+    /**
+     * 📏 Quotas from the environment, used when the quotas file doesn't say otherwise
+     */
+    quotaDefaults()
+    {
+        return {
+            tokens_per_day: this.config.quotas.tokensPerDay,
+            requests_per_minute: this.config.quotas.requestsPerMinute
+        };
+    }
+
+    /**
+     * 🎭 Load the persona profiles
+     */
+    async loadPersonas()
+    {
+        const { file, defaultPersona } = this.config.personas;
+
+        this.personas = new PersonaCatalog(await loadPersonas(file, this.logger), { defaultPersona });
+        this.logger.info('🎭 Personas ready:', this.personas.describe());
+    }
+
+    /**
+     * 🗺️ Load the model routing table
+     */
+    async loadModelRouting()
+    {
+        const routes = await loadModelRoutes(this.config.models.routesFile, this.logger);
+
+        this.modelRouter = new ModelRouter(routes, { defaultModel: this.config.lmStudio.model });
+        this.logger.info('🗺️ Model routing ready:', this.modelRouter.describe());
+    }
+
+    /**
+     * 🎭 Persona, model, system prompt and generation settings for a request
+     *
+     * The returned `model_routing` says why the model was picked.
+     *
+     * @param {object} [session] - Stored user session; its `context` feeds the {{context}} variable
+     */
+    resolvePersona(request, session = null)
+    {
+        const now = new Date();
+        const modelRouting = this.modelRouter.route(request, this.personas.profileFor(request)?.model);
+
+        const persona = this.personas.resolve(request, {
+            defaults: {
+                temperature: 0.7,
+                max_tokens: 1000
+            },
+            model: modelRouting.model,
+            variables: {
+                user: request.user || 'anonymous',
+                thread_id: resolveThreadId(request),
+                date: now.toISOString().slice(0, 10),
+                time: now.toISOString().slice(11, 16) + ' UTC',
+                datetime: now.toISOString(),
+                service: this.config.service.name,
+                madness_level: this.config.service.madnessLevel,
+                context: session?.context || request.context || ''
+            }
+        });
+
+        return { ...persona, model_routing: modelRouting };
+    }
+
+    /**
+     * 🔌 Connect every enabled transport and start listening for requests
+     *
+     * Transports that can't connect yet keep retrying in the background.
+     */
+    async connectTransports()
+    {
+        // Retained on the status channel by the broker should the process die uncleanly
+        this.transports.setLastWill('status', {
+            service: this.config.service.name,
+            version: this.config.service.version,
+            status: 'OFFLINE',
+            message: 'Connection lost without a clean shutdown',
+            last_will: true,
+            started_at: this.requestStats.startedAt.toISOString()
+        });
+
+        await this.transports.connectAll(
+            (payload, origin) => this.receiveRequest(payload, origin),
+            (payload, origin) => this.handleControlMessage(payload, origin)
+        );
+
+        this.logger.info('🌐 Transports started:', {
+            transports: this.config.transports.enabled,
+            connected: this.transports.describe().filter(transport => transport.connected).map(transport => transport.name)
+        });
+    }
+
+    /**
+     * 📈 Handle an incoming request and count its outcome
+     */
+    async receiveRequest(payload, origin)
+    {
+        const receivedAt = Date.now();
+        const outcome = await this.handleIncomingMessage(payload, origin);
+
+        this.requestStats.record(outcome);
+        this.metrics.observeRequest({ transport: origin.transport, outcome, durationMs: Date.now() - receivedAt });
+        return outcome;
+    }
+
+    /**
+     * 📨 Handle an incoming request from any transport
+     *
+     * Resolves once the request has been answered, with an outcome transports can
+     * use for acknowledgement: { status: 'completed' | 'failed' | 'rejected' | 'invalid' | 'cancelled' }.
+     * Outcomes of valid requests also carry the `mode` and `model` metrics are labelled with.
+     */
+    async handleIncomingMessage(payload, origin)
+    {
+        let raw;
+
+        try
+        {
+            raw = JSON.parse(payload);
+        } catch (error)
+        {
+            this.logger.error('💥 Malformed request payload:', { transport: origin.transport, error: error.message });
+            await this.publishValidationError(origin, null, 'INVALID_JSON', `Request is not valid JSON: ${error.message}`, []);
+            return { status: 'invalid', error: error.message };
+        }
+
+        let identity;
+
+        try
+        {
+            identity = await this.auth.authenticate(raw);
+        } catch (error)
+        {
+            if (!(error instanceof AuthError)) throw error;
+
+            this.logger.warn('🔏 Request failed authentication:', { transport: origin.transport, requestId: raw?.id, reason: error.message });
+            await this.publishAuthError(origin, raw, error);
+            return { status: 'invalid', error: error.message };
+        }
+
+        const parsed = ChatRequestSchema.safeParse(raw);
+        if (!parsed.success)
+        {
+            const issues = describeIssues(parsed.error);
+            const rawId = raw && typeof raw === 'object' ? raw.id : undefined;
+
+            this.logger.warn('🚫 Request failed validation:', { transport: origin.transport, requestId: rawId, issues });
+            await this.publishValidationError(origin, raw, 'VALIDATION_FAILED', 'Request does not match the request schema', issues);
+            return { status: 'invalid', error: issues.map(issue => `${issue.field}: ${issue.message}`).join('; ') };
+        }
+
+        // Verified identity replaces whatever the sender claimed
+        const { auth, ...claimed } = parsed.data;
+        const request = {
+            ...claimed,
+            user: identity ? identity.user : claimed.user,
+            client: identity?.client ?? null
+        };
+
+        // Choices only checkable against the loaded configuration - tools first, so unknown ones aren't reported as persona issues
+        const validators = [['INVALID_TOOLS', this.tools], ['INVALID_PERSONA', this.personas], ['INVALID_MODEL', this.modelRouter]];
+        for (const [errorCode, validator] of validators.filter(([, validator]) => validator))
+        {
+            const issues = validator.validate(request);
+            if (issues.length === 0) continue;
+
+            this.logger.warn('🚫 Request made an unusable choice:', { transport: origin.transport, requestId: request.id, issues });
+            await this.publishValidationError(origin, raw, errorCode, issues[0].message, issues);
+            return { status: 'invalid', error: issues.map(issue => `${issue.field}: ${issue.message}`).join('; ') };
+        }
+
+        if (request.reply_to && this.transports.listensOn(origin, request.reply_to))
+        {
+            const issues = [{ field: 'reply_to', code: 'custom', message: `reply_to ${request.reply_to} is a channel the conduit listens on` }];
+
+            this.logger.warn('🚫 Request made an unusable choice:', { transport: origin.transport, requestId: request.id, issues });
+            await this.publishValidationError(origin, raw, 'INVALID_REPLY_TO', issues[0].message, issues);
+            return { status: 'invalid', error: issues[0].message };
+        }
+
+        try
+        {
+            this.auth.authorize(request, this.modelRouter.route(request, this.personas.profileFor(request)?.model).model);
+        } catch (error)
+        {
+            if (!(error instanceof AuthError)) throw error;
+
+            this.logger.warn('🔏 Request not allowed for its client:', { transport: origin.transport, requestId: request.id, client: request.client, reason: error.message });
+            await this.publishAuthError(origin, { ...raw, user: request.user }, error);
+            return { status: 'invalid', error: error.message };
+        }
+
+        let ownsId = false;
+        let outcome = null;
+
+        try
+        {
+            const requestId = request.id || uuidv4();
+
+            this.logger.info('📨 Received chat request:', {
+                requestId,
+                transport: origin.transport,
+                user: request.user || 'anonymous',
+                ...(request.client && { client: request.client }),
+                messageLength: request.message.length,
+                agentMode: request.agent_mode || 'default',
+                persona: request.persona || this.personas.defaultName
+            });
+
+            const addressed = this.addressReplies(origin, request);
+
+            // A retried id gets the first attempt's answer instead of a second one
+            const earlier = await this.claimRequestId(request);
+            if (earlier)
+            {
+                return { mode: request.agent_mode || 'default', model: request.model || 'default', ...await this.answerDuplicate(requestId, request, addressed, earlier) };
+            }
+            ownsId = true;
+
+            outcome = await this.scheduleRequest(requestId, request, addressed);
+            return { mode: request.agent_mode || 'default', model: request.model || 'default', ...outcome };
+
+        } catch (error)
+        {
+            this.logger.error('💥 Error handling incoming message:', error);
+            return { status: 'failed', error: error.message, answered: false };
+        } finally
+        {
+            // No answer - let the client retry the id
+            if (ownsId && outcome?.status !== 'completed')
+            {
+                await this.releaseRequestId(request);
+            }
+        }
+    }
+
+    /**
+     * 🔒 Claim a client-chosen request id for this attempt
+     *
+     * A ledger that can't be reached lets the request through rather than refusing it.
+     *
+     * @returns {Promise<object|null>} null when the id is ours, otherwise the earlier attempt
+     */
+    async claimRequestId(request)
+    {
+        if (!this.ledger || !request.id) return null;
+
+        try
+        {
+            return await this.ledger.claim(request.user || 'anonymous', request.id);
+        } catch (error)
+        {
+            this.logger.error('💥 Idempotency check failed, processing the request:', { requestId: request.id, error: error.message });
+            return null;
+        }
+    }
+
+    /**
+     * 🔓 Give a request id back after an attempt that produced no answer
+     */
+    async releaseRequestId(request)
+    {
+        if (!this.ledger || !request.id) return;
+
+        try
+        {
+            await this.ledger.release(request.user || 'anonymous', request.id);
+        } catch (error)
+        {
+            this.logger.error('❌ Failed to release request id:', { requestId: request.id, error: error.message });
+        }
+    }
+
+    /**
+     * 🔁 Answer a retried request id from the earlier attempt
+     *
+     * A completed attempt's response is published again, marked `duplicate`;
+     * one still running gets an `in_progress` reply - its response will follow.
+     */
+    async answerDuplicate(requestId, request, origin, earlier)
+    {
+        const user = request.user || 'anonymous';
+
+        if (earlier.state === 'completed')
+        {
+            this.logger.info('🔁 Replaying the stored response to a retried request:', { requestId, user, completedAt: earlier.completed_at });
+
+            await this.publishResponse(origin, { ...earlier.response, duplicate: true });
+            return { status: 'completed', duplicate: true };
+        }
+
+        this.logger.info('🔁 Retried request is still in progress:', { requestId, user, startedAt: earlier.started_at });
+
+        await this.publishResponse(origin, {
+            id: requestId,
+            user,
+            status: 'in_progress',
+            duplicate: true,
+            started_at: earlier.started_at,
+            timestamp: new Date().toISOString()
+        });
+        return { status: 'rejected', error: 'in_progress' };
+    }
+
+    /**
+     * 🔑 Response cache key for a prompt about to be sent, or null when it isn't cacheable
+     *
+     * @param {object} prompt - { model, persona, messages, temperature, maxTokens }
+     */
+    responseCacheKey(request, prompt)
+    {
+        return this.responseCache?.keyFor(request, prompt) ?? null;
+    }
+
+    /**
+     * 🗃️ A cached answer shaped like a `ProviderChain.run()` result, or null on a miss
+     *
+     * Hits cost no tokens. Streaming requests get the whole answer as one chunk.
+     */
+    async cachedCompletion(cacheKey, stream = null)
+    {
+        if (!cacheKey) return null;
+
+        let cached;
+        try
+        {
+            cached = await this.responseCache.get(cacheKey);
+        } catch (error)
+        {
+            this.logger.error('❌ Response cache lookup failed:', { error: error.message });
+            return null;
+        }
+        if (!cached) return null;
+
+        stream?.chunk(cached.response);
+
+        return {
+            result: {
+                content: cached.response,
+                model: cached.model,
+                usage: { prompt_tokens: 0, completion_tokens: 0, total_tokens: 0 },
+                cached
+            },
+            provider: { name: 'response_cache', type: 'cache' },
+            failedOver: []
+        };
+    }
+
+    /**
+     * 🏷️ The response's `cache` field: hit or miss, nothing for uncacheable requests
+     */
+    describeCache(cacheKey, completion)
+    {
+        if (!cacheKey) return undefined;
+
+        return completion.cached
+            ? { status: 'hit', request_id: completion.cached.request_id, cached_at: completion.cached.cached_at }
+            : { status: 'miss' };
+    }
+
+    /**
+     * 🧾 Remember a completed answer for retries of its id and, given a cache key, for identical requests
+     */
+    async rememberResponse(request, responseMessage, cacheKey = null)
+    {
+        try
+        {
+            if (this.ledger && request.id)
+            {
+                await this.ledger.complete(request.user || 'anonymous', request.id, responseMessage);
+            }
+            if (cacheKey)
+            {
+                await this.responseCache.set(cacheKey, responseMessage);
+            }
+        } catch (error)
+        {
+            this.logger.error('❌ Failed to remember response:', { requestId: responseMessage.id, error: error.message });
+        }
+    }
+
+    /**
+     * 🎛️ Handle a message from a control channel
+     *
+     * Control channels are shared by every conduit, so messages about requests
+     * this conduit doesn't hold are silently ignored. Signed messages reach the
+     * handler with the sender's verified `identity` ({ client, user }), unsigned
+     * ones with `identity: null`.
+     */
+    async handleControlMessage(payload, origin)
+    {
+        let raw;
+        let message;
+
+        try
+        {
+            raw = JSON.parse(payload);
+
+            // Transports' own control messages (e.g. cancel on HTTP disconnect) need no signature
+            const identity = origin.internal ? null : await this.auth.authenticate(raw);
+
+            message = { ...ControlMessageSchema.parse(raw), identity };
+        } catch (error)
+        {
+            const details = error.issues ? describeIssues(error) : error.message;
+            this.logger.warn('🚫 Ignoring invalid control message:', { transport: origin.transport, details });
+
+            // History requests expect an answer either way
+            if (HISTORY_ACTIONS.includes(raw?.action))
+            {
+                await this.publishHistoryRefusal(origin, raw, error, details);
+            }
+            return;
+        }
+
+        try
+        {
+            await this.controlHandlers[message.action](message, origin);
+        } catch (error)
+        {
+            this.logger.error('💥 Error handling control message:', { action: message.action, error: error.message });
+        }
+    }
+
+    /**
+     * 📚 Answer a history request on the history response channel, under the request's id
+     *
+     * Whose history is the same question as for chat requests: the verified
+     * user of a signed message, the claimed `user` of an unsigned one. History
+     * channels are shared by every conduit, so with a shared ledger only the
+     * conduit that claims the id answers. Like chat requests, a retried id gets
+     * the stored answer again, and refusals give the id back.
+     */
+    async handleHistoryRequest(message, origin)
+    {
+        const user = message.identity ? message.identity.user : message.user;
+        const addressed = this.addressReplies(origin, { ...message, user }, 'history_response');
+        const answer = (fields) => ({
+            id: message.id,
+            user: user || 'anonymous',
+            action: message.action,
+            ...fields,
+            timestamp: new Date().toISOString()
+        });
+        const reply = (fields) => this.publishResponse(addressed, answer(fields), 'history_response');
+
+        const claim = { id: `history:${message.id}`, user };
+        const earlier = await this.claimRequestId(claim);
+        if (earlier)
+        {
+            // Still running means another conduit (or attempt) answers it
+            if (earlier.state === 'completed')
+            {
+                this.logger.info('🔁 Replaying the stored answer to a retried history request:', { requestId: message.id, user, completedAt: earlier.completed_at });
+                await this.publishResponse(addressed, { ...earlier.response, duplicate: true }, 'history_response');
+            }
+            return;
+        }
+
+        if (!user)
+        {
+            await this.releaseRequestId(claim);
+            await reply({ status: 'error', error: 'Invalid request', error_code: 'USER_REQUIRED', error_details: 'History requests need a user - sign the message or set user' });
+            return;
+        }
+        if (!this.history && message.action !== 'clear_user_data')
+        {
+            await this.releaseRequestId(claim);
+            await reply({ status: 'error', error: 'History disabled', error_code: 'HISTORY_DISABLED', error_details: 'This conduit keeps no conversation history' });
+            return;
+        }
+
+        try
+        {
+            const result = message.action === 'clear_user_data'
+                ? { deleted: await this.clearUserData(user) }
+                : await this.historyApi[HISTORY_METHODS[message.action]](user, message);
+
+            const response = answer({ status: 'ok', ...result });
+
+            await this.rememberResponse(claim, response);
+            await this.publishResponse(addressed, response, 'history_response');
+
+            this.logger.info('📚 Answered history request:', { requestId: message.id, user, action: message.action });
+        } catch (error)
+        {
+            this.logger.error('💥 History request failed:', { requestId: message.id, user, action: message.action, error: error.message });
+            await this.releaseRequestId(claim);
+            await reply({ status: 'error', error: 'History request failed', error_code: 'HISTORY_FAILED', error_details: error.message });
+        }
+    }
+
+    /**
+     * 🩺 Tell the sender of a history request that couldn't be read or authenticated why
+     *
+     * The id is claimed only while answering, so one conduit answers and a
+     * corrected retry under the same id is processed.
+     */
+    async publishHistoryRefusal(origin, raw, error, details)
+    {
+        const user = typeof raw.user === 'string' ? raw.user : 'anonymous';
+        const hasId = typeof raw.id === 'string' || typeof raw.id === 'number';
+        const claim = { id: `history:${raw.id}`, user };
+
+        if (hasId && await this.claimRequestId(claim)) return;
+
+        try
+        {
+            await this.publishResponse(this.addressRefusal(origin, raw, 'history_response'), {
+                id: hasId ? String(raw.id) : null,
+                user,
+                action: raw.action,
+                status: 'error',
+                ...(error instanceof AuthError
+                    ? { error: error.code === 'FORBIDDEN' ? 'Forbidden' : 'Unauthorized', error_code: error.code }
+                    : { error: 'Invalid request', error_code: 'VALIDATION_FAILED' }),
+                error_details: details,
+                timestamp: new Date().toISOString()
+            }, 'history_response');
+        } catch (publishError)
+        {
+            this.logger.error('❌ Failed to publish history error:', publishError);
+        }
+
+        if (hasId) await this.releaseRequestId(claim);
+    }
+
+    /**
+     * 🧹 Forget what is kept about a user: history, token usage, remembered request ids, the archive
+     *
+     * Subclasses add what else they keep. Cached responses aren't tied to a user
+     * and expire on their own.
+     *
+     * @returns {Promise<object>} How much was deleted, per kind
+     */
+    async clearUserData(userId)
+    {
+        return {
+            threads: this.history ? await this.history.deleteUser(userId) : 0,
+            usage_days: this.usage ? await this.usage.deleteUser(userId) : 0,
+            request_ids: this.ledger ? await this.ledger.forgetUser(userId) : 0,
+            archived_exchanges: this.archive ? await this.archive.deleteUser(userId) : 0
+        };
+    }
+
+    /**
+     * ✋ Cancel on behalf of a control message - signed requests may only be cancelled by their user
+     *
+     * Request ids are only unique per user: the cancel names its user (signed,
+     * or in `user`), or the id has to be unambiguous.
+     */
+    handleCancel(message, origin)
+    {
+        const user = message.identity?.user || message.user;
+        const matches = [...this.processingQueue.values()]
+            .filter(entry => entry.id === message.id && (!user || entry.user === user));
+
+        if (matches.length > 1)
+        {
+            this.logger.warn('✋ Ignoring cancel - more than one user sent this id:', { requestId: message.id });
+            return false;
+        }
+
+        const [entry] = matches;
+        if (!entry) return false;
+
+        if (entry.request.client && !origin.internal && message.identity?.user !== entry.request.user)
+        {
+            this.logger.warn('🔏 Ignoring cancel from someone else:', { requestId: message.id, by: message.identity?.user || 'unsigned' });
+            return false;
+        }
+
+        return this.cancelRequest(entry.user, entry.id, message.reason);
+    }
+
+    /**
+     * ✋ Abort a request this conduit is processing or still has queued
+     *
+     * @returns {boolean} false when the request isn't held here
+     */
+    cancelRequest(userId, requestId, reason = null)
+    {
+        const entry = this.processingQueue.get(requestKey(userId, requestId));
+        if (!entry) return false;
+
+        const abortReason = new RequestAbortedError('cancelled', reason || 'Cancelled by client');
+        this.logger.info('✋ Cancelling request:', { requestId, user: userId, status: entry.status, reason: abortReason.message });
+
+        entry.controller.abort(abortReason);
+        if (entry.status === 'queued')
+        {
+            this.workQueue.cancel(userId, requestId, abortReason);
+        }
+        return true;
+    }
+
+    /**
+     * 🩺 Tell the requester exactly why their request was refused
+     *
+     * @param {object|null} raw - The parsed payload, if it was JSON at all
+     * @param {string} errorCode - INVALID_JSON, VALIDATION_FAILED, INVALID_TOOLS, INVALID_PERSONA, INVALID_MODEL or INVALID_REPLY_TO
+     * @param {object[]} issues - Offending fields as { field, code, message }
+     */
+    async publishValidationError(origin, raw, errorCode, details, issues)
+    {
+        const isObject = raw !== null && typeof raw === 'object';
+
+        try
+        {
+            await this.publishResponse(this.addressRefusal(origin, raw), {
+                id: isObject && raw.id !== undefined ? String(raw.id) : null,
+                user: isObject && typeof raw.user === 'string' ? raw.user : 'anonymous',
+                status: 'error',
+                error: 'Invalid request',
+                error_code: errorCode,
+                error_details: details,
+                fields: [...new Set(issues.map(issue => issue.field))],
+                issues,
+                timestamp: new Date().toISOString()
+            });
+        } catch (error)
+        {
+            this.logger.error('❌ Failed to publish validation error:', error);
+        }
+    }
+
+    /**
+     * 🔏 Tell the sender their message couldn't be authenticated or isn't allowed
+     *
+     * @param {AuthError} error - UNAUTHORIZED or FORBIDDEN
+     */
+    async publishAuthError(origin, raw, error)
+    {
+        const isObject = raw !== null && typeof raw === 'object';
+
+        try
+        {
+            await this.publishResponse(this.addressRefusal(origin, raw), {
+                id: isObject && raw.id !== undefined ? String(raw.id) : null,
+                user: isObject && typeof raw.user === 'string' ? raw.user : 'anonymous',
+                status: 'error',
+                error: error.code === 'FORBIDDEN' ? 'Forbidden' : 'Unauthorized',
+                error_code: error.code,
+                error_details: error.message,
+                timestamp: new Date().toISOString()
+            });
+        } catch (publishError)
+        {
+            this.logger.error('❌ Failed to publish authentication error:', publishError);
+        }
+    }
+
+    /**
+     * 🚦 Put a request on the work queue, telling the requester if it has to wait or was refused
+     */
+    async scheduleRequest(requestId, request, origin)
+    {
+        const user = request.user || 'anonymous';
+
+        if (this.intake !== 'open')
+        {
+            this.logger.warn('🚫 Rejected request - intake closed', { requestId, user, intake: this.intake });
+
+            await this.publishRejection(origin, {
+                id: requestId,
+                user,
+                status: 'rejected',
+                error: this.intake,
+                error_details: this.intake === 'draining'
+                    ? 'Conduit is draining before shutdown - send the request elsewhere'
+                    : 'Conduit intake is paused by an operator',
+                reason: this.intake,
+                timestamp: new Date().toISOString()
+            });
+            return { status: 'rejected', error: this.intake };
+        }
+
+        if (!this.health.ready && this.config.degraded.requests === 'reject')
+        {
+            this.logger.warn('🚫 Rejected request - conduit degraded', { requestId, user, down: this.health.down({ critical: true }) });
+
+            await this.publishRejection(origin, {
+                id: requestId,
+                user,
+                status: 'rejected',
+                error: 'degraded',
+                error_details: this.health.summary(),
+                reason: 'degraded',
+                dependencies: this.health.describe(),
+                timestamp: new Date().toISOString()
+            });
+            return { status: 'rejected', error: 'degraded' };
+        }
+
+        const exceeded = await this.checkQuota(user, request.client);
+        if (exceeded)
+        {
+            this.logger.warn('🎟️ Rejected request - quota exceeded', { requestId, user, quota: exceeded.quota, limit: exceeded.limit, used: exceeded.used });
+
+            await this.publishResponse(origin, {
+                id: requestId,
+                user,
+                status: 'rejected',
+                error: 'quota_exceeded',
+                error_code: 'QUOTA_EXCEEDED',
+                error_details: exceeded.message,
+                reason: 'quota_exceeded',
+                quota: exceeded.quota,
+                limit: exceeded.limit,
+                used: exceeded.used,
+                retry_after_seconds: exceeded.retry_after_seconds,
+                timestamp: new Date().toISOString()
+            });
+            return { status: 'rejected', error: 'quota_exceeded' };
+        }
+
+        const entry = {
+            id: requestId,
+            user,
+            timestamp: new Date(),
+            transport: origin.transport,
+            status: 'queued',
+            request,
+            controller: new AbortController(),
+            holdTimer: null
+        };
+
+        const ticket = this.workQueue.enqueue({
+            id: requestId,
+            userId: user,
+            run: () => this.runRequest(requestId, request, origin, entry.controller),
+            onStart: () =>
+            {
+                entry.status = 'processing';
+                entry.startedAt = new Date();
+            }
+        });
+
+        if (!ticket.accepted)
+        {
+            const stats = this.workQueue.stats();
+
+            this.logger.warn('🚫 Rejected request - conduit overloaded', { requestId, user, reason: ticket.reason, ...stats });
+
+            await this.publishRejection(origin, {
+                id: requestId,
+                user,
+                status: 'rejected',
+                error: 'overloaded',
+                error_details: ticket.reason === 'user_limit'
+                    ? `Too many queued requests for ${user} (limit ${stats.max_per_user})`
+                    : `Request queue is full (${stats.queued} waiting)`,
+                reason: ticket.reason,
+                queue_depth: stats.queued,
+                timestamp: new Date().toISOString()
+            });
+            return { status: 'rejected', error: ticket.reason };
+        }
+
+        // Add to processing queue
+        const key = requestKey(user, requestId);
+        this.processingQueue.set(key, entry);
+
+        const held = this.workQueue.paused;
+        if (held)
+        {
+            this.holdRequest(entry);
+        }
+
+        if (ticket.position > 0)
+        {
+            await this.publishResponse(origin, {
+                id: requestId,
+                user,
+                status: 'queued',
+                queue_position: ticket.position,
+                queue_depth: this.workQueue.stats().queued,
+                ...(held && { held: true, reason: 'degraded' }),
+                timestamp: new Date().toISOString()
+            });
+        }
+
+        try
+        {
+            return await ticket.done;
+        } catch (error)
+        {
+            // Cancelled while still waiting in the queue
+            if (error instanceof RequestAbortedError)
+            {
+                return await this.publishAborted(requestId, request, origin, error);
+            }
+            throw error;
+        } finally
+        {
+            clearTimeout(entry.holdTimer);
+            this.processingQueue.delete(key);
+        }
+    }
+
+    /**
+     * 🚫 Tell the requester their request was refused for now
+     *
+     * Transports that redeliver refused requests (`origin.redelivers`) get no
+     * reply: the retry answers, and a refusal first would be a second answer.
+     */
+    async publishRejection(origin, message)
+    {
+        if (origin.redelivers)
+        {
+            this.logger.info('🔁 Refusal not published - the transport redelivers the request', { requestId: message.id, reason: message.reason });
+            return;
+        }
+
+        await this.publishResponse(origin, message);
+    }
+
+    /**
+     * 🎟️ Check (and count) a request against the user's quotas
+     *
+     * A usage store that can't be reached lets the request through rather than
+     * refusing everyone.
+     *
+     * @param {string|null} clientId - Client whose policy may override the default quotas
+     * @returns {Promise<object|null>} The exceeded quota, or null when the request may go ahead
+     */
+    async checkQuota(userId, clientId = null)
+    {
+        if (!this.usage) return null;
+
+        try
+        {
+            return await this.quotas.check(userId, this.usage, this.auth.policyFor(clientId)?.quotas);
+        } catch (error)
+        {
+            this.logger.error('💥 Quota check failed, letting the request through:', { user: userId, error: error.message });
+            return null;
+        }
+    }
+
+    /**
+     * 🔢 Add an answered request's tokens to the user's daily usage
+     */
+    async recordUsage(userId, usage)
+    {
+        if (!this.usage) return;
+
+        try
+        {
+            await this.usage.record(userId, usage);
+        } catch (error)
+        {
+            this.logger.error('❌ Failed to record token usage:', { user: userId, error: error.message });
+        }
+    }
+
+    /**
+     * ⏱️ Process a request within its wall-clock budget
+     */
+    async runRequest(requestId, request, origin, controller)
+    {
+        const { totalTimeoutMs } = this.config.limits;
+        const timer = setTimeout(() =>
+        {
+            controller.abort(new RequestAbortedError('timeout', `Request exceeded its ${totalTimeoutMs}ms time budget`));
+        }, totalTimeoutMs);
+
+        try
+        {
+            return await this.processRequest(requestId, request, origin, controller.signal);
+        } finally
+        {
+            clearTimeout(timer);
+        }
+    }
+
+    /**
+     * 🧠 Turn a request into a published response - implemented by subclasses
+     *
+     * Resolves to { status: 'completed', mode, model, usage, processing_time_ms }
+     * or { status: 'failed', error } once the response (or error response) has
+     * been published. Work should stop when
+     * `signal` aborts; hand its reason to `publishAborted()`.
+     */
+    async processRequest(requestId, request, origin, signal)
+    {
+        throw new Error(`${this.constructor.name} does not implement processRequest()`);
+    }
+
+    /**
+     * ✋ Tell the requester their request was cancelled, ran out of time or was held too long
+     *
+     * @param {RequestAbortedError} reason - The abort signal's reason
+     * @param {StreamPublisher|null} [stream] - Stream to close with a terminal frame
+     */
+    async publishAborted(requestId, request, origin, reason, stream = null)
+    {
+        if (reason?.code === 'degraded')
+        {
+            this.logger.warn('⏳ Held request refused - still degraded:', { requestId, reason: reason.message });
+
+            await this.publishRejection(origin, {
+                id: requestId,
+                user: request.user || 'anonymous',
+                status: 'rejected',
+                error: 'degraded',
+                error_details: reason.message,
+                reason: 'degraded',
+                dependencies: this.health.describe(),
+                timestamp: new Date().toISOString()
+            }).catch((error) => this.logger.error('❌ Failed to publish degraded rejection:', error));
+
+            return { status: 'rejected', error: 'degraded' };
+        }
+
+        const timedOut = reason?.code === 'timeout';
+        const details = reason?.message || 'Request aborted';
+
+        this.logger.warn(timedOut ? '⏱️ Request timed out:' : '✋ Request cancelled:', { requestId, reason: details });
+
+        try
+        {
+            if (stream)
+            {
+                await (timedOut ? stream.fail(new Error(details)) : stream.cancel(details));
+            }
+
+            await this.publishResponse(origin, {
+                id: requestId,
+                user: request.user || 'anonymous',
+                status: timedOut ? 'error' : 'cancelled',
+                error: timedOut ? 'timeout' : 'cancelled',
+                ...(timedOut && { error_code: 'TIMEOUT' }),
+                error_details: details,
+                timestamp: new Date().toISOString()
+            });
+        } catch (error)
+        {
+            this.logger.error('❌ Failed to publish cancellation:', error);
+        }
+
+        return timedOut
+            ? { status: 'failed', error: details }
+            : { status: 'cancelled' };
+    }
+
+    /**
+     * 🔀 Which backend answered, for the response's `backend` field
+     */
+    describeBackend(provider, failedOver)
+    {
+        return {
+            name: provider.name,
+            type: provider.type,
+            ...(failedOver.length > 0 && { failed_over: failedOver })
+        };
+    }
+
+    /**
+     * 📮 Decide where responses to a request go, recorded on its origin as `replyTo`
+     *
+     * An MQTT 5 response topic wins, then the request's `reply_to`, then the
+     * RESPONSE_CHANNEL_MODE channel for its user (and thread).
+     *
+     * The origin also keeps the `addressee` ({ user, thread }) and whether the
+     * address was given `direct`ly, so stream frames and agent activity can
+     * follow the response (see frameAddress).
+     *
+     * @param {object} request - Validated request, or the usable fields of a refused one
+     * @param {string} [kind] - Channel kind responses go to; history responses are per user, never per thread
+     */
+    addressReplies(origin, request, kind = 'response')
+    {
+        const addressee = { user: request.user || 'anonymous', thread: resolveThreadId(request) };
+
+        if (origin.replyTo) return { ...origin, addressee, direct: true };
+        if (request.reply_to) return { ...origin, addressee, direct: true, replyTo: request.reply_to };
+
+        const mode = this.config.responses.channelMode;
+
+        return {
+            ...origin,
+            addressee,
+            direct: false,
+            replyTo: this.transports.responseChannel(origin, kind === 'history_response' && mode === 'per_thread' ? 'per_user' : mode, addressee, kind)
+        };
+    }
+
+    /**
+     * 📡 Where a request's stream frames or agent activity go - wherever its response goes
+     *
+     * A direct reply address (MQTT 5 response topic, reply_to) takes every frame,
+     * told apart from the response by its shape. Otherwise frames go to the
+     * kind's own channel, per user or thread like the response.
+     *
+     * @param {string[]} [suffix] - Further channel levels, e.g. the request id of a per-request stream
+     * @returns {{ channel: string, correlationData: * }} Options for TransportManager.reply()
+     */
+    frameAddress(origin, kind, suffix = [])
+    {
+        if (origin.direct)
+        {
+            return { channel: origin.replyTo, correlationData: origin.correlationData };
+        }
+
+        return {
+            channel: this.transports.responseChannel(origin, this.config.responses.channelMode, origin.addressee ?? {}, kind, suffix),
+            correlationData: origin.correlationData
+        };
+    }
+
+    /**
+     * 📮 Address the error reply to a refused request from what its payload claims
+     *
+     * Only the addressing fields that are well-formed on their own are used.
+     */
+    addressRefusal(origin, raw, kind = 'response')
+    {
+        const claimed = {};
+
+        if (raw !== null && typeof raw === 'object')
+        {
+            for (const field of ['user', 'thread_id', 'conversation_id', 'reply_to'])
+            {
+                const parsed = ChatRequestSchema.shape[field].safeParse(raw[field]);
+                if (parsed.success && parsed.data !== undefined) claimed[field] = parsed.data;
+            }
+        }
+
+        if (claimed.reply_to && this.transports.listensOn(origin, claimed.reply_to))
+        {
+            delete claimed.reply_to;
+        }
+        return this.addressReplies(origin, claimed, kind);
+    }
+
+    /**
+     * ↩️ Publish a response on the transport the request arrived on, at its reply address
+     */
+    async publishResponse(origin, responseMessage, kind = 'response')
+    {
+        await this.transports.reply(origin, kind, responseMessage, {
+            channel: origin.replyTo,
+            correlationData: origin.correlationData
+        });
+    }
+
+    /**
+     * 🌊 Create a chunk publisher for requests that opted into `stream: true`
+     *
+     * Returns null for non-streaming requests. `request.stream_channel` overrides
+     * the configured channel mode ('shared' or 'per_request'); either way the
+     * frames follow the response's addressing (see frameAddress).
+     */
+    createStreamPublisher(requestId, request, origin)
+    {
+        if (request.stream !== true) return null;
+
+        const channelMode = request.stream_channel || this.config.streaming.channelMode;
+        const { channel, correlationData } = this.frameAddress(origin, 'stream', channelMode === 'per_request' ? [requestId] : []);
+
+        return new StreamPublisher({
+            transports: this.transports,
+            origin,
+            requestId,
+            channelMode,
+            channel,
+            correlationData,
+            logger: this.logger
+        });
+    }
+
+    /**
+     * 🧩 Load prior turns of a thread as chat messages within the history token budget
+     *
+     * Turns the request carries inline (`messages`) are used as they are instead.
+     *
+     * @param {string} reservedText - Text already headed to the model (system prompt, new message)
+     */
+    async loadConversationContext(userId, threadId, request, reservedText = '')
+    {
+        if (request.messages?.length > 0)
+        {
+            return {
+                messages: request.messages,
+                meta: {
+                    turns_included: request.messages.filter(message => message.role === 'user').length,
+                    turns_dropped: 0,
+                    turns_summarized: 0,
+                    estimated_tokens: estimateTokens(request.messages.map(message => message.content).join('\n'))
+                }
+            };
+        }
+
+        if (!this.history || request.history === false)
+        {
+            return { messages: [], meta: null };
+        }
+
+        try
+        {
+            const { maxTurns, tokenBudget, overflow } = this.config.history;
+            const history = await this.history.recent(userId, threadId, maxTurns);
+            const archived = await this.backfillConversation(userId, threadId, history, maxTurns);
+
+            const context = buildConversationContext([...history, ...archived], {
+                tokenBudget,
+                reservedTokens: estimateTokens(reservedText),
+                overflow
+            });
+            return archived.length > 0
+                ? { ...context, meta: { ...context.meta, turns_archived: archived.length } }
+                : context;
+        } catch (error)
+        {
+            this.logger.error('❌ Error loading conversation context:', error);
+            return { messages: [], meta: null };
+        }
+    }
+
+    /**
+     * 🏛️ Older turns from the archive when the thread history has fewer than `maxTurns`
+     *
+     * Redis history expires and is capped; the archive picks up where it ends.
+     *
+     * @param {object[]} history - Turns already loaded, newest first
+     */
+    async backfillConversation(userId, threadId, history, maxTurns)
+    {
+        if (!this.archive?.available || !this.config.archive.backfill || history.length >= maxTurns) return [];
+
+        try
+        {
+            return await this.archive.recent(userId, threadId, maxTurns - history.length, history.at(-1)?.timestamp);
+        } catch (error)
+        {
+            this.logger.error('❌ Error backfilling conversation from the archive:', { userId, threadId, error: error.message });
+            return [];
+        }
+    }
+
+    /**
+     * 💾 Remember an exchange so later turns of the thread can build on it, and archive it
+     *
+     * @param {object[]} [toolCalls] - Tool calls made while answering, for the archive
+     */
+    async storeConversation(userId, threadId, request, responseMessage, toolCalls = [])
+    {
+        const timestamp = new Date().toISOString();
+        const userMessage = request.message;
+
+        this.archive?.record({ request, response: responseMessage, toolCalls, timestamp });
+
+        if (!this.history) return;
+
+        try
+        {
+            await this.history.append(userId, threadId, {
+                timestamp,
+                threadId,
+                userMessage,
+                aiResponse: responseMessage.response,
+                processingTime: responseMessage.processing_time_ms,
+                agentRounds: responseMessage.agent_rounds || 0,
+                toolsUsed: responseMessage.tools_used || [],
+                madnessLevel: responseMessage.madness_level
+            });
+
+            this.logger.info('💾 Stored conversation:', { userId, threadId, messageLength: userMessage.length });
+
+        } catch (error)
+        {
+            this.logger.error('❌ Error storing conversation:', error);
+        }
+    }
+
+    /**
+     * 📡 Publish an auxiliary message (agent activity, ...) where the request's frames go
+     */
+    async publishToOrigin(origin, kind, message)
+    {
+        try
+        {
+            await this.transports.reply(origin, kind, message, this.frameAddress(origin, kind));
+        } catch (error)
+        {
+            this.logger.error(`❌ Error publishing ${kind}:`, error);
+        }
+    }
+
+    /**
+     * 📊 Publish service status on every connected transport
+     *
+     * While heartbeats run, the stored status expires after three missed beats
+     * on transports that support it, so a dead conduit doesn't look alive.
+     *
+     * @param {object} [extra] - Additional fields, e.g. { heartbeat: true }
+     */
+    async publishStatus(status, message, extra = {})
+    {
+        if (!this.transports.isConnected) return;
+
+        const { intervalMs } = this.config.heartbeat;
+        const statusMessage = {
+            ...this.describeStatus(status, message),
+            ...extra
+        };
+
+        await this.transports.broadcast('status', statusMessage, {
+            retain: true,
+            ttlSeconds: status !== 'OFFLINE' && intervalMs > 0 ? Math.ceil(intervalMs * 3 / 1000) : null
+        });
+    }
+
+    /**
+     * 📋 Everything the status channel reports about this conduit
+     */
+    describeStatus(status = this.health.state, message = this.health.summary())
+    {
+        const entries = [...this.processingQueue.values()];
+
+        return {
+            service: this.config.service.name,
+            version: this.config.service.version,
+            status,
+            message,
+            timestamp: new Date().toISOString(),
+            started_at: this.requestStats.startedAt.toISOString(),
+            uptime_seconds: this.requestStats.uptimeSeconds,
+            heartbeat_interval_ms: this.config.heartbeat.intervalMs,
+            processing_queue_size: this.processingQueue.size,
+            in_flight: entries.filter(entry => entry.status === 'processing').length,
+            queued: entries.filter(entry => entry.status === 'queued').length,
+            work_queue: this.workQueue.stats(),
+            requests: this.requestStats.describe(),
+            madness_level: this.config.service.madnessLevel,
+            dependencies: this.health.describe(),
+            degraded_requests: this.config.degraded.requests,
+            response_channel_mode: this.config.responses.channelMode,
+            archive: this.archive?.describe() ?? false,
+            intake: this.intake,
+            transports: this.transports.describe(),
+            personas: this.personas.describe(),
+            model_routing: this.modelRouter.describe(),
+            backends: this.providers.describe(),
+            ...this.getStatusDetails()
+        };
+    }
+
+    /**
+     * 🧩 Extra status fields contributed by subclasses
+     */
+    getStatusDetails()
+    {
+        return {};
+    }
+
+    /**
+     * 🛑 Disconnect every transport
+     */
+    async disconnectTransports()
+    {
+        await this.transports.disconnectAll();
+    }
+}
+
+module.exports = BaseConduit;
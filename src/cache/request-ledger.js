@@ -0,0 +1,98 @@
+/**
+ * 🧾 Request Ledger - Answer each request id once
+ *
+ * A request that names its `id` claims it for the user before it is scheduled.
+ * A retry with the same id within the window gets the stored response back
+ * instead of a second, different answer - or, while the first attempt is still
+ * running, word that it is in progress. Attempts that end without an answer
+ * (failed, rejected, cancelled) give the id back so the client may retry.
+ *
+ * Entries live in `idempotency:<user>:<id>` keys of the TTL store, both ids
+ * encoded as key segments.
+ *
+ * Author: Mad Tinker
+ * Project: Madness Interactive - Whispermind_Conduit
+ */
+
+const { keySegment } = require('../storage/redis-keys');
+
+class RequestLedger
+{
+    /**
+     * @param {object} store - TTL store (see ttl-store.js)
+     * @param {object} [options]
+     * @param {number} [options.windowSeconds] - How long ids are remembered, claim and answer alike
+     */
+    constructor(store, { windowSeconds = 600, keyPrefix = 'idempotency' } = {})
+    {
+        this.store = store;
+        this.windowSeconds = windowSeconds;
+        this.keyPrefix = keyPrefix;
+    }
+
+    keyFor(userId, requestId)
+    {
+        return `${this.keyPrefix}:${keySegment(userId)}:${keySegment(requestId)}`;
+    }
+
+    /**
+     * 🔒 Claim a request id for processing
+     *
+     * @returns {Promise<object|null>} null when claimed, otherwise the earlier attempt:
+     *   { state: 'in_progress', started_at } or { state: 'completed', started_at, completed_at, response }
+     */
+    async claim(userId, requestId)
+    {
+        const key = this.keyFor(userId, requestId);
+        const entry = { state: 'in_progress', started_at: new Date().toISOString() };
+
+        if (await this.store.setIfAbsent(key, entry, this.windowSeconds)) return null;
+
+        const earlier = await this.store.get(key);
+        if (earlier) return earlier;
+
+        // Expired between the two calls - the id is free again
+        return await this.store.setIfAbsent(key, entry, this.windowSeconds) ? null : entry;
+    }
+
+    /**
+     * ✅ Keep the response a claimed id was answered with, for the rest of the window
+     */
+    async complete(userId, requestId, response)
+    {
+        const key = this.keyFor(userId, requestId);
+        const claimed = await this.store.get(key);
+
+        await this.store.set(key, {
+            state: 'completed',
+            started_at: claimed?.started_at ?? response.timestamp,
+            completed_at: new Date().toISOString(),
+            response
+        }, this.windowSeconds);
+    }
+
+    /**
+     * 🔓 Give a claimed id back after an attempt that produced no answer
+     */
+    async release(userId, requestId)
+    {
+        await this.store.delete(this.keyFor(userId, requestId));
+    }
+
+    /**
+     * 🧹 Forget every id (and stored response) of a user
+     *
+     * @returns {Promise<number>} Number of ids forgotten
+     */
+    async forgetUser(userId)
+    {
+        return this.store.deletePrefix(this.keyFor(userId, ''));
+    }
+
+    describe()
+    {
+        return { window_seconds: this.windowSeconds };
+    }
+}
+
+module.exports = RequestLedger;
@@ -0,0 +1,92 @@
+/**
+ * 🧪 RequestLedger tests - claims, stored answers, releases and per-user forgetting
+ *
+ * Author: Mad Tinker
+ * Project: Madness Interactive - Whispermind_Conduit
+ */
+
+const RequestLedger = require('./request-ledger');
+const { MemoryTtlStore } = require('./ttl-store');
+
+describe('RequestLedger', () =>
+{
+    let store;
+    let ledger;
+
+    beforeEach(() =>
+    {
+        store = new MemoryTtlStore();
+        ledger = new RequestLedger(store, { windowSeconds: 60 });
+    });
+
+    afterEach(() =>
+    {
+        jest.restoreAllMocks();
+    });
+
+    test('the first claim wins; a second sees the attempt in progress', async () =>
+    {
+        await expect(ledger.claim('alice', 'r1')).resolves.toBeNull();
+        await expect(ledger.claim('alice', 'r1')).resolves.toEqual({ state: 'in_progress', started_at: expect.any(String) });
+    });
+
+    test('ids are per user', async () =>
+    {
+        await ledger.claim('alice', 'r1');
+
+        await expect(ledger.claim('bob', 'r1')).resolves.toBeNull();
+    });
+
+    test('a completed id hands back its response', async () =>
+    {
+        await ledger.claim('alice', 'r1');
+        await ledger.complete('alice', 'r1', { id: 'r1', response: 'forty-two' });
+
+        await expect(ledger.claim('alice', 'r1')).resolves.toMatchObject({
+            state: 'completed',
+            started_at: expect.any(String),
+            completed_at: expect.any(String),
+            response: { id: 'r1', response: 'forty-two' }
+        });
+    });
+
+    test('a released id may be claimed again', async () =>
+    {
+        await ledger.claim('alice', 'r1');
+        await ledger.release('alice', 'r1');
+
+        await expect(ledger.claim('alice', 'r1')).resolves.toBeNull();
+    });
+
+    test('ids are forgotten once the window has passed', async () =>
+    {
+        const now = Date.now();
+        const clock = jest.spyOn(Date, 'now').mockReturnValue(now);
+
+        await ledger.claim('alice', 'r1');
+        clock.mockReturnValue(now + 60000);
+
+        await expect(ledger.claim('alice', 'r1')).resolves.toBeNull();
+    });
+
+    test('forgetUser removes only that user\'s ids', async () =>
+    {
+        await ledger.claim('bob', 'r1');
+        await ledger.claim('bob', 'r2');
+        await ledger.claim('bob:x', 'r1');
+        await ledger.claim('bo', 'r1');
+
+        await expect(ledger.forgetUser('bob')).resolves.toBe(2);
+
+        await expect(ledger.claim('bob', 'r1')).resolves.toBeNull();
+        await expect(ledger.claim('bob:x', 'r1')).resolves.not.toBeNull();
+        await expect(ledger.claim('bo', 'r1')).resolves.not.toBeNull();
+    });
+
+    test('colons in ids cannot make two users share a key', async () =>
+    {
+        await ledger.claim('a:b', 'c');
+
+        await expect(ledger.claim('a', 'b:c')).resolves.toBeNull();
+    });
+});
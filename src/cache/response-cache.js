@@ -0,0 +1,98 @@
+/**
+ * 🗃️ Response Cache - Reuse answers to identical deterministic requests
+ *
+ * Only requests generated at temperature 0 are cached - anything warmer is
+ * meant to vary. The key covers the model, persona, temperature, token limit
+ * and the whole prompt sent to the model (system prompt, prior turns and the
+ * new message), each message with its whitespace collapsed; it is an exact
+ * match, not a semantic one. Answers that used tools are never cached, since
+ * tools read a world that changes.
+ *
+ * Entries live in `cache:response:<sha256>` keys of the TTL store.
+ *
+ * Author: Mad Tinker
+ * Project: Madness Interactive - Whispermind_Conduit
+ */
+
+const crypto = require('crypto');
+
+/**
+ * 🧹 Prompt text as it is compared: NFC, trimmed, runs of whitespace as one space
+ */
+function normalizePrompt(text)
+{
+    return String(text).normalize('NFC').trim().replace(/\s+/g, ' ');
+}
+
+class ResponseCache
+{
+    /**
+     * @param {object} store - TTL store (see ttl-store.js)
+     * @param {object} [options]
+     * @param {number} [options.ttlSeconds] - How long an answer is reused
+     */
+    constructor(store, { ttlSeconds = 3600, keyPrefix = 'cache:response' } = {})
+    {
+        this.store = store;
+        this.ttlSeconds = ttlSeconds;
+        this.keyPrefix = keyPrefix;
+    }
+
+    /**
+     * 🔑 Cache key for a request about to be sent, or null when it shouldn't be cached
+     *
+     * @param {object} request - Validated request (`"cache": false` opts out)
+     * @param {object} prompt
+     * @param {string} prompt.model - Model the request is routed to
+     * @param {string} prompt.persona - Persona name
+     * @param {object[]} prompt.messages - Chat messages sent to the model
+     * @param {number} prompt.temperature
+     * @param {number} [prompt.maxTokens]
+     */
+    keyFor(request, { model, persona, messages, temperature, maxTokens })
+    {
+        if (request.cache === false || temperature !== 0) return null;
+
+        const digest = crypto.createHash('sha256').update(JSON.stringify({
+            model,
+            persona,
+            temperature,
+            max_tokens: maxTokens ?? null,
+            messages: messages.map(message => [message.role, normalizePrompt(message.content)])
+        })).digest('hex');
+
+        return `${this.keyPrefix}:${digest}`;
+    }
+
+    /**
+     * 🔍 Cached answer for a key: { response, model, usage, request_id, cached_at }, or null
+     */
+    async get(key)
+    {
+        return this.store.get(key);
+    }
+
+    /**
+     * 💾 Cache the answer a request was given
+     */
+    async set(key, responseMessage)
+    {
+        await this.store.set(key, {
+            response: responseMessage.response,
+            model: responseMessage.model,
+            usage: responseMessage.usage,
+            request_id: responseMessage.id,
+            cached_at: new Date().toISOString()
+        }, this.ttlSeconds);
+    }
+
+    describe()
+    {
+        return { ttl_seconds: this.ttlSeconds };
+    }
+}
+
+module.exports = {
+    ResponseCache,
+    normalizePrompt
+};
@@ -0,0 +1,181 @@
+/**
+ * ⏳ TTL Stores - Small JSON values that expire on their own
+ *
+ * Backing store for request idempotency and the response cache. The Redis
+ * store keeps each value under its own key with an expiry, so every conduit
+ * sharing the Redis sees the same entries; the memory store does the same
+ * within the process, dropping the oldest entries beyond `maxEntries`.
+ *
+ * Author: Mad Tinker
+ * Project: Madness Interactive - Whispermind_Conduit
+ */
+
+const Redis = require('ioredis');
+const { redisRetryStrategy } = require('../resilience/backoff');
+const { escapePattern, deleteMatching } = require('../storage/redis-keys');
+
+/**
+ * 💾 RedisTtlStore - One expiring JSON string per key
+ */
+class RedisTtlStore
+{
+    constructor({ redis })
+    {
+        this.redis = redis;
+    }
+
+    async get(key)
+    {
+        const value = await this.redis.get(key);
+        return value === null ? null : JSON.parse(value);
+    }
+
+    async set(key, value, ttlSeconds)
+    {
+        await this.redis.set(key, JSON.stringify(value), 'EX', ttlSeconds);
+    }
+
+    /**
+     * 🔒 Store `value` only when the key is free
+     *
+     * @returns {Promise<boolean>} true when this call stored it
+     */
+    async setIfAbsent(key, value, ttlSeconds)
+    {
+        return await this.redis.set(key, JSON.stringify(value), 'EX', ttlSeconds, 'NX') === 'OK';
+    }
+
+    async delete(key)
+    {
+        await this.redis.del(key);
+    }
+
+    /**
+     * 🧹 Delete every key starting with `prefix`
+     *
+     * @returns {Promise<number>} Number of keys deleted
+     */
+    async deletePrefix(prefix)
+    {
+        return deleteMatching(this.redis, `${escapePattern(prefix)}*`);
+    }
+
+    async close()
+    {
+    }
+}
+
+/**
+ * 🧠 MemoryTtlStore - Process local entries for conduits without Redis
+ */
+class MemoryTtlStore
+{
+    constructor({ maxEntries = 1000 } = {})
+    {
+        this.maxEntries = maxEntries;
+        this.entries = new Map();
+    }
+
+    async get(key)
+    {
+        const entry = this.entries.get(key);
+
+        if (entry && entry.expiresAt <= Date.now())
+        {
+            this.entries.delete(key);
+            return null;
+        }
+        return entry ? structuredClone(entry.value) : null;
+    }
+
+    async set(key, value, ttlSeconds)
+    {
+        // Re-inserted keys move to the back of the eviction order
+        this.entries.delete(key);
+        this.entries.set(key, { value: structuredClone(value), expiresAt: Date.now() + ttlSeconds * 1000 });
+
+        for (const oldest of this.entries.keys())
+        {
+            if (this.entries.size <= this.maxEntries) break;
+            this.entries.delete(oldest);
+        }
+    }
+
+    async setIfAbsent(key, value, ttlSeconds)
+    {
+        if (await this.get(key) !== null) return false;
+
+        await this.set(key, value, ttlSeconds);
+        return true;
+    }
+
+    async delete(key)
+    {
+        this.entries.delete(key);
+    }
+
+    async deletePrefix(prefix)
+    {
+        let deleted = 0;
+
+        for (const key of this.entries.keys())
+        {
+            if (!key.startsWith(prefix)) continue;
+
+            this.entries.delete(key);
+            deleted++;
+        }
+        return deleted;
+    }
+
+    async close()
+    {
+    }
+}
+
+/**
+ * 🏭 Build the configured TTL store
+ *
+ * @param {object} options
+ * @param {string} options.type - 'redis' or 'memory'
+ * @param {object} [options.redis] - Existing ioredis client to reuse
+ * @param {object} [options.redisConfig] - Connection settings when no client is supplied
+ */
+function createTtlStore({ type, redis, redisConfig, ...options })
+{
+    if (type === 'memory')
+    {
+        return new MemoryTtlStore(options);
+    }
+
+    if (type !== 'redis')
+    {
+        throw new Error(`Unknown cache store '${type}' - use 'redis' or 'memory'`);
+    }
+
+    if (redis)
+    {
+        return new RedisTtlStore({ redis, ...options });
+    }
+
+    // No shared client - the store owns its own connection
+    const store = new RedisTtlStore({
+        redis: new Redis({
+            host: redisConfig.host,
+            port: redisConfig.port,
+            password: redisConfig.password,
+            db: redisConfig.db,
+            retryStrategy: redisRetryStrategy(redisConfig.reconnect),
+            maxRetriesPerRequest: 3
+        }),
+        ...options
+    });
+    store.close = async () => store.redis.disconnect();
+    return store;
+}
+
+module.exports = {
+    RedisTtlStore,
+    MemoryTtlStore,
+    createTtlStore
+};
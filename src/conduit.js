@@ -15,13 +15,13 @@
  * Project: Madness Interactive - Whispermind_Conduit
  */
 
-const mqtt = require('mqtt');
-const axios = require('axios');
 const winston = require('winston');
 const dotenv = require('dotenv');
-const { v4: uuidv4 } = require('uuid');
-const fs = require('fs').promises;
 const path = require('path');
+const BaseConduit = require('./base-conduit');
+const { resolveThreadId } = require('./history/conversation-store');
+const { resolveUsage } = require('./usage/usage-store');
+const { redactConfig } = require('./monitoring/redact');
 
 // Load environment configuration
 dotenv.config();
@@ -57,38 +57,29 @@ const logger = winston.createLogger({
 /**
  * 🌟 Whispermind_Conduit - The Neural Bridge Service
  */
-class WhispermindConduit
+class WhispermindConduit extends BaseConduit
 {
     constructor()
     {
-        this.config = {
-            mqtt: {
-                broker: process.env.MQTT_BROKER || 'mqtt://localhost:1883',
-                clientId: `whispermind-conduit-${uuidv4()}`,
-                topics: {
-                    request: process.env.MQTT_REQUEST_TOPIC || 'chat/request',
-                    response: process.env.MQTT_RESPONSE_TOPIC || 'chat/response',
-                    status: process.env.MQTT_STATUS_TOPIC || 'conduit/status'
+        super({
+            logger,
+            defaultTransports: ['mqtt'],
+            defaultHistoryStore: 'memory',
+            defaultProviders: ['lmstudio_http', 'stub'],
+            config: {
+                lmStudio: {
+                    model: process.env.LM_STUDIO_MODEL || 'local-model'
+                },
+                service: {
+                    name: 'Whispermind_Conduit',
+                    version: '1.0.0',
+                    madnessLevel: 'controlled_chaos'
                 }
-            },
-            lmStudio: {
-                baseUrl: process.env.LM_STUDIO_URL || 'http://localhost:1234',
-                model: process.env.LM_STUDIO_MODEL || 'local-model',
-                timeout: parseInt(process.env.LM_STUDIO_TIMEOUT) || 30000
-            },
-            service: {
-                name: 'Whispermind_Conduit',
-                version: '1.0.0',
-                madnessLevel: 'controlled_chaos'
             }
-        };
-
-        this.mqttClient = null;
-        this.isConnected = false;
-        this.processingQueue = new Map();
+        });
 
         logger.info('🧠 Whispermind_Conduit initialized with mad tinker precision!', {
-            config: this.config
+            config: redactConfig(this.config)
         });
     }
 
@@ -101,13 +92,23 @@ class WhispermindConduit
         {
             logger.info('🌟 Starting Whispermind_Conduit neural bridge...');
 
-            await this.connectMQTT();
-            await this.verifyLMStudio();
+            await this.startAdminServer();
+
+            await this.initializeArchive();
+            this.initializeHistory();
+            this.initializeUsage();
+            this.initializeCache();
+            await this.loadQuotas();
+            await this.loadClients();
+            await this.loadPersonas();
+            await this.loadModelRouting();
+            await this.connectTransports();
+            await this.providers.connectAll();
 
-            // Publish startup status
-            await this.publishStatus('ONLINE', 'Neural bridge activated - Ready for mad queries!');
+            // Publish startup status - DEGRADED when a dependency is still unreachable
+            await this.publishStartupStatus('Neural bridge activated - Ready for mad queries!');
 
-            logger.info('🎭 Whispermind_Conduit is LIVE and channeling the madness!');
+            logger.info('🎭 Whispermind_Conduit is LIVE and channeling the madness!', { state: this.health.state });
 
         } catch (error)
         {
@@ -117,183 +118,112 @@ class WhispermindConduit
     }
 
     /**
-     * 🔌 Connect to MQTT broker
+     * 📨 Route every request through the LLM backend chain
      */
-    async connectMQTT()
+    async processRequest(requestId, request, origin, signal)
     {
-        return new Promise((resolve, reject) =>
-        {
-            logger.info('🔌 Connecting to MQTT broker...', { broker: this.config.mqtt.broker });
-
-            this.mqttClient = mqtt.connect(this.config.mqtt.broker, {
-                clientId: this.config.mqtt.clientId,
-                clean: true,
-                connectTimeout: 30000,
-                reconnectPeriod: 5000
-            });
-
-            this.mqttClient.on('connect', () =>
-            {
-                logger.info('✅ MQTT connection established!');
-                this.isConnected = true;
-
-                // Subscribe to request topic
-                this.mqttClient.subscribe(this.config.mqtt.topics.request, (err) =>
-                {
-                    if (err)
-                    {
-                        logger.error('❌ Failed to subscribe to request topic:', err);
-                        reject(err);
-                    } else
-                    {
-                        logger.info('👂 Listening for chat requests on:', this.config.mqtt.topics.request);
-                        resolve();
-                    }
-                });
-            });
-
-            this.mqttClient.on('message', (topic, message) =>
-            {
-                this.handleIncomingMessage(topic, message);
-            });
-
-            this.mqttClient.on('error', (error) =>
-            {
-                logger.error('💥 MQTT connection error:', error);
-                this.isConnected = false;
-                reject(error);
-            });
-
-            this.mqttClient.on('close', () =>
-            {
-                logger.warn('🔌 MQTT connection closed');
-                this.isConnected = false;
-            });
-        });
+        return this.processChatRequest(requestId, request, origin, signal);
     }
 
     /**
-     * 🤖 Verify LM Studio connection
+     * 🧠 Process chat request through the first LLM backend that answers
      */
-    async verifyLMStudio()
+    async processChatRequest(requestId, request, origin, signal = null)
     {
-        try
-        {
-            logger.info('🤖 Verifying LM Studio connection...');
-
-            const response = await axios.get(`${this.config.lmStudio.baseUrl}/v1/models`, {
-                timeout: 5000
-            });
-
-            logger.info('✅ LM Studio connection verified!', {
-                models: response.data.data?.length || 0
-            });
-
-        } catch (error)
-        {
-            logger.error('❌ LM Studio connection failed:', error.message);
-            throw new Error('LM Studio is not accessible - ensure it\'s running on ' + this.config.lmStudio.baseUrl);
-        }
-    }
-
-    /**
-     * 📨 Handle incoming MQTT messages
-     */
-    async handleIncomingMessage(topic, message)
-    {
-        try
-        {
-            if (topic !== this.config.mqtt.topics.request)
-            {
-                return;
-            }
-
-            const request = JSON.parse(message.toString());
-            const requestId = request.id || uuidv4();
-
-            logger.info('📨 Received chat request:', {
-                requestId,
-                user: request.user || 'anonymous',
-                messageLength: request.message?.length || 0
-            });
-
-            // Add to processing queue
-            this.processingQueue.set(requestId, {
-                timestamp: new Date(),
-                request
-            });
-
-            // Process the request
-            await this.processChatRequest(requestId, request);
-
-        } catch (error)
-        {
-            logger.error('💥 Error handling incoming message:', error);
-        }
-    }
+        let stream = null;
 
-    /**
-     * 🧠 Process chat request through LM Studio
-     */
-    async processChatRequest(requestId, request)
-    {
         try
         {
             logger.info('🧠 Processing chat request through neural bridge...', { requestId });
 
             const startTime = Date.now();
+            stream = this.createStreamPublisher(requestId, request, origin);
 
-            // Prepare the chat completion request
-            const chatRequest = {
-                model: this.config.lmStudio.model,
-                messages: [
-                    {
-                        role: "system",
-                        content: "You are a helpful AI assistant with a touch of mad tinker creativity. Embrace the madness while being helpful!"
-                    },
-                    {
-                        role: "user",
-                        content: request.message
-                    }
-                ],
-                temperature: request.temperature || 0.7,
-                max_tokens: request.max_tokens || 1000,
-                stream: false
-            };
+            const userId = request.user || 'anonymous';
+            const threadId = resolveThreadId(request);
+            const persona = this.resolvePersona(request);
+            const systemPrompt = persona.system_prompt;
+
+            // Prior turns of this thread sit between the system prompt and the new message
+            const context = await this.loadConversationContext(userId, threadId, request, systemPrompt + request.message);
 
-            // Send to LM Studio
-            const response = await axios.post(
-                `${this.config.lmStudio.baseUrl}/v1/chat/completions`,
-                chatRequest,
+            // Prepare the chat completion request
+            const messages = [
+                {
+                    role: "system",
+                    content: systemPrompt
+                },
+                ...context.messages,
                 {
-                    timeout: this.config.lmStudio.timeout,
-                    headers: {
-                        'Content-Type': 'application/json'
-                    }
+                    role: "user",
+                    content: request.message
                 }
-            );
+            ];
+
+            // An identical deterministic request may already have been answered
+            const cacheKey = this.responseCacheKey(request, {
+                model: persona.model,
+                persona: persona.name,
+                messages,
+                temperature: persona.temperature,
+                maxTokens: persona.max_tokens
+            });
+
+            // Send to the first backend that answers - streamed text can't be taken back, so no fail-over after it
+            const { result: completion, provider, failedOver } = await this.cachedCompletion(cacheKey, stream) || await this.providers.run((backend) => backend.chat({
+                messages,
+                model: persona.model,
+                temperature: persona.temperature,
+                maxTokens: persona.max_tokens,
+                signal,
+                onFragment: stream ? (delta) => stream.chunk(delta) : null
+            }), { signal, canFailOver: () => !stream || stream.sequence === 0 });
 
             const processingTime = Date.now() - startTime;
-            const aiResponse = response.data.choices[0]?.message?.content || 'No response generated';
+            const aiResponse = completion.content || 'No response generated';
+            const usage = resolveUsage(completion.usage, messages, aiResponse);
 
             // Prepare response message
             const responseMessage = {
                 id: requestId,
-                user: request.user || 'anonymous',
+                user: userId,
                 original_message: request.message,
                 response: aiResponse,
                 processing_time_ms: processingTime,
                 timestamp: new Date().toISOString(),
-                model: this.config.lmStudio.model,
-                madness_level: this.config.service.madnessLevel
+                model: completion.model,
+                madness_level: this.config.service.madnessLevel,
+                persona: persona.name,
+                model_routing: persona.model_routing,
+                backend: this.describeBackend(provider, failedOver),
+                thread_id: threadId,
+                context: context.meta,
+                usage,
+                cache: this.describeCache(cacheKey, completion)
             };
 
+            if (stream)
+            {
+                await stream.done({
+                    usage,
+                    processing_time_ms: processingTime,
+                    model: completion.model
+                });
+                responseMessage.stream = stream.describe();
+            }
+
+            // Remember the exchange for follow-up questions - canned stub replies aren't worth remembering or counting
+            if (provider.type !== 'stub')
+            {
+                await this.storeConversation(userId, threadId, request, responseMessage);
+                await this.recordUsage(userId, usage);
+            }
+
+            // Retries of this id get the same answer; fresh deterministic answers are reused
+            await this.rememberResponse(request, responseMessage, completion.cached || provider.type === 'stub' ? null : cacheKey);
+
             // Publish response
-            this.mqttClient.publish(
-                this.config.mqtt.topics.response,
-                JSON.stringify(responseMessage),
-                { qos: 1 }
-            );
+            await this.publishResponse(origin, responseMessage);
 
             logger.info('✅ Chat request processed successfully!', {
                 requestId,
@@ -301,69 +231,68 @@ class WhispermindConduit
                 responseLength: aiResponse.length
             });
 
-            // Remove from processing queue
-            this.processingQueue.delete(requestId);
+            return {
+                status: 'completed',
+                mode: 'standard',
+                model: completion.model,
+                usage,
+                processing_time_ms: processingTime
+            };
 
         } catch (error)
         {
+            if (signal?.aborted)
+            {
+                return this.publishAborted(requestId, request, origin, signal.reason, stream);
+            }
+
             logger.error('💥 Error processing chat request:', error);
 
+            if (stream)
+            {
+                await stream.fail(error);
+            }
+
             // Send error response
             const errorResponse = {
                 id: requestId,
                 user: request.user || 'anonymous',
                 error: 'Processing failed',
+                ...(error.code === 'BACKENDS_UNAVAILABLE' && { error_code: error.code }),
                 error_details: error.message,
                 timestamp: new Date().toISOString()
             };
 
-            this.mqttClient.publish(
-                this.config.mqtt.topics.response,
-                JSON.stringify(errorResponse),
-                { qos: 1 }
-            );
+            try
+            {
+                await this.publishResponse(origin, errorResponse);
+            } catch (publishError)
+            {
+                logger.error('❌ Failed to publish error response:', publishError);
+            }
 
-            this.processingQueue.delete(requestId);
+            return { status: 'failed', error: error.message };
         }
     }
 
-    /**
-     * 📊 Publish service status
-     */
-    async publishStatus(status, message)
-    {
-        if (!this.isConnected) return;
-
-        const statusMessage = {
-            service: this.config.service.name,
-            version: this.config.service.version,
-            status,
-            message,
-            timestamp: new Date().toISOString(),
-            processing_queue_size: this.processingQueue.size,
-            madness_level: this.config.service.madnessLevel
-        };
-
-        this.mqttClient.publish(
-            this.config.mqtt.topics.status,
-            JSON.stringify(statusMessage),
-            { qos: 1, retain: true }
-        );
-    }
-
     /**
      * 🛑 Graceful shutdown
      */
     async shutdown()
     {
         logger.info('🛑 Shutting down Whispermind_Conduit...');
+        this.stopping = true;
+        this.stopHeartbeat();
 
         await this.publishStatus('OFFLINE', 'Neural bridge deactivating...');
 
-        if (this.mqttClient)
-        {
-            this.mqttClient.end();
-        }
+        await this.disconnectTransports();
+        await this.providers.disconnectAll();
+        await this.stopAdminServer();
+        await this.history?.close();
+        await this.archive?.close();
+        await this.usage?.close();
+        await this.cache?.close();
 
         logger.info('👋 Whispermind_Conduit has been deactivated. The madness sleeps...');
         process.exit(0);
@@ -0,0 +1,89 @@
+/**
+ * ✋ Cancellation - Abort reasons and signal helpers for in-flight requests
+ *
+ * Every request runs under an AbortSignal that fires when a client cancels it
+ * or its wall-clock budget runs out. The signal's reason is a
+ * RequestAbortedError, so whoever catches the abort can tell the two apart.
+ *
+ * Author: Mad Tinker
+ * Project: Madness Interactive - Whispermind_Conduit
+ */
+
+class RequestAbortedError extends Error
+{
+    /**
+     * @param {string} code - 'cancelled', 'timeout' or 'degraded' (held too long while degraded)
+     * @param {string} message - What stopped the request
+     */
+    constructor(code, message)
+    {
+        super(message);
+        this.name = 'RequestAbortedError';
+        this.code = code;
+    }
+}
+
+/**
+ * 🔗 An AbortController that also fires when any parent signal fires or after `timeoutMs`
+ *
+ * @param {AbortSignal[]} parents - Signals to follow (missing entries are ignored)
+ * @param {number} [timeoutMs] - Budget after which the controller aborts with `onTimeout()`
+ * @param {Function} [onTimeout] - Builds the abort reason for a timeout
+ * @returns {{ signal: AbortSignal, dispose: Function }} Call `dispose()` once the work is settled
+ */
+function linkedController(parents, timeoutMs = 0, onTimeout = () => new RequestAbortedError('timeout', `Timed out after ${timeoutMs}ms`))
+{
+    const controller = new AbortController();
+    const followed = parents.filter(Boolean);
+    const follow = (event) => controller.abort(event.target.reason);
+
+    for (const parent of followed)
+    {
+        if (parent.aborted)
+        {
+            controller.abort(parent.reason);
+            break;
+        }
+        parent.addEventListener('abort', follow, { once: true });
+    }
+
+    const timer = timeoutMs > 0 && !controller.signal.aborted
+        ? setTimeout(() => controller.abort(onTimeout()), timeoutMs)
+        : null;
+
+    return {
+        signal: controller.signal,
+        dispose: () =>
+        {
+            clearTimeout(timer);
+            followed.forEach(parent => parent.removeEventListener('abort', follow));
+        }
+    };
+}
+
+/**
+ * ⏱️ Settle with `promise`, or reject with the signal's reason as soon as it aborts
+ *
+ * For work that can't be interrupted itself - the result is simply no longer awaited.
+ */
+function abortable(promise, signal)
+{
+    if (!signal) return promise;
+    if (signal.aborted) return Promise.reject(signal.reason);
+
+    let onAbort;
+    const aborted = new Promise((resolve, reject) =>
+    {
+        onAbort = () => reject(signal.reason);
+        signal.addEventListener('abort', onAbort, { once: true });
+    });
+
+    return Promise.race([promise, aborted])
+        .finally(() => signal.removeEventListener('abort', onAbort));
+}
+
+module.exports = {
+    RequestAbortedError,
+    linkedController,
+    abortable
+};
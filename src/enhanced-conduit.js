@@ -20,14 +20,17 @@
 
 const winston = require('winston');
 const dotenv = require('dotenv');
-const { v4: uuidv4 } = require('uuid');
-const fs = require('fs').promises;
 const path = require('path');
-const { z } = require('zod');
 const Redis = require('ioredis');
-
-// LM Studio SDK Integration
-const LMStudio = require('@lmstudio/sdk');
+const BaseConduit = require('./base-conduit');
+const { redisRetryStrategy } = require('./resilience/backoff');
+const { ChatResponseSchema } = require('./schemas');
+const ToolRegistry = require('./tools/registry');
+const { FileAccessPolicy, loadFileAccessConfig } = require('./tools/files/access-policy');
+const { AgentRouter, loadRoutingRules } = require('./routing/agent-router');
+const { resolveThreadId } = require('./history/conversation-store');
+const { resolveUsage } = require('./usage/usage-store');
+const { redactConfig } = require('./monitoring/redact');
 
 // Load environment configuration
 dotenv.config();
@@ -60,85 +63,57 @@ const logger = winston.createLogger({
     ]
 });
 
-// 📋 Zod Response Schemas
-const ChatResponseSchema = z.object({
-    id: z.string(),
-    user: z.string(),
-    original_message: z.string(),
-    response: z.string(),
-    processing_time_ms: z.number(),
-    timestamp: z.string(),
-    model: z.string(),
-    madness_level: z.string(),
-    agent_rounds: z.number().optional(),
-    tools_used: z.array(z.string()).optional()
-});
-
-const ToolResultSchema = z.object({
-    tool_name: z.string(),
-    result: z.any(),
-    execution_time_ms: z.number()
-});
-
-const UserSessionSchema = z.object({
-    userId: z.string(),
-    preferences: z.object({
-        agenticMode: z.boolean().default(false),
-        temperature: z.number().default(0.7),
-        maxTokens: z.number().default(1000)
-    }).optional(),
-    context: z.string().optional(),
-    lastActivity: z.string(),
-    conversationCount: z.number().default(0)
-});
-
 /**
  * 🌟 Enhanced Whispermind_Conduit - The Agentic Neural Bridge Service with Redis
  */
-class EnhancedWhispermindConduit
+class EnhancedWhispermindConduit extends BaseConduit
 {
     constructor()
     {
-        this.config = {
-            redis: {
-                host: process.env.REDIS_HOST || 'localhost',
-                port: parseInt(process.env.REDIS_PORT) || 6379,
-                password: process.env.REDIS_PASSWORD || null,
-                db: parseInt(process.env.REDIS_DB) || 0,
-                channels: {
-                    request: process.env.REDIS_REQUEST_CHANNEL || 'whispermind:request',
-                    response: process.env.REDIS_RESPONSE_CHANNEL || 'whispermind:response',
-                    status: process.env.REDIS_STATUS_CHANNEL || 'whispermind:status',
-                    agent_activity: process.env.REDIS_AGENT_CHANNEL || 'whispermind:agent'
+        super({
+            logger,
+            defaultTransports: ['redis'],
+            defaultHistoryStore: 'redis',
+            defaultProviders: ['lmstudio', 'stub'],
+            config: {
+                redis: {
+                    host: process.env.REDIS_HOST || 'localhost',
+                    port: parseInt(process.env.REDIS_PORT) || 6379,
+                    password: process.env.REDIS_PASSWORD || null,
+                    db: parseInt(process.env.REDIS_DB) || 0,
+                    keys: {
+                        sessions: 'sessions',
+                        agent_logs: 'agent_logs'
+                    }
+                },
+                tools: {
+                    directory: path.resolve(process.env.TOOLS_DIR || path.join(__dirname, '../tools')),
+                    fileAccess: loadFileAccessConfig()
+                },
+                routing: {
+                    rulesFile: path.resolve(process.env.AGENT_ROUTING_RULES || path.join(__dirname, '../config/agent-routing.json')),
+                    defaultMode: process.env.AGENT_MODE_DEFAULT || null,
+                    classifier: process.env.AGENT_ROUTING_CLASSIFIER ? process.env.AGENT_ROUTING_CLASSIFIER === 'true' : null
+                },
+                lmStudio: {
+                    model: process.env.LM_STUDIO_MODEL || 'qwen2.5-7b-instruct'
                 },
-                keys: {
-                    conversations: 'conversations',
-                    sessions: 'sessions',
-                    agent_logs: 'agent_logs',
-                    service_status: 'service:status'
+                service: {
+                    name: 'Enhanced_Whispermind_Conduit',
+                    version: '2.0.0',
+                    madnessLevel: 'autonomous_chaos'
                 }
-            },
-            lmStudio: {
-                port: parseInt(process.env.LM_STUDIO_PORT) || 1234,
-                model: process.env.LM_STUDIO_MODEL || 'qwen2.5-7b-instruct',
-                timeout: parseInt(process.env.LM_STUDIO_TIMEOUT) || 30000
-            },
-            service: {
-                name: 'Enhanced_Whispermind_Conduit',
-                version: '2.0.0',
-                madnessLevel: 'autonomous_chaos'
             }
-        };
+        });
 
         this.redis = null;
-        this.redisSub = null;
-        this.lmStudio = null;
-        this.model = null;
         this.isConnected = false;
-        this.processingQueue = new Map();
+        this.tools = new ToolRegistry(logger);
+        this.fileAccess = new FileAccessPolicy(this.config.tools.fileAccess);
+        this.router = null;
 
         logger.info('🧠✨ Enhanced Whispermind_Conduit initialized with Redis and agentic capabilities!', {
-            config: this.config
+            config: redactConfig(this.config)
         });
     }
 
@@ -151,13 +126,26 @@ class EnhancedWhispermindConduit
         {
             logger.info('🌟 Starting Enhanced Whispermind_Conduit agentic neural bridge with Redis...');
 
-            await this.initializeLMStudio();
+            await this.startAdminServer();
+
+            await this.providers.connectAll();
+            await this.loadTools();
+            await this.loadRouting();
+            await this.loadPersonas();
+            await this.loadModelRouting();
             await this.connectRedis();
+            await this.initializeArchive();
+            this.initializeHistory(this.redis);
+            this.initializeUsage(this.redis);
+            this.initializeCache(this.redis);
+            await this.loadQuotas();
+            await this.loadClients();
+            await this.connectTransports();
 
-            // Publish startup status
-            await this.publishStatus('ONLINE', 'Enhanced neural bridge activated - Ready for autonomous madness with Redis persistence!');
+            // Publish startup status - DEGRADED when a dependency is still unreachable
+            await this.publishStartupStatus('Enhanced neural bridge activated - Ready for autonomous madness with Redis persistence!');
 
-            logger.info('🎭✨ Enhanced Whispermind_Conduit is LIVE with agentic powers and Redis persistence!');
+            logger.info('🎭✨ Enhanced Whispermind_Conduit is LIVE with agentic powers and Redis persistence!', { state: this.health.state });
 
         } catch (error)
         {
@@ -167,157 +155,112 @@ class EnhancedWhispermindConduit
     }
 
     /**
-     * 🤖 Initialize LM Studio SDK
+     * 🛠️ Register built-in tools, then any tool modules from the tools directory
      */
-    async initializeLMStudio()
+    async loadTools()
     {
-        try
-        {
-            logger.info('🤖 Initializing LM Studio SDK...');
-
-            this.lmStudio = new LMStudio({
-                port: this.config.lmStudio.port
-            });
+        await this.tools.loadBuiltins();
+        await this.tools.loadDirectory(this.config.tools.directory);
+    }
 
-            // Load model
-            this.model = await this.lmStudio.llm(this.config.lmStudio.model);
+    /**
+     * 🧭 Load the agent-mode routing rules
+     */
+    async loadRouting()
+    {
+        const { rulesFile, defaultMode, classifier } = this.config.routing;
+        const rules = await loadRoutingRules(rulesFile, logger);
 
-            logger.info('✅ LM Studio SDK initialized successfully!', {
-                model: this.config.lmStudio.model
-            });
+        this.router = new AgentRouter(rules, { defaultMode, classifier }, logger);
+        logger.info('🧭 Agent routing ready:', this.router.describe());
+    }
 
-        } catch (error)
-        {
-            logger.error('❌ LM Studio SDK initialization failed:', error.message);
-            throw new Error('LM Studio SDK is not accessible - ensure LM Studio is running');
-        }
+    /**
+     * 🤔 One-word routing verdict from the model, for the router's classifier
+     */
+    async classifyRequest(modelKey, prompt, message, signal)
+    {
+        const { result } = await this.providers.run((provider) => provider.chat({
+            messages: [{ role: 'system', content: prompt }, { role: 'user', content: message }],
+            model: modelKey,
+            maxTokens: 5,
+            temperature: 0,
+            signal
+        }), { signal });
+        return result.content;
     }
 
     /**
-     * 🔌 Connect to Redis with pub/sub
+     * 🔌 Connect to Redis for conversation and session storage
+     *
+     * Waits for the first attempt only - without Redis the conduit starts
+     * DEGRADED and ioredis keeps reconnecting with backoff.
      */
     async connectRedis()
     {
-        try
-        {
-            logger.info('🔌 Connecting to Redis...', {
-                host: this.config.redis.host,
-                port: this.config.redis.port
-            });
-
-            // Main Redis connection for pub/writes
-            this.redis = new Redis({
-                host: this.config.redis.host,
-                port: this.config.redis.port,
-                password: this.config.redis.password,
-                db: this.config.redis.db,
-                retryDelayOnFailover: 100,
-                enableOfflineQueue: false,
-                maxRetriesPerRequest: 3
-            });
-
-            // Separate Redis connection for subscriptions
-            this.redisSub = new Redis({
-                host: this.config.redis.host,
-                port: this.config.redis.port,
-                password: this.config.redis.password,
-                db: this.config.redis.db
-            });
-
-            // Set up event handlers
-            this.redis.on('connect', () =>
-            {
-                logger.info('✅ Redis main connection established!');
-                this.isConnected = true;
-            });
-
-            this.redis.on('error', (error) =>
-            {
-                logger.error('💥 Redis main connection error:', error);
-                this.isConnected = false;
-            });
+        logger.info('🔌 Connecting to Redis...', {
+            host: this.config.redis.host,
+            port: this.config.redis.port
+        });
 
-            this.redisSub.on('connect', () =>
-            {
-                logger.info('✅ Redis subscription connection established!');
-            });
+        this.health.register('redis_storage', { critical: true });
+
+        // Storage connection - transports hold their own pub/sub connections.
+        // Commands issued while reconnecting wait in the offline queue.
+        this.redis = new Redis({
+            host: this.config.redis.host,
+            port: this.config.redis.port,
+            password: this.config.redis.password,
+            db: this.config.redis.db,
+            retryStrategy: redisRetryStrategy(this.config.reconnect),
+            maxRetriesPerRequest: 3
+        });
 
-            this.redisSub.on('error', (error) =>
-            {
-                logger.error('💥 Redis subscription error:', error);
-            });
+        // Set up event handlers
+        let lastError = null;
 
-            // Subscribe to request channel
-            await this.redisSub.subscribe(this.config.redis.channels.request);
-            logger.info('👂 Listening for agentic chat requests on:', this.config.redis.channels.request);
+        this.redis.on('ready', () =>
+        {
+            logger.info('✅ Redis storage connection established!');
+            this.isConnected = true;
+            lastError = null;
+            this.health.update('redis_storage', true);
+        });
 
-            // Handle incoming messages
-            this.redisSub.on('message', (channel, message) =>
-            {
-                this.handleIncomingMessage(channel, message);
-            });
+        this.redis.on('error', (error) =>
+        {
+            logger.error('💥 Redis storage connection error:', { error: error.message });
+            lastError = error.message;
+            this.health.update('redis_storage', false, lastError);
+        });
 
-            // Wait for connections to be ready
-            await new Promise((resolve) =>
-            {
-                if (this.isConnected)
-                {
-                    resolve();
-                } else
-                {
-                    this.redis.once('connect', resolve);
-                }
-            });
+        this.redis.on('close', () =>
+        {
+            this.isConnected = false;
+            this.health.update('redis_storage', false, lastError || 'connection closed');
+        });
 
-        } catch (error)
+        await new Promise((resolve) =>
         {
-            logger.error('❌ Redis connection failed:', error);
-            throw new Error('Redis is not accessible - ensure Redis is running');
-        }
+            this.redis.once('ready', resolve);
+            this.redis.once('error', resolve);
+        });
     }
 
     /**
-     * 📨 Handle incoming Redis messages
+     * 📨 Update the user session, then process with agentic capabilities
      */
-    async handleIncomingMessage(channel, message)
+    async processRequest(requestId, request, origin, signal)
     {
-        try
-        {
-            if (channel !== this.config.redis.channels.request)
-            {
-                return;
-            }
-
-            const request = JSON.parse(message);
-            const requestId = request.id || uuidv4();
-
-            logger.info('📨 Received agentic chat request:', {
-                requestId,
-                user: request.user || 'anonymous',
-                messageLength: request.message?.length || 0,
-                agentMode: request.agent_mode || 'standard'
-            });
-
-            // Update user session
-            await this.updateUserSession(request.user || 'anonymous', request);
-
-            // Add to processing queue
-            this.processingQueue.set(requestId, {
-                timestamp: new Date(),
-                request
-            });
-
-            // Process the request with agentic capabilities
-            await this.processAgenticRequest(requestId, request);
-
-        } catch (error)
-        {
-            logger.error('💥 Error handling incoming message:', error);
-        }
+        const session = await this.updateUserSession(request.user || 'anonymous', request);
+        return this.processAgenticRequest(requestId, request, origin, signal, session);
     }
 
     /**
      * 👤 Update user session in Redis
+     *
+     * A request's `context` replaces the stored one; requests without it keep it.
+     * Resolves to the updated session, or null when Redis couldn't be reached.
      */
     async updateUserSession(userId, request)
     {
@@ -333,7 +276,7 @@ class EnhancedWhispermindConduit
                     temperature: request.temperature || 0.7,
                     maxTokens: request.max_tokens || 1000
                 },
-                context: request.context || '',
+                context: request.context ?? '',
                 lastActivity: new Date().toISOString(),
                 conversationCount: 1
             };
@@ -343,83 +286,195 @@ class EnhancedWhispermindConduit
                 const parsed = JSON.parse(existingSession);
                 session.conversationCount = (parsed.conversationCount || 0) + 1;
                 session.preferences = { ...parsed.preferences, ...session.preferences };
+                session.context = request.context ?? parsed.context ?? '';
             }
 
             // Store session with 24-hour TTL
             await this.redis.setex(sessionKey, 86400, JSON.stringify(session));
 
             logger.info('👤 Updated user session:', { userId, conversationCount: session.conversationCount });
+            return session;
 
         } catch (error)
         {
             logger.error('❌ Error updating user session:', error);
+            return null;
         }
     }
 
     /**
-     * 🧠🤖 Process agentic chat request with LM Studio SDK
+     * 🧠🤖 Process agentic chat request through the first LLM backend that answers
      */
-    async processAgenticRequest(requestId, request)
+    async processAgenticRequest(requestId, request, origin, signal = null, session = null)
     {
+        let stream = null;
+
         try
         {
             logger.info('🧠🤖 Processing agentic request through enhanced neural bridge...', { requestId });
 
             const startTime = Date.now();
+            stream = this.createStreamPublisher(requestId, request, origin);
             let agentRounds = 0;
             let toolsUsed = [];
+            const toolCalls = [];
+            const userId = request.user || 'anonymous';
+            const threadId = resolveThreadId(request);
+            const persona = this.resolvePersona(request, session);
+
+            // Persona prompt, prior turns of this thread (oldest first), then the new message
+            const context = await this.loadConversationContext(userId, threadId, request, persona.system_prompt + request.message);
+            const chat = [
+                ...(persona.system_prompt ? [{ role: 'system', content: persona.system_prompt }] : []),
+                ...context.messages,
+                { role: 'user', content: request.message }
+            ];
+            const generation = { temperature: persona.temperature, maxTokens: persona.max_tokens, signal };
+
+            // The persona's tools, narrowed to what the signing client may use
+            const tools = this.auth.allowedTools(request.client, persona.tools || this.tools.names());
+            const toolDefinitions = this.tools.select(tools);
+
+            // Tools or plain chat - decided by the request, the routing rules or the classifier, within the client's modes
+            const routed = await this.router.route(request, {
+                classify: (prompt, message, signal) => this.classifyRequest(persona.model, prompt, message, signal),
+                tools
+            });
+            const mode = this.auth.allowedMode(request.client, routed.mode);
+            const routing = mode === routed.mode
+                ? routed
+                : { ...routed, mode, reason: `${routed.reason} - ${routed.mode} is not allowed for client ${request.client}` };
+            logger.info('🧭 Routed request:', { requestId, ...routing });
+
+            // An identical deterministic request may already have been answered - tool runs never are
+            const cacheKey = routing.mode === 'autonomous' ? null : this.responseCacheKey(request, {
+                model: persona.model,
+                persona: persona.name,
+                messages: chat,
+                temperature: persona.temperature,
+                maxTokens: persona.max_tokens
+            });
 
-            // Determine processing mode
-            const useAgentMode = request.agent_mode === 'autonomous' ||
-                request.message.includes('solve') ||
-                request.message.includes('analyze') ||
-                request.message.includes('calculate');
-
-            let response;
-            if (useAgentMode)
+            // First backend that answers - once text was streamed or a tool ran there is no going back
+            let toolsUnavailable = false;
+            const { result: response, provider, failedOver } = await this.cachedCompletion(cacheKey, stream) || await this.providers.run((backend) =>
             {
-                // 🤖 Use .act() API for autonomous tool use
-                response = await this.processWithAgenticTools(request, (roundInfo) =>
+                toolsUnavailable = routing.mode === 'autonomous' && !backend.supportsTools;
+
+                if (routing.mode === 'autonomous' && backend.supportsTools)
                 {
-                    agentRounds++;
-                    if (roundInfo.tool_name)
+                    // 🤖 Use .act() for autonomous tool use
+                    return this.processWithAgenticTools(backend, request, chat, (roundInfo) =>
                     {
+                        if (roundInfo.status === 'round_started')
+                        {
+                            agentRounds++;
+                            return;
+                        }
+
                         toolsUsed.push(roundInfo.tool_name);
-                        this.publishAgentActivity(requestId, roundInfo);
-                    }
-                });
-            } else
-            {
+                        if (roundInfo.status !== 'executing')
+                        {
+                            toolCalls.push({
+                                tool: roundInfo.tool_name,
+                                round: agentRounds,
+                                status: roundInfo.status,
+                                arguments: roundInfo.arguments,
+                                ...(roundInfo.result !== undefined && { result: roundInfo.result }),
+                                ...(roundInfo.error && { error: roundInfo.error }),
+                                duration_ms: roundInfo.duration_ms
+                            });
+                        }
+                        this.metrics.observeToolActivity(roundInfo);
+                        this.publishAgentActivity(requestId, { ...roundInfo, round: agentRounds }, origin);
+                    }, { stream, requestId, persona, tools: toolDefinitions, generation });
+                }
+
+                if (stream)
+                {
+                    // 🌊 Streamed plain-text response - structured JSON can't be shown token by token
+                    return backend.chat({
+                        ...generation,
+                        messages: chat,
+                        model: persona.model,
+                        onFragment: (delta) => stream.chunk(delta)
+                    });
+                }
+
                 // 💬 Standard chat response with structured output
-                response = await this.model.respond(request.message, {
+                return backend.chat({
+                    ...generation,
+                    messages: chat,
+                    model: persona.model,
                     structured: ChatResponseSchema.pick({ response: true })
                 });
+            }, { signal, canFailOver: () => (!stream || stream.sequence === 0) && toolsUsed.length === 0 });
+
+            if (toolsUnavailable)
+            {
+                logger.warn('🛠️ Backend cannot run tools, answered as plain chat:', { requestId, provider: provider.name });
             }
 
             const processingTime = Date.now() - startTime;
+            const roundLimitReached = routing.mode === 'autonomous' && agentRounds >= this.config.limits.maxRounds;
+
+            if (roundLimitReached)
+            {
+                logger.warn('🔁 Agent hit its round limit:', { requestId, maxRounds: this.config.limits.maxRounds });
+            }
+
+            const answer = response.parsed?.response || response.content || stream?.text || 'No response generated';
+            const usage = resolveUsage(response.usage, chat, answer);
+
+            if (stream)
+            {
+                await stream.done({
+                    usage,
+                    processing_time_ms: processingTime,
+                    model: response.model,
+                    agent_rounds: agentRounds
+                });
+            }
 
             // Create structured response
             const responseMessage = ChatResponseSchema.parse({
                 id: requestId,
-                user: request.user || 'anonymous',
+                user: userId,
                 original_message: request.message,
-                response: response.parsed?.response || response.content || 'No response generated',
+                response: answer,
                 processing_time_ms: processingTime,
                 timestamp: new Date().toISOString(),
-                model: this.config.lmStudio.model,
+                model: response.model,
                 madness_level: this.config.service.madnessLevel,
+                persona: persona.name,
+                model_routing: persona.model_routing,
+                backend: {
+                    ...this.describeBackend(provider, failedOver),
+                    ...(toolsUnavailable && { tools_unavailable: true })
+                },
                 agent_rounds: agentRounds,
-                tools_used: toolsUsed.length > 0 ? [...new Set(toolsUsed)] : undefined
+                tools_used: toolsUsed.length > 0 ? [...new Set(toolsUsed)] : undefined,
+                thread_id: threadId,
+                context: context.meta,
+                stream: stream ? stream.describe() : undefined,
+                routing,
+                round_limit_reached: roundLimitReached || undefined,
+                usage,
+                cache: this.describeCache(cacheKey, response)
             });
 
-            // Store conversation in Redis
-            await this.storeConversation(request.user || 'anonymous', request.message, responseMessage);
+            // Store conversation in the thread history - canned stub replies aren't worth remembering or counting
+            if (provider.type !== 'stub')
+            {
+                await this.storeConversation(userId, threadId, request, responseMessage, toolCalls);
+                await this.recordUsage(userId, usage);
+            }
+
+            // Retries of this id get the same answer; fresh deterministic answers are reused
+            await this.rememberResponse(request, responseMessage, response.cached || provider.type === 'stub' ? null : cacheKey);
 
             // Publish structured response
-            await this.redis.publish(
-                this.config.redis.channels.response,
-                JSON.stringify(responseMessage)
-            );
+            await this.publishResponse(origin, responseMessage);
 
             logger.info('✅ Agentic request processed successfully!', {
                 requestId,
@@ -428,180 +483,106 @@ class EnhancedWhispermindConduit
                 toolsUsed: toolsUsed.length
             });
 
-            // Remove from processing queue
-            this.processingQueue.delete(requestId);
+            return {
+                status: 'completed',
+                mode: routing.mode,
+                model: response.model,
+                usage,
+                processing_time_ms: processingTime
+            };
 
         } catch (error)
         {
-            logger.error('💥 Error processing agentic request:', error);
-            await this.sendErrorResponse(requestId, request, error);
-        }
-    }
-
-    /**
-     * 💾 Store conversation in Redis
-     */
-    async storeConversation(userId, userMessage, responseMessage)
-    {
-        try
-        {
-            const conversationKey = `${this.config.redis.keys.conversations}:${userId}`;
-            const conversationEntry = {
-                timestamp: new Date().toISOString(),
-                userMessage,
-                aiResponse: responseMessage.response,
-                processingTime: responseMessage.processing_time_ms,
-                agentRounds: responseMessage.agent_rounds || 0,
-                toolsUsed: responseMessage.tools_used || [],
-                madnessLevel: responseMessage.madness_level
-            };
-
-            // Store conversation entry (keep last 100 messages)
-            await this.redis.lpush(conversationKey, JSON.stringify(conversationEntry));
-            await this.redis.ltrim(conversationKey, 0, 99);
-
-            // Set TTL for conversation history (7 days)
-            await this.redis.expire(conversationKey, 604800);
+            if (signal?.aborted)
+            {
+                return this.publishAborted(requestId, request, origin, signal.reason, stream);
+            }
 
-            logger.info('💾 Stored conversation in Redis:', { userId, messageLength: userMessage.length });
+            logger.error('💥 Error processing agentic request:', error);
 
-        } catch (error)
-        {
-            logger.error('❌ Error storing conversation:', error);
+            if (stream)
+            {
+                await stream.fail(error);
+            }
+            await this.sendErrorResponse(requestId, request, error, origin);
+            return { status: 'failed', error: error.message };
         }
     }
 
     /**
-     * 🛠️ Process request with agentic tools using .act() API
+     * 🛠️ Process request with agentic tools on a tool-capable backend
+     *
+     * @param {Provider} provider - Backend whose `supportsTools` is true
+     * @param {object} options
+     * @param {object} options.persona - Resolved persona (model)
+     * @param {object[]} options.tools - Definitions of the tools the agent may use (see ToolRegistry.select)
+     * @param {object} options.generation - { temperature, maxTokens, signal }
      */
-    async processWithAgenticTools(request, onRoundCallback)
+    async processWithAgenticTools(provider, request, chat, onRoundCallback, { stream = null, requestId = null, persona, tools: definitions, generation })
     {
-        // Define available tools for the agent
-        const tools = [
+        const { signal } = generation;
+
+        // Tools allowed for this request, bound to its context
+        const tools = this.tools.createSdkTools(
+            definitions,
             {
-                name: 'file_analyzer',
-                description: 'Analyze file contents and structure',
-                function: async (filePath) =>
-                {
-                    try
-                    {
-                        const stats = await fs.stat(filePath);
-                        const content = await fs.readFile(filePath, 'utf8');
-                        return {
-                            size: stats.size,
-                            lines: content.split('\n').length,
-                            type: path.extname(filePath),
-                            preview: content.substring(0, 200)
-                        };
-                    } catch (error)
-                    {
-                        return { error: error.message };
-                    }
-                }
+                request,
+                requestId,
+                userId: request.user || 'anonymous',
+                threadId: resolveThreadId(request),
+                history: this.history,
+                fileAccess: this.fileAccess,
+                signal,
+                logger
             },
+            (activity) =>
             {
-                name: 'system_info',
-                description: 'Get system information',
-                function: async () =>
-                {
-                    return {
-                        platform: process.platform,
-                        arch: process.arch,
-                        nodeVersion: process.version,
-                        memory: process.memoryUsage(),
-                        uptime: process.uptime()
-                    };
-                }
+                logger.info(activity.status === 'executing' ? '🛠️ Agent using tool:' : '✅ Tool result:', activity);
+                onRoundCallback(activity);
             },
+            { timeoutMs: this.config.limits.toolTimeoutMs }
+        );
+
+        // Multi-round autonomous execution on the backend
+        return await provider.act({
+            ...generation,
+            messages: chat,
+            model: persona.model,
+            tools,
+            maxRounds: this.config.limits.maxRounds,
+            onMessage: (message) =>
             {
-                name: 'mad_calculator',
-                description: 'Perform calculations with mad tinker precision',
-                function: async (expression) =>
-                {
-                    try
-                    {
-                        // Safe eval for basic math (in production, use a proper math parser)
-                        const result = Function(`"use strict"; return (${expression})`)();
-                        return { result, madness_factor: Math.random() };
-                    } catch (error)
-                    {
-                        return { error: 'Calculation failed', madness_level: 'chaotic' };
-                    }
-                }
+                logger.info('🤖 Agent message:', message);
             },
+            onRoundStart: (roundIndex) =>
             {
-                name: 'conversation_history',
-                description: 'Retrieve user conversation history',
-                function: async (userId, limit = 5) =>
-                {
-                    try
-                    {
-                        const conversationKey = `${this.config.redis.keys.conversations}:${userId}`;
-                        const history = await this.redis.lrange(conversationKey, 0, limit - 1);
-                        return {
-                            conversations: history.map(entry => JSON.parse(entry)),
-                            total: await this.redis.llen(conversationKey)
-                        };
-                    } catch (error)
-                    {
-                        return { error: error.message };
-                    }
-                }
-            }
-        ];
-
-        // Use .act() API for autonomous execution
-        return await this.model.act(
-            request.message,
-            tools,
+                onRoundCallback({ round: roundIndex, status: 'round_started' });
+            },
+            onFragment: (delta, extra) =>
             {
-                on_message: (message) =>
-                {
-                    logger.info('🤖 Agent message:', message);
-                },
-                on_tool_call: (toolCall) =>
-                {
-                    logger.info('🛠️ Agent using tool:', toolCall.name);
-                    onRoundCallback({
-                        tool_name: toolCall.name,
-                        round: toolCall.round,
-                        status: 'executing'
-                    });
-                },
-                on_tool_result: (toolResult) =>
-                {
-                    logger.info('✅ Tool result:', toolResult);
-                    onRoundCallback({
-                        tool_name: toolResult.name,
-                        result: toolResult.result,
-                        status: 'completed'
-                    });
-                }
+                stream?.chunk(delta, extra);
             }
-        );
+        });
     }
 
     /**
-     * 📡 Publish agent activity to Redis
+     * 📡 Publish agent activity on the request's transport and log it to Redis
      */
-    async publishAgentActivity(requestId, activity)
+    async publishAgentActivity(requestId, activity, origin)
     {
+        const activityMessage = {
+            request_id: requestId,
+            timestamp: new Date().toISOString(),
+            activity,
+            service: this.config.service.name
+        };
+
+        await this.publishToOrigin(origin, 'agent_activity', activityMessage);
+
         if (!this.isConnected) return;
 
         try
         {
-            const activityMessage = {
-                request_id: requestId,
-                timestamp: new Date().toISOString(),
-                activity,
-                service: this.config.service.name
-            };
-
-            // Publish to channel
-            await this.redis.publish(
-                this.config.redis.channels.agent_activity,
-                JSON.stringify(activityMessage)
-            );
 
             // Store in agent logs stream
             await this.redis.xadd(
@@ -620,69 +601,56 @@ class EnhancedWhispermindConduit
         }
     }
 
+    /**
+     * 🧹 Forget a user's session along with everything BaseConduit clears
+     */
+    async clearUserData(userId)
+    {
+        const deleted = await super.clearUserData(userId);
+        deleted.sessions = await this.redis.del(`${this.config.redis.keys.sessions}:${userId}`);
+        return deleted;
+    }
+
     /**
      * ❌ Send error response
      */
-    async sendErrorResponse(requestId, request, error)
+    async sendErrorResponse(requestId, request, error, origin)
     {
         const errorResponse = {
             id: requestId,
             user: request.user || 'anonymous',
             error: 'Enhanced processing failed',
+            ...(error.code === 'BACKENDS_UNAVAILABLE' && { error_code: error.code }),
             error_details: error.message,
             timestamp: new Date().toISOString(),
             madness_level: 'error_chaos'
         };
 
-        await this.redis.publish(
-            this.config.redis.channels.response,
-            JSON.stringify(errorResponse)
-        );
-
-        this.processingQueue.delete(requestId);
+        try
+        {
+            await this.publishResponse(origin, errorResponse);
+        } catch (publishError)
+        {
+            logger.error('❌ Failed to publish error response:', publishError);
+        }
     }
 
     /**
-     * 📊 Publish service status
+     * 📊 Agentic capabilities advertised in every status message
      */
-    async publishStatus(status, message)
+    getStatusDetails()
     {
-        if (!this.isConnected) return;
-
-        try
-        {
-            const statusMessage = {
-                service: this.config.service.name,
-                version: this.config.service.version,
-                status,
-                message,
-                timestamp: new Date().toISOString(),
-                processing_queue_size: this.processingQueue.size,
-                madness_level: this.config.service.madnessLevel,
-                agentic_capabilities: true,
-                redis_features: {
-                    conversation_history: true,
-                    user_sessions: true,
-                    agent_activity_logging: true
-                }
-            };
-
-            // Publish status to channel
-            await this.redis.publish(
-                this.config.redis.channels.status,
-                JSON.stringify(statusMessage)
-            );
-
-            // Store current status in Redis
-            await this.redis.set(
-                this.config.redis.keys.service_status,
-                JSON.stringify(statusMessage)
-            );
-
-        } catch (error)
-        {
-            logger.error('❌ Error publishing status:', error);
-        }
+        return {
+            agentic_capabilities: true,
+            tools: this.tools.list(),
+            file_access: this.fileAccess.describe(),
+            routing: this.router?.describe() || null,
+            redis_features: {
+                conversation_history: true,
+                user_sessions: true,
+                agent_activity_logging: true
+            }
+        };
     }
 
     /**
@@ -691,18 +659,19 @@ class EnhancedWhispermindConduit
     async shutdown()
     {
         logger.info('🛑 Shutting down Enhanced Whispermind_Conduit...');
+        this.stopping = true;
+        this.stopHeartbeat();
 
         await this.publishStatus('OFFLINE', 'Enhanced neural bridge deactivating...');
 
-        if (this.model)
-        {
-            await this.model.unload();
-        }
+        await this.providers.disconnectAll();
 
-        if (this.redisSub)
-        {
-            this.redisSub.disconnect();
-        }
+        await this.disconnectTransports();
+        await this.stopAdminServer();
+        await this.history?.close();
+        await this.archive?.close();
+        await this.usage?.close();
+        await this.cache?.close();
 
         if (this.redis)
         {
@@ -0,0 +1,130 @@
+/**
+ * 🧩 Context Builder - Turns stored exchanges into chat messages for the model
+ *
+ * Prior turns are added newest first until the token budget is spent. Whatever
+ * doesn't fit is either dropped ('truncate') or condensed into a short system
+ * note listing what was discussed ('summarize'), so follow-up questions keep
+ * their footing without blowing the model's context window.
+ *
+ * Author: Mad Tinker
+ * Project: Madness Interactive - Whispermind_Conduit
+ */
+
+const OVERFLOW_STRATEGIES = ['truncate', 'summarize'];
+
+// Share of the budget a summary of dropped turns may use
+const SUMMARY_BUDGET_SHARE = 0.25;
+const SUMMARY_SNIPPET_LENGTH = 120;
+
+/**
+ * 🔢 Rough token estimate (~4 characters per token for English text)
+ */
+function estimateTokens(text)
+{
+    return Math.ceil((text || '').length / 4);
+}
+
+/**
+ * ✂️ Clip text to a snippet for summaries
+ */
+function clip(text, length = SUMMARY_SNIPPET_LENGTH)
+{
+    const flat = (text || '').replace(/\s+/g, ' ').trim();
+    return flat.length > length ? `${flat.slice(0, length - 1)}…` : flat;
+}
+
+/**
+ * 💬 Chat messages for one stored exchange
+ */
+function turnMessages(entry)
+{
+    return [
+        { role: 'user', content: entry.userMessage },
+        { role: 'assistant', content: entry.aiResponse }
+    ];
+}
+
+/**
+ * 📝 Condense dropped turns into a system note within `budget` tokens
+ *
+ * @param {object[]} dropped - Dropped exchanges, newest first
+ */
+function summarizeTurns(dropped, budget)
+{
+    const header = 'Summary of earlier conversation (oldest first):';
+    const lines = [];
+    let tokens = estimateTokens(header);
+
+    for (const entry of dropped)
+    {
+        const line = `- User: ${clip(entry.userMessage)} | Assistant: ${clip(entry.aiResponse)}`;
+        const lineTokens = estimateTokens(line);
+        if (tokens + lineTokens > budget) break;
+
+        lines.unshift(line);
+        tokens += lineTokens;
+    }
+
+    if (lines.length === 0) return null;
+
+    return {
+        message: { role: 'system', content: [header, ...lines].join('\n') },
+        turns: lines.length,
+        tokens
+    };
+}
+
+/**
+ * 🧩 Assemble prior turns into chat messages
+ *
+ * @param {object[]} history - Stored exchanges, newest first
+ * @param {object} options
+ * @param {number} options.tokenBudget - Tokens available for history
+ * @param {number} [options.reservedTokens] - Tokens already used by the system prompt and new message
+ * @param {string} [options.overflow] - 'truncate' or 'summarize'
+ * @returns {{ messages: object[], meta: object }} Messages in chronological order plus what was kept
+ */
+function buildConversationContext(history, { tokenBudget, reservedTokens = 0, overflow = 'summarize' })
+{
+    const available = Math.max(0, tokenBudget - reservedTokens);
+    const turnTokens = history.map(entry => estimateTokens(entry.userMessage) + estimateTokens(entry.aiResponse));
+    const overflowing = turnTokens.reduce((sum, tokens) => sum + tokens, 0) > available;
+
+    // When turns will be dropped, hold back part of the budget for their summary
+    const summaryBudget = overflowing && overflow === 'summarize'
+        ? Math.floor(available * SUMMARY_BUDGET_SHARE)
+        : 0;
+
+    const kept = [];
+    let used = 0;
+    let index = 0;
+
+    for (; index < history.length; index++)
+    {
+        if (used + turnTokens[index] > available - summaryBudget) break;
+
+        kept.unshift(...turnMessages(history[index]));
+        used += turnTokens[index];
+    }
+
+    const dropped = history.slice(index);
+    const summary = dropped.length > 0 && summaryBudget > 0
+        ? summarizeTurns(dropped, summaryBudget)
+        : null;
+
+    return {
+        messages: summary ? [summary.message, ...kept] : kept,
+        meta: {
+            turns_included: index,
+            turns_dropped: dropped.length,
+            turns_summarized: summary ? summary.turns : 0,
+            estimated_tokens: used + (summary ? summary.tokens : 0)
+        }
+    };
+}
+
+module.exports = {
+    OVERFLOW_STRATEGIES,
+    estimateTokens,
+    buildConversationContext
+};
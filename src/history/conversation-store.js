@@ -0,0 +1,360 @@
+/**
+ * 💾 Conversation Stores - Where every exchange is remembered
+ *
+ * Exchanges are kept per user and per thread, newest first, capped and expiring.
+ * The Redis store keeps the same `conversations:<user>:<thread>` lists the agent
+ * tools read, plus a `conversation_threads:<user>` sorted set of the user's
+ * threads by last activity; the memory store gives the MQTT conduit a memory
+ * without Redis. User and thread ids go into keys through keySegment().
+ *
+ * Before threads, a user's history was one `conversations:<user>` list. The
+ * Redis store adopts such a list as the user's default thread the first time
+ * it touches that user.
+ *
+ * Author: Mad Tinker
+ * Project: Madness Interactive - Whispermind_Conduit
+ */
+
+const Redis = require('ioredis');
+const { redisRetryStrategy } = require('../resilience/backoff');
+const { keySegment, escapePattern, deleteMatching } = require('../storage/redis-keys');
+
+const DEFAULT_THREAD = 'default';
+
+/**
+ * 🧵 Normalize a thread id from a request
+ */
+function resolveThreadId(request)
+{
+    const threadId = request.thread_id ?? request.conversation_id;
+    return threadId ? String(threadId) : DEFAULT_THREAD;
+}
+
+/**
+ * 💾 RedisConversationStore - Capped Redis lists with a TTL
+ */
+class RedisConversationStore
+{
+    constructor({ redis, keyPrefix = 'conversations', threadIndexPrefix = 'conversation_threads', maxEntries = 100, ttlSeconds = 604800 })
+    {
+        this.redis = redis;
+        this.keyPrefix = keyPrefix;
+        this.threadIndexPrefix = threadIndexPrefix;
+        this.maxEntries = maxEntries;
+        this.ttlSeconds = ttlSeconds;
+
+        // Users whose pre-thread history has been looked for by this process
+        this.adoptedUsers = new Set();
+    }
+
+    keyFor(userId, threadId = DEFAULT_THREAD)
+    {
+        return `${this.keyPrefix}:${keySegment(userId)}:${keySegment(threadId)}`;
+    }
+
+    threadIndexFor(userId)
+    {
+        return `${this.threadIndexPrefix}:${keySegment(userId)}`;
+    }
+
+    /**
+     * 🏚️ Where the user's history lived before threads, or null when that key would be ambiguous
+     *
+     * `conversations:a:b` was user `a:b` then and is thread `b` of user `a` now,
+     * so users with a colon in their id can't be told apart and are skipped.
+     */
+    legacyKeyFor(userId)
+    {
+        return String(userId).includes(':') ? null : `${this.keyPrefix}:${userId}`;
+    }
+
+    /**
+     * 🏚️ Move a pre-thread `conversations:<user>` list into the user's default thread
+     *
+     * Renamed when the default thread is still empty (keeping its TTL); otherwise
+     * its entries go behind the thread's, as they are older.
+     */
+    async adoptLegacyHistory(userId)
+    {
+        if (this.adoptedUsers.has(userId)) return;
+
+        const legacyKey = this.legacyKeyFor(userId);
+        if (legacyKey && await this.redis.exists(legacyKey))
+        {
+            const key = this.keyFor(userId, DEFAULT_THREAD);
+
+            if (!await this.redis.renamenx(legacyKey, key))
+            {
+                const entries = await this.redis.lrange(legacyKey, 0, this.maxEntries - 1);
+                if (entries.length > 0)
+                {
+                    await this.redis.rpush(key, ...entries);
+                    await this.redis.ltrim(key, 0, this.maxEntries - 1);
+                }
+                await this.redis.del(legacyKey);
+            }
+
+            const index = this.threadIndexFor(userId);
+            await this.redis.zadd(index, 'NX', Date.now(), DEFAULT_THREAD);
+            await this.redis.expire(index, this.ttlSeconds);
+        }
+
+        this.adoptedUsers.add(userId);
+    }
+
+    /**
+     * ➕ Store an exchange (newest first)
+     */
+    async append(userId, threadId, entry)
+    {
+        await this.adoptLegacyHistory(userId);
+
+        const key = this.keyFor(userId, threadId);
+        const index = this.threadIndexFor(userId);
+
+        await this.redis.lpush(key, JSON.stringify(entry));
+        await this.redis.ltrim(key, 0, this.maxEntries - 1);
+        await this.redis.expire(key, this.ttlSeconds);
+
+        await this.redis.zadd(index, Date.now(), threadId);
+        await this.redis.expire(index, this.ttlSeconds);
+    }
+
+    /**
+     * 📜 Most recent exchanges, newest first
+     */
+    async recent(userId, threadId, limit = this.maxEntries)
+    {
+        return this.range(userId, threadId, 0, limit);
+    }
+
+    /**
+     * 📖 A page of exchanges, newest first, skipping the `offset` newest
+     */
+    async range(userId, threadId, offset, limit)
+    {
+        await this.adoptLegacyHistory(userId);
+
+        const entries = await this.redis.lrange(this.keyFor(userId, threadId), offset, offset + limit - 1);
+        return entries.map(entry => JSON.parse(entry));
+    }
+
+    /**
+     * 🧵 The user's threads, most recently active first: [{ thread_id, turns, last_activity }]
+     *
+     * Threads whose history expired are dropped from the index on the way.
+     */
+    async threads(userId)
+    {
+        await this.adoptLegacyHistory(userId);
+
+        const index = this.threadIndexFor(userId);
+        const scored = await this.redis.zrevrange(index, 0, -1, 'WITHSCORES');
+        const threads = [];
+
+        for (let i = 0; i < scored.length; i += 2)
+        {
+            const threadId = scored[i];
+            const turns = await this.redis.llen(this.keyFor(userId, threadId));
+
+            if (turns === 0)
+            {
+                await this.redis.zrem(index, threadId);
+                continue;
+            }
+            threads.push({ thread_id: threadId, turns, last_activity: new Date(Number(scored[i + 1])).toISOString() });
+        }
+
+        return threads;
+    }
+
+    /**
+     * 🗑️ Forget one thread
+     *
+     * @returns {Promise<boolean>} false when there was nothing to forget
+     */
+    async deleteThread(userId, threadId)
+    {
+        await this.adoptLegacyHistory(userId);
+
+        const deleted = await this.redis.del(this.keyFor(userId, threadId));
+        await this.redis.zrem(this.threadIndexFor(userId), threadId);
+        return deleted > 0;
+    }
+
+    /**
+     * 🧹 Forget every thread of a user, indexed or not
+     *
+     * @returns {Promise<number>} Number of threads deleted
+     */
+    async deleteUser(userId)
+    {
+        await this.adoptLegacyHistory(userId);
+
+        const deleted = await deleteMatching(this.redis, `${escapePattern(this.keyFor(userId, ''))}*`);
+        await this.redis.del(this.threadIndexFor(userId));
+        return deleted;
+    }
+
+    /**
+     * 🔢 Number of stored exchanges
+     */
+    async count(userId, threadId)
+    {
+        await this.adoptLegacyHistory(userId);
+
+        return this.redis.llen(this.keyFor(userId, threadId));
+    }
+
+    async close()
+    {
+    }
+}
+
+/**
+ * 🧠 MemoryConversationStore - Process local history for conduits without Redis
+ */
+class MemoryConversationStore
+{
+    constructor({ maxEntries = 100, ttlSeconds = 604800 } = {})
+    {
+        this.maxEntries = maxEntries;
+        this.ttlMs = ttlSeconds * 1000;
+        this.conversations = new Map();
+    }
+
+    keyFor(userId, threadId = DEFAULT_THREAD)
+    {
+        return `${keySegment(userId)}:${keySegment(threadId)}`;
+    }
+
+    /**
+     * 🕰️ Fetch a thread, forgetting it once its TTL has passed
+     */
+    getThread(userId, threadId)
+    {
+        const key = this.keyFor(userId, threadId);
+        const thread = this.conversations.get(key);
+
+        if (thread && Date.now() - thread.touchedAt > this.ttlMs)
+        {
+            this.conversations.delete(key);
+            return null;
+        }
+        return thread || null;
+    }
+
+    async append(userId, threadId, entry)
+    {
+        const thread = this.getThread(userId, threadId) || { userId, threadId, entries: [], touchedAt: 0 };
+
+        thread.entries.unshift(entry);
+        thread.entries.length = Math.min(thread.entries.length, this.maxEntries);
+        thread.touchedAt = Date.now();
+
+        this.conversations.set(this.keyFor(userId, threadId), thread);
+    }
+
+    async recent(userId, threadId, limit = this.maxEntries)
+    {
+        return this.range(userId, threadId, 0, limit);
+    }
+
+    async range(userId, threadId, offset, limit)
+    {
+        const thread = this.getThread(userId, threadId);
+        return thread ? thread.entries.slice(offset, offset + limit) : [];
+    }
+
+    async threads(userId)
+    {
+        return [...this.conversations.values()]
+            .filter(thread => thread.userId === userId && this.getThread(userId, thread.threadId))
+            .sort((a, b) => b.touchedAt - a.touchedAt)
+            .map(thread => ({
+                thread_id: thread.threadId,
+                turns: thread.entries.length,
+                last_activity: new Date(thread.touchedAt).toISOString()
+            }));
+    }
+
+    async count(userId, threadId)
+    {
+        const thread = this.getThread(userId, threadId);
+        return thread ? thread.entries.length : 0;
+    }
+
+    async deleteThread(userId, threadId)
+    {
+        const existed = this.getThread(userId, threadId) !== null;
+        this.conversations.delete(this.keyFor(userId, threadId));
+        return existed;
+    }
+
+    async deleteUser(userId)
+    {
+        let deleted = 0;
+
+        for (const [key, thread] of this.conversations)
+        {
+            if (thread.userId !== userId) continue;
+
+            this.conversations.delete(key);
+            deleted++;
+        }
+        return deleted;
+    }
+
+    async close()
+    {
+    }
+}
+
+/**
+ * 🏭 Build the configured conversation store
+ *
+ * @param {object} options
+ * @param {string} options.type - 'redis' or 'memory'
+ * @param {object} [options.redis] - Existing ioredis client to reuse
+ * @param {object} [options.redisConfig] - Connection settings when no client is supplied
+ */
+function createConversationStore({ type, redis, redisConfig, ...options })
+{
+    if (type === 'memory')
+    {
+        return new MemoryConversationStore(options);
+    }
+
+    if (type !== 'redis')
+    {
+        throw new Error(`Unknown conversation store '${type}' - use 'redis' or 'memory'`);
+    }
+
+    if (redis)
+    {
+        return new RedisConversationStore({ redis, ...options });
+    }
+
+    // No shared client - the store owns its own connection
+    const store = new RedisConversationStore({
+        redis: new Redis({
+            host: redisConfig.host,
+            port: redisConfig.port,
+            password: redisConfig.password,
+            db: redisConfig.db,
+            retryStrategy: redisRetryStrategy(redisConfig.reconnect),
+            maxRetriesPerRequest: 3
+        }),
+        ...options
+    });
+    store.close = async () => store.redis.disconnect();
+    return store;
+}
+
+module.exports = {
+    DEFAULT_THREAD,
+    resolveThreadId,
+    RedisConversationStore,
+    MemoryConversationStore,
+    createConversationStore
+};
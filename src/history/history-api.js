@@ -0,0 +1,94 @@
+/**
+ * 📚 History API - What frontends may ask about a user's stored conversations
+ *
+ * Backs the history actions of the control schema (list_threads, get_thread,
+ * delete_thread, export_thread); the conduit decides whose history a message
+ * may touch and where the answer goes. Entries are returned as stored by
+ * `storeConversation()`: { timestamp, threadId, userMessage, aiResponse, ... }.
+ *
+ * Author: Mad Tinker
+ * Project: Madness Interactive - Whispermind_Conduit
+ */
+
+class HistoryApi
+{
+    /**
+     * @param {object} history - Conversation store (see conversation-store.js)
+     * @param {object} [archive] - Conversation archive, whose copies are deleted along with a thread
+     */
+    constructor(history, archive = null)
+    {
+        this.history = history;
+        this.archive = archive;
+    }
+
+    /**
+     * 🧵 The user's threads, most recently active first
+     */
+    async listThreads(userId)
+    {
+        return { threads: await this.history.threads(userId) };
+    }
+
+    /**
+     * 📖 One page of a thread, newest exchange first
+     */
+    async getThread(userId, { thread_id: threadId, offset, limit })
+    {
+        const total = await this.history.count(userId, threadId);
+        const entries = await this.history.range(userId, threadId, offset, limit);
+        const nextOffset = offset + entries.length;
+
+        return {
+            thread_id: threadId,
+            total,
+            offset,
+            entries,
+            next_offset: nextOffset < total ? nextOffset : null
+        };
+    }
+
+    /**
+     * 🗑️ Forget one thread - archived copies too, or they'd be backfilled into its next turn
+     */
+    async deleteThread(userId, { thread_id: threadId })
+    {
+        const deleted = await this.history.deleteThread(userId, threadId);
+        const archived = this.archive ? await this.archive.deleteThread(userId, threadId) : 0;
+
+        return { thread_id: threadId, deleted: deleted || archived > 0 };
+    }
+
+    /**
+     * 📦 A whole thread, oldest exchange first, as JSON entries or a Markdown transcript
+     */
+    async exportThread(userId, { thread_id: threadId, format })
+    {
+        const entries = (await this.history.recent(userId, threadId)).reverse();
+        const exported = {
+            thread_id: threadId,
+            format,
+            turns: entries.length,
+            exported_at: new Date().toISOString()
+        };
+
+        return format === 'markdown'
+            ? { ...exported, content: this.toMarkdown(userId, threadId, entries) }
+            : { ...exported, entries };
+    }
+
+    toMarkdown(userId, threadId, entries)
+    {
+        const turns = entries.map(entry => [
+            `### ${entry.timestamp}`,
+            '',
+            `**${userId}:** ${entry.userMessage}`,
+            '',
+            `**Assistant:** ${entry.aiResponse}`
+        ].join('\n'));
+
+        return [`# Conversation ${threadId}`, ...turns].join('\n\n') + '\n';
+    }
+}
+
+module.exports = HistoryApi;
@@ -0,0 +1,157 @@
+/**
+ * 🗃️ ModelPool - Lazily loaded model handles, least recently used evicted first
+ *
+ * Handles are loaded on first use and kept until more than `maxLoaded` are
+ * held, at which point the least recently used idle one is unloaded. Handles
+ * in use by a running request are never evicted - the pool may briefly hold
+ * more than `maxLoaded` instead. Concurrent requests for a model that is still
+ * loading share the same load.
+ *
+ * Author: Mad Tinker
+ * Project: Madness Interactive - Whispermind_Conduit
+ */
+
+class ModelPool
+{
+    /**
+     * @param {object} options
+     * @param {Function} options.load - async (modelKey) => handle
+     * @param {Function} [options.unload] - async (modelKey, handle) => void
+     * @param {number} [options.maxLoaded] - Handles kept loaded at once
+     */
+    constructor({ load, unload = async () => {}, maxLoaded = 2 }, logger)
+    {
+        this.load = load;
+        this.unload = unload;
+        this.maxLoaded = Math.max(1, maxLoaded);
+        this.logger = logger;
+
+        // Insertion order doubles as recency - entries are re-inserted on every use
+        this.entries = new Map();
+    }
+
+    /**
+     * 🤖 Run `fn(handle)` with the model loaded, keeping it pinned until `fn` settles
+     */
+    async use(modelKey, fn)
+    {
+        const entry = await this.acquire(modelKey);
+
+        try
+        {
+            return await fn(entry.handle);
+        } finally
+        {
+            entry.users--;
+            await this.evictIdle();
+        }
+    }
+
+    /**
+     * 📥 Pin a model, loading it when it isn't held yet
+     */
+    async acquire(modelKey)
+    {
+        let entry = this.entries.get(modelKey);
+
+        if (entry)
+        {
+            this.entries.delete(modelKey);
+        } else
+        {
+            this.logger.info('🗃️ Loading model:', { model: modelKey });
+            entry = { handle: null, users: 0, loading: this.load(modelKey), lastUsed: null };
+        }
+
+        this.entries.set(modelKey, entry);
+        entry.users++;
+        entry.lastUsed = new Date();
+
+        try
+        {
+            entry.handle = await entry.loading;
+            return entry;
+        } catch (error)
+        {
+            entry.users--;
+            if (this.entries.get(modelKey) === entry)
+            {
+                this.entries.delete(modelKey);
+            }
+            throw error;
+        }
+    }
+
+    /**
+     * 🧹 Unload least recently used idle models until the pool fits `maxLoaded`
+     */
+    async evictIdle()
+    {
+        for (const [modelKey, entry] of this.entries)
+        {
+            if (this.entries.size <= this.maxLoaded) return;
+            if (entry.users > 0 || !entry.handle) continue;
+
+            this.entries.delete(modelKey);
+            this.logger.info('🧹 Unloading least recently used model:', { model: modelKey });
+
+            try
+            {
+                await this.unload(modelKey, entry.handle);
+            } catch (error)
+            {
+                this.logger.warn('⚠️ Failed to unload model:', { model: modelKey, error: error.message });
+            }
+        }
+    }
+
+    /**
+     * 🛑 Unload every held model
+     */
+    async clear()
+    {
+        const entries = [...this.entries];
+        this.entries.clear();
+
+        for (const [modelKey, entry] of entries)
+        {
+            if (!entry.handle) continue;
+
+            try
+            {
+                await this.unload(modelKey, entry.handle);
+            } catch (error)
+            {
+                this.logger.warn('⚠️ Failed to unload model:', { model: modelKey, error: error.message });
+            }
+        }
+    }
+
+    /**
+     * 🗑️ Drop every handle without unloading it - for handles whose connection is gone
+     *
+     * Requests still holding one finish (or fail) with it; later ones load afresh.
+     */
+    discard()
+    {
+        this.entries.clear();
+    }
+
+    /**
+     * 📋 Held models, most recently used last
+     */
+    describe()
+    {
+        return {
+            max_loaded: this.maxLoaded,
+            loaded: [...this.entries].map(([modelKey, entry]) => ({
+                model: modelKey,
+                in_use: entry.users,
+                ready: Boolean(entry.handle),
+                last_used: entry.lastUsed?.toISOString() || null
+            }))
+        };
+    }
+}
+
+module.exports = ModelPool;
@@ -0,0 +1,170 @@
+/**
+ * 📊 ConduitMetrics - What the conduit measures for Prometheus
+ *
+ * Requests are counted and timed by transport, agent mode, model and outcome
+ * (completed, failed, rejected, invalid, cancelled). Generation speed, token
+ * usage, tool calls and dependency reconnects are counted as they happen;
+ * queue depth, in-flight requests and dependency state are read at scrape time.
+ *
+ * Author: Mad Tinker
+ * Project: Madness Interactive - Whispermind_Conduit
+ */
+
+const { MetricsRegistry, CONTENT_TYPE } = require('./metrics');
+
+const LATENCY_BUCKETS = [0.1, 0.25, 0.5, 1, 2.5, 5, 10, 20, 30, 60, 120, 300];
+const TOKEN_RATE_BUCKETS = [1, 2.5, 5, 10, 20, 30, 50, 75, 100, 150, 250];
+
+class ConduitMetrics
+{
+    /**
+     * @param {object} sources - Read at scrape time
+     * @param {WorkQueue} sources.workQueue
+     * @param {ServiceHealth} sources.health
+     * @param {RequestStats} sources.requestStats
+     */
+    constructor({ workQueue, health, requestStats })
+    {
+        this.registry = new MetricsRegistry();
+
+        this.requests = this.registry.counter({
+            name: 'whispermind_requests_total',
+            help: 'Requests received, by transport, agent mode, model and outcome',
+            labelNames: ['transport', 'mode', 'model', 'outcome']
+        });
+        this.latency = this.registry.histogram({
+            name: 'whispermind_request_duration_seconds',
+            help: 'Time from receiving a request to answering it, queue wait included',
+            labelNames: ['transport', 'mode', 'model', 'outcome'],
+            buckets: LATENCY_BUCKETS
+        });
+        this.tokenRate = this.registry.histogram({
+            name: 'whispermind_tokens_per_second',
+            help: 'Completion tokens generated per second of processing',
+            labelNames: ['model'],
+            buckets: TOKEN_RATE_BUCKETS
+        });
+        this.tokens = this.registry.counter({
+            name: 'whispermind_tokens_total',
+            help: 'Tokens used by completed requests, by model and kind (prompt or completion)',
+            labelNames: ['model', 'kind']
+        });
+        this.toolInvocations = this.registry.counter({
+            name: 'whispermind_tool_invocations_total',
+            help: 'Tool calls made by agents',
+            labelNames: ['tool']
+        });
+        this.toolErrors = this.registry.counter({
+            name: 'whispermind_tool_errors_total',
+            help: 'Tool calls that returned an error, timed out or threw, by error code',
+            labelNames: ['tool', 'code']
+        });
+        this.reconnects = this.registry.counter({
+            name: 'whispermind_reconnects_total',
+            help: 'Dependencies (transports, LLM backends, storage) that came back after being down',
+            labelNames: ['dependency']
+        });
+
+        this.registry.gauge({
+            name: 'whispermind_queue_depth',
+            help: 'Requests waiting for a processing slot',
+            collect: (gauge) => gauge.set({}, workQueue.stats().queued)
+        });
+        this.registry.gauge({
+            name: 'whispermind_requests_in_flight',
+            help: 'Requests being processed',
+            collect: (gauge) => gauge.set({}, workQueue.stats().active)
+        });
+        this.registry.gauge({
+            name: 'whispermind_dependency_up',
+            help: 'Whether a dependency is up (1) or down (0)',
+            labelNames: ['dependency'],
+            collect: (gauge) =>
+            {
+                for (const [dependency, { up }] of Object.entries(health.describe()))
+                {
+                    gauge.set({ dependency }, up ? 1 : 0);
+                }
+            }
+        });
+        this.registry.gauge({
+            name: 'whispermind_uptime_seconds',
+            help: 'Seconds since the conduit started',
+            collect: (gauge) => gauge.set({}, requestStats.uptimeSeconds)
+        });
+    }
+
+    /**
+     * 📨 Count a request outcome and its latency
+     *
+     * @param {object} observation
+     * @param {string} observation.transport - Transport the request arrived on
+     * @param {object} observation.outcome - { status, mode?, model?, usage?, processing_time_ms? }
+     * @param {number} observation.durationMs - Time from receipt to answer
+     */
+    observeRequest({ transport, outcome, durationMs })
+    {
+        const labels = {
+            transport,
+            mode: outcome.mode,
+            model: outcome.model,
+            outcome: outcome.status
+        };
+
+        this.requests.inc(labels);
+        this.latency.observe(labels, durationMs / 1000);
+
+        const { usage, processing_time_ms: processingTimeMs } = outcome;
+        if (outcome.status !== 'completed' || !usage) return;
+
+        this.tokens.inc({ model: outcome.model, kind: 'prompt' }, usage.prompt_tokens ?? 0);
+        this.tokens.inc({ model: outcome.model, kind: 'completion' }, usage.completion_tokens ?? 0);
+
+        if (usage.completion_tokens > 0 && processingTimeMs > 0)
+        {
+            this.tokenRate.observe({ model: outcome.model }, usage.completion_tokens / (processingTimeMs / 1000));
+        }
+    }
+
+    /**
+     * 🛠️ Count a tool call from agent activity ({ tool_name, status, result? })
+     */
+    observeToolActivity(activity)
+    {
+        const tool = activity.tool_name;
+
+        if (activity.status === 'executing')
+        {
+            this.toolInvocations.inc({ tool });
+        } else if (activity.status === 'failed')
+        {
+            this.toolErrors.inc({ tool, code: 'TOOL_FAILED' });
+        } else if (activity.result?.error)
+        {
+            this.toolErrors.inc({ tool, code: activity.result.error.code || 'TOOL_ERROR' });
+        }
+    }
+
+    /**
+     * 🔁 Count a dependency that came back
+     */
+    observeReconnect(dependency)
+    {
+        this.reconnects.inc({ dependency });
+    }
+
+    get contentType()
+    {
+        return CONTENT_TYPE;
+    }
+
+    /**
+     * 📄 Scrape output
+     */
+    render()
+    {
+        return this.registry.render();
+    }
+}
+
+module.exports = ConduitMetrics;
@@ -0,0 +1,233 @@
+/**
+ * 📏 Metrics - Counters, gauges and histograms in Prometheus text format
+ *
+ * Just enough of the Prometheus data model for the conduit: every metric has
+ * a fixed set of label names and keeps one series per combination of label
+ * values. `MetricsRegistry.render()` produces the text exposition format
+ * (version 0.0.4) that Prometheus scrapes.
+ *
+ * Author: Mad Tinker
+ * Project: Madness Interactive - Whispermind_Conduit
+ */
+
+const CONTENT_TYPE = 'text/plain; version=0.0.4; charset=utf-8';
+
+/**
+ * 🔤 Escape a label value (backslash, double quote and newline)
+ */
+function escapeLabelValue(value)
+{
+    return String(value).replace(/\\/g, '\\\\').replace(/"/g, '\\"').replace(/\n/g, '\\n');
+}
+
+/**
+ * 🏷️ Render `{name="value",...}`, or nothing for unlabelled series
+ */
+function formatLabels(labels)
+{
+    const entries = Object.entries(labels);
+    if (entries.length === 0) return '';
+
+    return `{${entries.map(([name, value]) => `${name}="${escapeLabelValue(value)}"`).join(',')}}`;
+}
+
+/**
+ * 🔢 Prometheus spelling of a sample value
+ */
+function formatValue(value)
+{
+    if (value === Infinity) return '+Inf';
+    if (value === -Infinity) return '-Inf';
+    if (Number.isNaN(value)) return 'NaN';
+    return String(value);
+}
+
+class Metric
+{
+    /**
+     * @param {string} type - counter, gauge or histogram
+     * @param {object} options
+     * @param {string} options.name - Metric name, e.g. whispermind_requests_total
+     * @param {string} options.help - One line description
+     * @param {string[]} [options.labelNames] - Labels every observation must carry
+     */
+    constructor(type, { name, help, labelNames = [] })
+    {
+        this.type = type;
+        this.name = name;
+        this.help = help;
+        this.labelNames = labelNames;
+        this.series = new Map();
+    }
+
+    /**
+     * 🎯 The series for a set of label values, created on first use
+     *
+     * Missing labels are recorded as "unknown" so a series never lacks a label.
+     */
+    seriesFor(labels = {}, create)
+    {
+        const values = this.labelNames.map(name => String(labels[name] ?? 'unknown'));
+        const key = JSON.stringify(values);
+
+        if (!this.series.has(key))
+        {
+            this.series.set(key, {
+                labels: Object.fromEntries(this.labelNames.map((name, index) => [name, values[index]])),
+                ...create()
+            });
+        }
+        return this.series.get(key);
+    }
+
+    /**
+     * 📝 HELP and TYPE lines followed by the samples
+     */
+    render()
+    {
+        return [
+            `# HELP ${this.name} ${this.help.replace(/\\/g, '\\\\').replace(/\n/g, '\\n')}`,
+            `# TYPE ${this.name} ${this.type}`,
+            ...this.samples()
+        ].join('\n');
+    }
+}
+
+class Counter extends Metric
+{
+    constructor(options)
+    {
+        super('counter', options);
+    }
+
+    /**
+     * ➕ Add `amount` (default 1) to the series for `labels`
+     */
+    inc(labels = {}, amount = 1)
+    {
+        if (!(amount >= 0)) return;
+        this.seriesFor(labels, () => ({ value: 0 })).value += amount;
+    }
+
+    samples()
+    {
+        return [...this.series.values()].map(series => `${this.name}${formatLabels(series.labels)} ${formatValue(series.value)}`);
+    }
+}
+
+class Gauge extends Metric
+{
+    /**
+     * @param {object} options - See Metric, plus:
+     * @param {Function} [options.collect] - Called before every render to set current values
+     */
+    constructor({ collect = null, ...options })
+    {
+        super('gauge', options);
+        this.collect = collect;
+    }
+
+    /**
+     * 🎚️ Set the series for `labels` to `value`
+     */
+    set(labels = {}, value)
+    {
+        this.seriesFor(labels, () => ({ value: 0 })).value = value;
+    }
+
+    samples()
+    {
+        this.collect?.(this);
+        return [...this.series.values()].map(series => `${this.name}${formatLabels(series.labels)} ${formatValue(series.value)}`);
+    }
+}
+
+class Histogram extends Metric
+{
+    /**
+     * @param {object} options - See Metric, plus:
+     * @param {number[]} options.buckets - Upper bounds, ascending; +Inf is added
+     */
+    constructor({ buckets, ...options })
+    {
+        super('histogram', options);
+        this.buckets = [...buckets].sort((a, b) => a - b);
+    }
+
+    /**
+     * 📥 Record one observation in the series for `labels`
+     */
+    observe(labels = {}, value)
+    {
+        if (!Number.isFinite(value)) return;
+
+        const series = this.seriesFor(labels, () => ({ counts: this.buckets.map(() => 0), sum: 0, count: 0 }));
+
+        this.buckets.forEach((bound, index) =>
+        {
+            if (value <= bound) series.counts[index]++;
+        });
+        series.sum += value;
+        series.count++;
+    }
+
+    samples()
+    {
+        return [...this.series.values()].flatMap(series => [
+            ...this.buckets.map((bound, index) =>
+                `${this.name}_bucket${formatLabels({ ...series.labels, le: formatValue(bound) })} ${series.counts[index]}`),
+            `${this.name}_bucket${formatLabels({ ...series.labels, le: '+Inf' })} ${series.count}`,
+            `${this.name}_sum${formatLabels(series.labels)} ${formatValue(series.sum)}`,
+            `${this.name}_count${formatLabels(series.labels)} ${series.count}`
+        ]);
+    }
+}
+
+class MetricsRegistry
+{
+    constructor()
+    {
+        this.metrics = new Map();
+    }
+
+    counter(options)
+    {
+        return this.register(new Counter(options));
+    }
+
+    gauge(options)
+    {
+        return this.register(new Gauge(options));
+    }
+
+    histogram(options)
+    {
+        return this.register(new Histogram(options));
+    }
+
+    register(metric)
+    {
+        if (this.metrics.has(metric.name))
+        {
+            throw new Error(`Metric ${metric.name} is already registered`);
+        }
+        this.metrics.set(metric.name, metric);
+        return metric;
+    }
+
+    /**
+     * 📄 Every metric in Prometheus text exposition format
+     */
+    render()
+    {
+        return [...this.metrics.values()].map(metric => metric.render()).join('\n') + '\n';
+    }
+}
+
+module.exports = {
+    MetricsRegistry,
+    Counter,
+    Gauge,
+    Histogram,
+    CONTENT_TYPE
+};
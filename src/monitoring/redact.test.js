@@ -0,0 +1,90 @@
+/**
+ * 🧪 Redact tests - secrets masked wherever they sit in the configuration
+ *
+ * Author: Mad Tinker
+ * Project: Madness Interactive - Whispermind_Conduit
+ */
+
+const { redactConfig, stripCredentials, REDACTED } = require('./redact');
+const { loadTransportConfig } = require('../transports');
+
+describe('redactConfig', () =>
+{
+    test('masks backend API keys and leaves the rest alone', () =>
+    {
+        const config = {
+            providers: {
+                enabled: ['openai'],
+                openai: { type: 'openai', baseUrl: 'http://localhost:8080', apiKey: 'sk-live-123', timeout: 30000 }
+            }
+        };
+
+        expect(redactConfig(config)).toEqual({
+            providers: {
+                enabled: ['openai'],
+                openai: { type: 'openai', baseUrl: 'http://localhost:8080', apiKey: REDACTED, timeout: 30000 }
+            }
+        });
+    });
+
+    test('masks the HTTP API key', () =>
+    {
+        process.env.HTTP_API_KEY = 'http-key-123';
+        try
+        {
+            const redacted = redactConfig({ transports: loadTransportConfig(['http']) });
+
+            expect(redacted.transports.http.apiKey).toBe(REDACTED);
+            expect(JSON.stringify(redacted)).not.toMatch(/http-key-123/);
+        } finally
+        {
+            delete process.env.HTTP_API_KEY;
+        }
+    });
+
+    test('masks passwords, tokens and secrets in any section', () =>
+    {
+        const redacted = redactConfig({
+            redis: { password: 'hunter2' },
+            admin: { token: 'admin-token' },
+            clients: [{ secret: 'shh' }]
+        });
+
+        expect(JSON.stringify(redacted)).not.toMatch(/hunter2|admin-token|shh/);
+    });
+
+    test('strips credentials from connection strings', () =>
+    {
+        const redacted = redactConfig({
+            archive: { uri: 'mongodb://app:s3cret@db:27017/whispermind?authSource=admin', database: 'whispermind' }
+        });
+
+        expect(redacted.archive).toEqual({ uri: 'mongodb://db:27017/whispermind?authSource=admin', database: 'whispermind' });
+    });
+
+    test.each([
+        ['mongodb+srv://app:p@ss@cluster0.example.net/db', 'mongodb+srv://cluster0.example.net/db'],
+        ['mongodb://app:pw@db1:27017,db2:27017/db', 'mongodb://db1:27017,db2:27017/db'],
+        ['mqtt://token@broker:1883', 'mqtt://broker:1883'],
+        ['mongodb://db:27017/db?x=a@b', 'mongodb://db:27017/db?x=a@b'],
+        ['http://localhost:1234', 'http://localhost:1234'],
+        ['not a uri', 'not a uri']
+    ])('stripCredentials(%j) is %j', (uri, expected) =>
+    {
+        expect(stripCredentials(uri)).toBe(expected);
+    });
+
+    test('keeps unset secrets visible as unset', () =>
+    {
+        expect(redactConfig({ apiKey: null, password: '' })).toEqual({ apiKey: null, password: '' });
+    });
+
+    test('does not touch the configuration it copies', () =>
+    {
+        const config = { openai: { apiKey: 'sk-live-123' } };
+
+        redactConfig(config);
+
+        expect(config.openai.apiKey).toBe('sk-live-123');
+    });
+});
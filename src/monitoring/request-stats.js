@@ -0,0 +1,92 @@
+/**
+ * 📈 RequestStats - Request outcomes since start and over a recent window
+ *
+ * Fed with every request outcome ({ status: 'completed' | 'failed' | 'rejected'
+ * | 'invalid' | 'cancelled' }). The recent window gives an error rate that
+ * reflects how the conduit is doing now, not since it booted.
+ *
+ * Author: Mad Tinker
+ * Project: Madness Interactive - Whispermind_Conduit
+ */
+
+const OUTCOMES = ['completed', 'failed', 'rejected', 'invalid', 'cancelled'];
+
+/**
+ * ➗ Failed share of requests that were actually attempted, or null before the first one
+ */
+function errorRate({ completed, failed })
+{
+    const attempted = completed + failed;
+    return attempted === 0 ? null : Number((failed / attempted).toFixed(4));
+}
+
+class RequestStats
+{
+    /**
+     * @param {object} [options]
+     * @param {number} [options.windowMs] - Length of the recent window
+     */
+    constructor({ windowMs = 300000 } = {})
+    {
+        this.windowMs = windowMs;
+        this.startedAt = new Date();
+        this.totals = Object.fromEntries(OUTCOMES.map(outcome => [outcome, 0]));
+        this.recent = [];
+        this.lastCompletedAt = null;
+        this.lastFailedAt = null;
+    }
+
+    /**
+     * ➕ Count one request outcome
+     */
+    record(outcome)
+    {
+        const status = OUTCOMES.includes(outcome?.status) ? outcome.status : 'failed';
+        const now = Date.now();
+
+        this.totals[status]++;
+        this.recent.push({ at: now, status });
+        this.prune(now);
+
+        if (status === 'completed') this.lastCompletedAt = new Date(now);
+        if (status === 'failed') this.lastFailedAt = new Date(now);
+    }
+
+    /**
+     * 🧹 Forget outcomes older than the window
+     */
+    prune(now = Date.now())
+    {
+        const cutoff = now - this.windowMs;
+        const firstKept = this.recent.findIndex(entry => entry.at >= cutoff);
+        this.recent.splice(0, firstKept === -1 ? this.recent.length : firstKept);
+    }
+
+    /**
+     * ⏱️ Seconds since the conduit started
+     */
+    get uptimeSeconds()
+    {
+        return Math.floor((Date.now() - this.startedAt.getTime()) / 1000);
+    }
+
+    /**
+     * 📊 Totals, the recent window and the last completion for status messages
+     */
+    describe()
+    {
+        this.prune();
+
+        const window = Object.fromEntries(OUTCOMES.map(outcome => [outcome, 0]));
+        this.recent.forEach(entry => window[entry.status]++);
+
+        return {
+            totals: { ...this.totals, error_rate: errorRate(this.totals) },
+            recent: { window_seconds: Math.round(this.windowMs / 1000), ...window, error_rate: errorRate(window) },
+            last_completed_at: this.lastCompletedAt?.toISOString() || null,
+            last_failed_at: this.lastFailedAt?.toISOString() || null
+        };
+    }
+}
+
+module.exports = RequestStats;
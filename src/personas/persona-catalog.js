@@ -0,0 +1,229 @@
+/**
+ * 🎭 PersonaCatalog - Named profiles that shape how the model answers
+ *
+ * A persona bundles a system prompt with generation defaults (temperature,
+ * max tokens, model) and an optional tool allow-list. Requests pick one with
+ * `persona`; without it the catalog's default applies. Request fields still
+ * win over persona defaults, except that `tools` may only narrow the persona's
+ * allow-list. The persona's `model` is a preference handed to the ModelRouter,
+ * which settles the model actually used.
+ *
+ * System prompts (and a request's own `system_prompt`) are templates -
+ * `{{name}}` is replaced with a variable. Built-in variables (user, thread_id,
+ * persona, model, date, time, datetime, service, madness_level, context) win
+ * over the request's `variables`, which win over the persona's `variables`.
+ * Unknown variables render as empty text.
+ *
+ * Personas file (JSON):
+ *
+ *   {
+ *     "default": "mad_tinker",
+ *     "personas": {
+ *       "mad_tinker": { "system_prompt": "You help {{user}} ...", "temperature": 0.7, "tools": ["mad_calculator"] }
+ *     }
+ *   }
+ *
+ * Author: Mad Tinker
+ * Project: Madness Interactive - Whispermind_Conduit
+ */
+
+const fs = require('fs').promises;
+const { z } = require('zod');
+
+const DEFAULT_SYSTEM_PROMPT = 'You are a helpful AI assistant with a touch of mad tinker creativity. Embrace the madness while being helpful!';
+
+const TEMPLATE_VARIABLE = /\{\{\s*([a-zA-Z_][\w]*)\s*\}\}/g;
+
+const VariableValue = z.union([z.string().max(2000), z.number(), z.boolean()]);
+
+const PersonaSchema = z.object({
+    description: z.string().optional(),
+    system_prompt: z.string().min(1),
+    temperature: z.number().min(0).max(2).optional(),
+    max_tokens: z.number().int().positive().max(32768).optional(),
+    model: z.string().min(1).optional(),
+    tools: z.array(z.string().min(1)).optional(),
+    variables: z.record(VariableValue).default({})
+});
+
+const PersonasConfigSchema = z.object({
+    default: z.string().min(1),
+    personas: z.record(PersonaSchema)
+}).refine(config => Object.hasOwn(config.personas, config.default), {
+    message: 'default must name one of the personas',
+    path: ['default']
+});
+
+const BUILTIN_PERSONAS = {
+    default: 'mad_tinker',
+    personas: {
+        mad_tinker: { system_prompt: DEFAULT_SYSTEM_PROMPT, variables: {} }
+    }
+};
+
+/**
+ * 📄 Read and validate a personas file - a missing file means the built-in persona only
+ */
+async function loadPersonas(filePath, logger)
+{
+    let raw;
+
+    try
+    {
+        raw = JSON.parse(await fs.readFile(filePath, 'utf8'));
+    } catch (error)
+    {
+        if (error.code !== 'ENOENT')
+        {
+            throw new Error(`Invalid personas file ${filePath}: ${error.message}`);
+        }
+        logger.warn('🎭 No personas file found, using the built-in persona only:', { filePath });
+        return BUILTIN_PERSONAS;
+    }
+
+    const parsed = PersonasConfigSchema.safeParse(raw);
+    if (!parsed.success)
+    {
+        const problems = parsed.error.issues.map(issue => `${issue.path.join('.') || 'personas'}: ${issue.message}`);
+        throw new Error(`Invalid personas file ${filePath}: ${problems.join('; ')}`);
+    }
+
+    return parsed.data;
+}
+
+/**
+ * 🧩 Replace every {{name}} in `template` with its variable
+ */
+function renderTemplate(template, variables)
+{
+    return template.replace(TEMPLATE_VARIABLE, (match, name) =>
+    {
+        const value = Object.hasOwn(variables, name) ? variables[name] : null;
+        return value === null || value === undefined ? '' : String(value);
+    });
+}
+
+class PersonaCatalog
+{
+    /**
+     * @param {object} config - Parsed personas file (see PersonasConfigSchema)
+     * @param {object} [overrides]
+     * @param {string} [overrides.defaultPersona] - Persona for requests without `persona`
+     */
+    constructor(config = BUILTIN_PERSONAS, overrides = {})
+    {
+        this.personas = new Map(Object.entries(config.personas));
+        this.defaultName = overrides.defaultPersona || config.default;
+
+        if (!this.personas.has(this.defaultName))
+        {
+            throw new Error(`Default persona '${this.defaultName}' is not defined (available: ${this.names().join(', ')})`);
+        }
+    }
+
+    names()
+    {
+        return [...this.personas.keys()];
+    }
+
+    has(name)
+    {
+        return this.personas.has(name);
+    }
+
+    /**
+     * 📄 The persona profile a request selects, or null when it doesn't exist
+     */
+    profileFor(request)
+    {
+        return this.personas.get(request.persona || this.defaultName) || null;
+    }
+
+    /**
+     * 🩺 Problems with a request's persona choice, in the shape of validation issues
+     */
+    validate(request)
+    {
+        const name = request.persona || this.defaultName;
+        const persona = this.personas.get(name);
+
+        if (!persona)
+        {
+            return [{
+                field: 'persona',
+                code: 'unknown_persona',
+                message: `Unknown persona '${name}' (available: ${this.names().join(', ')})`
+            }];
+        }
+
+        const forbidden = persona.tools && request.tools
+            ? request.tools.filter(toolName => !persona.tools.includes(toolName))
+            : [];
+
+        if (forbidden.length > 0)
+        {
+            return [{
+                field: 'tools',
+                code: 'tool_not_allowed',
+                message: `Persona '${name}' does not allow: ${forbidden.join(', ')}`
+            }];
+        }
+
+        return [];
+    }
+
+    /**
+     * 🎭 Settle the persona, prompt and generation settings for a request
+     *
+     * @param {object} request - Validated chat request (see `validate()`)
+     * @param {object} options
+     * @param {object} options.defaults - Conduit fallbacks: { temperature, max_tokens }
+     * @param {string} options.model - Model the request will run on
+     * @param {object} [options.variables] - Built-in template variables
+     * @returns {{ name: string, system_prompt: string, temperature: number, max_tokens: number, model: string, tools: string[]|null }}
+     */
+    resolve(request, { defaults, model, variables = {} })
+    {
+        const name = request.persona || this.defaultName;
+        const persona = this.personas.get(name);
+        if (!persona)
+        {
+            throw new Error(`Unknown persona '${name}'`);
+        }
+
+        const template = request.system_prompt || persona.system_prompt;
+
+        return {
+            name,
+            system_prompt: renderTemplate(template, {
+                ...persona.variables,
+                ...request.variables,
+                ...variables,
+                persona: name,
+                model
+            }).trim(),
+            temperature: request.temperature ?? persona.temperature ?? defaults.temperature,
+            max_tokens: request.max_tokens ?? persona.max_tokens ?? defaults.max_tokens,
+            model,
+            tools: request.tools || persona.tools || null
+        };
+    }
+
+    /**
+     * 📋 Persona setup for status messages
+     */
+    describe()
+    {
+        return {
+            default: this.defaultName,
+            personas: this.names()
+        };
+    }
+}
+
+module.exports = {
+    PersonaCatalog,
+    loadPersonas,
+    renderTemplate,
+    DEFAULT_SYSTEM_PROMPT
+};
@@ -0,0 +1,153 @@
+/**
+ * 🔌 CircuitBreaker - Stops sending work to a backend that keeps failing
+ *
+ * closed    → calls go through; `failureThreshold` failures in a row open it
+ * open      → calls are skipped until `resetTimeoutMs` has passed
+ * half_open → one trial call decides: success closes, failure opens again
+ *
+ * Author: Mad Tinker
+ * Project: Madness Interactive - Whispermind_Conduit
+ */
+
+class CircuitBreaker
+{
+    /**
+     * @param {object} [options]
+     * @param {number} [options.failureThreshold] - Consecutive failures that open the circuit
+     * @param {number} [options.resetTimeoutMs] - Time an open circuit waits before a trial call
+     */
+    constructor({ failureThreshold = 3, resetTimeoutMs = 30000 } = {})
+    {
+        this.failureThreshold = failureThreshold;
+        this.resetTimeoutMs = resetTimeoutMs;
+        this.state = 'closed';
+        this.failures = 0;
+        this.openedAt = null;
+        this.trialInFlight = false;
+        this.lastError = null;
+        this.lastSuccessAt = null;
+        this.lastFailureAt = null;
+        this.succeeded = 0;
+        this.failed = 0;
+
+        // Called on every state change: (state, previous) => void
+        this.onStateChange = null;
+    }
+
+    /**
+     * 🔄 Move to `state`, telling the listener when it actually changed
+     */
+    setState(state)
+    {
+        const previous = this.state;
+        this.state = state;
+
+        if (previous !== state)
+        {
+            this.onStateChange?.(state, previous);
+        }
+    }
+
+    /**
+     * 🚦 May a call go through right now? Claims the trial call of a half-open circuit.
+     */
+    tryAcquire()
+    {
+        if (this.state === 'open')
+        {
+            if (Date.now() - this.openedAt < this.resetTimeoutMs) return false;
+            this.setState('half_open');
+        }
+
+        if (this.state === 'half_open')
+        {
+            if (this.trialInFlight) return false;
+            this.trialInFlight = true;
+        }
+
+        return true;
+    }
+
+    /**
+     * ✅ The call worked - close the circuit
+     */
+    recordSuccess()
+    {
+        this.failures = 0;
+        this.succeeded++;
+        this.trialInFlight = false;
+        this.lastSuccessAt = new Date();
+        this.setState('closed');
+    }
+
+    /**
+     * 🔒 A health probe got through - close the circuit without counting a call
+     */
+    close()
+    {
+        this.failures = 0;
+        this.trialInFlight = false;
+        this.setState('closed');
+    }
+
+    /**
+     * ❌ The call failed - open the circuit once failures pile up (or the trial call failed)
+     */
+    recordFailure(error)
+    {
+        this.failures++;
+        this.failed++;
+        this.trialInFlight = false;
+        this.lastError = error?.message || String(error);
+        this.lastFailureAt = new Date();
+
+        if (this.state === 'half_open' || this.failures >= this.failureThreshold)
+        {
+            this.trip();
+        }
+    }
+
+    /**
+     * 🔓 Release a claimed call that ended without a verdict (e.g. it was cancelled)
+     */
+    release()
+    {
+        if (this.state === 'half_open')
+        {
+            this.trialInFlight = false;
+        }
+    }
+
+    /**
+     * ⛔ Open the circuit right away
+     */
+    trip(error = null)
+    {
+        if (error)
+        {
+            this.lastError = error.message || String(error);
+            this.lastFailureAt = new Date();
+        }
+        this.openedAt = Date.now();
+        this.trialInFlight = false;
+        this.setState('open');
+    }
+
+    describe()
+    {
+        return {
+            state: this.state,
+            consecutive_failures: this.failures,
+            last_error: this.lastError,
+            last_success: this.lastSuccessAt?.toISOString() || null,
+            last_failure: this.lastFailureAt?.toISOString() || null,
+            calls: {
+                succeeded: this.succeeded,
+                failed: this.failed,
+                error_rate: this.succeeded + this.failed === 0 ? null : Number((this.failed / (this.succeeded + this.failed)).toFixed(4))
+            }
+        };
+    }
+}
+
+module.exports = CircuitBreaker;
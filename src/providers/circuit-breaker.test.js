@@ -0,0 +1,115 @@
+/**
+ * 🧪 CircuitBreaker tests - closed, open and half-open transitions
+ *
+ * Author: Mad Tinker
+ * Project: Madness Interactive - Whispermind_Conduit
+ */
+
+const CircuitBreaker = require('./circuit-breaker');
+
+describe('CircuitBreaker', () =>
+{
+    let now;
+    let breaker;
+    let changes;
+
+    beforeEach(() =>
+    {
+        now = 1000000;
+        jest.spyOn(Date, 'now').mockImplementation(() => now);
+
+        breaker = new CircuitBreaker({ failureThreshold: 2, resetTimeoutMs: 5000 });
+        changes = [];
+        breaker.onStateChange = (state, previous) => changes.push(`${previous}>${state}`);
+    });
+
+    afterEach(() =>
+    {
+        jest.restoreAllMocks();
+    });
+
+    /**
+     * 🔓 Open the circuit with failures in a row
+     */
+    function open()
+    {
+        for (let i = 0; i < breaker.failureThreshold; i++)
+        {
+            breaker.tryAcquire();
+            breaker.recordFailure(new Error('down'));
+        }
+    }
+
+    test('opens after the threshold of consecutive failures', () =>
+    {
+        breaker.recordFailure(new Error('first'));
+        expect(breaker.state).toBe('closed');
+
+        breaker.recordFailure(new Error('second'));
+        expect(breaker.state).toBe('open');
+        expect(breaker.tryAcquire()).toBe(false);
+        expect(breaker.describe()).toMatchObject({ consecutive_failures: 2, last_error: 'second' });
+    });
+
+    test('a success in between resets the count', () =>
+    {
+        breaker.recordFailure(new Error('one'));
+        breaker.recordSuccess();
+        breaker.recordFailure(new Error('two'));
+
+        expect(breaker.state).toBe('closed');
+    });
+
+    test('lets one trial call through once the reset timeout has passed', () =>
+    {
+        open();
+        now += 5000;
+
+        expect(breaker.tryAcquire()).toBe(true);
+        expect(breaker.state).toBe('half_open');
+        expect(breaker.tryAcquire()).toBe(false);
+    });
+
+    test('a successful trial closes the circuit', () =>
+    {
+        open();
+        now += 5000;
+        breaker.tryAcquire();
+        breaker.recordSuccess();
+
+        expect(breaker.state).toBe('closed');
+        expect(changes).toEqual(['closed>open', 'open>half_open', 'half_open>closed']);
+    });
+
+    test('a failed trial opens it again for another timeout', () =>
+    {
+        open();
+        now += 5000;
+        breaker.tryAcquire();
+        breaker.recordFailure(new Error('still down'));
+
+        expect(breaker.state).toBe('open');
+        now += 4999;
+        expect(breaker.tryAcquire()).toBe(false);
+    });
+
+    test('releasing a trial without a verdict lets the next call try', () =>
+    {
+        open();
+        now += 5000;
+        breaker.tryAcquire();
+        breaker.release();
+
+        expect(breaker.state).toBe('half_open');
+        expect(breaker.tryAcquire()).toBe(true);
+    });
+
+    test('close() after a probe resets without counting a call', () =>
+    {
+        open();
+        breaker.close();
+
+        expect(breaker.state).toBe('closed');
+        expect(breaker.describe().calls).toEqual({ succeeded: 0, failed: 2, error_rate: 1 });
+    });
+});
@@ -0,0 +1,361 @@
+/**
+ * 🔀 Provider Layer - LLM backends tried in order until one answers
+ *
+ * LLM_PROVIDERS lists backends by name, first choice first. A request goes to
+ * the first backend whose circuit breaker lets it through; when that backend
+ * fails, the next one gets the same request. Failing over stops once a
+ * backend has produced visible output (streamed text, tool calls), so clients
+ * never see an answer twice.
+ *
+ * Only the backend's own failures count against its circuit: errors the
+ * request caused (a RequestError, or an HTTP 400/413/422 from the backend)
+ * would fail on every backend, so they are passed on without failing over.
+ *
+ * A backend whose circuit opens is probed in the background with backoff
+ * (its `connect()` check), and its circuit closes as soon as a probe succeeds.
+ *
+ * Built-in names: `lmstudio` (SDK), `lmstudio_http` (LM Studio's OpenAI API),
+ * `openai` (any OpenAI-compatible endpoint) and `stub` (canned reply).
+ * Adding a backend: subclass `Provider`, then `registerProvider('name', Class)`
+ * and give it a config entry.
+ *
+ * Author: Mad Tinker
+ * Project: Madness Interactive - Whispermind_Conduit
+ */
+
+const Provider = require('./provider');
+const CircuitBreaker = require('./circuit-breaker');
+const LMStudioProvider = require('./lmstudio-provider');
+const OpenAIProvider = require('./openai-provider');
+const StubProvider = require('./stub-provider');
+const { loadReconnectConfig, backoffDelay } = require('../resilience/backoff');
+
+const providerTypes = new Map([
+    ['lmstudio', LMStudioProvider],
+    ['openai', OpenAIProvider],
+    ['stub', StubProvider]
+]);
+
+class ProvidersUnavailableError extends Error
+{
+    /**
+     * @param {object[]} failures - { provider, error } for every backend that was tried
+     * @param {string[]} skipped - Backends whose circuit was open
+     */
+    constructor(failures, skipped)
+    {
+        const tried = failures.map(failure => `${failure.provider}: ${failure.error}`);
+        super(`No LLM backend could answer (${[...tried, ...skipped.map(name => `${name}: circuit open`)].join('; ') || 'none configured'})`);
+        this.name = 'ProvidersUnavailableError';
+        this.code = 'BACKENDS_UNAVAILABLE';
+        this.failures = failures;
+        this.skipped = skipped;
+    }
+}
+
+/**
+ * 🙅 The request, not the backend, is at fault - e.g. a tool the agent ran threw
+ *
+ * Doesn't count against the backend's circuit and isn't retried on another backend.
+ */
+class RequestError extends Error
+{
+    constructor(message, options)
+    {
+        super(message, options);
+        this.name = 'RequestError';
+        this.code = 'REQUEST_FAILED';
+    }
+}
+
+// Backend answers that refuse the request itself rather than signal trouble
+const REQUEST_FAULT_STATUSES = new Set([400, 413, 422]);
+
+/**
+ * ⚖️ True when an error says something about the backend's health
+ */
+function isBackendFault(error)
+{
+    return !(error instanceof RequestError) && !REQUEST_FAULT_STATUSES.has(error?.response?.status);
+}
+
+/**
+ * ➕ Register an additional provider implementation
+ */
+function registerProvider(type, ProviderClass)
+{
+    providerTypes.set(type, ProviderClass);
+}
+
+/**
+ * ⚙️ Build provider configuration from the environment
+ *
+ * @param {string[]} defaultProviders - Backends used when LLM_PROVIDERS is unset
+ * @param {string} defaultModel - Model the SDK backend warms at startup
+ */
+function loadProviderConfig(defaultProviders, defaultModel)
+{
+    const lmStudioUrl = process.env.LM_STUDIO_URL || `http://localhost:${parseInt(process.env.LM_STUDIO_PORT) || 1234}`;
+    const timeout = parseInt(process.env.LM_STUDIO_TIMEOUT) || 30000;
+    const enabled = (process.env.LLM_PROVIDERS || '').split(',').map(name => name.trim()).filter(Boolean);
+
+    return {
+        enabled: enabled.length > 0 ? enabled : defaultProviders,
+        breaker: {
+            failureThreshold: parseInt(process.env.PROVIDER_FAILURE_THRESHOLD) || 3,
+            resetTimeoutMs: parseInt(process.env.PROVIDER_RESET_TIMEOUT_MS) || 30000
+        },
+        reconnect: loadReconnectConfig(),
+        lmstudio: {
+            type: 'lmstudio',
+            baseUrl: lmStudioUrl.replace(/^http/, 'ws'),
+            defaultModel,
+            maxLoaded: parseInt(process.env.MODEL_MAX_LOADED) || 2
+        },
+        lmstudio_http: {
+            type: 'openai',
+            baseUrl: lmStudioUrl,
+            timeout
+        },
+        openai: {
+            type: 'openai',
+            baseUrl: (process.env.OPENAI_BASE_URL || 'http://localhost:8080').replace(/\/+$/, ''),
+            apiKey: process.env.OPENAI_API_KEY || null,
+            model: process.env.OPENAI_MODEL || null,
+            timeout: parseInt(process.env.OPENAI_TIMEOUT) || timeout
+        },
+        stub: {
+            type: 'stub',
+            response: process.env.STUB_RESPONSE ||
+                'The neural bridge is offline right now - none of its language models can be reached. Please try again shortly.'
+        }
+    };
+}
+
+/**
+ * 🔀 ProviderChain - Owns the enabled backends, their breakers and the fail-over order
+ */
+class ProviderChain
+{
+    constructor(config, logger)
+    {
+        this.logger = logger;
+        this.reconnect = config.reconnect;
+        this.stopping = false;
+
+        // Set by the conduit: (provider, state) => void
+        this.onStateChange = null;
+
+        this.providers = config.enabled.map(name =>
+        {
+            const providerConfig = config[name];
+            const ProviderClass = providerConfig && providerTypes.get(providerConfig.type);
+            if (!ProviderClass)
+            {
+                throw new Error(`Unknown LLM provider '${name}' - configured providers: ${Object.keys(config).filter(key => config[key]?.type).join(', ')}`);
+            }
+
+            const entry = {
+                provider: new ProviderClass(name, providerConfig, logger),
+                breaker: new CircuitBreaker(config.breaker),
+                probeTimer: null,
+                probeAttempts: 0
+            };
+
+            entry.breaker.onStateChange = (state) =>
+            {
+                if (state === 'open')
+                {
+                    this.scheduleProbe(entry);
+                } else if (state === 'closed')
+                {
+                    entry.probeAttempts = 0;
+                }
+                this.onStateChange?.(entry.provider, state);
+            };
+
+            return entry;
+        });
+    }
+
+    /**
+     * ✅ True while some real backend (not the stub) can take requests
+     */
+    get healthy()
+    {
+        const real = this.providers.filter(({ provider }) => provider.type !== 'stub');
+        return real.length === 0 || real.some(({ breaker }) => breaker.state !== 'open');
+    }
+
+    /**
+     * 🪫 True when a stub backend answers once every real one is down
+     */
+    get hasFallback()
+    {
+        return this.providers.some(({ provider }) => provider.type === 'stub');
+    }
+
+    /**
+     * ⏳ Probe a backend with an open circuit after a backoff delay
+     */
+    scheduleProbe(entry)
+    {
+        if (entry.probeTimer || this.stopping) return;
+
+        const delay = backoffDelay(entry.probeAttempts++, this.reconnect);
+        entry.probeTimer = setTimeout(() => this.probe(entry), delay);
+    }
+
+    /**
+     * 🩺 Check whether a backend is back - success closes its circuit, failure probes again later
+     */
+    async probe(entry)
+    {
+        const { provider, breaker } = entry;
+        entry.probeTimer = null;
+
+        if (this.stopping || breaker.state === 'closed') return;
+
+        try
+        {
+            await provider.connect();
+            this.logger.info('✅ LLM backend reachable again:', { provider: provider.name, attempts: entry.probeAttempts });
+            breaker.close();
+        } catch (error)
+        {
+            this.logger.warn('⚠️ LLM backend still unavailable:', { provider: provider.name, attempts: entry.probeAttempts, error: error.message });
+
+            if (breaker.state === 'open')
+            {
+                breaker.trip(error);
+            }
+            this.scheduleProbe(entry);
+        }
+    }
+
+    /**
+     * 🔌 Connect every backend - one that can't be reached starts with its circuit open
+     */
+    async connectAll()
+    {
+        for (const { provider, breaker } of this.providers)
+        {
+            try
+            {
+                await provider.connect();
+            } catch (error)
+            {
+                this.logger.warn('⚠️ LLM backend unavailable at startup:', { provider: provider.name, error: error.message });
+                breaker.trip(error);
+            }
+        }
+    }
+
+    /**
+     * 🔀 Run `operation(provider)` on the first backend that succeeds
+     *
+     * @param {Function} operation - async (provider) => result
+     * @param {object} [options]
+     * @param {AbortSignal} [options.signal] - An aborted request never fails over
+     * @param {Function} [options.canFailOver] - Returns false once the failed attempt produced visible output
+     * @returns {Promise<{ result: *, provider: Provider, failedOver: string[] }>}
+     * @throws {ProvidersUnavailableError} when every backend failed or was skipped
+     */
+    async run(operation, { signal = null, canFailOver = () => true } = {})
+    {
+        const failures = [];
+        const skipped = [];
+
+        for (const { provider, breaker } of this.providers)
+        {
+            if (!breaker.tryAcquire())
+            {
+                skipped.push(provider.name);
+                continue;
+            }
+
+            try
+            {
+                const result = await operation(provider);
+                breaker.recordSuccess();
+
+                if (failures.length > 0)
+                {
+                    this.logger.warn('🔀 Answered by fallback backend:', { provider: provider.name, failed: failures.map(failure => failure.provider) });
+                }
+                return { result, provider, failedOver: failures.map(failure => failure.provider) };
+            } catch (error)
+            {
+                if (signal?.aborted)
+                {
+                    breaker.release();
+                    throw error;
+                }
+
+                if (!isBackendFault(error))
+                {
+                    breaker.release();
+                    this.logger.warn('🙅 Request failed on LLM backend through no fault of its own:', { provider: provider.name, error: error.message });
+                    throw error;
+                }
+
+                breaker.recordFailure(error);
+                failures.push({ provider: provider.name, error: error.message });
+                this.logger.warn('💥 LLM backend failed:', { provider: provider.name, error: error.message, circuit: breaker.state });
+
+                if (!canFailOver())
+                {
+                    throw error;
+                }
+            }
+        }
+
+        throw new ProvidersUnavailableError(failures, skipped);
+    }
+
+    /**
+     * 🛑 Disconnect every backend
+     */
+    async disconnectAll()
+    {
+        this.stopping = true;
+
+        for (const { provider, probeTimer } of this.providers)
+        {
+            clearTimeout(probeTimer);
+
+            try
+            {
+                await provider.disconnect();
+            } catch (error)
+            {
+                this.logger.warn('⚠️ Failed to disconnect LLM backend:', { provider: provider.name, error: error.message });
+            }
+        }
+    }
+
+    /**
+     * 📊 Describe every backend and its circuit for status messages
+     */
+    describe()
+    {
+        return this.providers.map(({ provider, breaker }) => ({
+            ...provider.describe(),
+            circuit: breaker.describe()
+        }));
+    }
+}
+
+module.exports = {
+    Provider,
+    CircuitBreaker,
+    LMStudioProvider,
+    OpenAIProvider,
+    StubProvider,
+    ProviderChain,
+    ProvidersUnavailableError,
+    RequestError,
+    isBackendFault,
+    registerProvider,
+    loadProviderConfig
+};
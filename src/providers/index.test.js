@@ -0,0 +1,163 @@
+/**
+ * 🧪 ProviderChain tests - fail-over order, circuits and errors that aren't the backend's fault
+ *
+ * Author: Mad Tinker
+ * Project: Madness Interactive - Whispermind_Conduit
+ */
+
+const { ProviderChain, ProvidersUnavailableError, RequestError, isBackendFault, registerProvider, Provider } = require('./index');
+
+const logger = { info: () => {}, warn: () => {}, error: () => {} };
+
+/**
+ * 🎭 Backend whose every call runs the test's `answer(name)`
+ */
+class ScriptedProvider extends Provider
+{
+    constructor(name, config, log)
+    {
+        super(name, 'scripted', config, log);
+    }
+
+    async chat()
+    {
+        return this.config.answer(this.name);
+    }
+}
+
+registerProvider('scripted', ScriptedProvider);
+
+/**
+ * 🔀 A chain of scripted backends, first choice first
+ */
+function chainOf(answers, { failureThreshold = 2 } = {})
+{
+    const names = Object.keys(answers);
+
+    return new ProviderChain({
+        enabled: names,
+        breaker: { failureThreshold, resetTimeoutMs: 60000 },
+        reconnect: { baseDelayMs: 60000, maxDelayMs: 60000 },
+        ...Object.fromEntries(names.map(name => [name, { type: 'scripted', answer: answers[name] }]))
+    }, logger);
+}
+
+/**
+ * 📡 An axios-style error carrying an HTTP status
+ */
+function httpError(status)
+{
+    return Object.assign(new Error(`Request failed with status code ${status}`), { response: { status } });
+}
+
+const circuitOf = (chain, name) => chain.providers.find(({ provider }) => provider.name === name).breaker.state;
+
+describe('ProviderChain', () =>
+{
+    let chain;
+
+    afterEach(async () =>
+    {
+        // Stops the probes scheduled for opened circuits
+        await chain?.disconnectAll();
+    });
+
+    test('answers from the first backend that works', async () =>
+    {
+        chain = chainOf({
+            primary: () => { throw new Error('ECONNREFUSED'); },
+            backup: (name) => ({ content: `from ${name}` })
+        });
+
+        const { result, provider, failedOver } = await chain.run(backend => backend.chat());
+
+        expect(result.content).toBe('from backup');
+        expect(provider.name).toBe('backup');
+        expect(failedOver).toEqual(['primary']);
+    });
+
+    test('skips a backend once its circuit is open', async () =>
+    {
+        const calls = [];
+        chain = chainOf({
+            primary: (name) => { calls.push(name); throw new Error('timeout'); },
+            backup: (name) => { calls.push(name); return { content: 'ok' }; }
+        });
+
+        for (let i = 0; i < 3; i++)
+        {
+            await chain.run(backend => backend.chat());
+        }
+
+        expect(circuitOf(chain, 'primary')).toBe('open');
+        expect(calls).toEqual(['primary', 'backup', 'primary', 'backup', 'backup']);
+        expect(chain.healthy).toBe(true);
+    });
+
+    test('throws ProvidersUnavailableError naming every failure and skipped backend', async () =>
+    {
+        chain = chainOf({ only: () => { throw new Error('down'); } }, { failureThreshold: 1 });
+
+        await expect(chain.run(backend => backend.chat())).rejects.toBeInstanceOf(ProvidersUnavailableError);
+
+        const error = await chain.run(backend => backend.chat()).catch(caught => caught);
+        expect(error.code).toBe('BACKENDS_UNAVAILABLE');
+        expect(error.skipped).toEqual(['only']);
+        expect(chain.healthy).toBe(false);
+    });
+
+    test.each([
+        ['a RequestError', () => new RequestError('Tool mad_calculator failed: bad input')],
+        ['an HTTP 400', () => httpError(400)],
+        ['an HTTP 413', () => httpError(413)],
+        ['an HTTP 422', () => httpError(422)]
+    ])('%s is passed on without failing over or counting against the circuit', async (label, makeError) =>
+    {
+        const backup = jest.fn(() => ({ content: 'ok' }));
+        chain = chainOf({ primary: () => { throw makeError(); }, backup }, { failureThreshold: 1 });
+
+        await expect(chain.run(backend => backend.chat())).rejects.toThrow();
+
+        expect(backup).not.toHaveBeenCalled();
+        expect(circuitOf(chain, 'primary')).toBe('closed');
+    });
+
+    test('an aborted request never fails over', async () =>
+    {
+        const controller = new AbortController();
+        const backup = jest.fn(() => ({ content: 'ok' }));
+        chain = chainOf({
+            primary: () => { controller.abort(); throw new Error('aborted'); },
+            backup
+        }, { failureThreshold: 1 });
+
+        await expect(chain.run(backend => backend.chat(), { signal: controller.signal })).rejects.toThrow('aborted');
+
+        expect(backup).not.toHaveBeenCalled();
+        expect(circuitOf(chain, 'primary')).toBe('closed');
+    });
+
+    test('stops failing over once the attempt produced visible output', async () =>
+    {
+        const backup = jest.fn(() => ({ content: 'ok' }));
+        chain = chainOf({ primary: () => { throw new Error('stream broke'); }, backup });
+
+        await expect(chain.run(backend => backend.chat(), { canFailOver: () => false })).rejects.toThrow('stream broke');
+
+        expect(backup).not.toHaveBeenCalled();
+    });
+});
+
+describe('isBackendFault', () =>
+{
+    test.each([
+        [new Error('ECONNRESET'), true],
+        [httpError(500), true],
+        [httpError(429), true],
+        [httpError(400), false],
+        [new RequestError('bad tool call'), false]
+    ])('%s -> %s', (error, expected) =>
+    {
+        expect(isBackendFault(error)).toBe(expected);
+    });
+});
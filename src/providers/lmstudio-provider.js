@@ -0,0 +1,176 @@
+/**
+ * 🤖 LM Studio Provider - Native LM Studio SDK backend with agent tool support
+ *
+ * Models are loaded through a ModelPool, so a model stays pinned while it
+ * answers and the least recently used idle model makes room for new ones.
+ *
+ * Author: Mad Tinker
+ * Project: Madness Interactive - Whispermind_Conduit
+ */
+
+const { LMStudioClient } = require('@lmstudio/sdk');
+const Provider = require('./provider');
+const ModelPool = require('../models/model-pool');
+
+/**
+ * 🔢 Map LM Studio prediction stats onto OpenAI style usage
+ */
+function usageFromStats(stats)
+{
+    if (!stats) return null;
+
+    return {
+        prompt_tokens: stats.promptTokensCount ?? null,
+        completion_tokens: stats.predictedTokensCount ?? null,
+        total_tokens: stats.totalTokensCount ?? null
+    };
+}
+
+class LMStudioProvider extends Provider
+{
+    constructor(name, config, logger)
+    {
+        super(name, 'lmstudio', config, logger);
+        this.client = null;
+        this.pool = new ModelPool({
+            load: (modelKey) => this.getClient().llm.model(modelKey),
+            unload: (modelKey, model) => model.unload(),
+            maxLoaded: config.maxLoaded
+        }, logger);
+    }
+
+    get supportsTools()
+    {
+        return true;
+    }
+
+    getClient()
+    {
+        if (!this.client)
+        {
+            this.client = new LMStudioClient({ baseUrl: this.config.baseUrl });
+        }
+        return this.client;
+    }
+
+    /**
+     * 🔌 Connect and warm the default model - other models load when first needed
+     *
+     * This is also the probe for an open circuit, so it has to reach LM Studio
+     * every time: a model handle the pool already holds answers without asking.
+     * When the check fails, the client and its handles are dropped and the
+     * next attempt starts on a fresh connection.
+     */
+    async connect()
+    {
+        this.logger.info('🤖 Connecting to LM Studio SDK...', { baseUrl: this.config.baseUrl });
+
+        try
+        {
+            await this.getClient().llm.listLoaded();
+            await this.pool.use(this.config.defaultModel, async () => {});
+        } catch (error)
+        {
+            await this.reset();
+            throw error;
+        }
+
+        this.logger.info('✅ LM Studio SDK ready!', { model: this.config.defaultModel });
+    }
+
+    /**
+     * ♻️ Forget the client and every handle it loaded
+     */
+    async reset()
+    {
+        const client = this.client;
+        this.client = null;
+        this.pool.discard();
+
+        try
+        {
+            await client?.[Symbol.asyncDispose]();
+        } catch (error)
+        {
+            this.logger.warn('⚠️ Failed to close LM Studio client:', { error: error.message });
+        }
+    }
+
+    async chat({ messages, model, temperature, maxTokens, signal, onFragment, structured })
+    {
+        return this.pool.use(model, async (handle) =>
+        {
+            const result = await handle.respond(messages, {
+                temperature,
+                maxTokens,
+                signal,
+                ...(structured && !onFragment && { structured }),
+                ...(onFragment && { onPredictionFragment: (fragment) => onFragment(fragment.content) })
+            });
+
+            return {
+                content: result.content,
+                parsed: structured && !onFragment ? result.parsed : undefined,
+                usage: usageFromStats(result.stats),
+                model
+            };
+        });
+    }
+
+    async act({ messages, model, temperature, maxTokens, signal, onFragment, tools, maxRounds, onRoundStart, onMessage })
+    {
+        return this.pool.use(model, async (handle) =>
+        {
+            // .act() reports no final text - the last assistant message is the answer
+            let content = '';
+            let usage = null;
+
+            await handle.act(messages, tools, {
+                temperature,
+                maxTokens,
+                signal,
+                maxPredictionRounds: maxRounds,
+                onRoundStart,
+                onMessage: (message) =>
+                {
+                    if (message.getRole() === 'assistant')
+                    {
+                        content = message.getText();
+                    }
+                    onMessage?.(message);
+                },
+                onPredictionFragment: (fragment) => onFragment?.(fragment.content, { round: fragment.roundIndex }),
+                // Every round is a prediction of its own - add their token counts up
+                onPredictionCompleted: (prediction) =>
+                {
+                    const round = usageFromStats(prediction.stats);
+                    if (!round) return;
+
+                    usage = usage || { prompt_tokens: 0, completion_tokens: 0, total_tokens: 0 };
+                    for (const field of Object.keys(usage))
+                    {
+                        usage[field] += round[field] ?? 0;
+                    }
+                }
+            });
+
+            return { content, usage, model };
+        });
+    }
+
+    async disconnect()
+    {
+        await this.pool.clear();
+    }
+
+    describe()
+    {
+        return {
+            ...super.describe(),
+            base_url: this.config.baseUrl,
+            models: this.pool.describe()
+        };
+    }
+}
+
+module.exports = LMStudioProvider;
@@ -0,0 +1,83 @@
+/**
+ * 🧪 LM Studio Provider tests - the connect() check that probes an open circuit
+ *
+ * Author: Mad Tinker
+ * Project: Madness Interactive - Whispermind_Conduit
+ */
+
+const LMStudioProvider = require('./lmstudio-provider');
+
+const logger = { info: () => {}, warn: () => {}, error: () => {} };
+
+/**
+ * 🎭 Stand-in for LMStudioClient: `up` decides whether LM Studio answers
+ */
+function fakeClient(state)
+{
+    return {
+        llm: {
+            listLoaded: jest.fn(async () =>
+            {
+                if (!state.up) throw new Error('connect ECONNREFUSED');
+                return [];
+            }),
+            model: jest.fn(async (modelKey) => ({ modelKey, unload: async () => {} }))
+        },
+        [Symbol.asyncDispose]: jest.fn(async () => {})
+    };
+}
+
+describe('LMStudioProvider.connect', () =>
+{
+    let state;
+    let clients;
+    let provider;
+
+    beforeEach(() =>
+    {
+        state = { up: true };
+        clients = [];
+        provider = new LMStudioProvider('lmstudio', { baseUrl: 'ws://localhost:1234', defaultModel: 'qwen', maxLoaded: 2 }, logger);
+        provider.getClient = () =>
+        {
+            if (!provider.client)
+            {
+                provider.client = fakeClient(state);
+                clients.push(provider.client);
+            }
+            return provider.client;
+        };
+    });
+
+    test('warms the default model', async () =>
+    {
+        await provider.connect();
+
+        expect(clients[0].llm.model).toHaveBeenCalledWith('qwen');
+        expect(provider.describe().models.loaded).toEqual([expect.objectContaining({ model: 'qwen', ready: true })]);
+    });
+
+    test('fails while LM Studio is down even with the model handle cached', async () =>
+    {
+        await provider.connect();
+        state.up = false;
+
+        await expect(provider.connect()).rejects.toThrow('ECONNREFUSED');
+    });
+
+    test('a failed check drops the client and its handles, and the next one starts afresh', async () =>
+    {
+        await provider.connect();
+        state.up = false;
+        await provider.connect().catch(() => {});
+
+        expect(clients[0][Symbol.asyncDispose]).toHaveBeenCalled();
+        expect(provider.describe().models.loaded).toEqual([]);
+
+        state.up = true;
+        await provider.connect();
+
+        expect(clients).toHaveLength(2);
+        expect(clients[1].llm.model).toHaveBeenCalledWith('qwen');
+    });
+});
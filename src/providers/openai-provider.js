@@ -0,0 +1,181 @@
+/**
+ * 🌐 OpenAI-compatible Provider - Any /v1/chat/completions endpoint
+ *
+ * Works with LM Studio's HTTP server, llama.cpp server, Ollama, vLLM and
+ * friends. Set `model` in the config to send one fixed model name instead of
+ * the routed one (for servers that name their models differently).
+ *
+ * Author: Mad Tinker
+ * Project: Madness Interactive - Whispermind_Conduit
+ */
+
+const axios = require('axios');
+const Provider = require('./provider');
+
+class OpenAIProvider extends Provider
+{
+    constructor(name, config, logger)
+    {
+        super(name, 'openai', config, logger);
+    }
+
+    get headers()
+    {
+        return {
+            'Content-Type': 'application/json',
+            ...(this.config.apiKey && { 'Authorization': `Bearer ${this.config.apiKey}` })
+        };
+    }
+
+    /**
+     * 🔌 List the endpoint's models to prove it is up
+     */
+    async connect()
+    {
+        this.logger.info('🔍 Verifying OpenAI-compatible endpoint...', { provider: this.name, baseUrl: this.config.baseUrl });
+
+        const response = await axios.get(`${this.config.baseUrl}/v1/models`, {
+            timeout: 5000,
+            headers: this.headers
+        });
+
+        this.logger.info('✅ OpenAI-compatible endpoint ready!', {
+            provider: this.name,
+            availableModels: response.data.data?.length || 0
+        });
+    }
+
+    async chat({ messages, model, temperature, maxTokens, signal, onFragment })
+    {
+        const chatRequest = {
+            model: this.config.model || model,
+            messages,
+            temperature,
+            max_tokens: maxTokens,
+            stream: Boolean(onFragment)
+        };
+
+        const completion = onFragment
+            ? await this.streamChatCompletion(chatRequest, onFragment, signal)
+            : await this.fetchChatCompletion(chatRequest, signal);
+
+        return { ...completion, model: chatRequest.model };
+    }
+
+    /**
+     * 📦 Request a complete chat completion in one response
+     */
+    async fetchChatCompletion(chatRequest, signal = null)
+    {
+        const response = await axios.post(
+            `${this.config.baseUrl}/v1/chat/completions`,
+            chatRequest,
+            {
+                timeout: this.config.timeout,
+                signal,
+                headers: this.headers
+            }
+        );
+
+        return {
+            content: response.data.choices[0]?.message?.content,
+            usage: response.data.usage || null
+        };
+    }
+
+    /**
+     * 🌊 Request a streamed chat completion, forwarding every delta to `onFragment`
+     */
+    async streamChatCompletion(chatRequest, onFragment, signal = null)
+    {
+        const response = await axios.post(
+            `${this.config.baseUrl}/v1/chat/completions`,
+            {
+                ...chatRequest,
+                stream_options: { include_usage: true }
+            },
+            {
+                timeout: this.config.timeout,
+                signal,
+                responseType: 'stream',
+                headers: {
+                    ...this.headers,
+                    'Accept': 'text/event-stream'
+                }
+            }
+        );
+
+        return new Promise((resolve, reject) =>
+        {
+            let buffer = '';
+            let content = '';
+            let usage = null;
+
+            // Stop reading as soon as the request is cancelled or times out
+            const onAbort = () => response.data.destroy(signal.reason);
+            signal?.addEventListener('abort', onAbort, { once: true });
+            response.data.on('close', () => signal?.removeEventListener('abort', onAbort));
+
+            const handleLine = (line) =>
+            {
+                if (!line.startsWith('data:')) return;
+
+                const data = line.slice(5).trim();
+                if (!data || data === '[DONE]') return;
+
+                const event = JSON.parse(data);
+                if (event.usage)
+                {
+                    usage = event.usage;
+                }
+
+                const delta = event.choices?.[0]?.delta?.content;
+                if (delta)
+                {
+                    content += delta;
+                    onFragment(delta);
+                }
+            };
+
+            response.data.on('data', (chunk) =>
+            {
+                buffer += chunk.toString();
+                const lines = buffer.split('\n');
+                buffer = lines.pop();
+
+                try
+                {
+                    lines.forEach(line => handleLine(line.trim()));
+                } catch (error)
+                {
+                    response.data.destroy(error);
+                }
+            });
+
+            response.data.on('end', () =>
+            {
+                try
+                {
+                    handleLine(buffer.trim());
+                    resolve({ content, usage });
+                } catch (error)
+                {
+                    reject(error);
+                }
+            });
+
+            response.data.on('error', reject);
+        });
+    }
+
+    describe()
+    {
+        return {
+            ...super.describe(),
+            base_url: this.config.baseUrl,
+            model: this.config.model || null
+        };
+    }
+}
+
+module.exports = OpenAIProvider;
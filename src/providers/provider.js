@@ -0,0 +1,89 @@
+/**
+ * 🧠 Provider - Base class for LLM backends
+ *
+ * A provider turns a chat (an array of { role, content } messages) into an
+ * answer. Every provider implements `chat()`; providers that can run agent
+ * tools also implement `act()` and report `supportsTools`. Results share one
+ * shape: { content, parsed?, usage, model }, with usage in OpenAI form.
+ *
+ * Author: Mad Tinker
+ * Project: Madness Interactive - Whispermind_Conduit
+ */
+
+class Provider
+{
+    /**
+     * @param {string} name - Name the provider is listed under in LLM_PROVIDERS
+     * @param {string} type - Implementation type (e.g. 'lmstudio', 'openai', 'stub')
+     * @param {object} config - Provider specific configuration
+     * @param {object} logger - Winston logger shared with the owning conduit
+     */
+    constructor(name, type, config, logger)
+    {
+        this.name = name;
+        this.type = type;
+        this.config = config;
+        this.logger = logger;
+    }
+
+    /**
+     * 🛠️ True when `act()` can run agent tools
+     */
+    get supportsTools()
+    {
+        return false;
+    }
+
+    /**
+     * 🔌 Check the backend is reachable - throws when it isn't
+     */
+    async connect()
+    {
+    }
+
+    /**
+     * 💬 Answer a chat
+     *
+     * @param {object} options
+     * @param {object[]} options.messages - Chat as [{ role, content }]
+     * @param {string} options.model - Model key chosen by the ModelRouter
+     * @param {number} [options.temperature]
+     * @param {number} [options.maxTokens]
+     * @param {AbortSignal} [options.signal]
+     * @param {Function} [options.onFragment] - Streams text deltas: (text, extra) => void
+     * @param {object} [options.structured] - Zod schema for structured output, where supported
+     * @returns {Promise<{ content: string, parsed?: object, usage: object|null, model: string }>}
+     */
+    async chat(options)
+    {
+        throw new Error(`Provider '${this.name}' does not implement chat()`);
+    }
+
+    /**
+     * 🤖 Answer a chat with agent tools, over several rounds
+     *
+     * Takes the options of `chat()` plus { tools, maxRounds, onRoundStart, onMessage }.
+     */
+    async act(options)
+    {
+        throw new Error(`Provider '${this.name}' cannot run agent tools`);
+    }
+
+    /**
+     * 🛑 Release everything the provider holds
+     */
+    async disconnect()
+    {
+    }
+
+    describe()
+    {
+        return {
+            name: this.name,
+            type: this.type,
+            tools: this.supportsTools
+        };
+    }
+}
+
+module.exports = Provider;
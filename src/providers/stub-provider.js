@@ -0,0 +1,33 @@
+/**
+ * 🪫 Stub Provider - Canned reply for when every real backend is down
+ *
+ * Always answers, so it belongs at the end of the chain. Its answers are not
+ * stored in conversation history.
+ *
+ * Author: Mad Tinker
+ * Project: Madness Interactive - Whispermind_Conduit
+ */
+
+const Provider = require('./provider');
+
+class StubProvider extends Provider
+{
+    constructor(name, config, logger)
+    {
+        super(name, 'stub', config, logger);
+    }
+
+    async chat({ onFragment })
+    {
+        const content = this.config.response;
+        onFragment?.(content);
+
+        return {
+            content,
+            usage: null,
+            model: 'stub'
+        };
+    }
+}
+
+module.exports = StubProvider;
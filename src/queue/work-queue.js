@@ -0,0 +1,208 @@
+/**
+ * 🚦 WorkQueue - Bounded, fair request scheduling for the conduit
+ *
+ * At most `maxConcurrency` jobs run at once. Waiting jobs are kept per user and
+ * dispatched round-robin across users, so one chatty client can't starve the
+ * rest. The queue refuses new work once `maxDepth` jobs are waiting or a user
+ * already has `maxPerUser` jobs waiting. A paused queue keeps accepting jobs
+ * but starts none of them until it is resumed. Job ids only need to be unique
+ * per user - two users may both send request `1`.
+ *
+ * Author: Mad Tinker
+ * Project: Madness Interactive - Whispermind_Conduit
+ */
+
+/**
+ * 🔑 Key of a job among every user's jobs
+ */
+function jobKey(userId, jobId)
+{
+    return JSON.stringify([userId, jobId]);
+}
+
+class WorkQueue
+{
+    /**
+     * @param {object} options
+     * @param {number} options.maxConcurrency - Jobs allowed to run at the same time
+     * @param {number} options.maxDepth - Jobs allowed to wait across all users
+     * @param {number} options.maxPerUser - Jobs allowed to wait for a single user
+     */
+    constructor({ maxConcurrency, maxDepth, maxPerUser })
+    {
+        this.maxConcurrency = Math.max(1, maxConcurrency);
+        this.maxDepth = Math.max(0, maxDepth);
+        this.maxPerUser = Math.max(1, maxPerUser);
+
+        this.active = new Map();
+        this.waiting = new Map();
+        this.rotation = [];
+        this.depth = 0;
+        this.paused = false;
+    }
+
+    /**
+     * ➕ Offer a job to the queue
+     *
+     * @param {object} job
+     * @param {string} job.id - Request id, unique per user
+     * @param {string} job.userId - Owner used for fairness
+     * @param {Function} job.run - Async work to perform
+     * @param {Function} [job.onStart] - Called when the job leaves the queue
+     * @returns {{ accepted: boolean, reason?: string, position: number, done?: Promise }}
+     */
+    enqueue(job)
+    {
+        const userJobs = this.waiting.get(job.userId) || [];
+
+        if (!this.paused && this.active.size < this.maxConcurrency && this.depth === 0)
+        {
+            return { accepted: true, position: 0, done: this.start(job) };
+        }
+
+        if (this.depth >= this.maxDepth)
+        {
+            return { accepted: false, reason: 'overloaded', position: -1 };
+        }
+
+        if (userJobs.length >= this.maxPerUser)
+        {
+            return { accepted: false, reason: 'user_limit', position: -1 };
+        }
+
+        const done = new Promise((resolve, reject) =>
+        {
+            userJobs.push({ ...job, resolve, reject });
+        });
+
+        if (!this.waiting.has(job.userId))
+        {
+            this.waiting.set(job.userId, userJobs);
+            this.rotation.push(job.userId);
+        }
+        this.depth++;
+
+        return { accepted: true, position: this.positionOf(job.userId, job.id), done };
+    }
+
+    /**
+     * 🔢 Estimated 1-based place in line under round-robin dispatch
+     */
+    positionOf(userId, jobId)
+    {
+        const index = (this.waiting.get(userId) || []).findIndex(job => job.id === jobId);
+        if (index === -1) return 0;
+
+        // Every other user gets up to index + 1 turns before this job's turn comes
+        let ahead = index;
+        for (const [otherUser, otherJobs] of this.waiting)
+        {
+            if (otherUser !== userId)
+            {
+                ahead += Math.min(otherJobs.length, index + 1);
+            }
+        }
+        return ahead + 1;
+    }
+
+    /**
+     * ✋ Drop a user's waiting job, rejecting its `done` promise with `reason`
+     *
+     * @returns {boolean} false when the job isn't waiting (unknown, or already running)
+     */
+    cancel(userId, jobId, reason)
+    {
+        const jobs = this.waiting.get(userId) || [];
+        const index = jobs.findIndex(job => job.id === jobId);
+        if (index === -1) return false;
+
+        const [job] = jobs.splice(index, 1);
+        this.depth--;
+
+        if (jobs.length === 0)
+        {
+            this.waiting.delete(userId);
+            this.rotation = this.rotation.filter(id => id !== userId);
+        }
+
+        job.reject(reason);
+        return true;
+    }
+
+    /**
+     * 🏃 Run a job, then pull the next one from the queue
+     */
+    start(job)
+    {
+        const key = jobKey(job.userId, job.id);
+        this.active.set(key, { userId: job.userId, startedAt: Date.now() });
+        job.onStart?.();
+
+        return Promise.resolve()
+            .then(() => job.run())
+            .finally(() =>
+            {
+                this.active.delete(key);
+                this.dispatch();
+            });
+    }
+
+    /**
+     * ⏸️ Stop starting jobs - running ones finish, new ones wait
+     */
+    pause()
+    {
+        this.paused = true;
+    }
+
+    /**
+     * ▶️ Start jobs again, beginning with the ones that piled up meanwhile
+     */
+    resume()
+    {
+        this.paused = false;
+        this.dispatch();
+    }
+
+    /**
+     * 🔄 Start waiting jobs round-robin until concurrency is saturated
+     */
+    dispatch()
+    {
+        while (!this.paused && this.active.size < this.maxConcurrency && this.depth > 0)
+        {
+            const userId = this.rotation.shift();
+            const userJobs = this.waiting.get(userId);
+            const job = userJobs.shift();
+            this.depth--;
+
+            if (userJobs.length > 0)
+            {
+                this.rotation.push(userId);
+            } else
+            {
+                this.waiting.delete(userId);
+            }
+
+            this.start(job).then(job.resolve, job.reject);
+        }
+    }
+
+    /**
+     * 📊 Queue metrics for status messages
+     */
+    stats()
+    {
+        return {
+            active: this.active.size,
+            paused: this.paused,
+            queued: this.depth,
+            waiting_users: this.waiting.size,
+            max_concurrency: this.maxConcurrency,
+            max_depth: this.maxDepth,
+            max_per_user: this.maxPerUser
+        };
+    }
+}
+
+module.exports = WorkQueue;
@@ -0,0 +1,168 @@
+/**
+ * 🧪 WorkQueue tests - concurrency, limits, round-robin fairness, cancel and pause
+ *
+ * Author: Mad Tinker
+ * Project: Madness Interactive - Whispermind_Conduit
+ */
+
+const WorkQueue = require('./work-queue');
+
+/**
+ * ⏳ A job the test finishes by hand
+ */
+function gate()
+{
+    let open;
+    const opened = new Promise(resolve => { open = resolve; });
+    return { opened, open };
+}
+
+/**
+ * 🏃 Enqueue a job that records its start and waits for `until`
+ */
+function offer(queue, id, userId, started, until = Promise.resolve())
+{
+    return queue.enqueue({
+        id,
+        userId,
+        run: async () => { await until; return id; },
+        onStart: () => started.push(id)
+    });
+}
+
+const settle = () => new Promise(resolve => setImmediate(resolve));
+
+describe('WorkQueue', () =>
+{
+    test('runs jobs at once while there is capacity', async () =>
+    {
+        const queue = new WorkQueue({ maxConcurrency: 2, maxDepth: 5, maxPerUser: 5 });
+        const started = [];
+
+        const ticket = offer(queue, 'a', 'alice', started);
+
+        expect(ticket).toMatchObject({ accepted: true, position: 0 });
+        await expect(ticket.done).resolves.toBe('a');
+        expect(started).toEqual(['a']);
+    });
+
+    test('queues jobs beyond the concurrency limit and starts them as others finish', async () =>
+    {
+        const queue = new WorkQueue({ maxConcurrency: 1, maxDepth: 5, maxPerUser: 5 });
+        const started = [];
+        const first = gate();
+
+        offer(queue, 'a', 'alice', started, first.opened);
+        const second = offer(queue, 'b', 'bob', started);
+
+        expect(second).toMatchObject({ accepted: true, position: 1 });
+        expect(queue.stats()).toMatchObject({ active: 1, queued: 1 });
+
+        first.open();
+        await expect(second.done).resolves.toBe('b');
+        expect(started).toEqual(['a', 'b']);
+    });
+
+    test('refuses work past the queue depth and the per-user limit', () =>
+    {
+        const queue = new WorkQueue({ maxConcurrency: 1, maxDepth: 2, maxPerUser: 1 });
+        const started = [];
+        const blocker = gate();
+
+        offer(queue, 'a', 'alice', started, blocker.opened);
+        expect(offer(queue, 'b', 'alice', started).accepted).toBe(true);
+        expect(offer(queue, 'c', 'alice', started)).toEqual({ accepted: false, reason: 'user_limit', position: -1 });
+        expect(offer(queue, 'd', 'bob', started).accepted).toBe(true);
+        expect(offer(queue, 'e', 'carol', started)).toEqual({ accepted: false, reason: 'overloaded', position: -1 });
+
+        blocker.open();
+    });
+
+    test('takes turns between users instead of draining one user first', async () =>
+    {
+        const queue = new WorkQueue({ maxConcurrency: 1, maxDepth: 10, maxPerUser: 10 });
+        const started = [];
+        const blocker = gate();
+
+        offer(queue, 'busy', 'alice', started, blocker.opened);
+        const tickets = [
+            offer(queue, 'a1', 'alice', started),
+            offer(queue, 'a2', 'alice', started),
+            offer(queue, 'a3', 'alice', started),
+            offer(queue, 'b1', 'bob', started)
+        ];
+
+        expect(tickets.map(ticket => ticket.position)).toEqual([1, 2, 3, 2]);
+
+        blocker.open();
+        await Promise.all(tickets.map(ticket => ticket.done));
+        expect(started).toEqual(['busy', 'a1', 'b1', 'a2', 'a3']);
+    });
+
+    test('cancel drops a waiting job and rejects its promise', async () =>
+    {
+        const queue = new WorkQueue({ maxConcurrency: 1, maxDepth: 5, maxPerUser: 5 });
+        const started = [];
+        const blocker = gate();
+
+        offer(queue, 'a', 'alice', started, blocker.opened);
+        const waiting = offer(queue, 'b', 'bob', started);
+
+        expect(queue.cancel('bob', 'b', new Error('cancelled'))).toBe(true);
+        await expect(waiting.done).rejects.toThrow('cancelled');
+        expect(queue.cancel('alice', 'a', new Error('too late'))).toBe(false);
+        expect(queue.stats()).toMatchObject({ queued: 0, waiting_users: 0 });
+
+        blocker.open();
+        await settle();
+        expect(started).toEqual(['a']);
+    });
+
+    test('the same id from two users stays two jobs', async () =>
+    {
+        const queue = new WorkQueue({ maxConcurrency: 2, maxDepth: 5, maxPerUser: 5 });
+        const started = [];
+        const blocker = gate();
+
+        const mine = offer(queue, '1', 'alice', started, blocker.opened);
+        const theirs = offer(queue, '1', 'bob', started, blocker.opened);
+        const waiting = [offer(queue, 'x', 'alice', started), offer(queue, 'x', 'bob', started)];
+
+        expect(queue.stats().active).toBe(2);
+        expect(queue.positionOf('bob', 'x')).toBe(2);
+        expect(queue.cancel('alice', 'x', new Error('cancelled'))).toBe(true);
+        await expect(waiting[0].done).rejects.toThrow('cancelled');
+        expect(queue.positionOf('bob', 'x')).toBe(1);
+
+        blocker.open();
+        await Promise.all([mine.done, theirs.done, waiting[1].done]);
+        expect(queue.stats()).toMatchObject({ active: 0, queued: 0 });
+    });
+
+    test('a paused queue accepts jobs but starts them only once resumed', async () =>
+    {
+        const queue = new WorkQueue({ maxConcurrency: 2, maxDepth: 5, maxPerUser: 5 });
+        const started = [];
+
+        queue.pause();
+        const ticket = offer(queue, 'a', 'alice', started);
+        await settle();
+
+        expect(ticket.accepted).toBe(true);
+        expect(started).toEqual([]);
+
+        queue.resume();
+        await expect(ticket.done).resolves.toBe('a');
+        expect(started).toEqual(['a']);
+    });
+
+    test('a failing job passes its error on and frees its slot', async () =>
+    {
+        const queue = new WorkQueue({ maxConcurrency: 1, maxDepth: 5, maxPerUser: 5 });
+
+        const failing = queue.enqueue({ id: 'x', userId: 'alice', run: async () => { throw new Error('boom'); } });
+
+        await expect(failing.done).rejects.toThrow('boom');
+        expect(queue.stats().active).toBe(0);
+    });
+});
@@ -0,0 +1,56 @@
+/**
+ * ⏳ Backoff - Retry delays for dependencies that went away
+ *
+ * Delays double with every failed attempt up to a ceiling, and half of each
+ * delay is random ("equal jitter"), so a fleet of conduits that lost the same
+ * broker doesn't hammer it in lockstep once it comes back.
+ *
+ * Author: Mad Tinker
+ * Project: Madness Interactive - Whispermind_Conduit
+ */
+
+/**
+ * ⚙️ Reconnect settings from the environment
+ */
+function loadReconnectConfig()
+{
+    return {
+        baseDelayMs: parseInt(process.env.RECONNECT_BASE_DELAY_MS) || 1000,
+        maxDelayMs: parseInt(process.env.RECONNECT_MAX_DELAY_MS) || 30000
+    };
+}
+
+/**
+ * ⏳ Delay before retry number `attempt` (0-based)
+ *
+ * @param {number} attempt - Failed attempts so far, minus one
+ * @param {object} config - { baseDelayMs, maxDelayMs }
+ */
+function backoffDelay(attempt, { baseDelayMs, maxDelayMs })
+{
+    const ceiling = Math.min(maxDelayMs, baseDelayMs * 2 ** Math.min(attempt, 30));
+    return Math.round(ceiling / 2 + Math.random() * ceiling / 2);
+}
+
+/**
+ * 🔁 ioredis `retryStrategy` that backs off the same way - ioredis counts from 1
+ */
+function redisRetryStrategy(config)
+{
+    return (times) => backoffDelay(times - 1, config);
+}
+
+/**
+ * 💤 Resolve after `ms`
+ */
+function sleep(ms)
+{
+    return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+module.exports = {
+    loadReconnectConfig,
+    backoffDelay,
+    redisRetryStrategy,
+    sleep
+};
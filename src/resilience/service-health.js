@@ -0,0 +1,121 @@
+/**
+ * 🩺 ServiceHealth - Tracks the conduit's dependencies and its overall state
+ *
+ * STARTING → the conduit is still booting
+ * ONLINE   → every dependency is up
+ * DEGRADED → something is down; the conduit keeps running and reconnecting
+ *
+ * Critical dependencies are the ones requests can't be answered without.
+ * While one of them is down `ready` is false, and the conduit holds or refuses
+ * requests instead of letting them fail one by one.
+ *
+ * Author: Mad Tinker
+ * Project: Madness Interactive - Whispermind_Conduit
+ */
+
+class ServiceHealth
+{
+    /**
+     * @param {object} [options]
+     * @param {Function} [options.onChange] - Called after start on every dependency flip:
+     *   ({ state, previous, dependency, up, detail }) => void
+     */
+    constructor({ onChange = null } = {})
+    {
+        this.onChange = onChange;
+        this.dependencies = new Map();
+        this.started = false;
+    }
+
+    /**
+     * ➕ Track a dependency - it starts out down until reported up
+     */
+    register(name, { critical = false, up = false, detail = null } = {})
+    {
+        this.dependencies.set(name, { up, critical, detail, since: new Date() });
+    }
+
+    /**
+     * 🔄 Report a dependency as up or down
+     */
+    update(name, up, detail = null)
+    {
+        const dependency = this.dependencies.get(name);
+        if (!dependency || (dependency.up === up && dependency.detail === detail)) return;
+
+        const previous = this.state;
+        const flipped = dependency.up !== up;
+
+        Object.assign(dependency, { up, detail }, flipped && { since: new Date() });
+
+        if (flipped && this.started)
+        {
+            this.onChange?.({ state: this.state, previous, dependency: name, up, detail });
+        }
+    }
+
+    /**
+     * 🚀 Boot is over - from now on every flip is reported
+     */
+    markStarted()
+    {
+        this.started = true;
+    }
+
+    /**
+     * 🚦 STARTING, ONLINE or DEGRADED
+     */
+    get state()
+    {
+        if (!this.started) return 'STARTING';
+        return this.down().length === 0 ? 'ONLINE' : 'DEGRADED';
+    }
+
+    /**
+     * ✅ True while every critical dependency is up
+     */
+    get ready()
+    {
+        return this.down({ critical: true }).length === 0;
+    }
+
+    /**
+     * 📉 Names of the dependencies that are down
+     */
+    down({ critical = false } = {})
+    {
+        return [...this.dependencies]
+            .filter(([, dependency]) => !dependency.up && (!critical || dependency.critical))
+            .map(([name]) => name);
+    }
+
+    /**
+     * 📝 One line naming what is down, for status and rejection messages
+     */
+    summary()
+    {
+        const down = this.down();
+        if (down.length === 0) return 'All dependencies are up';
+
+        return `Unavailable: ${down.map(name =>
+        {
+            const { detail } = this.dependencies.get(name);
+            return detail ? `${name} (${detail})` : name;
+        }).join(', ')}`;
+    }
+
+    /**
+     * 📊 Every dependency for status messages
+     */
+    describe()
+    {
+        return Object.fromEntries([...this.dependencies].map(([name, dependency]) => [name, {
+            up: dependency.up,
+            critical: dependency.critical,
+            detail: dependency.detail,
+            since: dependency.since.toISOString()
+        }]));
+    }
+}
+
+module.exports = ServiceHealth;
@@ -0,0 +1,207 @@
+/**
+ * 🧭 AgentRouter - Decides whether a request runs with tools or as plain chat
+ *
+ * A request's `agent_mode` is honored when it is `standard` or `autonomous`.
+ * `auto` (and requests without a mode, unless the default says otherwise) walk
+ * the rules file top to bottom - the first pattern that matches decides. When
+ * no rule matches, an optional classifier prompt asks the model, and failing
+ * that the fallback mode applies. Every decision carries a reason so clients
+ * can see why a request did or didn't use tools.
+ *
+ * Rules file (JSON):
+ *
+ *   {
+ *     "default_mode": "auto",
+ *     "fallback_mode": "standard",
+ *     "rules": [{ "name": "math", "pattern": "\\bsqrt\\b", "flags": "i", "mode": "autonomous" }],
+ *     "classifier": { "enabled": false, "prompt": "... {tools} ...", "timeout_ms": 5000 }
+ *   }
+ *
+ * Author: Mad Tinker
+ * Project: Madness Interactive - Whispermind_Conduit
+ */
+
+const fs = require('fs').promises;
+const { z } = require('zod');
+
+const AGENT_MODES = ['standard', 'autonomous'];
+const REQUESTABLE_MODES = [...AGENT_MODES, 'auto'];
+
+const DEFAULT_CLASSIFIER_PROMPT =
+    'You route requests for an assistant that can use these tools: {tools}. ' +
+    'Reply with exactly one word: TOOLS if answering the user needs one of the tools, CHAT otherwise.';
+
+const RuleSchema = z.object({
+    name: z.string().min(1),
+    pattern: z.string().min(1),
+    flags: z.string().regex(/^[imsu]*$/, 'only the i, m, s and u flags are supported').default('i'),
+    mode: z.enum(AGENT_MODES),
+    description: z.string().optional()
+});
+
+const RoutingConfigSchema = z.object({
+    default_mode: z.enum(REQUESTABLE_MODES).default('auto'),
+    fallback_mode: z.enum(AGENT_MODES).default('standard'),
+    rules: z.array(RuleSchema).default([]),
+    classifier: z.object({
+        enabled: z.boolean().default(false),
+        prompt: z.string().default(DEFAULT_CLASSIFIER_PROMPT),
+        timeout_ms: z.number().int().positive().default(5000)
+    }).default({})
+});
+
+/**
+ * 📄 Read and validate a rules file - a missing file means no rules
+ */
+async function loadRoutingRules(filePath, logger)
+{
+    let raw = {};
+
+    try
+    {
+        raw = JSON.parse(await fs.readFile(filePath, 'utf8'));
+    } catch (error)
+    {
+        if (error.code !== 'ENOENT')
+        {
+            throw new Error(`Invalid agent routing rules in ${filePath}: ${error.message}`);
+        }
+        logger.warn('🧭 No agent routing rules file found, routing on defaults only:', { filePath });
+    }
+
+    const parsed = RoutingConfigSchema.safeParse(raw);
+    if (!parsed.success)
+    {
+        const problems = parsed.error.issues.map(issue => `${issue.path.join('.') || 'rules'}: ${issue.message}`);
+        throw new Error(`Invalid agent routing rules in ${filePath}: ${problems.join('; ')}`);
+    }
+
+    return parsed.data;
+}
+
+class AgentRouter
+{
+    /**
+     * @param {object} config - Parsed rules file (see RoutingConfigSchema)
+     * @param {object} [overrides]
+     * @param {string} [overrides.defaultMode] - Mode for requests without `agent_mode`
+     * @param {boolean} [overrides.classifier] - Force the classifier on or off
+     */
+    constructor(config, overrides = {}, logger)
+    {
+        this.logger = logger;
+        this.defaultMode = overrides.defaultMode || config.default_mode;
+        this.fallbackMode = config.fallback_mode;
+        this.classifier = {
+            ...config.classifier,
+            enabled: overrides.classifier ?? config.classifier.enabled
+        };
+
+        this.rules = config.rules.map(rule =>
+        {
+            try
+            {
+                return { ...rule, regex: new RegExp(rule.pattern, rule.flags) };
+            } catch (error)
+            {
+                throw new Error(`Invalid pattern in agent routing rule '${rule.name}': ${error.message}`);
+            }
+        });
+    }
+
+    /**
+     * 🧭 Pick the mode for a request
+     *
+     * @param {object} request - Validated chat request
+     * @param {object} [options]
+     * @param {Function} [options.classify] - async (systemPrompt, message, signal) => model reply text
+     * @param {string[]} [options.tools] - Tool names offered to the classifier prompt
+     * @returns {Promise<{ mode: string, requested: string, reason: string, rule?: string }>}
+     */
+    async route(request, { classify = null, tools = [] } = {})
+    {
+        const requested = request.agent_mode || this.defaultMode;
+
+        if (requested !== 'auto')
+        {
+            return {
+                mode: requested,
+                requested,
+                reason: request.agent_mode ? 'requested by client' : 'service default mode'
+            };
+        }
+
+        const rule = this.rules.find(candidate => candidate.regex.test(request.message));
+        if (rule)
+        {
+            return {
+                mode: rule.mode,
+                requested,
+                reason: rule.description || `matched routing rule '${rule.name}'`,
+                rule: rule.name
+            };
+        }
+
+        if (this.classifier.enabled && classify)
+        {
+            const decision = await this.classify(request.message, classify, tools);
+            if (decision)
+            {
+                return { mode: decision, requested, reason: 'classifier' };
+            }
+            return { mode: this.fallbackMode, requested, reason: 'classifier unavailable, used fallback mode' };
+        }
+
+        return { mode: this.fallbackMode, requested, reason: 'no routing rule matched' };
+    }
+
+    /**
+     * 🤔 Ask the model for a one-word verdict, null when it can't decide in time
+     */
+    async classify(message, classify, tools)
+    {
+        const controller = new AbortController();
+        const timer = setTimeout(() => controller.abort(), this.classifier.timeout_ms);
+
+        try
+        {
+            const prompt = this.classifier.prompt.replace('{tools}', tools.join(', ') || 'none');
+            const reply = String(await classify(prompt, message, controller.signal));
+            const verdict = /\b(TOOLS|CHAT)\b/i.exec(reply);
+
+            if (!verdict)
+            {
+                this.logger.warn('🧭 Classifier gave no verdict:', { reply: reply.slice(0, 100) });
+                return null;
+            }
+            return verdict[1].toUpperCase() === 'TOOLS' ? 'autonomous' : 'standard';
+        } catch (error)
+        {
+            this.logger.warn('🧭 Routing classifier failed:', { error: error.message });
+            return null;
+        } finally
+        {
+            clearTimeout(timer);
+        }
+    }
+
+    /**
+     * 📋 Routing setup for status messages
+     */
+    describe()
+    {
+        return {
+            default_mode: this.defaultMode,
+            fallback_mode: this.fallbackMode,
+            rules: this.rules.map(rule => ({ name: rule.name, mode: rule.mode })),
+            classifier: this.classifier.enabled
+        };
+    }
+}
+
+module.exports = {
+    AgentRouter,
+    loadRoutingRules,
+    AGENT_MODES,
+    REQUESTABLE_MODES
+};
@@ -0,0 +1,206 @@
+/**
+ * 🗺️ ModelRouter - Picks the model that answers a request
+ *
+ * In order of precedence:
+ *
+ *   1. the request's `model` (when clients may choose one, from `allowed_models` or the default)
+ *   2. the persona's `model`
+ *   3. the first routing rule whose `pattern` / length limits match the message
+ *   4. the default model
+ *
+ * Model names may be aliases from the routing file ("coder" → a model key).
+ * Every decision carries a reason, reported to clients under `model_routing`.
+ *
+ * Routing file (JSON):
+ *
+ *   {
+ *     "default_model": "qwen2.5-7b-instruct",
+ *     "aliases": { "coder": "qwen2.5-coder-7b-instruct" },
+ *     "allow_request_model": true,
+ *     "allowed_models": ["coder", "qwen2.5-7b-instruct"],
+ *     "rules_enabled": true,
+ *     "rules": [{ "name": "code", "pattern": "\\bregex\\b", "model": "coder" }]
+ *   }
+ *
+ * Author: Mad Tinker
+ * Project: Madness Interactive - Whispermind_Conduit
+ */
+
+const fs = require('fs').promises;
+const { z } = require('zod');
+
+const ModelRuleSchema = z.object({
+    name: z.string().min(1),
+    pattern: z.string().min(1).optional(),
+    flags: z.string().regex(/^[imsu]*$/, 'only the i, m, s and u flags are supported').default('i'),
+    min_length: z.number().int().nonnegative().optional(),
+    max_length: z.number().int().positive().optional(),
+    model: z.string().min(1),
+    description: z.string().optional()
+}).refine(rule => rule.pattern || rule.min_length !== undefined || rule.max_length !== undefined, {
+    message: 'a rule needs a pattern or a length limit'
+});
+
+const ModelRoutingConfigSchema = z.object({
+    default_model: z.string().min(1).optional(),
+    aliases: z.record(z.string().min(1)).default({}),
+    allow_request_model: z.boolean().default(false),
+    allowed_models: z.array(z.string().min(1)).default([]),
+    rules_enabled: z.boolean().default(true),
+    rules: z.array(ModelRuleSchema).default([])
+}).refine(config => !config.allow_request_model || config.allowed_models.length > 0, {
+    // Otherwise any client could make LM Studio load any model it has
+    message: 'allow_request_model needs a non-empty allowed_models list',
+    path: ['allowed_models']
+});
+
+/**
+ * 📄 Read and validate a model routing file - a missing file means the default model only
+ */
+async function loadModelRoutes(filePath, logger)
+{
+    let raw = {};
+
+    try
+    {
+        raw = JSON.parse(await fs.readFile(filePath, 'utf8'));
+    } catch (error)
+    {
+        if (error.code !== 'ENOENT')
+        {
+            throw new Error(`Invalid model routing file ${filePath}: ${error.message}`);
+        }
+        logger.warn('🗺️ No model routing file found, every request uses the default model:', { filePath });
+    }
+
+    const parsed = ModelRoutingConfigSchema.safeParse(raw);
+    if (!parsed.success)
+    {
+        const problems = parsed.error.issues.map(issue => `${issue.path.join('.') || 'routes'}: ${issue.message}`);
+        throw new Error(`Invalid model routing file ${filePath}: ${problems.join('; ')}`);
+    }
+
+    return parsed.data;
+}
+
+class ModelRouter
+{
+    /**
+     * @param {object} config - Parsed routing file (see ModelRoutingConfigSchema)
+     * @param {object} overrides
+     * @param {string} overrides.defaultModel - Model used when nothing else decides (LM_STUDIO_MODEL)
+     */
+    constructor(config = ModelRoutingConfigSchema.parse({}), { defaultModel })
+    {
+        this.defaultModel = this.resolveAlias(config.default_model || defaultModel, config.aliases);
+        this.aliases = config.aliases;
+        this.allowRequestModel = config.allow_request_model;
+        // The default model answers anyway - choosing it can't make LM Studio load anything new
+        this.allowedModels = new Set([this.defaultModel, ...config.allowed_models.map(name => this.resolveAlias(name, config.aliases))]);
+        this.rulesEnabled = config.rules_enabled;
+
+        this.rules = config.rules.map(rule =>
+        {
+            try
+            {
+                return { ...rule, regex: rule.pattern ? new RegExp(rule.pattern, rule.flags) : null };
+            } catch (error)
+            {
+                throw new Error(`Invalid pattern in model routing rule '${rule.name}': ${error.message}`);
+            }
+        });
+    }
+
+    /**
+     * 🏷️ Model key behind an alias (names that aren't aliases are model keys already)
+     */
+    resolveAlias(name, aliases = this.aliases)
+    {
+        return Object.hasOwn(aliases, name) ? aliases[name] : name;
+    }
+
+    /**
+     * 🩺 Problems with a request's model choice, in the shape of validation issues
+     */
+    validate(request)
+    {
+        if (!request.model) return [];
+
+        if (!this.allowRequestModel)
+        {
+            return [{ field: 'model', code: 'model_not_selectable', message: 'Clients may not choose the model on this conduit' }];
+        }
+
+        const model = this.resolveAlias(request.model);
+        if (!this.allowedModels.has(model))
+        {
+            return [{
+                field: 'model',
+                code: 'model_not_allowed',
+                message: `Model '${request.model}' is not allowed (available: ${[...this.allowedModels].join(', ')})`
+            }];
+        }
+
+        return [];
+    }
+
+    /**
+     * 🗺️ Pick the model for a request
+     *
+     * @param {object} request - Validated chat request (see `validate()`)
+     * @param {string} [personaModel] - The persona's own model, if it has one
+     * @returns {{ model: string, requested?: string, reason: string, rule?: string }}
+     */
+    route(request, personaModel = null)
+    {
+        if (request.model)
+        {
+            return { model: this.resolveAlias(request.model), requested: request.model, reason: 'requested by client' };
+        }
+
+        if (personaModel)
+        {
+            return { model: this.resolveAlias(personaModel), reason: 'persona model' };
+        }
+
+        const rule = this.rulesEnabled
+            ? this.rules.find(candidate => this.matches(candidate, request.message))
+            : null;
+
+        if (rule)
+        {
+            return {
+                model: this.resolveAlias(rule.model),
+                reason: rule.description || `matched model routing rule '${rule.name}'`,
+                rule: rule.name
+            };
+        }
+
+        return { model: this.defaultModel, reason: 'default model' };
+    }
+
+    matches(rule, message)
+    {
+        if (rule.min_length !== undefined && message.length < rule.min_length) return false;
+        if (rule.max_length !== undefined && message.length > rule.max_length) return false;
+        return !rule.regex || rule.regex.test(message);
+    }
+
+    /**
+     * 📋 Model routing setup for status messages
+     */
+    describe()
+    {
+        return {
+            default_model: this.defaultModel,
+            aliases: this.aliases,
+            request_model: this.allowRequestModel,
+            rules: this.rulesEnabled ? this.rules.map(rule => ({ name: rule.name, model: this.resolveAlias(rule.model) })) : []
+        };
+    }
+}
+
+module.exports = {
+    ModelRouter,
+    loadModelRoutes
+};
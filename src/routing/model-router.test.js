@@ -0,0 +1,74 @@
+/**
+ * 🧪 ModelRouter tests - the shipped routing table, client choices and precedence
+ *
+ * Author: Mad Tinker
+ * Project: Madness Interactive - Whispermind_Conduit
+ */
+
+const path = require('path');
+const { ModelRouter, loadModelRoutes } = require('./model-router');
+
+const logger = { info: () => {}, warn: () => {}, error: () => {} };
+const SHIPPED = path.join(__dirname, '../../config/model-routing.json');
+
+describe('ModelRouter with the shipped routing table', () =>
+{
+    let router;
+
+    beforeAll(async () =>
+    {
+        router = new ModelRouter(await loadModelRoutes(SHIPPED, logger), { defaultModel: 'local-model' });
+    });
+
+    test('honours a request model from the allow-list', () =>
+    {
+        expect(router.validate({ model: 'coder' })).toEqual([]);
+        expect(router.route({ model: 'coder', message: 'hi' })).toMatchObject({
+            model: 'qwen2.5-coder-7b-instruct',
+            reason: 'requested by client'
+        });
+    });
+
+    test('the default model may always be requested', () =>
+    {
+        expect(router.validate({ model: 'local-model' })).toEqual([]);
+    });
+
+    test('refuses models outside the allow-list', () =>
+    {
+        expect(router.validate({ model: 'some-70b-model' })).toEqual([
+            expect.objectContaining({ field: 'model', code: 'model_not_allowed' })
+        ]);
+    });
+
+    test('routes by rule when nothing else decides', () =>
+    {
+        expect(router.route({ message: 'Why does this python function return None when I refactor it?' })).toMatchObject({
+            model: 'qwen2.5-coder-7b-instruct',
+            rule: 'code'
+        });
+        expect(router.route({ message: 'hey there' })).toMatchObject({ model: 'llama-3.2-1b-instruct', rule: 'chit_chat' });
+        expect(router.route({ message: 'Tell me a long story about a lighthouse keeper and the sea.'.repeat(2) })).toMatchObject({
+            model: 'local-model',
+            reason: 'default model'
+        });
+    });
+
+    test('a persona model wins over the rules', () =>
+    {
+        expect(router.route({ message: 'hey there' }, 'coder')).toMatchObject({ model: 'qwen2.5-coder-7b-instruct', reason: 'persona model' });
+    });
+});
+
+describe('ModelRouter without a routing file', () =>
+{
+    test('refuses request models and answers with the default', () =>
+    {
+        const router = new ModelRouter(undefined, { defaultModel: 'local-model' });
+
+        expect(router.validate({ model: 'coder' })).toEqual([
+            expect.objectContaining({ code: 'model_not_selectable' })
+        ]);
+        expect(router.route({ message: 'a regex question' })).toMatchObject({ model: 'local-model' });
+    });
+});
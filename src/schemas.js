@@ -0,0 +1,208 @@
+/**
+ * 📋 Zod Schemas - The shapes of everything that crosses the conduit
+ *
+ * Author: Mad Tinker
+ * Project: Madness Interactive - Whispermind_Conduit
+ */
+
+const { z } = require('zod');
+const { STREAM_CHANNEL_MODES } = require('./streaming/stream-publisher');
+const { AGENT_MODES, REQUESTABLE_MODES } = require('./routing/agent-router');
+
+const MAX_MESSAGE_LENGTH = parseInt(process.env.REQUEST_MAX_MESSAGE_LENGTH) || 32000;
+
+// Identifiers may arrive as numbers from loosely typed clients
+const Identifier = z.union([z.string(), z.number()])
+    .transform(String)
+    .pipe(z.string().min(1).max(200));
+
+// Topic/channel to publish the response on instead of the configured one
+const ReplyTo = z.string().min(1).max(256)
+    .regex(/^[^\s+#*?]+$/, 'reply_to must be a plain topic or channel name without spaces or wildcards');
+
+// 📨 Inbound chat request - unknown fields pass through for forward compatibility
+const ChatRequestSchema = z.object({
+    id: Identifier.optional(),
+    user: Identifier.optional(),
+    message: z.string().trim().min(1, 'message must not be empty').max(MAX_MESSAGE_LENGTH),
+    agent_mode: z.enum(REQUESTABLE_MODES).optional(),
+    temperature: z.number().min(0).max(2).optional(),
+    max_tokens: z.number().int().positive().max(32768).optional(),
+    context: z.string().max(MAX_MESSAGE_LENGTH).optional(),
+    thread_id: Identifier.optional(),
+    conversation_id: Identifier.optional(),
+    history: z.boolean().optional(),
+    // false skips the response cache for this request
+    cache: z.boolean().optional(),
+    stream: z.boolean().optional(),
+    stream_channel: z.enum(STREAM_CHANNEL_MODES).optional(),
+    reply_to: ReplyTo.optional(),
+    tools: z.array(z.string().min(1)).max(50).optional(),
+    persona: z.string().min(1).max(100).optional(),
+    model: z.string().min(1).max(200).optional(),
+    system_prompt: z.string().max(MAX_MESSAGE_LENGTH).optional(),
+    variables: z.record(z.union([z.string().max(2000), z.number(), z.boolean()])).optional(),
+    // Prior turns sent inline (OpenAI style) - used instead of the stored thread history
+    messages: z.array(z.object({
+        role: z.enum(['user', 'assistant']),
+        content: z.string().max(MAX_MESSAGE_LENGTH)
+    })).max(200).optional()
+}).passthrough();
+
+// 📤 Published chat response
+const ChatResponseSchema = z.object({
+    id: z.string(),
+    user: z.string(),
+    original_message: z.string(),
+    response: z.string(),
+    processing_time_ms: z.number(),
+    timestamp: z.string(),
+    model: z.string(),
+    madness_level: z.string(),
+    persona: z.string().optional(),
+    model_routing: z.object({
+        model: z.string(),
+        requested: z.string().optional(),
+        reason: z.string(),
+        rule: z.string().optional()
+    }).optional(),
+    backend: z.object({
+        name: z.string(),
+        type: z.string(),
+        failed_over: z.array(z.string()).optional(),
+        tools_unavailable: z.boolean().optional()
+    }).optional(),
+    agent_rounds: z.number().optional(),
+    tools_used: z.array(z.string()).optional(),
+    thread_id: z.string().optional(),
+    context: z.object({
+        turns_included: z.number(),
+        turns_dropped: z.number(),
+        turns_summarized: z.number(),
+        // Turns read back from the archive because the thread history ran short
+        turns_archived: z.number().optional(),
+        estimated_tokens: z.number()
+    }).nullable().optional(),
+    stream: z.object({
+        channel_mode: z.string(),
+        channel: z.string(),
+        frames: z.number()
+    }).optional(),
+    routing: z.object({
+        mode: z.enum(AGENT_MODES),
+        requested: z.enum(REQUESTABLE_MODES),
+        reason: z.string(),
+        rule: z.string().optional()
+    }).optional(),
+    round_limit_reached: z.boolean().optional(),
+    usage: z.object({
+        prompt_tokens: z.number(),
+        completion_tokens: z.number(),
+        total_tokens: z.number(),
+        estimated: z.boolean().optional()
+    }).optional(),
+    cache: z.object({
+        status: z.enum(['hit', 'miss']),
+        request_id: z.string().optional(),
+        cached_at: z.string().optional()
+    }).optional()
+});
+
+// ✋ Cancel an in-flight or queued request by id
+const CancelControlSchema = z.object({
+    action: z.literal('cancel'),
+    id: Identifier,
+    user: Identifier.optional(),
+    reason: z.string().max(500).optional()
+});
+
+// 📚 History API requests - answered on the history response channel under the same id
+const HistoryRequestFields = {
+    id: Identifier,
+    user: Identifier.optional(),
+    reply_to: ReplyTo.optional()
+};
+
+const ListThreadsControlSchema = z.object({
+    action: z.literal('list_threads'),
+    ...HistoryRequestFields
+});
+
+const GetThreadControlSchema = z.object({
+    action: z.literal('get_thread'),
+    ...HistoryRequestFields,
+    thread_id: Identifier,
+    offset: z.number().int().nonnegative().default(0),
+    limit: z.number().int().min(1).max(100).default(20)
+});
+
+const DeleteThreadControlSchema = z.object({
+    action: z.literal('delete_thread'),
+    ...HistoryRequestFields,
+    thread_id: Identifier
+});
+
+const ExportThreadControlSchema = z.object({
+    action: z.literal('export_thread'),
+    ...HistoryRequestFields,
+    thread_id: Identifier,
+    format: z.enum(['json', 'markdown']).default('json')
+});
+
+const ClearUserDataControlSchema = z.object({
+    action: z.literal('clear_user_data'),
+    ...HistoryRequestFields,
+    confirm: z.literal(true, { errorMap: () => ({ message: 'clear_user_data needs "confirm": true' }) })
+});
+
+const HISTORY_ACTIONS = ['list_threads', 'get_thread', 'delete_thread', 'export_thread', 'clear_user_data'];
+
+// 🎛️ Control channel message - one schema per action
+const ControlMessageSchema = z.discriminatedUnion('action', [
+    CancelControlSchema,
+    ListThreadsControlSchema,
+    GetThreadControlSchema,
+    DeleteThreadControlSchema,
+    ExportThreadControlSchema,
+    ClearUserDataControlSchema
+]);
+
+const ToolResultSchema = z.object({
+    tool_name: z.string(),
+    result: z.any(),
+    execution_time_ms: z.number()
+});
+
+const UserSessionSchema = z.object({
+    userId: z.string(),
+    preferences: z.object({
+        agenticMode: z.boolean().default(false),
+        temperature: z.number().default(0.7),
+        maxTokens: z.number().default(1000)
+    }).optional(),
+    context: z.string().optional(),
+    lastActivity: z.string(),
+    conversationCount: z.number().default(0)
+});
+
+/**
+ * 🩺 Flatten Zod issues into field paths and messages for error replies
+ */
+function describeIssues(error)
+{
+    return error.issues.map(issue => ({
+        field: issue.path.length > 0 ? issue.path.join('.') : '(root)',
+        code: issue.code,
+        message: issue.message
+    }));
+}
+
+module.exports = {
+    ChatRequestSchema,
+    ChatResponseSchema,
+    ControlMessageSchema,
+    HISTORY_ACTIONS,
+    ToolResultSchema,
+    UserSessionSchema,
+    describeIssues
+};
@@ -0,0 +1,60 @@
+/**
+ * 🗝️ Redis Keys - Building keys from ids, finding and removing them by pattern
+ *
+ * Stores keep one key per user and something (day, thread, request), so
+ * forgetting a user means walking the keyspace. SCAN does that without
+ * blocking Redis the way KEYS would. Ids are encoded with keySegment() so a
+ * user's prefix covers exactly their keys.
+ *
+ * Author: Mad Tinker
+ * Project: Madness Interactive - Whispermind_Conduit
+ */
+
+/**
+ * 🧱 Encode an id as one `:`-separated key segment
+ *
+ * Only `%` and `:` are percent-encoded: `bob:x` can't pass for user `bob`
+ * with thread `x`, and ids without either keep the keys they always had.
+ */
+function keySegment(value)
+{
+    return String(value).replace(/[%:]/g, char => `%${char.charCodeAt(0).toString(16).toUpperCase()}`);
+}
+
+/**
+ * 🔤 Escape glob characters so an id matches only itself in a MATCH pattern
+ */
+function escapePattern(value)
+{
+    return String(value).replace(/[*?[\]\\]/g, '\\$&');
+}
+
+/**
+ * 🧹 Delete every key matching `pattern`
+ *
+ * @returns {Promise<number>} Number of keys deleted
+ */
+async function deleteMatching(redis, pattern)
+{
+    let cursor = '0';
+    let deleted = 0;
+
+    do
+    {
+        const [next, keys] = await redis.scan(cursor, 'MATCH', pattern, 'COUNT', 200);
+        cursor = next;
+
+        if (keys.length > 0)
+        {
+            deleted += await redis.del(...keys);
+        }
+    } while (cursor !== '0');
+
+    return deleted;
+}
+
+module.exports = {
+    keySegment,
+    escapePattern,
+    deleteMatching
+};
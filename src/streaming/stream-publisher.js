@@ -0,0 +1,148 @@
+/**
+ * 🌊 StreamPublisher - Incremental token delivery for streaming requests
+ *
+ * Publishes `chunk` frames while a completion is being generated and a final
+ * `done` frame carrying usage and timing (or an `error` / `cancelled` frame). Frames are sequence numbered and
+ * published strictly in order on the channel the conduit picked: the stream
+ * channel, optionally per user or thread like the response, with a per-request
+ * level (`<stream channel>...<sep><request id>`) in 'per_request' mode - or the
+ * request's own reply address.
+ *
+ * Author: Mad Tinker
+ * Project: Madness Interactive - Whispermind_Conduit
+ */
+
+const STREAM_CHANNEL_MODES = ['shared', 'per_request'];
+
+class StreamPublisher
+{
+    /**
+     * @param {object} options
+     * @param {object} options.transports - TransportManager of the conduit
+     * @param {object} options.origin - Origin of the streaming request
+     * @param {string} options.requestId - Request being answered
+     * @param {string} options.channelMode - 'shared' or 'per_request'
+     * @param {string} options.channel - Channel the frames are published on
+     * @param {*} [options.correlationData] - MQTT 5 correlation data echoed on every frame
+     * @param {object} options.logger - Winston logger
+     */
+    constructor({ transports, origin, requestId, channelMode, channel, correlationData, logger })
+    {
+        this.transports = transports;
+        this.origin = origin;
+        this.requestId = requestId;
+        this.logger = logger;
+        this.channelMode = STREAM_CHANNEL_MODES.includes(channelMode) ? channelMode : 'shared';
+        this.channel = channel;
+        this.correlationData = correlationData;
+
+        this.sequence = 0;
+        this.text = '';
+        this.finished = false;
+        this.pending = Promise.resolve();
+    }
+
+    /**
+     * 🧩 Publish the next chunk of generated text
+     */
+    chunk(delta, extra = {})
+    {
+        if (this.finished || !delta) return;
+
+        this.text += delta;
+        this.enqueue({
+            type: 'chunk',
+            delta,
+            ...extra
+        });
+    }
+
+    /**
+     * 🏁 Publish the final frame and wait until every frame is out
+     */
+    async done(details = {})
+    {
+        if (this.finished) return this.pending;
+
+        this.enqueue({
+            type: 'done',
+            ...details
+        });
+        this.finished = true;
+
+        return this.pending;
+    }
+
+    /**
+     * 💥 Publish a terminal error frame
+     */
+    async fail(error)
+    {
+        if (this.finished) return this.pending;
+
+        this.enqueue({
+            type: 'error',
+            error: error.message
+        });
+        this.finished = true;
+
+        return this.pending;
+    }
+
+    /**
+     * ✋ Publish a terminal frame for a cancelled request
+     */
+    async cancel(reason)
+    {
+        if (this.finished) return this.pending;
+
+        this.enqueue({
+            type: 'cancelled',
+            reason
+        });
+        this.finished = true;
+
+        return this.pending;
+    }
+
+    /**
+     * 📬 Queue a frame behind every frame published before it
+     */
+    enqueue(frame)
+    {
+        const message = {
+            id: this.requestId,
+            sequence: this.sequence++,
+            ...frame,
+            timestamp: new Date().toISOString()
+        };
+
+        this.pending = this.pending
+            .then(() => this.transports.reply(this.origin, 'stream', message, { channel: this.channel, correlationData: this.correlationData }))
+            .catch((error) =>
+            {
+                this.logger.error('❌ Error publishing stream frame:', {
+                    requestId: this.requestId,
+                    sequence: message.sequence,
+                    error: error.message
+                });
+            });
+    }
+
+    /**
+     * 🧭 Where the frames go, reported back in the final response
+     */
+    describe()
+    {
+        return {
+            channel_mode: this.channelMode,
+            channel: this.channel,
+            frames: this.sequence
+        };
+    }
+}
+
+module.exports = {
+    StreamPublisher,
+    STREAM_CHANNEL_MODES
+};
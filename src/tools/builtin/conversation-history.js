@@ -0,0 +1,31 @@
+/**
+ * 📜 conversation_history - Retrieve the requesting user's conversation history
+ *
+ * Always reads the history of the user the request belongs to - the model
+ * can't be talked into reading somebody else's.
+ */
+
+const { z } = require('zod');
+
+module.exports = {
+    name: 'conversation_history',
+    description: 'Retrieve the current user\'s conversation history',
+    parameters: {
+        limit: z.number().int().min(1).max(100).optional().describe('Number of exchanges to return (default 5)'),
+        threadId: z.string().optional().describe('Conversation thread (defaults to the current thread)')
+    },
+    implementation: async ({ limit = 5, threadId }, context) =>
+    {
+        try
+        {
+            const thread = threadId || context.threadId;
+            return {
+                conversations: await context.history.recent(context.userId, thread, limit),
+                total: await context.history.count(context.userId, thread)
+            };
+        } catch (error)
+        {
+            return { error: error.message };
+        }
+    }
+};
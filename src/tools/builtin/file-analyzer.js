@@ -0,0 +1,93 @@
+/**
+ * 📁 file_analyzer - Analyze file contents and structure within the file access policy
+ */
+
+const { z } = require('zod');
+const { FileAccessPolicy, FileAccessError, loadFileAccessConfig } = require('../files/access-policy');
+const { isBinary, decodeText, detectLanguage, describeLineEndings, summarizeStructure } = require('../files/inspect');
+
+const PREVIEW_LINES = 20;
+const MAX_RANGE_LINES = 500;
+const MAX_CONTENT_CHARS = 20000;
+
+let defaultPolicy = null;
+
+/**
+ * 🔐 The conduit's policy, or one built from the environment for standalone use
+ */
+function policyFor(context)
+{
+    if (context?.fileAccess) return context.fileAccess;
+    defaultPolicy = defaultPolicy || new FileAccessPolicy(loadFileAccessConfig());
+    return defaultPolicy;
+}
+
+module.exports = {
+    name: 'file_analyzer',
+    description: 'Analyze a project file: size, encoding, language, line count, JSON/YAML structure, ' +
+        'and its contents (the first lines, or a requested line range)',
+    parameters: {
+        filePath: z.string().describe('Path of the file to analyze, relative to the project root'),
+        startLine: z.number().int().min(1).optional().describe('First line to read (1-based)'),
+        endLine: z.number().int().min(1).optional().describe(`Last line to read, at most ${MAX_RANGE_LINES} lines after startLine`)
+    },
+    implementation: async ({ filePath, startLine, endLine }, context) =>
+    {
+        try
+        {
+            const file = await policyFor(context).read(filePath);
+            const { buffer } = file;
+
+            const details = {
+                path: file.relative,
+                size: file.stats.size,
+                modified: file.stats.mtime.toISOString(),
+                language: detectLanguage(file.path, buffer.subarray(0, 200).toString('latin1'))
+            };
+
+            if (isBinary(buffer))
+            {
+                return { ...details, binary: true };
+            }
+
+            const { encoding, bom, text } = decodeText(buffer);
+            const lines = text.split(/\r?\n/);
+            if (lines.length > 1 && lines[lines.length - 1] === '') lines.pop();
+
+            const start = Math.min(startLine || 1, Math.max(lines.length, 1));
+            const end = Math.min(endLine || (startLine ? start + MAX_RANGE_LINES - 1 : PREVIEW_LINES), start + MAX_RANGE_LINES - 1, lines.length);
+
+            if (endLine && endLine < start)
+            {
+                return { ...details, error: { code: 'INVALID_RANGE', message: `endLine ${endLine} is before startLine ${start}` } };
+            }
+
+            let content = lines.slice(start - 1, end).join('\n');
+            const truncated = content.length > MAX_CONTENT_CHARS;
+            if (truncated)
+            {
+                content = content.slice(0, MAX_CONTENT_CHARS);
+            }
+
+            return {
+                ...details,
+                binary: false,
+                encoding,
+                bom,
+                lines: lines.length,
+                line_endings: describeLineEndings(text),
+                structure: summarizeStructure(details.language, text),
+                range: { start, end },
+                content,
+                ...(truncated && { truncated: true })
+            };
+        } catch (error)
+        {
+            if (error instanceof FileAccessError)
+            {
+                return { path: filePath, error: error.toJSON() };
+            }
+            return { path: filePath, error: { code: 'READ_FAILED', message: error.message } };
+        }
+    }
+};
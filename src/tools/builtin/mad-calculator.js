@@ -0,0 +1,32 @@
+/**
+ * 🧮 mad_calculator - Evaluate math expressions exactly, with units
+ */
+
+const { z } = require('zod');
+const { evaluateExpression, ExpressionError, MAX_PRECISION } = require('../math/expression');
+
+module.exports = {
+    name: 'mad_calculator',
+    description: 'Evaluate a math expression. Supports + - * / % ^ ! and parentheses, functions ' +
+        '(sqrt, abs, exp, ln, log, sin, cos, tan, floor, round, min, max, ...), constants (pi, e, tau, phi) ' +
+        'and units with conversion (e.g. "60 km/h to m/s", "1.5 GiB in MB"). Decimals are exact.',
+    parameters: {
+        expression: z.string().describe('Expression to evaluate, e.g. "42 * 137 + 256" or "5 km + 300 m to mi"'),
+        precision: z.number().int().min(1).max(MAX_PRECISION).optional()
+            .describe('Significant digits for results that do not terminate (default 20)')
+    },
+    implementation: async ({ expression, precision }) =>
+    {
+        try
+        {
+            return { expression, ...evaluateExpression(expression, { precision }) };
+        } catch (error)
+        {
+            if (error instanceof ExpressionError)
+            {
+                return { expression, error: error.toJSON() };
+            }
+            return { expression, error: { code: 'EVALUATION_FAILED', message: error.message, position: null } };
+        }
+    }
+};
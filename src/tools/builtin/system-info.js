@@ -0,0 +1,19 @@
+/**
+ * 💻 system_info - Get system information
+ */
+
+module.exports = {
+    name: 'system_info',
+    description: 'Get system information',
+    parameters: {},
+    implementation: async () =>
+    {
+        return {
+            platform: process.platform,
+            arch: process.arch,
+            nodeVersion: process.version,
+            memory: process.memoryUsage(),
+            uptime: process.uptime()
+        };
+    }
+};
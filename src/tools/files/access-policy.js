@@ -0,0 +1,291 @@
+/**
+ * 🔐 FileAccessPolicy - Decides which files agent tools may touch
+ *
+ * Every path a tool receives comes from the model, so it is treated as hostile:
+ * it must resolve (after following symlinks) inside one of the allowed roots,
+ * must not match a denied glob, and must be a regular file under the size cap.
+ * File tools call `read()` (or `resolve()` when they only need the checked real
+ * path) and get the file, or a FileAccessError explaining the refusal.
+ *
+ * Deny globs are checked against the path as written and again against the
+ * real path, so links, Windows short names and trailing dots can't dodge them.
+ * On Windows, whose file systems ignore case, globs ignore case too.
+ *
+ * Author: Mad Tinker
+ * Project: Madness Interactive - Whispermind_Conduit
+ */
+
+const fs = require('fs').promises;
+const { constants: fsConstants } = require('fs');
+const path = require('path');
+
+// Secrets (client secrets included) and VCS internals are off limits unless the deployment says otherwise
+const DEFAULT_DENY = [
+    '.env',
+    '.env.*',
+    '*.pem',
+    '*.key',
+    '*.p12',
+    '*.pfx',
+    'id_rsa*',
+    'id_ed25519*',
+    '.npmrc',
+    '.git',
+    'clients.json',
+    // The conduits' own logs record requests and answers
+    'logs/**'
+];
+
+const DEFAULT_MAX_BYTES = 1024 * 1024;
+
+class FileAccessError extends Error
+{
+    /**
+     * @param {string} code - OUTSIDE_ROOTS, SYMLINK_ESCAPE, DENIED, NOT_FOUND, NOT_A_FILE or TOO_LARGE
+     * @param {string} message - Explanation safe to show to the model
+     */
+    constructor(code, message)
+    {
+        super(message);
+        this.name = 'FileAccessError';
+        this.code = code;
+    }
+
+    toJSON()
+    {
+        return { code: this.code, message: this.message };
+    }
+}
+
+/**
+ * 🧩 Compile a gitignore-style glob: `*` and `?` stay within a path segment,
+ * `**` crosses segments, and patterns without a slash match at any depth
+ *
+ * @param {string} pattern
+ * @param {object} [options]
+ * @param {boolean} [options.ignoreCase] - Match `.ENV` for `.env`, as case-insensitive file systems do
+ */
+function globToRegExp(pattern, { ignoreCase = false } = {})
+{
+    const anchored = pattern.includes('/') && !pattern.startsWith('**/');
+    const body = pattern.replace(/^\/+/, '').split(/(\*\*\/?|\*|\?)/).map(part =>
+    {
+        if (part === '**/' || part === '**') return '(?:.*/)?' + (part === '**' ? '.*' : '');
+        if (part === '*') return '[^/]*';
+        if (part === '?') return '[^/]';
+        return part.replace(/[.+^${}()|[\]\\]/g, '\\$&');
+    }).join('');
+
+    // A match on a directory also covers everything inside it
+    return new RegExp(`${anchored ? '^' : '(?:^|/)'}${body}(?:/.*)?$`, ignoreCase ? 'i' : '');
+}
+
+/**
+ * 📋 Split a comma-separated env value into a list
+ */
+function parseList(value)
+{
+    return (value || '').split(',').map(item => item.trim()).filter(Boolean);
+}
+
+/**
+ * ⚙️ Policy settings from the environment
+ */
+function loadFileAccessConfig()
+{
+    return {
+        roots: parseList(process.env.FILE_ACCESS_ROOTS).map(root => path.resolve(root)),
+        deny: [...DEFAULT_DENY, ...parseList(process.env.FILE_ACCESS_DENY)],
+        maxBytes: parseInt(process.env.FILE_ACCESS_MAX_BYTES) || DEFAULT_MAX_BYTES
+    };
+}
+
+class FileAccessPolicy
+{
+    /**
+     * @param {object} options
+     * @param {string[]} [options.roots] - Directories files must live in (default: working directory)
+     * @param {string[]} [options.deny] - Globs matched against paths relative to their root
+     * @param {number} [options.maxBytes] - Largest file that may be read
+     * @param {boolean} [options.ignoreCase] - Match deny globs regardless of case (default: on Windows)
+     */
+    constructor({ roots = [], deny = DEFAULT_DENY, maxBytes = DEFAULT_MAX_BYTES, ignoreCase = process.platform === 'win32' } = {})
+    {
+        this.roots = (roots.length > 0 ? roots : [process.cwd()]).map(root => path.resolve(root));
+        this.deny = deny;
+        this.denyPatterns = deny.map(pattern => ({ pattern, regex: globToRegExp(pattern, { ignoreCase }) }));
+        this.maxBytes = maxBytes;
+        this.realRoots = null;
+    }
+
+    /**
+     * 🧭 Roots with their own symlinks resolved, computed once
+     */
+    async resolveRoots()
+    {
+        if (!this.realRoots)
+        {
+            this.realRoots = await Promise.all(this.roots.map(async root =>
+            {
+                try
+                {
+                    return await fs.realpath(root);
+                } catch (error)
+                {
+                    return root;
+                }
+            }));
+        }
+        return this.realRoots;
+    }
+
+    /**
+     * 📍 The root containing `target`, with the path relative to it
+     *
+     * path.relative compares case-insensitively on Windows, matching its file systems.
+     */
+    locate(target, roots)
+    {
+        for (const root of roots)
+        {
+            const relative = path.relative(root, target);
+            if (relative === '' || (!relative.startsWith('..') && !path.isAbsolute(relative)))
+            {
+                return { root, relative: relative.split(path.sep).join('/') };
+            }
+        }
+        return null;
+    }
+
+    deniedBy(relative)
+    {
+        return this.denyPatterns.find(({ regex }) => regex.test(relative))?.pattern || null;
+    }
+
+    /**
+     * 🛂 Check a requested path and return where it really lives
+     *
+     * Relative paths are taken from the first root.
+     *
+     * @returns {Promise<{ path: string, root: string, relative: string, stats: fs.Stats }>}
+     * @throws {FileAccessError}
+     */
+    async resolve(requestedPath)
+    {
+        const realRoots = await this.resolveRoots();
+        const requested = path.resolve(this.roots[0], String(requestedPath || ''));
+
+        // Judge the path as written first, so denials don't depend on the file existing
+        const lexical = this.locate(requested, this.roots) || this.locate(requested, realRoots);
+        if (!lexical)
+        {
+            throw new FileAccessError('OUTSIDE_ROOTS', `'${requestedPath}' is outside the allowed directories`);
+        }
+        this.assertAllowed(lexical.relative, requestedPath);
+
+        let realPath;
+        try
+        {
+            realPath = await fs.realpath(requested);
+        } catch (error)
+        {
+            if (error.code === 'ENOENT' || error.code === 'ENOTDIR')
+            {
+                throw new FileAccessError('NOT_FOUND', `'${requestedPath}' does not exist`);
+            }
+            throw error;
+        }
+
+        // Symlinks may point anywhere - the real path has to pass the root and deny checks on its own
+        const resolved = this.locate(realPath, realRoots);
+        if (!resolved)
+        {
+            throw new FileAccessError('SYMLINK_ESCAPE', `'${requestedPath}' links outside the allowed directories`);
+        }
+        this.assertAllowed(resolved.relative, requestedPath);
+
+        const stats = await fs.stat(realPath);
+        if (!stats.isFile())
+        {
+            throw new FileAccessError('NOT_A_FILE', `'${requestedPath}' is not a regular file`);
+        }
+        if (stats.size > this.maxBytes)
+        {
+            throw new FileAccessError('TOO_LARGE', `'${requestedPath}' is ${stats.size} bytes, the limit is ${this.maxBytes}`);
+        }
+
+        return { path: realPath, root: resolved.root, relative: resolved.relative, stats };
+    }
+
+    /**
+     * 📖 Check a path and read the file it leads to
+     *
+     * The file is opened without following a final symlink and must be the very
+     * file resolve() checked, so a link swapped in meanwhile can't redirect the read.
+     *
+     * @returns {Promise<{ path: string, root: string, relative: string, stats: fs.Stats, buffer: Buffer }>}
+     * @throws {FileAccessError}
+     */
+    async read(requestedPath)
+    {
+        const file = await this.resolve(requestedPath);
+
+        let handle;
+        try
+        {
+            handle = await fs.open(file.path, fsConstants.O_RDONLY | (fsConstants.O_NOFOLLOW || 0));
+        } catch (error)
+        {
+            if (error.code === 'ENOENT') throw new FileAccessError('NOT_FOUND', `'${requestedPath}' does not exist`);
+            if (error.code === 'ELOOP') throw new FileAccessError('SYMLINK_ESCAPE', `'${requestedPath}' became a link while it was checked`);
+            throw error;
+        }
+
+        try
+        {
+            const stats = await handle.stat();
+            if (stats.dev !== file.stats.dev || stats.ino !== file.stats.ino)
+            {
+                throw new FileAccessError('SYMLINK_ESCAPE', `'${requestedPath}' changed while it was checked`);
+            }
+            if (stats.size > this.maxBytes)
+            {
+                throw new FileAccessError('TOO_LARGE', `'${requestedPath}' is ${stats.size} bytes, the limit is ${this.maxBytes}`);
+            }
+
+            return { ...file, stats, buffer: await handle.readFile() };
+        } finally
+        {
+            await handle.close();
+        }
+    }
+
+    assertAllowed(relative, requestedPath)
+    {
+        const pattern = this.deniedBy(relative);
+        if (pattern)
+        {
+            throw new FileAccessError('DENIED', `'${requestedPath}' matches the denied pattern '${pattern}'`);
+        }
+    }
+
+    /**
+     * 📋 Policy summary for status messages
+     */
+    describe()
+    {
+        return {
+            roots: this.roots,
+            deny: this.deny,
+            max_bytes: this.maxBytes
+        };
+    }
+}
+
+module.exports = {
+    FileAccessPolicy,
+    FileAccessError,
+    loadFileAccessConfig,
+    globToRegExp,
+    DEFAULT_DENY
+};
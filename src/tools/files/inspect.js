@@ -0,0 +1,225 @@
+/**
+ * 🔬 File Inspection - Encoding, language and structure sniffing for file tools
+ *
+ * Author: Mad Tinker
+ * Project: Madness Interactive - Whispermind_Conduit
+ */
+
+const path = require('path');
+
+const SNIFF_BYTES = 8192;
+
+// Share of control characters above which a NUL-free file still counts as binary
+const BINARY_CONTROL_RATIO = 0.1;
+
+const LANGUAGES_BY_EXTENSION = {
+    '.js': 'javascript', '.cjs': 'javascript', '.mjs': 'javascript', '.jsx': 'javascript',
+    '.ts': 'typescript', '.tsx': 'typescript',
+    '.py': 'python', '.rb': 'ruby', '.go': 'go', '.rs': 'rust', '.java': 'java', '.kt': 'kotlin',
+    '.c': 'c', '.h': 'c', '.cpp': 'cpp', '.cc': 'cpp', '.hpp': 'cpp', '.cs': 'csharp',
+    '.php': 'php', '.swift': 'swift', '.lua': 'lua', '.r': 'r', '.scala': 'scala',
+    '.sh': 'shell', '.bash': 'shell', '.zsh': 'shell', '.ps1': 'powershell', '.bat': 'batch', '.cmd': 'batch',
+    '.json': 'json', '.yaml': 'yaml', '.yml': 'yaml', '.toml': 'toml', '.ini': 'ini', '.xml': 'xml',
+    '.html': 'html', '.htm': 'html', '.css': 'css', '.scss': 'scss', '.sql': 'sql',
+    '.md': 'markdown', '.markdown': 'markdown', '.txt': 'text', '.csv': 'csv', '.log': 'log'
+};
+
+const LANGUAGES_BY_FILENAME = {
+    'dockerfile': 'dockerfile',
+    'makefile': 'makefile',
+    '.gitignore': 'gitignore',
+    'package.json': 'json'
+};
+
+const LANGUAGES_BY_INTERPRETER = {
+    node: 'javascript', python: 'python', python3: 'python', ruby: 'ruby',
+    bash: 'shell', sh: 'shell', zsh: 'shell', pwsh: 'powershell'
+};
+
+/**
+ * 🧱 Whether a buffer looks like binary data rather than text
+ */
+function isBinary(buffer)
+{
+    const sample = buffer.subarray(0, SNIFF_BYTES);
+    if (sample.length === 0) return false;
+
+    // UTF-16 text is full of NULs but announces itself with a BOM
+    if (detectBom(sample)?.encoding.startsWith('utf-16')) return false;
+
+    let control = 0;
+    for (const byte of sample)
+    {
+        if (byte === 0) return true;
+        if (byte < 7 || (byte > 13 && byte < 32 && byte !== 27)) control++;
+    }
+    return control / sample.length > BINARY_CONTROL_RATIO;
+}
+
+function detectBom(buffer)
+{
+    if (buffer[0] === 0xEF && buffer[1] === 0xBB && buffer[2] === 0xBF) return { encoding: 'utf-8', length: 3 };
+    if (buffer[0] === 0xFF && buffer[1] === 0xFE) return { encoding: 'utf-16le', length: 2 };
+    if (buffer[0] === 0xFE && buffer[1] === 0xFF) return { encoding: 'utf-16be', length: 2 };
+    return null;
+}
+
+/**
+ * 🔤 Detect the text encoding and decode the buffer
+ *
+ * @returns {{ encoding: string, bom: boolean, text: string }}
+ */
+function decodeText(buffer)
+{
+    const bom = detectBom(buffer);
+    if (bom)
+    {
+        const body = buffer.subarray(bom.length);
+        const text = bom.encoding === 'utf-16be'
+            ? Buffer.from(body).swap16().toString('utf16le')
+            : body.toString(bom.encoding === 'utf-8' ? 'utf8' : 'utf16le');
+        return { encoding: bom.encoding, bom: true, text };
+    }
+
+    if (buffer.every(byte => byte < 0x80))
+    {
+        return { encoding: 'ascii', bom: false, text: buffer.toString('ascii') };
+    }
+
+    try
+    {
+        const text = new TextDecoder('utf-8', { fatal: true }).decode(buffer);
+        return { encoding: 'utf-8', bom: false, text };
+    } catch (error)
+    {
+        // Not valid UTF-8 - most likely a legacy single-byte encoding
+        return { encoding: 'latin1', bom: false, text: buffer.toString('latin1') };
+    }
+}
+
+/**
+ * 🗣️ Guess a file's language from its name, falling back to a shebang line
+ */
+function detectLanguage(filePath, text = '')
+{
+    const name = path.basename(filePath).toLowerCase();
+    if (LANGUAGES_BY_FILENAME[name]) return LANGUAGES_BY_FILENAME[name];
+
+    const byExtension = LANGUAGES_BY_EXTENSION[path.extname(name)];
+    if (byExtension) return byExtension;
+
+    const shebang = /^#!\s*(?:\/usr\/bin\/env\s+)?\S*?([\w.]+)(?:\s|$)/.exec(text);
+    if (shebang)
+    {
+        return LANGUAGES_BY_INTERPRETER[shebang[1]] || LANGUAGES_BY_INTERPRETER[shebang[1].replace(/[\d.]+$/, '')] || null;
+    }
+    return null;
+}
+
+function describeLineEndings(text)
+{
+    const crlf = (text.match(/\r\n/g) || []).length;
+    const lf = (text.match(/\n/g) || []).length - crlf;
+    if (crlf === 0 && lf === 0) return 'none';
+    if (crlf === 0) return 'lf';
+    return lf === 0 ? 'crlf' : 'mixed';
+}
+
+/**
+ * 🧾 Type and size of a JSON value, one level deep
+ */
+function describeValue(value)
+{
+    if (Array.isArray(value)) return `array(${value.length})`;
+    if (value === null) return 'null';
+    if (typeof value === 'object') return `object(${Object.keys(value).length} keys)`;
+    return typeof value;
+}
+
+function summarizeJson(text, maxKeys)
+{
+    try
+    {
+        const data = JSON.parse(text);
+        const summary = { valid: true, root: describeValue(data) };
+
+        if (Array.isArray(data))
+        {
+            summary.item_types = [...new Set(data.map(describeValue))].slice(0, maxKeys);
+        } else if (data && typeof data === 'object')
+        {
+            const keys = Object.keys(data);
+            summary.keys = Object.fromEntries(keys.slice(0, maxKeys).map(key => [key, describeValue(data[key])]));
+            summary.truncated = keys.length > maxKeys;
+        }
+        return summary;
+    } catch (error)
+    {
+        return { valid: false, error: error.message };
+    }
+}
+
+function nextContentLine(lines, from)
+{
+    for (let index = from; index < lines.length; index++)
+    {
+        const trimmed = lines[index].trim();
+        if (trimmed && !trimmed.startsWith('#')) return lines[index];
+    }
+    return '';
+}
+
+/**
+ * 📑 Top-level keys of a YAML file, read from its outline (not a full parse)
+ */
+function summarizeYaml(text, maxKeys)
+{
+    const lines = text.split(/\r?\n/);
+    const documents = Math.max(1, lines.filter(line => /^---(\s|$)/.test(line)).length);
+    const keys = {};
+    let sequenceItems = 0;
+
+    for (let index = 0; index < lines.length; index++)
+    {
+        const key = /^(["']?)([^\s#"'][^:#]*?)\1:(?:\s+(.*))?$/.exec(lines[index]);
+        if (key)
+        {
+            const inline = (key[3] || '').replace(/\s+#.*$/, '').trim();
+            const next = nextContentLine(lines, index + 1);
+            keys[key[2]] = inline
+                ? (/^[[{]/.test(inline) ? 'inline collection' : 'scalar')
+                : (/^\s*- /.test(next) ? 'sequence' : (/^\s+/.test(next) ? 'mapping' : 'empty'));
+        } else if (/^- /.test(lines[index]))
+        {
+            sequenceItems++;
+        }
+    }
+
+    const names = Object.keys(keys);
+    return {
+        documents,
+        root: names.length > 0 ? 'mapping' : (sequenceItems > 0 ? `sequence(${sequenceItems})` : 'scalar'),
+        ...(names.length > 0 && {
+            keys: Object.fromEntries(names.slice(0, maxKeys).map(name => [name, keys[name]])),
+            truncated: names.length > maxKeys
+        })
+    };
+}
+
+/**
+ * 🗂️ Structure summary for data files, null for everything else
+ */
+function summarizeStructure(language, text, maxKeys = 50)
+{
+    if (language === 'json') return summarizeJson(text, maxKeys);
+    if (language === 'yaml') return summarizeYaml(text, maxKeys);
+    return null;
+}
+
+module.exports = {
+    isBinary,
+    decodeText,
+    detectLanguage,
+    describeLineEndings,
+    summarizeStructure
+};
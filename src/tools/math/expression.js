@@ -0,0 +1,809 @@
+/**
+ * 🧮 Expression Evaluator - Safe arithmetic for model-written expressions
+ *
+ * A hand-written tokenizer, recursive descent parser and tree walker: nothing
+ * the model sends is ever executed as code. Supported:
+ *
+ *   operators    + - * / % ^ (or **), unary minus, postfix !, implicit
+ *                multiplication ("2pi", "3(4 + 5)", "5 km")
+ *   functions    sqrt, cbrt, abs, exp, ln, log, log2, log10, sin, cos, tan,
+ *                asin, acos, atan, atan2, sinh, cosh, tanh, floor, ceil,
+ *                round, trunc, sign, min, max, hypot, pow, factorial
+ *   constants    pi, e, tau, phi
+ *   units        see ./units - "5 km + 300 m", "60 km/h to m/s", "1 GiB in MB"
+ *
+ * `to` always starts a conversion. `in` does only between a quantity and the
+ * unit it converts to; elsewhere it is the inch ("5 in to cm", "3 ft in in").
+ *
+ * Numbers stay exact rationals (0.1 + 0.2 is 0.3) until an irrational step
+ * such as sin() or a float constant forces an approximation. Bad input throws
+ * an ExpressionError carrying a code and the character position at fault.
+ *
+ * Author: Mad Tinker
+ * Project: Madness Interactive - Whispermind_Conduit
+ */
+
+const { Rational } = require('./rational');
+const { findUnit, combineDims, scaleDims, sameDims, isDimensionless, formatDims } = require('./units');
+
+const MAX_EXPRESSION_LENGTH = 1000;
+const MAX_NESTING_DEPTH = 64;
+const MAX_LITERAL_EXPONENT = 1000;
+const MAX_EXACT_BITS = 16384;
+const MAX_EXACT_FACTORIAL = 1000;
+const DEFAULT_PRECISION = 20;
+const MAX_PRECISION = 100;
+
+// Significant digits a double reliably carries
+const FLOAT_PRECISION = 15;
+
+
+const CONSTANTS = {
+    pi: Math.PI,
+    e: Math.E,
+    tau: 2 * Math.PI,
+    phi: (1 + Math.sqrt(5)) / 2
+};
+
+// Typographic operators models like to emit
+const OPERATOR_ALIASES = { '×': '*', '·': '*', '÷': '/', '−': '-' };
+
+class ExpressionError extends Error
+{
+    /**
+     * @param {string} code - Machine-readable reason, e.g. DIVISION_BY_ZERO
+     * @param {string} message - Human-readable explanation
+     * @param {number|null} position - 0-based character offset in the expression
+     */
+    constructor(code, message, position = null)
+    {
+        super(message);
+        this.name = 'ExpressionError';
+        this.code = code;
+        this.position = position;
+    }
+
+    toJSON()
+    {
+        return { code: this.code, message: this.message, position: this.position };
+    }
+}
+
+// ─── Tokenizer ──────────────────────────────────────────────────────────────
+
+const NUMBER_PATTERN = /^(?:\d[\d_]*(?:\.\d*)?|\.\d+)(?:[eE][+-]?\d+)?/;
+const IDENTIFIER_PATTERN = /^[A-Za-z_][A-Za-z0-9_]*/;
+
+/**
+ * 🔤 Split an expression into tokens
+ */
+function tokenize(source)
+{
+    const tokens = [];
+    let position = 0;
+
+    while (position < source.length)
+    {
+        const rest = source.slice(position);
+        const char = OPERATOR_ALIASES[rest[0]] || rest[0];
+
+        if (/\s/.test(char))
+        {
+            position++;
+            continue;
+        }
+
+        const number = NUMBER_PATTERN.exec(rest);
+        if (number)
+        {
+            tokens.push({ type: 'number', value: parseLiteral(number[0], position), text: number[0], position });
+            position += number[0].length;
+            continue;
+        }
+
+        const identifier = IDENTIFIER_PATTERN.exec(rest);
+        if (identifier)
+        {
+            tokens.push({ type: 'identifier', value: identifier[0], position });
+            position += identifier[0].length;
+            continue;
+        }
+
+        if (rest.startsWith('**'))
+        {
+            tokens.push({ type: 'operator', value: '^', position });
+            position += 2;
+            continue;
+        }
+
+        if ('+-*/%^!'.includes(char))
+        {
+            tokens.push({ type: 'operator', value: char, position });
+        } else if (char === '(' || char === ')' || char === ',')
+        {
+            tokens.push({ type: char, value: char, position });
+        } else
+        {
+            throw new ExpressionError('UNEXPECTED_CHARACTER', `Unexpected character '${rest[0]}'`, position);
+        }
+        position++;
+    }
+
+    tokens.push({ type: 'end', value: null, position: source.length });
+    return tokens;
+}
+
+/**
+ * 🔢 Exact value of a numeric literal
+ */
+function parseLiteral(text, position)
+{
+    const exponent = /[eE]([+-]?\d+)$/.exec(text);
+    if (exponent && Math.abs(Number(exponent[1])) > MAX_LITERAL_EXPONENT)
+    {
+        throw new ExpressionError('INVALID_NUMBER', `Exponent of ${text} is out of range (max ±${MAX_LITERAL_EXPONENT})`, position);
+    }
+    return Rational.fromDecimal(text.replace(/_/g, ''));
+}
+
+// ─── Parser ─────────────────────────────────────────────────────────────────
+
+/**
+ * 🔀 Index of the `in` token that starts a conversion, or -1
+ *
+ * It must sit outside parentheses, after something that ends a quantity and
+ * before a unit or '('. When several could, the last one wins: in "12 in in ft"
+ * the first `in` is the inch. A `to` outside parentheses always takes over, so
+ * every `in` in "5 in to cm" is an inch.
+ */
+function findConversionIn(tokens)
+{
+    let depth = 0;
+    let found = -1;
+    let sawTo = false;
+
+    tokens.forEach((token, index) =>
+    {
+        if (token.type === '(') depth++;
+        if (token.type === ')') depth--;
+        if (depth !== 0 || token.type !== 'identifier') return;
+        if (token.value === 'to') sawTo = true;
+        if (token.value !== 'in' || index === 0) return;
+
+        const before = tokens[index - 1];
+        const after = tokens[index + 1];
+        const endsQuantity = ['number', 'identifier', ')'].includes(before.type) || (before.type === 'operator' && before.value === '!');
+        const startsTarget = after.type === 'identifier' || after.type === '(';
+
+        if (endsQuantity && startsTarget)
+        {
+            found = index;
+        }
+    });
+
+    return sawTo ? -1 : found;
+}
+
+class Parser
+{
+    constructor(source)
+    {
+        this.source = source;
+        this.tokens = tokenize(source);
+        this.index = 0;
+        this.depth = 0;
+        this.conversionIn = findConversionIn(this.tokens);
+    }
+
+    get current()
+    {
+        return this.tokens[this.index];
+    }
+
+    advance()
+    {
+        return this.tokens[this.index++];
+    }
+
+    isOperator(...operators)
+    {
+        return this.current.type === 'operator' && operators.includes(this.current.value);
+    }
+
+    isConversionKeyword()
+    {
+        return (this.current.type === 'identifier' && this.current.value === 'to') || this.index === this.conversionIn;
+    }
+
+    expect(type, description)
+    {
+        if (this.current.type !== type)
+        {
+            this.unexpected(description);
+        }
+        return this.advance();
+    }
+
+    unexpected(expected)
+    {
+        const token = this.current;
+        if (token.type === 'end')
+        {
+            throw new ExpressionError('UNEXPECTED_END', `Expression ended early, expected ${expected}`, token.position);
+        }
+        throw new ExpressionError('UNEXPECTED_TOKEN', `Unexpected '${token.text || token.value}', expected ${expected}`, token.position);
+    }
+
+    /**
+     * 🌳 expression := sum [('to' | 'in') sum]
+     */
+    parse()
+    {
+        const expression = this.parseSum();
+        let tree = expression;
+
+        if (this.isConversionKeyword())
+        {
+            const keyword = this.advance();
+            const targetStart = this.current.position;
+            const target = this.parseSum();
+            const label = this.source.slice(targetStart, this.current.position).trim();
+            tree = { type: 'convert', expression, target, label, position: keyword.position };
+        }
+
+        if (this.current.type !== 'end')
+        {
+            this.unexpected('an operator or the end of the expression');
+        }
+        return tree;
+    }
+
+    nested(parse)
+    {
+        if (++this.depth > MAX_NESTING_DEPTH)
+        {
+            throw new ExpressionError('TOO_DEEP', `Expression nests deeper than ${MAX_NESTING_DEPTH} levels`, this.current.position);
+        }
+        try
+        {
+            return parse();
+        } finally
+        {
+            this.depth--;
+        }
+    }
+
+    // sum := product (('+' | '-') product)*
+    parseSum()
+    {
+        let left = this.parseProduct();
+        while (this.isOperator('+', '-'))
+        {
+            const operator = this.advance();
+            left = { type: 'binary', operator: operator.value, left, right: this.parseProduct(), position: operator.position };
+        }
+        return left;
+    }
+
+    // product := implicit (('*' | '/' | '%') implicit)*
+    parseProduct()
+    {
+        let left = this.parseImplicit();
+        while (this.isOperator('*', '/', '%'))
+        {
+            const operator = this.advance();
+            left = { type: 'binary', operator: operator.value, left, right: this.parseImplicit(), position: operator.position };
+        }
+        return left;
+    }
+
+    // implicit := unary (unary)*  - juxtaposition binds tighter than '/', so "5 MB / 2 s" divides by 2 s
+    parseImplicit()
+    {
+        let left = this.parseUnary();
+        while (this.current.type === '(' || (this.current.type === 'identifier' && !this.isConversionKeyword()))
+        {
+            const position = this.current.position;
+            left = { type: 'binary', operator: '*', left, right: this.parseUnary(), position };
+        }
+        return left;
+    }
+
+    // unary := ('+' | '-') unary | power
+    parseUnary()
+    {
+        if (this.isOperator('+', '-'))
+        {
+            const operator = this.advance();
+            const operand = this.nested(() => this.parseUnary());
+            return operator.value === '-'
+                ? { type: 'negate', operand, position: operator.position }
+                : operand;
+        }
+        return this.parsePower();
+    }
+
+    // power := postfix ['^' unary]   (right-associative, so 2^3^2 = 2^9)
+    parsePower()
+    {
+        const base = this.parsePostfix();
+        if (this.isOperator('^'))
+        {
+            const operator = this.advance();
+            const exponent = this.nested(() => this.parseUnary());
+            return { type: 'binary', operator: '^', left: base, right: exponent, position: operator.position };
+        }
+        return base;
+    }
+
+    // postfix := primary '!'*
+    parsePostfix()
+    {
+        let operand = this.parsePrimary();
+        while (this.isOperator('!'))
+        {
+            const operator = this.advance();
+            operand = { type: 'factorial', operand, position: operator.position };
+        }
+        return operand;
+    }
+
+    // primary := number | constant | unit | function '(' arguments ')' | '(' sum ')'
+    parsePrimary()
+    {
+        const token = this.current;
+
+        if (token.type === 'number')
+        {
+            this.advance();
+            return { type: 'number', value: token.value, position: token.position };
+        }
+
+        if (token.type === '(')
+        {
+            this.advance();
+            const inner = this.nested(() => this.parseSum());
+            this.expect(')', "')'");
+            return inner;
+        }
+
+        if (token.type === 'identifier')
+        {
+            this.advance();
+            return this.current.type === '('
+                ? this.parseCall(token)
+                : this.resolveIdentifier(token);
+        }
+
+        return this.unexpected('a number, name or \'(\'');
+    }
+
+    parseCall(token)
+    {
+        const name = token.value.toLowerCase();
+        if (!Object.hasOwn(FUNCTIONS, name))
+        {
+            throw new ExpressionError('UNKNOWN_FUNCTION', `Unknown function '${token.value}'`, token.position);
+        }
+
+        this.advance();
+        const args = [];
+        if (this.current.type !== ')')
+        {
+            do
+            {
+                args.push(this.nested(() => this.parseSum()));
+            } while (this.current.type === ',' && this.advance());
+        }
+        this.expect(')', "',' or ')'");
+
+        const [min, max] = FUNCTIONS[name].arity;
+        if (args.length < min || args.length > max)
+        {
+            const expected = min === max ? `${min}` : (max === Infinity ? `at least ${min}` : `${min}-${max}`);
+            throw new ExpressionError('WRONG_ARGUMENT_COUNT', `${name}() takes ${expected} argument(s), got ${args.length}`, token.position);
+        }
+
+        return { type: 'call', name, args, position: token.position };
+    }
+
+    resolveIdentifier(token)
+    {
+        const constant = token.value.toLowerCase();
+        if (Object.hasOwn(CONSTANTS, constant))
+        {
+            return { type: 'constant', name: constant, position: token.position };
+        }
+
+        if (findUnit(token.value))
+        {
+            return { type: 'unit', name: token.value, position: token.position };
+        }
+
+        if (Object.hasOwn(FUNCTIONS, constant))
+        {
+            throw new ExpressionError('UNEXPECTED_TOKEN', `Function '${token.value}' needs arguments in parentheses`, token.position);
+        }
+
+        throw new ExpressionError('UNKNOWN_IDENTIFIER', `Unknown name '${token.value}' - not a constant, unit or function`, token.position);
+    }
+}
+
+// ─── Numbers ────────────────────────────────────────────────────────────────
+// A number is an exact Rational or, once precision is lost, a JS float.
+
+const isExact = value => value instanceof Rational;
+const toFloat = value => isExact(value) ? value.toNumber() : value;
+
+/**
+ * 🛡️ Reject NaN / infinities produced by float steps
+ */
+function checkFloat(value, position, description)
+{
+    if (Number.isNaN(value))
+    {
+        throw new ExpressionError('DOMAIN_ERROR', `${description} is undefined`, position);
+    }
+    if (!Number.isFinite(value))
+    {
+        throw new ExpressionError('NUMBER_OVERFLOW', `${description} is too large to represent`, position);
+    }
+    return value;
+}
+
+/**
+ * 📏 Keep exact results bounded in size, falling back to floats beyond that
+ */
+function bounded(value, position, description)
+{
+    return value.bits() > MAX_EXACT_BITS
+        ? checkFloat(value.toNumber(), position, description)
+        : value;
+}
+
+function isZero(value)
+{
+    return isExact(value) ? value.isZero() : value === 0;
+}
+
+function isInteger(value)
+{
+    return isExact(value) ? value.isInteger() : Number.isInteger(value);
+}
+
+const ARITHMETIC = {
+    '+': { exact: (a, b) => a.add(b), float: (a, b) => a + b },
+    '-': { exact: (a, b) => a.sub(b), float: (a, b) => a - b },
+    '*': { exact: (a, b) => a.mul(b), float: (a, b) => a * b },
+    '/': { exact: (a, b) => a.div(b), float: (a, b) => a / b },
+    '%': { exact: (a, b) => a.sub(b.mul(a.div(b).floor())), float: (a, b) => a - b * Math.floor(a / b) }
+};
+
+function arithmetic(operator, a, b, position)
+{
+    if ((operator === '/' || operator === '%') && isZero(b))
+    {
+        throw new ExpressionError('DIVISION_BY_ZERO', operator === '/' ? 'Division by zero' : 'Modulo by zero', position);
+    }
+
+    const description = `Result of '${operator}'`;
+    return isExact(a) && isExact(b)
+        ? bounded(ARITHMETIC[operator].exact(a, b), position, description)
+        : checkFloat(ARITHMETIC[operator].float(toFloat(a), toFloat(b)), position, description);
+}
+
+function power(base, exponent, position)
+{
+    if (isExact(base) && isExact(exponent) && exponent.isInteger())
+    {
+        if (base.isZero() && exponent.n < 0n)
+        {
+            throw new ExpressionError('DIVISION_BY_ZERO', 'Zero raised to a negative power', position);
+        }
+
+        const magnitude = exponent.n < 0n ? -exponent.n : exponent.n;
+        if (base.bits() <= 1 || BigInt(base.bits()) * magnitude <= BigInt(MAX_EXACT_BITS))
+        {
+            return bounded(base.pow(exponent.n), position, 'Power');
+        }
+    }
+
+    return checkFloat(Math.pow(toFloat(base), toFloat(exponent)), position, 'Power');
+}
+
+function factorial(value, position)
+{
+    if (!isInteger(value) || toFloat(value) < 0)
+    {
+        throw new ExpressionError('DOMAIN_ERROR', 'Factorial is only defined for non-negative integers', position);
+    }
+
+    const n = toFloat(value);
+    if (n > MAX_EXACT_FACTORIAL)
+    {
+        throw new ExpressionError('NUMBER_OVERFLOW', `Factorial is limited to n <= ${MAX_EXACT_FACTORIAL}`, position);
+    }
+
+    let result = 1n;
+    for (let i = 2n; i <= BigInt(n); i++)
+    {
+        result *= i;
+    }
+    return new Rational(result);
+}
+
+// ─── Functions ──────────────────────────────────────────────────────────────
+// `exact` may return null when no exact answer exists (e.g. sqrt(2)).
+// `units`: 'none' needs dimensionless arguments, 'same' keeps the shared unit.
+
+const float = fn => ({ arity: [1, 1], units: 'none', float: fn });
+const rounding = method => ({ arity: [1, 1], units: 'none', exact: x => x[method](), float: Math[method] });
+const extremum = (pick, compare) => ({
+    arity: [1, Infinity],
+    units: 'same',
+    exact: (...values) => values.reduce((best, value) => value.compare(best) === compare ? value : best),
+    float: pick
+});
+
+const FUNCTIONS = {
+    sqrt: { arity: [1, 1], units: 'root', exact: x => x.sqrt(), float: Math.sqrt },
+    cbrt: float(Math.cbrt),
+    abs: { arity: [1, 1], units: 'same', exact: x => x.abs(), float: Math.abs },
+    exp: float(Math.exp),
+    ln: float(Math.log),
+    log: { arity: [1, 2], units: 'none', float: (x, base) => base === undefined ? Math.log10(x) : Math.log(x) / Math.log(base) },
+    log2: float(Math.log2),
+    log10: float(Math.log10),
+    sin: float(Math.sin),
+    cos: float(Math.cos),
+    tan: float(Math.tan),
+    asin: float(Math.asin),
+    acos: float(Math.acos),
+    atan: float(Math.atan),
+    atan2: { arity: [2, 2], units: 'none', float: Math.atan2 },
+    sinh: float(Math.sinh),
+    cosh: float(Math.cosh),
+    tanh: float(Math.tanh),
+    floor: rounding('floor'),
+    ceil: rounding('ceil'),
+    round: rounding('round'),
+    trunc: rounding('trunc'),
+    sign: { arity: [1, 1], units: 'none', exact: x => new Rational(BigInt(x.compare(Rational.ZERO))), float: Math.sign },
+    min: extremum(Math.min, -1),
+    max: extremum(Math.max, 1),
+    hypot: { arity: [1, Infinity], units: 'same', float: Math.hypot },
+    pow: { arity: [2, 2], units: 'power' },
+    factorial: { arity: [1, 1], units: 'none' }
+};
+
+// ─── Evaluator ──────────────────────────────────────────────────────────────
+// Every node evaluates to a quantity: { value, dims } with value in base units.
+
+function evaluate(node)
+{
+    switch (node.type)
+    {
+        case 'number':
+            return { value: node.value, dims: {} };
+
+        case 'constant':
+            return { value: CONSTANTS[node.name], dims: {} };
+
+        case 'unit':
+        {
+            const unit = findUnit(node.name);
+            return { value: unit.scale, dims: unit.dims };
+        }
+
+        case 'negate':
+        {
+            const operand = evaluate(node.operand);
+            return { value: isExact(operand.value) ? operand.value.neg() : -operand.value, dims: operand.dims };
+        }
+
+        case 'factorial':
+        {
+            const operand = requireDimensionless(evaluate(node.operand), node.position, 'Factorial');
+            return { value: factorial(operand.value, node.position), dims: {} };
+        }
+
+        case 'binary':
+            return evaluateBinary(node);
+
+        case 'call':
+            return evaluateCall(node);
+
+        case 'convert':
+            return evaluateConversion(node);
+
+        default:
+            throw new ExpressionError('UNEXPECTED_TOKEN', `Unknown expression node '${node.type}'`, node.position);
+    }
+}
+
+function requireDimensionless(quantity, position, description)
+{
+    if (!isDimensionless(quantity.dims))
+    {
+        throw new ExpressionError('UNIT_MISMATCH', `${description} needs a plain number, got a value in ${formatDims(quantity.dims)}`, position);
+    }
+    return quantity;
+}
+
+function requireSameDims(left, right, position, description)
+{
+    if (!sameDims(left.dims, right.dims))
+    {
+        throw new ExpressionError(
+            'UNIT_MISMATCH',
+            `${description} needs matching units, got ${formatDims(left.dims) || 'a plain number'} and ${formatDims(right.dims) || 'a plain number'}`,
+            position
+        );
+    }
+}
+
+function evaluateBinary(node)
+{
+    const left = evaluate(node.left);
+    const right = evaluate(node.right);
+
+    switch (node.operator)
+    {
+        case '+':
+        case '-':
+        case '%':
+            requireSameDims(left, right, node.position, `'${node.operator}'`);
+            return { value: arithmetic(node.operator, left.value, right.value, node.position), dims: left.dims };
+
+        case '*':
+            return { value: arithmetic('*', left.value, right.value, node.position), dims: combineDims(left.dims, right.dims) };
+
+        case '/':
+            return { value: arithmetic('/', left.value, right.value, node.position), dims: combineDims(left.dims, right.dims, -1) };
+
+        case '^':
+            return evaluatePower(left, right, node.position);
+
+        default:
+            throw new ExpressionError('UNEXPECTED_TOKEN', `Unknown operator '${node.operator}'`, node.position);
+    }
+}
+
+function evaluatePower(base, exponent, position)
+{
+    requireDimensionless(exponent, position, 'An exponent');
+
+    if (!isDimensionless(base.dims) && !isInteger(exponent.value))
+    {
+        throw new ExpressionError('UNIT_MISMATCH', 'Values with units can only be raised to whole powers', position);
+    }
+
+    return {
+        value: power(base.value, exponent.value, position),
+        dims: scaleDims(base.dims, toFloat(exponent.value))
+    };
+}
+
+function evaluateCall(node)
+{
+    const definition = FUNCTIONS[node.name];
+    const args = node.args.map(evaluate);
+    const description = `${node.name}()`;
+
+    if (node.name === 'pow')
+    {
+        return evaluatePower(args[0], args[1], node.position);
+    }
+
+    if (node.name === 'factorial')
+    {
+        requireDimensionless(args[0], node.position, description);
+        return { value: factorial(args[0].value, node.position), dims: {} };
+    }
+
+    let dims = {};
+    if (definition.units === 'none')
+    {
+        args.forEach(arg => requireDimensionless(arg, node.position, description));
+    } else if (definition.units === 'same')
+    {
+        args.slice(1).forEach(arg => requireSameDims(args[0], arg, node.position, description));
+        dims = args[0].dims;
+    } else if (definition.units === 'root')
+    {
+        if (Object.values(args[0].dims).some(power => power % 2 !== 0))
+        {
+            throw new ExpressionError('UNIT_MISMATCH', `sqrt() of ${formatDims(args[0].dims)} has no whole-unit result`, node.position);
+        }
+        dims = scaleDims(args[0].dims, 0.5);
+    }
+
+    const values = args.map(arg => arg.value);
+
+    if (definition.exact && values.every(isExact))
+    {
+        const result = definition.exact(...values);
+        if (result)
+        {
+            return { value: result, dims };
+        }
+    }
+
+    return { value: checkFloat(definition.float(...values.map(toFloat)), node.position, `${description} of these arguments`), dims };
+}
+
+function evaluateConversion(node)
+{
+    const quantity = evaluate(node.expression);
+    const target = evaluate(node.target);
+
+    if (!sameDims(quantity.dims, target.dims))
+    {
+        throw new ExpressionError(
+            'UNIT_MISMATCH',
+            `Cannot convert ${formatDims(quantity.dims) || 'a plain number'} to ${node.label}`,
+            node.position
+        );
+    }
+
+    return {
+        value: arithmetic('/', quantity.value, target.value, node.position),
+        dims: {},
+        unit: node.label
+    };
+}
+
+// ─── Entry point ────────────────────────────────────────────────────────────
+
+/**
+ * 🧮 Evaluate an expression
+ *
+ * @param {string} expression
+ * @param {object} [options]
+ * @param {number} [options.precision=20] - Significant digits for non-terminating results
+ * @returns {{ result: string, value: number|null, unit: string|null, exact: boolean, fraction?: string }}
+ * @throws {ExpressionError}
+ */
+function evaluateExpression(expression, { precision = DEFAULT_PRECISION } = {})
+{
+    const source = String(expression ?? '');
+
+    if (source.trim() === '')
+    {
+        throw new ExpressionError('EMPTY_EXPRESSION', 'Expression is empty', 0);
+    }
+    if (source.length > MAX_EXPRESSION_LENGTH)
+    {
+        throw new ExpressionError('EXPRESSION_TOO_LONG', `Expression is longer than ${MAX_EXPRESSION_LENGTH} characters`, MAX_EXPRESSION_LENGTH);
+    }
+
+    const digits = Math.min(Math.max(1, Math.floor(precision) || DEFAULT_PRECISION), MAX_PRECISION);
+    const quantity = evaluate(new Parser(source).parse());
+    const unit = quantity.unit || formatDims(quantity.dims);
+
+    if (isExact(quantity.value))
+    {
+        const decimal = quantity.value.toDecimal(digits);
+        const value = quantity.value.toNumber();
+        return {
+            result: decimal.text,
+            value: Number.isFinite(value) ? value : null,
+            unit,
+            exact: decimal.exact,
+            ...(decimal.exact ? {} : { fraction: quantity.value.toFraction() })
+        };
+    }
+
+    return {
+        result: String(Number(quantity.value.toPrecision(Math.min(digits, FLOAT_PRECISION)))),
+        value: quantity.value,
+        unit,
+        exact: false
+    };
+}
+
+module.exports = {
+    ExpressionError,
+    evaluateExpression,
+    MAX_PRECISION
+};
@@ -0,0 +1,111 @@
+/**
+ * 🧪 Expression Evaluator tests - parsing, exact arithmetic, units and errors
+ *
+ * Author: Mad Tinker
+ * Project: Madness Interactive - Whispermind_Conduit
+ */
+
+const { evaluateExpression, ExpressionError } = require('./expression');
+
+/**
+ * 💥 The ExpressionError an expression throws
+ */
+function errorOf(expression)
+{
+    try
+    {
+        evaluateExpression(expression);
+    } catch (error)
+    {
+        return error;
+    }
+    throw new Error(`Expected '${expression}' to fail`);
+}
+
+describe('evaluateExpression', () =>
+{
+    test.each([
+        ['1 + 2 * 3', '7'],
+        ['(1 + 2) * 3', '9'],
+        ['2 ^ 3 ^ 2', '512'],
+        ['2 ** 10', '1024'],
+        ['-2 ^ 2', '-4'],
+        ['10 % 3', '1'],
+        ['5!', '120'],
+        ['3(4 + 5)', '27'],
+        ['sqrt(16) + abs(-2)', '6'],
+        ['max(1, 5, 3)', '5'],
+        ['6 × 7 ÷ 2 − 1', '20'],
+        ['1_000 + 1', '1001']
+    ])('%s = %s', (expression, result) =>
+    {
+        expect(evaluateExpression(expression)).toMatchObject({ result, exact: true, unit: null });
+    });
+
+    test('keeps decimals exact', () =>
+    {
+        expect(evaluateExpression('0.1 + 0.2')).toEqual({ result: '0.3', value: 0.3, unit: null, exact: true });
+    });
+
+    test('gives a fraction for non-terminating results', () =>
+    {
+        const { result, exact, fraction } = evaluateExpression('1/3', { precision: 5 });
+
+        expect(result).toBe('0.33333');
+        expect(exact).toBe(false);
+        expect(fraction).toBe('1/3');
+    });
+
+    test('approximates once an irrational step is involved', () =>
+    {
+        const { value, exact } = evaluateExpression('2pi');
+
+        expect(exact).toBe(false);
+        expect(value).toBeCloseTo(2 * Math.PI, 12);
+    });
+
+    test('adds and converts units', () =>
+    {
+        expect(evaluateExpression('5 km + 300 m')).toMatchObject({ value: 5300, unit: 'm' });
+        expect(evaluateExpression('60 km/h to m/s')).toMatchObject({ unit: 'm/s', fraction: '50/3' });
+        expect(evaluateExpression('1 GiB in MB')).toMatchObject({ result: '1073.741824', unit: 'MB' });
+    });
+
+    test.each([
+        ['5 in to cm', '12.7', 'cm'],
+        ['12 in in ft', '1', 'ft'],
+        ['3 ft in in', '36', 'in'],
+        ['(2 in) in cm', '5.08', 'cm'],
+        ['2 in + 3 in to in', '5', 'in']
+    ])('%j reads "in" as the inch unless it starts the conversion', (expression, result, unit) =>
+    {
+        expect(evaluateExpression(expression)).toMatchObject({ result, unit });
+    });
+
+    test.each([
+        ['', 'EMPTY_EXPRESSION', 0],
+        ['1/0', 'DIVISION_BY_ZERO', 1],
+        ['(1 + 2', 'UNEXPECTED_END', 6],
+        ['2 +', 'UNEXPECTED_END', 3],
+        ['foo(1)', 'UNKNOWN_FUNCTION', 0],
+        ['5 km + 3 s', 'UNIT_MISMATCH', 5],
+        ['2 ^ 100000', 'NUMBER_OVERFLOW', 2]
+    ])('%j fails with %s at %d', (expression, code, position) =>
+    {
+        const error = errorOf(expression);
+
+        expect(error).toBeInstanceOf(ExpressionError);
+        expect(error.toJSON()).toMatchObject({ code, position });
+    });
+
+    test('refuses overly long expressions', () =>
+    {
+        expect(errorOf('1+'.repeat(600) + '1').code).toBe('EXPRESSION_TOO_LONG');
+    });
+
+    test('never runs the expression as code', () =>
+    {
+        expect(errorOf('process.exit(1)')).toBeInstanceOf(ExpressionError);
+        expect(errorOf('constructor.constructor("return 1")()')).toBeInstanceOf(ExpressionError);
+    });
+});
@@ -0,0 +1,280 @@
+/**
+ * 🔢 Rational - Exact fractions on BigInt for the expression evaluator
+ *
+ * Decimal literals like 0.1 become 1/10, so sums and products of them stay
+ * exact instead of picking up binary floating point noise. Values are always
+ * kept normalized: positive denominator, numerator and denominator coprime.
+ *
+ * Author: Mad Tinker
+ * Project: Madness Interactive - Whispermind_Conduit
+ */
+
+const DECIMAL_PATTERN = /^(\d*)(?:\.(\d*))?(?:[eE]([+-]?\d+))?$/;
+
+function gcd(a, b)
+{
+    a = a < 0n ? -a : a;
+    b = b < 0n ? -b : b;
+    while (b !== 0n)
+    {
+        [a, b] = [b, a % b];
+    }
+    return a;
+}
+
+/**
+ * 📏 Bit length of a BigInt magnitude
+ */
+function bitLength(value)
+{
+    return (value < 0n ? -value : value).toString(2).length;
+}
+
+/**
+ * √ Integer square root (floor) by Newton's method
+ */
+function isqrt(value)
+{
+    if (value < 2n) return value;
+
+    let x = 1n << BigInt(Math.ceil(bitLength(value) / 2));
+    while (true)
+    {
+        const next = (x + value / x) >> 1n;
+        if (next >= x) return x;
+        x = next;
+    }
+}
+
+class Rational
+{
+    constructor(numerator, denominator = 1n)
+    {
+        if (denominator === 0n)
+        {
+            throw new RangeError('Rational with zero denominator');
+        }
+
+        if (denominator < 0n)
+        {
+            numerator = -numerator;
+            denominator = -denominator;
+        }
+
+        const divisor = gcd(numerator, denominator) || 1n;
+        this.n = numerator / divisor;
+        this.d = denominator / divisor;
+    }
+
+    /**
+     * 🔤 Parse a decimal literal ("12", "0.125", "6.02e23") exactly
+     */
+    static fromDecimal(text)
+    {
+        const match = DECIMAL_PATTERN.exec(text);
+        if (!match || (match[1] + (match[2] || '')) === '')
+        {
+            throw new SyntaxError(`Not a decimal number: ${text}`);
+        }
+
+        const [, whole, fraction = '', exponent = '0'] = match;
+        const scale = BigInt(exponent) - BigInt(fraction.length);
+        const digits = BigInt((whole + fraction) || '0');
+
+        return scale >= 0n
+            ? new Rational(digits * 10n ** scale)
+            : new Rational(digits, 10n ** -scale);
+    }
+
+    static fromInteger(value)
+    {
+        return new Rational(BigInt(value));
+    }
+
+    add(other)
+    {
+        return new Rational(this.n * other.d + other.n * this.d, this.d * other.d);
+    }
+
+    sub(other)
+    {
+        return new Rational(this.n * other.d - other.n * this.d, this.d * other.d);
+    }
+
+    mul(other)
+    {
+        return new Rational(this.n * other.n, this.d * other.d);
+    }
+
+    div(other)
+    {
+        return new Rational(this.n * other.d, this.d * other.n);
+    }
+
+    neg()
+    {
+        return new Rational(-this.n, this.d);
+    }
+
+    abs()
+    {
+        return this.n < 0n ? this.neg() : this;
+    }
+
+    /**
+     * ⬆️ Raise to an integer power
+     */
+    pow(exponent)
+    {
+        const power = exponent < 0n ? -exponent : exponent;
+        const raised = new Rational(this.n ** power, this.d ** power);
+        return exponent < 0n ? Rational.ONE.div(raised) : raised;
+    }
+
+    floor()
+    {
+        const quotient = this.n / this.d;
+        return new Rational(this.n < 0n && quotient * this.d !== this.n ? quotient - 1n : quotient);
+    }
+
+    ceil()
+    {
+        return this.neg().floor().neg();
+    }
+
+    trunc()
+    {
+        return new Rational(this.n / this.d);
+    }
+
+    /**
+     * 🎯 Round half away from zero
+     */
+    round()
+    {
+        const half = new Rational(1n, 2n);
+        return this.n < 0n ? this.neg().add(half).floor().neg() : this.add(half).floor();
+    }
+
+    /**
+     * √ Exact square root when numerator and denominator are perfect squares, else null
+     */
+    sqrt()
+    {
+        if (this.n < 0n) return null;
+
+        const n = isqrt(this.n);
+        const d = isqrt(this.d);
+        return n * n === this.n && d * d === this.d ? new Rational(n, d) : null;
+    }
+
+    compare(other)
+    {
+        const difference = this.n * other.d - other.n * this.d;
+        return difference === 0n ? 0 : (difference < 0n ? -1 : 1);
+    }
+
+    isZero()
+    {
+        return this.n === 0n;
+    }
+
+    isInteger()
+    {
+        return this.d === 1n;
+    }
+
+    /**
+     * 📏 Size in bits, used to keep exact arithmetic from growing without bound
+     */
+    bits()
+    {
+        return Math.max(bitLength(this.n), bitLength(this.d));
+    }
+
+    toNumber()
+    {
+        const direct = Number(this.n) / Number(this.d);
+        return Number.isFinite(direct) && direct !== 0
+            ? direct
+            : Number(this.toDecimal(20).text);
+    }
+
+    toFraction()
+    {
+        return this.isInteger() ? this.n.toString() : `${this.n}/${this.d}`;
+    }
+
+    /**
+     * 🧾 Decimal text rounded to `significantDigits` (half away from zero)
+     *
+     * Integers are always written out in full. Very large or small magnitudes
+     * switch to scientific notation the same way JavaScript numbers do.
+     *
+     * @returns {{ text: string, exact: boolean }}
+     */
+    toDecimal(significantDigits)
+    {
+        if (this.isInteger())
+        {
+            return { text: this.n.toString(), exact: true };
+        }
+
+        const negative = this.n < 0n;
+        const numerator = negative ? -this.n : this.n;
+
+        // Decimal exponent of the leading digit: 10^e <= value < 10^(e+1)
+        let exponent = numerator.toString().length - this.d.toString().length;
+        if (exponent >= 0 ? numerator < this.d * 10n ** BigInt(exponent) : numerator * 10n ** BigInt(-exponent) < this.d)
+        {
+            exponent--;
+        }
+
+        const shift = significantDigits - 1 - exponent;
+        const scaledNumerator = shift >= 0 ? numerator * 10n ** BigInt(shift) : numerator;
+        const scaledDenominator = shift >= 0 ? this.d : this.d * 10n ** BigInt(-shift);
+
+        let digits = scaledNumerator / scaledDenominator;
+        const remainder = scaledNumerator % scaledDenominator;
+        const exact = remainder === 0n;
+
+        if (remainder * 2n >= scaledDenominator)
+        {
+            digits++;
+            if (digits.toString().length > significantDigits)
+            {
+                digits /= 10n;
+                exponent++;
+            }
+        }
+
+        const text = formatDigits(digits.toString().replace(/0+$/, '') || '0', exponent);
+        return { text: negative ? `-${text}` : text, exact };
+    }
+}
+
+/**
+ * ✏️ Place the decimal point in a digit string whose first digit is at 10^exponent
+ */
+function formatDigits(digits, exponent)
+{
+    if (exponent >= 21 || exponent <= -7)
+    {
+        const mantissa = digits.length > 1 ? `${digits[0]}.${digits.slice(1)}` : digits;
+        return `${mantissa}e${exponent >= 0 ? '+' : '-'}${Math.abs(exponent)}`;
+    }
+
+    if (exponent < 0)
+    {
+        return `0.${'0'.repeat(-exponent - 1)}${digits}`;
+    }
+
+    const whole = digits.padEnd(exponent + 1, '0');
+    const fraction = digits.slice(exponent + 1);
+    return fraction ? `${whole.slice(0, exponent + 1)}.${fraction}` : whole;
+}
+
+Rational.ZERO = new Rational(0n);
+Rational.ONE = new Rational(1n);
+
+module.exports = { Rational, bitLength };
@@ -0,0 +1,158 @@
+/**
+ * 📐 Units - Physical and data units understood by the expression evaluator
+ *
+ * Every unit is a scale factor onto SI-style base units plus the dimensions it
+ * carries, so "5 km + 300 m" adds up and "60 km/h to m/s" converts. Scales are
+ * exact decimals wherever the definition is exact (1 mi = 1609.344 m).
+ * Angles are dimensionless: "30 deg" is simply 30·π/180.
+ *
+ * Author: Mad Tinker
+ * Project: Madness Interactive - Whispermind_Conduit
+ */
+
+const { Rational } = require('./rational');
+
+// Base unit shown for each dimension, in display order
+const BASE_UNITS = {
+    mass: 'kg',
+    length: 'm',
+    time: 's',
+    data: 'B'
+};
+
+const exact = text => Rational.fromDecimal(text);
+
+const UNIT_DEFINITIONS = [
+    // Length
+    { names: ['m', 'meter', 'meters', 'metre', 'metres'], scale: exact('1'), dims: { length: 1 } },
+    { names: ['km', 'kilometer', 'kilometers'], scale: exact('1000'), dims: { length: 1 } },
+    { names: ['cm', 'centimeter', 'centimeters'], scale: exact('0.01'), dims: { length: 1 } },
+    { names: ['mm', 'millimeter', 'millimeters'], scale: exact('0.001'), dims: { length: 1 } },
+    { names: ['um', 'micrometer', 'micrometers'], scale: exact('1e-6'), dims: { length: 1 } },
+    { names: ['nm', 'nanometer', 'nanometers'], scale: exact('1e-9'), dims: { length: 1 } },
+    { names: ['in', 'inch', 'inches'], scale: exact('0.0254'), dims: { length: 1 } },
+    { names: ['ft', 'foot', 'feet'], scale: exact('0.3048'), dims: { length: 1 } },
+    { names: ['yd', 'yard', 'yards'], scale: exact('0.9144'), dims: { length: 1 } },
+    { names: ['mi', 'mile', 'miles'], scale: exact('1609.344'), dims: { length: 1 } },
+    { names: ['nmi'], scale: exact('1852'), dims: { length: 1 } },
+
+    // Area and volume
+    { names: ['ha', 'hectare', 'hectares'], scale: exact('10000'), dims: { length: 2 } },
+    { names: ['L', 'l', 'liter', 'liters', 'litre', 'litres'], scale: exact('0.001'), dims: { length: 3 } },
+    { names: ['mL', 'ml', 'milliliter', 'milliliters'], scale: exact('1e-6'), dims: { length: 3 } },
+    { names: ['gal', 'gallon', 'gallons'], scale: exact('0.003785411784'), dims: { length: 3 } },
+
+    // Mass
+    { names: ['kg', 'kilogram', 'kilograms'], scale: exact('1'), dims: { mass: 1 } },
+    { names: ['g', 'gram', 'grams'], scale: exact('0.001'), dims: { mass: 1 } },
+    { names: ['mg', 'milligram', 'milligrams'], scale: exact('1e-6'), dims: { mass: 1 } },
+    { names: ['t', 'tonne', 'tonnes'], scale: exact('1000'), dims: { mass: 1 } },
+    { names: ['lb', 'lbs', 'pound', 'pounds'], scale: exact('0.45359237'), dims: { mass: 1 } },
+    { names: ['oz', 'ounce', 'ounces'], scale: exact('0.028349523125'), dims: { mass: 1 } },
+
+    // Time
+    { names: ['s', 'sec', 'second', 'seconds'], scale: exact('1'), dims: { time: 1 } },
+    { names: ['ms', 'millisecond', 'milliseconds'], scale: exact('0.001'), dims: { time: 1 } },
+    { names: ['us', 'microsecond', 'microseconds'], scale: exact('1e-6'), dims: { time: 1 } },
+    { names: ['ns', 'nanosecond', 'nanoseconds'], scale: exact('1e-9'), dims: { time: 1 } },
+    { names: ['min', 'minute', 'minutes'], scale: exact('60'), dims: { time: 1 } },
+    { names: ['h', 'hr', 'hour', 'hours'], scale: exact('3600'), dims: { time: 1 } },
+    { names: ['day', 'days'], scale: exact('86400'), dims: { time: 1 } },
+    { names: ['week', 'weeks'], scale: exact('604800'), dims: { time: 1 } },
+
+    // Frequency
+    { names: ['Hz', 'hertz'], scale: exact('1'), dims: { time: -1 } },
+    { names: ['kHz'], scale: exact('1e3'), dims: { time: -1 } },
+    { names: ['MHz'], scale: exact('1e6'), dims: { time: -1 } },
+    { names: ['GHz'], scale: exact('1e9'), dims: { time: -1 } },
+
+    // Data
+    { names: ['B', 'byte', 'bytes'], scale: exact('1'), dims: { data: 1 } },
+    { names: ['bit', 'bits'], scale: exact('0.125'), dims: { data: 1 } },
+    { names: ['KB', 'kB'], scale: exact('1e3'), dims: { data: 1 } },
+    { names: ['MB'], scale: exact('1e6'), dims: { data: 1 } },
+    { names: ['GB'], scale: exact('1e9'), dims: { data: 1 } },
+    { names: ['TB'], scale: exact('1e12'), dims: { data: 1 } },
+    { names: ['KiB'], scale: exact('1024'), dims: { data: 1 } },
+    { names: ['MiB'], scale: exact('1048576'), dims: { data: 1 } },
+    { names: ['GiB'], scale: exact('1073741824'), dims: { data: 1 } },
+    { names: ['TiB'], scale: exact('1099511627776'), dims: { data: 1 } },
+
+    // Angles (dimensionless)
+    { names: ['rad', 'radian', 'radians'], scale: exact('1'), dims: {} },
+    { names: ['deg', 'degree', 'degrees'], scale: Math.PI / 180, dims: {} }
+];
+
+const UNITS = new Map();
+for (const { names, scale, dims } of UNIT_DEFINITIONS)
+{
+    names.forEach(name => UNITS.set(name, { scale, dims }));
+}
+
+/**
+ * 🔎 Look up a unit by symbol or name (case-sensitive: "MB" is not "mb")
+ */
+function findUnit(name)
+{
+    return UNITS.get(name) || null;
+}
+
+/**
+ * ✖️ Combine dimensions, scaling `other` by `factor` (1 to multiply, -1 to divide)
+ */
+function combineDims(dims, other, factor = 1)
+{
+    const combined = { ...dims };
+    for (const [dimension, power] of Object.entries(other))
+    {
+        combined[dimension] = (combined[dimension] || 0) + power * factor;
+        if (combined[dimension] === 0)
+        {
+            delete combined[dimension];
+        }
+    }
+    return combined;
+}
+
+function scaleDims(dims, factor)
+{
+    return factor === 0 ? {} : combineDims({}, dims, factor);
+}
+
+function sameDims(a, b)
+{
+    const keys = new Set([...Object.keys(a), ...Object.keys(b)]);
+    return [...keys].every(key => (a[key] || 0) === (b[key] || 0));
+}
+
+function isDimensionless(dims)
+{
+    return Object.keys(dims).length === 0;
+}
+
+/**
+ * 🏷️ Render dimensions in base units, e.g. { length: 1, time: -2 } → "m/s^2"
+ */
+function formatDims(dims)
+{
+    const part = (dimension, power) => `${BASE_UNITS[dimension]}${power === 1 ? '' : `^${power}`}`;
+    const ordered = Object.keys(BASE_UNITS).filter(dimension => dims[dimension]);
+
+    const numerator = ordered.filter(dimension => dims[dimension] > 0).map(dimension => part(dimension, dims[dimension]));
+    const denominator = ordered.filter(dimension => dims[dimension] < 0).map(dimension => part(dimension, -dims[dimension]));
+
+    if (numerator.length === 0 && denominator.length === 0) return null;
+
+    const top = numerator.length > 0 ? numerator.join('*') : '1';
+    if (denominator.length === 0) return top;
+    return denominator.length === 1 ? `${top}/${denominator[0]}` : `${top}/(${denominator.join('*')})`;
+}
+
+module.exports = {
+    findUnit,
+    combineDims,
+    scaleDims,
+    sameDims,
+    isDimensionless,
+    formatDims
+};
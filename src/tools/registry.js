@@ -0,0 +1,249 @@
+/**
+ * 🛠️ ToolRegistry - Discovers and hands out agent tools
+ *
+ * A tool is a CommonJS module exporting (or exporting an array of):
+ *
+ *   {
+ *     name: 'snake_case_name',
+ *     description: 'What the model should use it for',
+ *     parameters: { arg: z.string() },          // Zod raw shape or z.object(...)
+ *     implementation: async (params, context) => result
+ *   }
+ *
+ * `context` carries the request being answered ({ request, requestId, userId,
+ * threadId, history, fileAccess, signal, logger }). `signal` aborts when the
+ * request is cancelled or the call runs past the per-tool timeout. Built-in tools live in `./builtin`; extra tools
+ * are loaded from TOOLS_DIR and may override built-ins by name.
+ *
+ * Author: Mad Tinker
+ * Project: Madness Interactive - Whispermind_Conduit
+ */
+
+const fs = require('fs').promises;
+const path = require('path');
+const { z } = require('zod');
+const { tool } = require('@lmstudio/sdk');
+const { linkedController, abortable } = require('../control/cancellation');
+const { RequestError } = require('../providers');
+
+const BUILTIN_DIR = path.join(__dirname, 'builtin');
+
+const ToolDefinitionSchema = z.object({
+    name: z.string().regex(/^[a-z][a-z0-9_]*$/, 'tool names must be snake_case'),
+    description: z.string().min(1),
+    parameters: z.record(z.any()).default({}),
+    implementation: z.function()
+});
+
+class ToolRegistry
+{
+    constructor(logger)
+    {
+        this.logger = logger;
+        this.tools = new Map();
+    }
+
+    /**
+     * ➕ Register a tool definition
+     */
+    register(definition, source = 'inline')
+    {
+        const result = ToolDefinitionSchema.safeParse(definition);
+        if (!result.success)
+        {
+            const problems = result.error.issues.map(issue => `${issue.path.join('.') || 'definition'}: ${issue.message}`);
+            throw new Error(`Invalid tool definition '${definition?.name}' - ${problems.join('; ')}`);
+        }
+
+        // Accept z.object(...) as well as a raw shape, even from another copy of zod
+        const parsed = result.data;
+        const parameters = definition.parameters?._def?.typeName === 'ZodObject'
+            ? definition.parameters.shape
+            : parsed.parameters;
+
+        if (this.tools.has(parsed.name))
+        {
+            this.logger.warn('🛠️ Tool overridden:', { tool: parsed.name, source, previous: this.tools.get(parsed.name).source });
+        }
+
+        this.tools.set(parsed.name, {
+            name: parsed.name,
+            description: parsed.description,
+            parameters,
+            implementation: definition.implementation,
+            source
+        });
+    }
+
+    /**
+     * 📦 Register the tools shipped with the conduit
+     */
+    async loadBuiltins()
+    {
+        await this.loadDirectory(BUILTIN_DIR, 'builtin');
+    }
+
+    /**
+     * 📂 Register every tool module found in `directory`
+     */
+    async loadDirectory(directory, source = directory)
+    {
+        let files;
+
+        try
+        {
+            files = (await fs.readdir(directory))
+                .filter(file => /\.c?js$/.test(file))
+                .sort();
+        } catch (error)
+        {
+            if (error.code === 'ENOENT')
+            {
+                this.logger.info('🛠️ No tools directory found, skipping:', { directory });
+                return;
+            }
+            throw error;
+        }
+
+        for (const file of files)
+        {
+            const modulePath = path.resolve(directory, file);
+
+            try
+            {
+                const exported = require(modulePath);
+                const definitions = Array.isArray(exported) ? exported : [exported];
+                definitions.forEach(definition => this.register(definition, source));
+            } catch (error)
+            {
+                this.logger.error('❌ Failed to load tool module:', { module: modulePath, error: error.message });
+            }
+        }
+
+        this.logger.info('🛠️ Tools loaded:', { source, tools: this.names() });
+    }
+
+    names()
+    {
+        return [...this.tools.keys()];
+    }
+
+    /**
+     * 📋 Tool listing for status messages
+     */
+    list()
+    {
+        return [...this.tools.values()].map(({ name, description, parameters, source }) => ({
+            name,
+            description,
+            parameters: Object.keys(parameters),
+            source
+        }));
+    }
+
+    /**
+     * 🎯 Resolve a request's allow-list (all tools when none is given)
+     *
+     * @throws {Error} when the allow-list names tools that aren't registered
+     */
+    select(allowList)
+    {
+        if (!allowList)
+        {
+            return [...this.tools.values()];
+        }
+
+        const unknown = allowList.filter(name => !this.tools.has(name));
+        if (unknown.length > 0)
+        {
+            throw new Error(`Unknown tools requested: ${unknown.join(', ')} (available: ${this.names().join(', ')})`);
+        }
+
+        return [...new Set(allowList)].map(name => this.tools.get(name));
+    }
+
+    /**
+     * 🔍 Check the tools a request names against the registry
+     *
+     * @returns {object[]} Issues in the shape of describeIssues(), empty when every tool exists
+     */
+    validate(request)
+    {
+        const unknown = (request.tools || []).filter(name => !this.tools.has(name));
+        if (unknown.length === 0) return [];
+
+        return [{
+            field: 'tools',
+            code: 'unknown_tool',
+            message: `Unknown tools: ${unknown.join(', ')} (available: ${this.names().join(', ')})`
+        }];
+    }
+
+    /**
+     * 🤖 Wrap tool definitions as LM Studio SDK tools bound to a request context
+     *
+     * @param {object[]} definitions - Result of `select()`
+     * @param {object} context - Passed to every implementation
+     * @param {Function} [onActivity] - Called with { tool_name, status } before each call and
+     *   { tool_name, status, arguments, duration_ms, result?, error? } after it
+     * @param {object} [options]
+     * @param {number} [options.timeoutMs] - Per-call budget; a call that overruns returns a TOOL_TIMEOUT error to the model
+     */
+    createSdkTools(definitions, context, onActivity = () => {}, { timeoutMs = 0 } = {})
+    {
+        return definitions.map(definition => tool({
+            name: definition.name,
+            description: definition.description,
+            parameters: definition.parameters,
+            implementation: async (params, sdkContext) =>
+            {
+                onActivity({ tool_name: definition.name, status: 'executing' });
+
+                const startTime = Date.now();
+                const finished = (status, fields) => onActivity({
+                    tool_name: definition.name,
+                    status,
+                    arguments: params,
+                    duration_ms: Date.now() - startTime,
+                    ...fields
+                });
+                const call = linkedController([context.signal, sdkContext?.signal], timeoutMs);
+
+                try
+                {
+                    const result = await abortable(
+                        Promise.resolve(definition.implementation(params, { ...context, signal: call.signal })),
+                        call.signal
+                    );
+
+                    finished('completed', { result });
+                    return result;
+                } catch (error)
+                {
+                    // Only the tool ran out of time - let the model carry on without it
+                    if (call.signal.aborted && !context.signal?.aborted && !sdkContext?.signal?.aborted)
+                    {
+                        const result = {
+                            error: {
+                                code: 'TOOL_TIMEOUT',
+                                message: `${definition.name} did not finish within ${timeoutMs}ms`
+                            }
+                        };
+                        finished('timeout', { result });
+                        return result;
+                    }
+                    if (call.signal.aborted) throw error;
+
+                    // A broken tool is no reason to open the backend's circuit
+                    finished('failed', { error: error.message });
+                    throw new RequestError(`Tool ${definition.name} failed: ${error.message}`, { cause: error });
+                } finally
+                {
+                    call.dispose();
+                }
+            }
+        }));
+    }
+}
+
+module.exports = ToolRegistry;
@@ -0,0 +1,530 @@
+/**
+ * 🌐 HTTP Transport - OpenAI-compatible chat completions in front of the conduit
+ *
+ * POST /v1/chat/completions is turned into an ordinary conduit request and
+ * goes through the same pipeline as bus traffic: validation, personas,
+ * history, tools, the work queue and logging. The conduit's replies for that
+ * request (matched by id) are turned back into an OpenAI response, or into
+ * `chat.completion.chunk` server-sent events when the client asked to stream.
+ *
+ * Model names: `<HTTP_API_MODEL_NAME>` (default `whispermind`) uses the routing
+ * table, `<HTTP_API_MODEL_NAME>/<persona>` picks a persona, anything else is
+ * passed on as the requested model. Conduit request fields (persona,
+ * thread_id, agent_mode, variables, ...) may be added to the body as well.
+ *
+ * Author: Mad Tinker
+ * Project: Madness Interactive - Whispermind_Conduit
+ */
+
+const http = require('http');
+const crypto = require('crypto');
+const { v4: uuidv4 } = require('uuid');
+const Transport = require('./transport');
+
+// Conduit request fields accepted alongside the OpenAI ones
+const CONDUIT_FIELDS = ['persona', 'thread_id', 'conversation_id', 'agent_mode', 'variables', 'context', 'history'];
+
+// Error codes of requests the conduit refused as malformed
+const INVALID_REQUEST_CODES = ['INVALID_JSON', 'VALIDATION_FAILED', 'INVALID_TOOLS', 'INVALID_PERSONA', 'INVALID_MODEL', 'INVALID_REPLY_TO'];
+
+class HttpApiError extends Error
+{
+    constructor(status, type, message, code = null)
+    {
+        super(message);
+        this.name = 'HttpApiError';
+        this.status = status;
+        this.type = type;
+        this.code = code;
+    }
+}
+
+/**
+ * 📝 Text of an OpenAI message - content is a string or an array of parts
+ */
+function messageText(message)
+{
+    if (typeof message?.content === 'string') return message.content;
+    if (!Array.isArray(message?.content)) return '';
+
+    return message.content
+        .filter(part => part?.type === 'text' && typeof part.text === 'string')
+        .map(part => part.text)
+        .join('\n');
+}
+
+/**
+ * 🚦 HTTP status and OpenAI error type for a conduit error reply
+ */
+function errorStatusFor(message)
+{
+    if (INVALID_REQUEST_CODES.includes(message.error_code))
+    {
+        return [400, 'invalid_request_error'];
+    }
+    if (message.error_code === 'UNAUTHORIZED') return [401, 'authentication_error'];
+    if (message.error_code === 'FORBIDDEN') return [403, 'permission_error'];
+    if (message.error_code === 'TIMEOUT') return [504, 'timeout'];
+    if (message.error_code === 'BACKENDS_UNAVAILABLE') return [503, 'service_unavailable'];
+    if (message.error_code === 'QUOTA_EXCEEDED')
+    {
+        return [429, message.quota === 'requests_per_minute' ? 'rate_limit_exceeded' : 'insufficient_quota'];
+    }
+
+    if (message.status === 'rejected')
+    {
+        return ['overloaded', 'user_limit'].includes(message.reason)
+            ? [429, 'rate_limit_exceeded']
+            : [503, 'service_unavailable'];
+    }
+    if (message.status === 'cancelled') return [409, 'cancelled'];
+
+    return [500, 'server_error'];
+}
+
+class HttpTransport extends Transport
+{
+    constructor(config, logger)
+    {
+        super('http', config, logger);
+        this.server = null;
+        this.exchanges = new Map();
+    }
+
+    /**
+     * 🔌 Start listening for chat completion requests
+     */
+    async connect(onMessage, onControl = null)
+    {
+        this.onMessage = onMessage;
+        this.onControl = onControl;
+        this.server = http.createServer((req, res) => this.handle(req, res));
+
+        await new Promise((resolve, reject) =>
+        {
+            this.server.once('error', reject);
+            this.server.listen(this.config.port, this.config.host, () =>
+            {
+                this.server.off('error', reject);
+                resolve();
+            });
+        });
+
+        this.logger.info('👂 Serving OpenAI-compatible chat completions over HTTP:', {
+            host: this.config.host,
+            port: this.server.address().port,
+            model: this.config.modelName
+        });
+        this.setConnected(true);
+    }
+
+    /**
+     * 📨 Route one HTTP request
+     */
+    async handle(req, res)
+    {
+        const { pathname } = new URL(req.url, 'http://localhost');
+
+        try
+        {
+            if (this.config.apiKey && !this.authorized(req.headers.authorization))
+            {
+                throw new HttpApiError(401, 'invalid_request_error', 'Invalid API key', 'invalid_api_key');
+            }
+
+            if (req.method === 'GET' && pathname === '/v1/models')
+            {
+                return this.sendJson(res, 200, {
+                    object: 'list',
+                    data: [{ id: this.config.modelName, object: 'model', created: 0, owned_by: 'whispermind' }]
+                });
+            }
+
+            if (req.method === 'POST' && pathname === this.channelFor('request'))
+            {
+                return await this.chatCompletions(req, res);
+            }
+
+            throw new HttpApiError(404, 'invalid_request_error', `Unknown endpoint ${req.method} ${pathname}`, 'not_found');
+        } catch (error)
+        {
+            if (!(error instanceof HttpApiError))
+            {
+                this.logger.error('💥 HTTP API request failed:', { path: pathname, error: error.message });
+            }
+
+            if (!res.headersSent)
+            {
+                this.sendError(res, error.status || 500, error.type || 'server_error', error.message, error.code);
+            }
+        }
+    }
+
+    /**
+     * 🔐 Constant-time check of the bearer token
+     */
+    authorized(header)
+    {
+        const match = /^Bearer\s+(.+)$/i.exec(header || '');
+        if (!match) return false;
+
+        const given = Buffer.from(match[1]);
+        const expected = Buffer.from(this.config.apiKey);
+        return given.length === expected.length && crypto.timingSafeEqual(given, expected);
+    }
+
+    /**
+     * 🎫 A signed client's JWT - from X-Conduit-Token, or the bearer token when
+     * no API key is configured and it looks like a JWT (OpenAI SDKs always send one)
+     */
+    clientToken(req)
+    {
+        if (req.headers['x-conduit-token']) return req.headers['x-conduit-token'];
+        if (this.config.apiKey) return null;
+
+        const bearer = /^Bearer\s+(.+)$/i.exec(req.headers.authorization || '')?.[1];
+        return bearer?.split('.').length === 3 ? bearer : null;
+    }
+
+    /**
+     * 💬 Hand a chat completion to the conduit and hold the HTTP response until it answers
+     */
+    async chatCompletions(req, res)
+    {
+        const body = await this.readJson(req);
+        const requestId = `chatcmpl-${uuidv4()}`;
+        const request = this.toConduitRequest(requestId, body);
+
+        const token = this.clientToken(req);
+        if (token)
+        {
+            request.auth = { token };
+        }
+
+        const exchange = {
+            res,
+            stream: request.stream === true,
+            includeUsage: body.stream_options?.include_usage === true,
+            model: typeof body.model === 'string' ? body.model : this.config.modelName,
+            created: Math.floor(Date.now() / 1000),
+            usage: null,
+            finished: false
+        };
+        this.exchanges.set(requestId, exchange);
+
+        // A client that hangs up doesn't need its answer any more
+        res.on('close', () =>
+        {
+            if (exchange.finished) return;
+
+            exchange.finished = true;
+            this.onControl?.(JSON.stringify({ action: 'cancel', id: requestId, reason: 'HTTP client disconnected' }), this.createOrigin('control', { internal: true }));
+        });
+
+        try
+        {
+            const outcome = await this.onMessage(JSON.stringify(request), this.createOrigin(this.channelFor('request'), { requestId }));
+
+            if (!exchange.finished)
+            {
+                this.finish(exchange, { id: requestId, error: 'Processing failed', error_details: outcome?.error || 'The conduit did not answer' });
+            }
+        } finally
+        {
+            this.exchanges.delete(requestId);
+        }
+    }
+
+    /**
+     * 📥 Read and parse a JSON request body
+     */
+    async readJson(req)
+    {
+        const chunks = [];
+        let size = 0;
+
+        for await (const chunk of req)
+        {
+            size += chunk.length;
+            if (size > this.config.maxBodyBytes)
+            {
+                throw new HttpApiError(413, 'invalid_request_error', `Request body exceeds ${this.config.maxBodyBytes} bytes`);
+            }
+            chunks.push(chunk);
+        }
+
+        try
+        {
+            return JSON.parse(Buffer.concat(chunks).toString() || 'null');
+        } catch (error)
+        {
+            throw new HttpApiError(400, 'invalid_request_error', `Request body is not valid JSON: ${error.message}`);
+        }
+    }
+
+    /**
+     * 🔄 Translate an OpenAI chat completion request into a conduit request
+     *
+     * The last message is the new user message, system messages become the
+     * system prompt and the turns in between are passed inline.
+     */
+    toConduitRequest(requestId, body)
+    {
+        if (!body || typeof body !== 'object' || !Array.isArray(body.messages) || body.messages.length === 0)
+        {
+            throw new HttpApiError(400, 'invalid_request_error', '`messages` must be a non-empty array', 'messages');
+        }
+
+        const last = body.messages[body.messages.length - 1];
+        if (last?.role !== 'user')
+        {
+            throw new HttpApiError(400, 'invalid_request_error', 'The last message must come from the user', 'messages');
+        }
+
+        const system = body.messages
+            .filter(message => ['system', 'developer'].includes(message?.role))
+            .map(messageText)
+            .filter(Boolean);
+
+        const prior = body.messages.slice(0, -1)
+            .filter(message => ['user', 'assistant'].includes(message?.role))
+            .map(message => ({ role: message.role, content: messageText(message) }))
+            .filter(message => message.content);
+
+        const request = {
+            id: requestId,
+            message: messageText(last),
+            ...this.modelSelection(body.model),
+            ...(body.user !== undefined && { user: body.user }),
+            ...(body.temperature !== undefined && { temperature: body.temperature }),
+            ...((body.max_completion_tokens ?? body.max_tokens) !== undefined && { max_tokens: body.max_completion_tokens ?? body.max_tokens }),
+            ...(body.stream === true && { stream: true }),
+            ...(system.length > 0 && { system_prompt: system.join('\n\n') }),
+            ...(prior.length > 0 && { messages: prior })
+        };
+
+        for (const field of CONDUIT_FIELDS)
+        {
+            if (body[field] !== undefined) request[field] = body[field];
+        }
+
+        // OpenAI function definitions are for client-side tools - only conduit tool names are honoured
+        if (Array.isArray(body.tools) && body.tools.every(tool => typeof tool === 'string'))
+        {
+            request.tools = body.tools;
+        }
+
+        return request;
+    }
+
+    /**
+     * 🗺️ `whispermind` → routing table, `whispermind/<persona>` → persona, anything else → model
+     */
+    modelSelection(model)
+    {
+        const { modelName } = this.config;
+
+        if (typeof model !== 'string' || model === '' || model === modelName) return {};
+        if (model.startsWith(`${modelName}/`)) return { persona: model.slice(modelName.length + 1) };
+        return { model };
+    }
+
+    /**
+     * 📤 Deliver a conduit reply to the HTTP exchange of the request it belongs to
+     *
+     * Replies for other requests, status broadcasts and agent activity have no exchange and are dropped.
+     */
+    async publish(kind, message, options = {})
+    {
+        const exchange = this.exchanges.get(message?.id);
+        if (!exchange || exchange.finished) return;
+
+        if (kind === 'stream')
+        {
+            this.writeFrame(exchange, message);
+        } else if (kind === 'response')
+        {
+            if (message.status === 'queued')
+            {
+                // Keep streaming clients informed - plain clients just wait
+                if (exchange.stream)
+                {
+                    this.startStream(exchange);
+                    exchange.res.write(`: queued at position ${message.queue_position}\n\n`);
+                }
+                return;
+            }
+            this.finish(exchange, message);
+        }
+    }
+
+    /**
+     * 🌊 Send the SSE headers once
+     */
+    startStream(exchange)
+    {
+        if (exchange.res.headersSent) return;
+
+        exchange.res.writeHead(200, {
+            'Content-Type': 'text/event-stream',
+            'Cache-Control': 'no-cache',
+            'Connection': 'keep-alive'
+        });
+    }
+
+    /**
+     * 🧩 Forward a stream frame as a `chat.completion.chunk` event
+     */
+    writeFrame(exchange, frame)
+    {
+        if (frame.type === 'done')
+        {
+            exchange.usage = frame.usage || null;
+            return;
+        }
+        if (frame.type !== 'chunk') return;
+
+        this.startStream(exchange);
+        this.writeEvent(exchange, this.chunk(exchange, frame.id, {
+            ...(frame.sequence === 0 && { role: 'assistant' }),
+            content: frame.delta
+        }, null));
+    }
+
+    chunk(exchange, id, delta, finishReason, model = exchange.model)
+    {
+        return {
+            id,
+            object: 'chat.completion.chunk',
+            created: exchange.created,
+            model,
+            choices: [{ index: 0, delta, finish_reason: finishReason }]
+        };
+    }
+
+    writeEvent(exchange, data)
+    {
+        exchange.res.write(`data: ${JSON.stringify(data)}\n\n`);
+    }
+
+    /**
+     * 🏁 Answer the HTTP request with the conduit's final reply
+     */
+    finish(exchange, message)
+    {
+        exchange.finished = true;
+        const failed = Boolean(message.error) || typeof message.response !== 'string';
+
+        if (failed)
+        {
+            const [status, type] = errorStatusFor(message);
+            const details = message.error_details || message.error || 'Request failed';
+
+            if (exchange.res.headersSent)
+            {
+                this.writeEvent(exchange, { error: { message: details, type, code: message.error_code || message.error || null } });
+                exchange.res.end('data: [DONE]\n\n');
+            } else
+            {
+                if (message.retry_after_seconds)
+                {
+                    exchange.res.setHeader('Retry-After', String(message.retry_after_seconds));
+                }
+                this.sendError(exchange.res, status, type, details, message.error_code || message.error || null, message.issues);
+            }
+            return;
+        }
+
+        const finishReason = message.round_limit_reached ? 'length' : 'stop';
+        const usage = message.usage || exchange.usage || undefined;
+
+        if (exchange.stream)
+        {
+            this.startStream(exchange);
+            this.writeEvent(exchange, this.chunk(exchange, message.id, {}, finishReason, message.model));
+            if (exchange.includeUsage && usage)
+            {
+                this.writeEvent(exchange, { ...this.chunk(exchange, message.id, {}, null, message.model), choices: [], usage });
+            }
+            exchange.res.end('data: [DONE]\n\n');
+            return;
+        }
+
+        this.sendJson(exchange.res, 200, {
+            id: message.id,
+            object: 'chat.completion',
+            created: exchange.created,
+            model: message.model,
+            choices: [{
+                index: 0,
+                message: { role: 'assistant', content: message.response },
+                finish_reason: finishReason
+            }],
+            ...(usage && { usage }),
+            conduit: {
+                persona: message.persona,
+                thread_id: message.thread_id,
+                backend: message.backend,
+                model_routing: message.model_routing,
+                agent_rounds: message.agent_rounds,
+                tools_used: message.tools_used,
+                processing_time_ms: message.processing_time_ms
+            }
+        });
+    }
+
+    sendJson(res, status, body)
+    {
+        res.writeHead(status, { 'Content-Type': 'application/json' });
+        res.end(JSON.stringify(body));
+    }
+
+    /**
+     * 💥 OpenAI style error body
+     */
+    sendError(res, status, type, message, code = null, issues = undefined)
+    {
+        this.sendJson(res, status, {
+            error: {
+                message,
+                type,
+                param: null,
+                code,
+                ...(issues && { issues })
+            }
+        });
+    }
+
+    /**
+     * 🛑 Stop listening - open requests are answered with an error
+     */
+    async disconnect()
+    {
+        for (const [requestId, exchange] of this.exchanges)
+        {
+            if (!exchange.finished)
+            {
+                this.finish(exchange, { id: requestId, error: 'shutting_down', error_details: 'The conduit is shutting down', status: 'rejected' });
+            }
+        }
+
+        if (this.server)
+        {
+            this.server.closeAllConnections?.();
+            await new Promise((resolve) => this.server.close(resolve));
+            this.server = null;
+        }
+        await super.disconnect();
+    }
+
+    describe()
+    {
+        return {
+            ...super.describe(),
+            port: this.config.port,
+            model: this.config.modelName
+        };
+    }
+}
+
+module.exports = HttpTransport;
@@ -0,0 +1,344 @@
+/**
+ * 🧭 Transport Layer - Pluggable message buses for Whispermind_Conduit
+ *
+ * A single conduit can ingest from several transports at once. Every inbound
+ * message carries an `origin` naming the transport it arrived on, so replies go
+ * back the same way while status broadcasts reach every connected bus.
+ * Transports that drop reconnect with backoff; none of them being down stops
+ * the conduit from starting.
+ *
+ * Adding a transport: subclass `Transport`, then `registerTransport('name', Class)`
+ * and list the name in CONDUIT_TRANSPORTS.
+ *
+ * Author: Mad Tinker
+ * Project: Madness Interactive - Whispermind_Conduit
+ */
+
+const os = require('os');
+const { v4: uuidv4 } = require('uuid');
+const Transport = require('./transport');
+const MqttTransport = require('./mqtt-transport');
+const RedisTransport = require('./redis-transport');
+const RedisStreamTransport = require('./redis-stream-transport');
+const HttpTransport = require('./http-transport');
+const { loadReconnectConfig, backoffDelay, sleep } = require('../resilience/backoff');
+
+const transportTypes = new Map([
+    ['mqtt', MqttTransport],
+    ['redis', RedisTransport],
+    ['redis-streams', RedisStreamTransport],
+    ['http', HttpTransport]
+]);
+
+/**
+ * ➕ Register an additional transport implementation
+ */
+function registerTransport(name, TransportClass)
+{
+    transportTypes.set(name, TransportClass);
+}
+
+/**
+ * 📋 Parse a comma separated list from the environment
+ */
+function parseList(value)
+{
+    if (!value) return null;
+
+    const items = value.split(',').map(item => item.trim()).filter(Boolean);
+    return items.length > 0 ? items : null;
+}
+
+/**
+ * ⚙️ Build transport configuration from the environment
+ *
+ * @param {string[]} defaultTransports - Transports enabled when CONDUIT_TRANSPORTS is unset
+ */
+function loadTransportConfig(defaultTransports)
+{
+    const reconnect = loadReconnectConfig();
+    const redis = {
+        host: process.env.REDIS_HOST || 'localhost',
+        port: parseInt(process.env.REDIS_PORT) || 6379,
+        password: process.env.REDIS_PASSWORD || null,
+        db: parseInt(process.env.REDIS_DB) || 0,
+        channels: {
+            request: process.env.REDIS_REQUEST_CHANNEL || 'whispermind:request',
+            response: process.env.REDIS_RESPONSE_CHANNEL || 'whispermind:response',
+            status: process.env.REDIS_STATUS_CHANNEL || 'whispermind:status',
+            agent_activity: process.env.REDIS_AGENT_CHANNEL || 'whispermind:agent',
+            stream: process.env.REDIS_STREAM_CHANNEL || 'whispermind:stream',
+            control: process.env.REDIS_CONTROL_CHANNEL || 'whispermind:control',
+            history: process.env.REDIS_HISTORY_CHANNEL || 'whispermind:history',
+            history_response: process.env.REDIS_HISTORY_RESPONSE_CHANNEL || 'whispermind:history:response'
+        },
+        keys: {
+            status: 'service:status'
+        },
+        reconnect
+    };
+
+    return {
+        enabled: parseList(process.env.CONDUIT_TRANSPORTS) || defaultTransports,
+        reconnect,
+        mqtt: {
+            broker: process.env.MQTT_BROKER || 'mqtt://localhost:1883',
+            clientId: `whispermind-conduit-${uuidv4()}`,
+            // 5 enables response topics and correlation data; 4 (MQTT 3.1.1) for older brokers
+            protocolVersion: parseInt(process.env.MQTT_PROTOCOL_VERSION) || 5,
+            channels: {
+                request: process.env.MQTT_REQUEST_TOPIC || 'chat/request',
+                response: process.env.MQTT_RESPONSE_TOPIC || 'chat/response',
+                status: process.env.MQTT_STATUS_TOPIC || 'conduit/status',
+                agent_activity: process.env.MQTT_AGENT_TOPIC || 'conduit/agent',
+                stream: process.env.MQTT_STREAM_TOPIC || 'chat/stream',
+                control: process.env.MQTT_CONTROL_TOPIC || 'conduit/control',
+                history: process.env.MQTT_HISTORY_TOPIC || 'conduit/history',
+                history_response: process.env.MQTT_HISTORY_RESPONSE_TOPIC || 'conduit/history/response'
+            },
+            reconnect
+        },
+        redis,
+        'redis-streams': {
+            ...redis,
+            channels: {
+                ...redis.channels,
+                request: process.env.REDIS_REQUEST_STREAM || 'whispermind:requests'
+            },
+            stream: {
+                group: process.env.REDIS_STREAM_GROUP || 'whispermind-conduits',
+                consumer: process.env.REDIS_STREAM_CONSUMER || `${os.hostname()}-${process.pid}`,
+                deadLetter: process.env.REDIS_DEAD_LETTER_STREAM || 'whispermind:requests:dead',
+                maxDeliveries: parseInt(process.env.REDIS_STREAM_MAX_DELIVERIES) || 3,
+                claimIdleMs: parseInt(process.env.REDIS_STREAM_CLAIM_IDLE_MS) || 120000,
+                maxInFlight: parseInt(process.env.REDIS_STREAM_MAX_IN_FLIGHT) || 4,
+                batchSize: 10,
+                blockMs: 5000
+            }
+        },
+        http: {
+            host: process.env.HTTP_API_HOST || '127.0.0.1',
+            port: parseInt(process.env.HTTP_API_PORT) || 8788,
+            apiKey: process.env.HTTP_API_KEY || null,
+            modelName: process.env.HTTP_API_MODEL_NAME || 'whispermind',
+            maxBodyBytes: 1048576,
+            // Replies are matched to open HTTP requests by id - these names only label them
+            channels: {
+                request: '/v1/chat/completions',
+                response: 'response',
+                status: 'status',
+                agent_activity: 'agent_activity',
+                stream: 'stream'
+            }
+        }
+    };
+}
+
+/**
+ * 🌐 TransportManager - Owns every enabled transport for one conduit
+ */
+class TransportManager
+{
+    constructor(config, logger)
+    {
+        this.logger = logger;
+        this.reconnect = config.reconnect;
+        this.transports = new Map();
+        this.stopping = false;
+
+        // Set by the conduit: (name, connected, detail) => void
+        this.onStateChange = null;
+
+        for (const name of config.enabled)
+        {
+            const TransportClass = transportTypes.get(name);
+            if (!TransportClass)
+            {
+                throw new Error(`Unknown transport '${name}' - registered transports: ${[...transportTypes.keys()].join(', ')}`);
+            }
+            const transport = new TransportClass(config[name] || {}, logger);
+            transport.onStateChange = (connected, detail) => this.onStateChange?.(name, connected, detail);
+            this.transports.set(name, transport);
+        }
+    }
+
+    /**
+     * 🔌 Connect every transport, delivering inbound requests to `onMessage(payload, origin)`
+     * and control messages to `onControl(payload, origin)`
+     *
+     * Resolves once every transport has connected or made its first attempt;
+     * the ones that failed keep retrying in the background.
+     */
+    async connectAll(onMessage, onControl = null)
+    {
+        this.stopping = false;
+
+        await Promise.all([...this.transports.values()].map(transport =>
+            this.keepConnecting(transport, onMessage, onControl)
+        ));
+    }
+
+    /**
+     * 🔁 Retry a transport whose connect() throws, with backoff, until it succeeds
+     *
+     * Resolves after the first attempt either way.
+     */
+    keepConnecting(transport, onMessage, onControl, attempt = 0)
+    {
+        return transport.connect(onMessage, onControl).catch(async (error) =>
+        {
+            const delay = backoffDelay(attempt, this.reconnect);
+
+            this.logger.warn('⚠️ Transport failed to connect - retrying', { transport: transport.name, error: error.message, retryInMs: delay });
+            transport.setConnected(false, error.message);
+
+            await transport.disconnect().catch(() => {});
+            sleep(delay).then(() =>
+            {
+                if (!this.stopping)
+                {
+                    this.keepConnecting(transport, onMessage, onControl, attempt + 1);
+                }
+            });
+        });
+    }
+
+    /**
+     * 🪦 Set the message published on `kind` when this process dies uncleanly (where supported)
+     */
+    setLastWill(kind, message)
+    {
+        for (const transport of this.transports.values())
+        {
+            transport.setLastWill(kind, message);
+        }
+    }
+
+    /**
+     * 🔎 Look up a transport by name
+     */
+    get(name)
+    {
+        return this.transports.get(name);
+    }
+
+    /**
+     * ✅ True while at least one transport is connected
+     */
+    get isConnected()
+    {
+        return [...this.transports.values()].some(transport => transport.isConnected);
+    }
+
+    /**
+     * ↩️ Publish on the transport a request arrived on
+     */
+    async reply(origin, kind, message, options = {})
+    {
+        const transport = this.transports.get(origin.transport);
+        if (!transport)
+        {
+            throw new Error(`Cannot reply - transport '${origin.transport}' is not enabled`);
+        }
+        await transport.publish(kind, message, options);
+    }
+
+    /**
+     * 🗺️ Resolve the channel for `kind` on the transport a request arrived on
+     */
+    channelFor(origin, kind)
+    {
+        return this.transports.get(origin.transport).channelFor(kind);
+    }
+
+    /**
+     * 🧵 Resolve a sub-channel of `kind` on the transport a request arrived on
+     */
+    subChannel(origin, kind, suffix)
+    {
+        return this.transports.get(origin.transport).subChannel(kind, suffix);
+    }
+
+    /**
+     * 📮 Default response channel for a request on the transport it arrived on
+     *
+     * @param {string} mode - 'shared', 'per_user' (`<response><sep><user>`) or
+     *   'per_thread' (`<response><sep><user><sep><thread>`)
+     * @param {object} address - { user, thread } of the request
+     * @param {string} [kind] - Channel kind the response goes to
+     * @param {string[]} [suffix] - Further levels below the mode's, e.g. a request id
+     */
+    responseChannel(origin, mode, { user, thread }, kind = 'response', suffix = [])
+    {
+        const transport = this.transports.get(origin.transport);
+
+        // Ids become single topic levels - '/', '+', '#' and ':' are escaped
+        const segments = [
+            ...(mode === 'per_thread' ? [user, thread] : mode === 'per_user' ? [user] : []),
+            ...suffix
+        ];
+
+        return segments.length > 0
+            ? transport.subChannel(kind, segments.map(segment => encodeURIComponent(segment)).join(transport.channelSeparator))
+            : transport.channelFor(kind);
+    }
+
+    /**
+     * 👂 True when `channel` is one the request's transport consumes from
+     */
+    listensOn(origin, channel)
+    {
+        return this.transports.get(origin.transport).listensOn(channel);
+    }
+
+    /**
+     * 📢 Publish on every connected transport
+     */
+    async broadcast(kind, message, options = {})
+    {
+        const connected = [...this.transports.values()].filter(transport => transport.isConnected);
+        const results = await Promise.allSettled(
+            connected.map(transport => transport.publish(kind, message, options))
+        );
+
+        results.forEach((result, index) =>
+        {
+            if (result.status === 'rejected')
+            {
+                this.logger.error(`❌ Failed to broadcast ${kind} on ${connected[index].name}:`, result.reason);
+            }
+        });
+    }
+
+    /**
+     * 🛑 Disconnect every transport
+     */
+    async disconnectAll()
+    {
+        this.stopping = true;
+
+        for (const transport of this.transports.values())
+        {
+            await transport.disconnect();
+        }
+    }
+
+    /**
+     * 📊 Describe every transport for status messages
+     */
+    describe()
+    {
+        return [...this.transports.values()].map(transport => transport.describe());
+    }
+}
+
+module.exports = {
+    Transport,
+    MqttTransport,
+    RedisTransport,
+    RedisStreamTransport,
+    HttpTransport,
+    TransportManager,
+    registerTransport,
+    loadTransportConfig
+};
@@ -0,0 +1,205 @@
+/**
+ * 📡 MQTT Transport - Channels conduit traffic through an MQTT broker
+ *
+ * Speaks MQTT 5 by default: a request's response topic and correlation data
+ * travel with its origin, so the response goes to that topic carrying the
+ * same correlation data.
+ *
+ * Author: Mad Tinker
+ * Project: Madness Interactive - Whispermind_Conduit
+ */
+
+const mqtt = require('mqtt');
+const Transport = require('./transport');
+const { backoffDelay } = require('../resilience/backoff');
+
+class MqttTransport extends Transport
+{
+    constructor(config, logger)
+    {
+        super('mqtt', config, logger);
+        this.client = null;
+        this.stopping = false;
+        this.attempt = 0;
+        this.reconnectTimer = null;
+    }
+
+    /**
+     * 🔌 Connect to the MQTT broker and subscribe to the request, control and history topics
+     *
+     * Resolves once subscribed or once the first attempt failed. Lost connections
+     * are re-established with backoff and re-subscribed on every reconnect.
+     */
+    async connect(onMessage, onControl = null)
+    {
+        const controlTopics = onControl ? this.controlChannels : [];
+        const topics = [this.channelFor('request'), ...controlTopics];
+
+        this.stopping = false;
+        this.attempt = 0;
+
+        return new Promise((resolve) =>
+        {
+            this.logger.info('🔌 Connecting to MQTT broker...', { broker: this.config.broker });
+
+            // Reconnects are scheduled here so they can back off - mqtt.js only knows a fixed period
+            this.client = mqtt.connect(this.config.broker, {
+                clientId: this.config.clientId,
+                protocolVersion: this.config.protocolVersion,
+                clean: true,
+                connectTimeout: 30000,
+                reconnectPeriod: 0,
+                ...(this.lastWill && {
+                    will: {
+                        topic: this.channelFor(this.lastWill.kind),
+                        payload: JSON.stringify(this.lastWill.message),
+                        qos: 1,
+                        retain: true
+                    }
+                })
+            });
+
+            this.client.on('connect', () =>
+            {
+                this.logger.info('✅ MQTT connection established!');
+                this.attempt = 0;
+
+                // Subscribe to request (and control/history) topics - the session is clean, so on every connect
+                this.client.subscribe(topics, (err) =>
+                {
+                    if (err)
+                    {
+                        this.logger.error('❌ Failed to subscribe to request topic:', err);
+                        this.setConnected(false, `subscribe failed: ${err.message}`);
+                        this.client.end(true);
+                    } else
+                    {
+                        this.logger.info('👂 Listening for chat requests on MQTT:', { topic: this.channelFor('request'), control: controlTopics });
+                        this.setConnected(true);
+                    }
+                    resolve();
+                });
+            });
+
+            this.client.on('message', (topic, message, packet) =>
+            {
+                if (controlTopics.includes(topic))
+                {
+                    onControl(message.toString(), this.createOrigin(topic))
+                        .catch((error) => this.logger.error('❌ Error handling control message:', { topic, error: error.message }));
+                    return;
+                }
+
+                if (topic !== this.channelFor('request'))
+                {
+                    return;
+                }
+
+                onMessage(message.toString(), this.createOrigin(topic, this.replyAddress(packet)))
+                    .catch((error) => this.logger.error('❌ Error handling request:', { topic, error: error.message }));
+            });
+
+            this.client.on('error', (error) =>
+            {
+                this.logger.error('💥 MQTT connection error:', { error: error.message });
+                this.setConnected(false, error.message);
+            });
+
+            this.client.on('close', () =>
+            {
+                if (this.stopping) return;
+
+                this.setConnected(false, this.lastError || 'connection closed');
+                this.scheduleReconnect();
+                resolve();
+            });
+        });
+    }
+
+    /**
+     * 🔁 Reconnect after a backoff delay
+     */
+    scheduleReconnect()
+    {
+        if (this.reconnectTimer) return;
+
+        const delay = backoffDelay(this.attempt++, this.config.reconnect);
+        this.logger.warn('🔌 MQTT disconnected - reconnecting', { broker: this.config.broker, attempt: this.attempt, retryInMs: delay });
+
+        this.reconnectTimer = setTimeout(() =>
+        {
+            this.reconnectTimer = null;
+            if (!this.stopping)
+            {
+                // Keep the stores so replies published while offline go out after reconnecting
+                this.client.reconnect({
+                    incomingStore: this.client.incomingStore,
+                    outgoingStore: this.client.outgoingStore
+                });
+            }
+        }, delay);
+    }
+
+    /**
+     * 📮 MQTT 5 response topic and correlation data of a request, as origin fields
+     */
+    replyAddress(packet)
+    {
+        const { responseTopic, correlationData } = packet?.properties || {};
+
+        return {
+            ...(responseTopic && { replyTo: responseTopic }),
+            ...(correlationData && { correlationData })
+        };
+    }
+
+    /**
+     * 📤 Publish a message to the topic mapped to `kind`
+     *
+     * `options.correlationData` is echoed back as the MQTT 5 property.
+     */
+    async publish(kind, message, options = {})
+    {
+        if (!this.client) return;
+
+        const properties = options.correlationData && this.config.protocolVersion === 5
+            ? { properties: { correlationData: options.correlationData } }
+            : {};
+
+        await new Promise((resolve, reject) =>
+        {
+            this.client.publish(
+                options.channel || this.channelFor(kind),
+                JSON.stringify(message),
+                { qos: 1, retain: Boolean(options.retain), ...properties },
+                (err) => (err ? reject(err) : resolve())
+            );
+        });
+    }
+
+    /**
+     * ➗ MQTT topic levels are separated by slashes
+     */
+    get channelSeparator()
+    {
+        return '/';
+    }
+
+    /**
+     * 🛑 Disconnect from the broker
+     */
+    async disconnect()
+    {
+        this.stopping = true;
+        clearTimeout(this.reconnectTimer);
+        this.reconnectTimer = null;
+
+        if (this.client)
+        {
+            await new Promise((resolve) => this.client.end(false, {}, resolve));
+        }
+        await super.disconnect();
+    }
+}
+
+module.exports = MqttTransport;
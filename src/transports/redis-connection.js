@@ -0,0 +1,94 @@
+/**
+ * 🔗 Redis Connections - Shared connection handling for the Redis transports
+ *
+ * ioredis reconnects by itself and re-subscribes pub/sub channels afterwards;
+ * this module gives it the conduit's backoff and folds the state of a
+ * transport's clients into one connected / disconnected flag.
+ *
+ * Author: Mad Tinker
+ * Project: Madness Interactive - Whispermind_Conduit
+ */
+
+const Redis = require('ioredis');
+const { redisRetryStrategy } = require('../resilience/backoff');
+
+/**
+ * 🔌 Create an ioredis client for a transport
+ *
+ * @param {object} config - Transport config ({ host, port, password, db, reconnect })
+ * @param {object} [options] - Extra ioredis options
+ */
+function createRedisClient(config, options = {})
+{
+    return new Redis({
+        host: config.host,
+        port: config.port,
+        password: config.password,
+        db: config.db,
+        retryStrategy: redisRetryStrategy(config.reconnect),
+        ...options
+    });
+}
+
+/**
+ * 🩺 Keep `transport.isConnected` true only while every client is ready
+ *
+ * @param {Transport} transport
+ * @param {object} clients - ioredis clients by role, e.g. { publisher, subscriber }
+ * @returns {Promise<void>} Resolves once every client is ready or one of them failed
+ */
+function trackRedisClients(transport, clients)
+{
+    const ready = new Set();
+    const roles = Object.keys(clients);
+
+    return new Promise((resolve) =>
+    {
+        for (const [role, client] of Object.entries(clients))
+        {
+            if (client.status === 'ready')
+            {
+                ready.add(role);
+            }
+
+            client.on('ready', () =>
+            {
+                ready.add(role);
+                if (ready.size === roles.length)
+                {
+                    transport.logger.info('✅ Redis connection ready:', { transport: transport.name });
+                    transport.setConnected(true);
+                    resolve();
+                }
+            });
+
+            client.on('error', (error) =>
+            {
+                transport.logger.error(`💥 Redis ${transport.name} ${role} error:`, { error: error.message });
+                transport.setConnected(false, error.message);
+                resolve();
+            });
+
+            client.on('close', () =>
+            {
+                ready.delete(role);
+                if (transport.isConnected)
+                {
+                    transport.logger.warn('🔌 Redis connection lost - reconnecting', { transport: transport.name, role });
+                }
+                transport.setConnected(false, transport.lastError || `${role} connection closed`);
+            });
+        }
+
+        if (ready.size === roles.length)
+        {
+            transport.setConnected(true);
+            resolve();
+        }
+    });
+}
+
+module.exports = {
+    createRedisClient,
+    trackRedisClients
+};
@@ -0,0 +1,506 @@
+/**
+ * 🌊 Redis Stream Transport - Durable request intake through Redis Streams
+ *
+ * Requests are XADDed to a stream (field `payload`) and read through a consumer
+ * group, so every request is handled by exactly one conduit and nothing is lost
+ * while conduits restart. Entries are acknowledged once answered - with an error
+ * too, so the requester never gets a second answer. Entries left pending (by a
+ * crashed consumer, a failure before any answer, or a rejection for now) are
+ * reclaimed after `claimIdleMs`, and moved to a dead-letter stream once they
+ * would be attempted more than `maxDeliveries` times. Rejections don't count as
+ * attempts: they are tallied in the `<stream>:rejections` hash and subtracted.
+ * Origins carry `redelivers: true`, so the conduit doesn't answer a request it
+ * refuses for now (overloaded, degraded, intake closed) - the retry will.
+ *
+ * At most `maxInFlight` entries are processed at once, counting both the read
+ * loop and reclaimed entries: each takes a slot before it is read or claimed.
+ *
+ * Responses, status and agent activity still go out over pub/sub channels, and
+ * control messages (cancellation, ...) arrive over pub/sub so every conduit sees them.
+ *
+ * Author: Mad Tinker
+ * Project: Madness Interactive - Whispermind_Conduit
+ */
+
+const Transport = require('./transport');
+const { createRedisClient, trackRedisClients } = require('./redis-connection');
+const { backoffDelay, sleep } = require('../resilience/backoff');
+
+class RedisStreamTransport extends Transport
+{
+    constructor(config, logger)
+    {
+        super('redis-streams', config, logger);
+        this.reader = null;
+        this.publisher = null;
+        this.subscriber = null;
+        this.running = false;
+        this.inFlight = 0;
+        this.activeEntries = new Set();
+        this.capacityWaiters = [];
+        this.reclaimTimer = null;
+        this.reclaiming = false;
+        this.groupReady = false;
+    }
+
+    get streamKey()
+    {
+        return this.channelFor('request');
+    }
+
+    get rejectionsKey()
+    {
+        return `${this.streamKey}:rejections`;
+    }
+
+    /**
+     * 🔌 Connect and start consuming - the consumer group is (re)created by the read loop
+     *
+     * Resolves once connected or once the first attempt failed; every connection
+     * reconnects with backoff and the read loop carries on where it stopped.
+     */
+    async connect(onMessage, onControl = null)
+    {
+        this.logger.info('🔌 Connecting Redis stream transport...', {
+            stream: this.streamKey,
+            group: this.config.stream.group,
+            consumer: this.config.stream.consumer
+        });
+
+        this.onMessage = onMessage;
+
+        // Blocking XREADGROUP needs a connection of its own, which waits out outages
+        this.reader = createRedisClient(this.config, { maxRetriesPerRequest: null });
+        this.publisher = createRedisClient(this.config, { maxRetriesPerRequest: 3 });
+
+        const clients = { reader: this.reader, publisher: this.publisher };
+        if (onControl && this.controlChannels.length > 0)
+        {
+            clients.subscriber = this.subscribeControl(onControl);
+        }
+
+        this.running = true;
+        this.groupReady = false;
+
+        // Entries this consumer already owns (e.g. from before a restart) come first
+        this.consume();
+        this.reclaimTimer = setInterval(() => this.reclaimStale(), Math.max(1000, Math.floor(this.config.stream.claimIdleMs / 2)));
+
+        await trackRedisClients(this, clients);
+    }
+
+    /**
+     * 🎛️ Listen for control and history messages on their pub/sub channels
+     */
+    subscribeControl(onControl)
+    {
+        this.subscriber = createRedisClient(this.config, { maxRetriesPerRequest: null });
+
+        this.subscriber.on('message', (channel, message) =>
+        {
+            if (this.controlChannels.includes(channel))
+            {
+                onControl(message, this.createOrigin(channel))
+                    .catch((error) => this.logger.error('❌ Error handling control message:', { channel, error: error.message }));
+            }
+        });
+
+        this.subscriber.subscribe(...this.controlChannels)
+            .catch((error) => this.logger.error('❌ Failed to subscribe to control channels:', error));
+
+        return this.subscriber;
+    }
+
+    /**
+     * 👥 Create the consumer group (and stream) unless it already exists
+     */
+    async ensureGroup()
+    {
+        try
+        {
+            await this.reader.xgroup('CREATE', this.streamKey, this.config.stream.group, '0', 'MKSTREAM');
+            this.logger.info('👥 Created consumer group:', { stream: this.streamKey, group: this.config.stream.group });
+        } catch (error)
+        {
+            if (!String(error.message).includes('BUSYGROUP'))
+            {
+                throw error;
+            }
+        }
+        this.groupReady = true;
+    }
+
+    /**
+     * 🔄 Read loop - own pending entries first, then new ones
+     */
+    async consume()
+    {
+        const { group, consumer, blockMs, batchSize } = this.config.stream;
+        let cursor = '0';
+        let failures = 0;
+
+        while (this.running)
+        {
+            try
+            {
+                if (!this.groupReady)
+                {
+                    await this.ensureGroup();
+                }
+
+                const count = await this.reserveSlots(batchSize);
+                if (!this.running)
+                {
+                    this.releaseSlots(count);
+                    break;
+                }
+
+                let entries;
+
+                try
+                {
+                    const result = cursor === '>'
+                        ? await this.reader.xreadgroup('GROUP', group, consumer, 'COUNT', count, 'BLOCK', blockMs, 'STREAMS', this.streamKey, '>')
+                        : await this.reader.xreadgroup('GROUP', group, consumer, 'COUNT', count, 'STREAMS', this.streamKey, cursor);
+
+                    entries = result ? result[0][1] : [];
+                } finally
+                {
+                    // Every entry read keeps its slot until deliver() settles it
+                    this.releaseSlots(count - (entries?.filter(([, fields]) => fields).length ?? 0));
+                }
+
+                if (cursor !== '>')
+                {
+                    // Pending backlog drained once an empty page comes back
+                    cursor = entries.length > 0 ? entries[entries.length - 1][0] : '>';
+                }
+
+                for (const [entryId, fields] of entries)
+                {
+                    // Pending entries acked meanwhile come back with no fields
+                    if (!fields) continue;
+                    this.deliver(entryId, fields);
+                }
+                failures = 0;
+
+            } catch (error)
+            {
+                if (!this.running) break;
+
+                // The group vanishes with the data when Redis restarts without persistence
+                if (String(error.message).includes('NOGROUP'))
+                {
+                    this.groupReady = false;
+                    cursor = '0';
+                }
+
+                const delay = backoffDelay(failures++, this.config.reconnect);
+                this.logger.error('❌ Error reading request stream:', { error: error.message, retryInMs: delay });
+                await sleep(delay);
+            }
+        }
+    }
+
+    /**
+     * ⏳ Take up to `wanted` free slots, waiting in line for at least one
+     *
+     * Slots are counted out when they are granted, never after an await, so
+     * the read loop and the reclaimer can't both take the last one. Waiters
+     * are served in order: the read loop can't starve the reclaimer.
+     *
+     * @returns {Promise<number>} Slots taken (0 once stopped) - give back unused ones with releaseSlots()
+     */
+    reserveSlots(wanted = 1)
+    {
+        if (this.capacityWaiters.length === 0 && this.inFlight < this.config.stream.maxInFlight)
+        {
+            return Promise.resolve(this.grantSlots(wanted));
+        }
+        return new Promise(resolve => this.capacityWaiters.push({ wanted, resolve }));
+    }
+
+    /**
+     * 🎟️ Count out up to `wanted` of the free slots
+     */
+    grantSlots(wanted)
+    {
+        const slots = Math.min(wanted, this.config.stream.maxInFlight - this.inFlight);
+        this.inFlight += slots;
+        return slots;
+    }
+
+    /**
+     * 🔓 Give slots back, handing them to whoever waits first
+     */
+    releaseSlots(slots = 1)
+    {
+        if (slots <= 0) return;
+
+        this.inFlight -= slots;
+        while (this.capacityWaiters.length > 0 && this.inFlight < this.config.stream.maxInFlight)
+        {
+            const { wanted, resolve } = this.capacityWaiters.shift();
+            resolve(this.grantSlots(wanted));
+        }
+    }
+
+    /**
+     * 📨 Hand one entry to the conduit and settle it with the outcome - the caller holds its slot
+     */
+    async deliver(entryId, fields, deliveries = null)
+    {
+        const payload = this.fieldValue(fields, 'payload');
+        this.activeEntries.add(entryId);
+
+        try
+        {
+            const outcome = payload === null
+                ? { status: 'invalid', error: 'entry has no payload field' }
+                : await this.onMessage(payload, this.createOrigin(this.streamKey, { entryId, redelivers: true }));
+
+            await this.settle(entryId, payload, outcome, deliveries);
+        } catch (error)
+        {
+            this.logger.error('❌ Error settling stream entry:', { entryId, error: error.message });
+        } finally
+        {
+            this.activeEntries.delete(entryId);
+            this.releaseSlots(1);
+        }
+    }
+
+    /**
+     * ✅ Ack answered entries, dead-letter poison, leave rejected and unanswered ones pending
+     *
+     * Whether a pending entry has run out of attempts is decided when it is
+     * reclaimed (see reclaimStale).
+     */
+    async settle(entryId, payload, outcome = {}, deliveries = null)
+    {
+        if (outcome.status === 'completed' || outcome.status === 'cancelled')
+        {
+            await this.acknowledge(entryId);
+            return;
+        }
+
+        if (outcome.status === 'invalid')
+        {
+            await this.deadLetter(entryId, payload, outcome.error, deliveries ?? 1);
+            return;
+        }
+
+        if (outcome.status === 'rejected' && ['quota_exceeded', 'in_progress'].includes(outcome.error))
+        {
+            // The requester was told - retrying won't help before the quota resets, and the running attempt answers
+            await this.acknowledge(entryId);
+            return;
+        }
+
+        if (outcome.status === 'rejected')
+        {
+            // Refused for now and not answered - let it be reclaimed later, not as an attempt
+            await this.publisher.hincrby(this.rejectionsKey, entryId, 1);
+            this.logger.warn('🔁 Stream entry rejected for now, left pending', { entryId, reason: outcome.error });
+            return;
+        }
+
+        if (outcome.answered !== false)
+        {
+            // Failed with an error response - the requester decides whether to retry
+            this.logger.warn('🧾 Stream entry answered with an error, acknowledged', { entryId, error: outcome.error || outcome.status });
+            await this.acknowledge(entryId);
+            return;
+        }
+
+        this.logger.warn('🔁 Stream entry failed before it was answered, left pending for retry', {
+            entryId,
+            error: outcome.error,
+            maxDeliveries: this.config.stream.maxDeliveries
+        });
+    }
+
+    /**
+     * 🧹 Claim entries other consumers (or a crashed us) left idle for too long
+     *
+     * Runs on a timer; a pass still waiting for slots makes the next tick a no-op.
+     */
+    async reclaimStale()
+    {
+        if (!this.running || !this.isConnected || this.reclaiming) return;
+
+        this.reclaiming = true;
+        try
+        {
+            await this.reclaimPass();
+        } catch (error)
+        {
+            this.logger.error('❌ Error reclaiming stale stream entries:', error);
+        } finally
+        {
+            this.reclaiming = false;
+        }
+    }
+
+    /**
+     * 🔁 One XAUTOCLAIM sweep, claiming only as many entries as there are slots for
+     */
+    async reclaimPass()
+    {
+        const { group, consumer, claimIdleMs, batchSize } = this.config.stream;
+        let cursor = '0-0';
+
+        do
+        {
+            let slots = await this.reserveSlots(batchSize);
+            if (!this.running)
+            {
+                this.releaseSlots(slots);
+                break;
+            }
+
+            try
+            {
+                const [next, entries] = await this.publisher.xautoclaim(
+                    this.streamKey, group, consumer, claimIdleMs, cursor, 'COUNT', slots
+                );
+                cursor = next;
+
+                for (const [entryId, fields] of entries)
+                {
+                    // Gone meanwhile, or still being worked on here - just slow, not abandoned
+                    if (!fields || this.activeEntries.has(entryId)) continue;
+
+                    // This claim counts as a delivery already; rejected ones weren't attempts
+                    const attempts = await this.deliveryCount(entryId) - await this.rejectionCount(entryId);
+                    if (attempts > this.config.stream.maxDeliveries)
+                    {
+                        await this.deadLetter(entryId, this.fieldValue(fields, 'payload'), 'max deliveries exceeded', attempts - 1);
+                        continue;
+                    }
+
+                    // deliver() gives the slot back once the entry is settled
+                    slots--;
+                    this.logger.info('🧹 Reclaimed stale stream entry', { entryId, attempts });
+                    this.deliver(entryId, fields, attempts);
+                }
+            } finally
+            {
+                this.releaseSlots(slots);
+            }
+        } while (this.running && cursor !== '0-0');
+    }
+
+    /**
+     * 🔢 How many times an entry has been delivered
+     */
+    async deliveryCount(entryId)
+    {
+        const pending = await this.publisher.xpending(this.streamKey, this.config.stream.group, entryId, entryId, 1);
+        return pending.length > 0 ? Number(pending[0][3]) : 1;
+    }
+
+    /**
+     * 🙅 How many times an entry was rejected rather than attempted
+     */
+    async rejectionCount(entryId)
+    {
+        return Number(await this.publisher.hget(this.rejectionsKey, entryId)) || 0;
+    }
+
+    async acknowledge(entryId)
+    {
+        await this.publisher.multi()
+            .xack(this.streamKey, this.config.stream.group, entryId)
+            .hdel(this.rejectionsKey, entryId)
+            .exec();
+    }
+
+    /**
+     * ☠️ Move an entry to the dead-letter stream and ack it
+     */
+    async deadLetter(entryId, payload, reason, deliveries)
+    {
+        await this.publisher.xadd(
+            this.config.stream.deadLetter, '*',
+            'payload', payload ?? '',
+            'original_id', entryId,
+            'deliveries', String(deliveries),
+            'error', String(reason || 'unknown'),
+            'consumer', this.config.stream.consumer,
+            'failed_at', new Date().toISOString()
+        );
+        await this.acknowledge(entryId);
+
+        this.logger.warn('☠️ Moved request to dead-letter stream', {
+            entryId,
+            deadLetter: this.config.stream.deadLetter,
+            deliveries,
+            reason
+        });
+    }
+
+    /**
+     * 🔎 Read a field from a flat [field, value, ...] entry
+     */
+    fieldValue(fields, name)
+    {
+        const index = fields.indexOf(name);
+        return index === -1 || index % 2 === 1 ? null : fields[index + 1];
+    }
+
+    /**
+     * 📤 Publish a message on the pub/sub channel mapped to `kind`
+     */
+    async publish(kind, message, options = {})
+    {
+        if (!this.publisher) return;
+
+        const payload = JSON.stringify(message);
+        await this.publisher.publish(options.channel || this.channelFor(kind), payload);
+
+        if (kind === 'status' && this.config.keys?.status)
+        {
+            // With a TTL the key vanishes when heartbeats stop - Redis has no last will
+            await (options.ttlSeconds
+                ? this.publisher.set(this.config.keys.status, payload, 'EX', options.ttlSeconds)
+                : this.publisher.set(this.config.keys.status, payload));
+        }
+    }
+
+    /**
+     * 🛑 Stop consuming - unacked entries stay pending for the next consumer
+     */
+    async disconnect()
+    {
+        this.running = false;
+        clearInterval(this.reclaimTimer);
+        this.capacityWaiters.splice(0).forEach(({ resolve }) => resolve(0));
+
+        if (this.reader)
+        {
+            this.reader.disconnect();
+        }
+        if (this.subscriber)
+        {
+            this.subscriber.disconnect();
+        }
+        if (this.publisher)
+        {
+            this.publisher.disconnect();
+        }
+        await super.disconnect();
+    }
+
+    describe()
+    {
+        return {
+            ...super.describe(),
+            group: this.config.stream.group,
+            consumer: this.config.stream.consumer,
+            in_flight: this.inFlight
+        };
+    }
+}
+
+module.exports = RedisStreamTransport;
@@ -0,0 +1,103 @@
+/**
+ * 💾 Redis Transport - Channels conduit traffic through Redis pub/sub
+ *
+ * Author: Mad Tinker
+ * Project: Madness Interactive - Whispermind_Conduit
+ */
+
+const Transport = require('./transport');
+const { createRedisClient, trackRedisClients } = require('./redis-connection');
+
+class RedisTransport extends Transport
+{
+    constructor(config, logger)
+    {
+        super('redis', config, logger);
+        this.publisher = null;
+        this.subscriber = null;
+    }
+
+    /**
+     * 🔌 Connect to Redis and subscribe to the request, control and history channels
+     *
+     * Resolves once connected or once the first attempt failed. Both connections
+     * reconnect with backoff, and the subscriber re-subscribes afterwards.
+     */
+    async connect(onMessage, onControl = null)
+    {
+        const controlChannels = onControl ? this.controlChannels : [];
+
+        this.logger.info('🔌 Connecting Redis transport...', {
+            host: this.config.host,
+            port: this.config.port
+        });
+
+        // Publisher connection for responses and status
+        this.publisher = createRedisClient(this.config, { maxRetriesPerRequest: 3 });
+
+        // Separate connection for subscriptions - waits out outages instead of failing
+        this.subscriber = createRedisClient(this.config, { maxRetriesPerRequest: null });
+
+        this.subscriber.on('message', (channel, message) =>
+        {
+            if (controlChannels.includes(channel))
+            {
+                onControl(message, this.createOrigin(channel))
+                    .catch((error) => this.logger.error('❌ Error handling control message:', { channel, error: error.message }));
+                return;
+            }
+
+            if (channel !== this.channelFor('request'))
+            {
+                return;
+            }
+
+            onMessage(message, this.createOrigin(channel))
+                .catch((error) => this.logger.error('❌ Error handling request:', { channel, error: error.message }));
+        });
+
+        this.subscriber.subscribe(this.channelFor('request'), ...controlChannels)
+            .then(() => this.logger.info('👂 Listening for chat requests on Redis:', { channel: this.channelFor('request'), control: controlChannels }))
+            .catch((error) => this.logger.error('❌ Failed to subscribe to request channel:', error));
+
+        await trackRedisClients(this, { publisher: this.publisher, subscriber: this.subscriber });
+    }
+
+    /**
+     * 📤 Publish a message to the channel mapped to `kind`
+     */
+    async publish(kind, message, options = {})
+    {
+        if (!this.publisher) return;
+
+        const payload = JSON.stringify(message);
+        await this.publisher.publish(options.channel || this.channelFor(kind), payload);
+
+        // Keep the latest status readable without a subscription
+        if (kind === 'status' && this.config.keys?.status)
+        {
+            // With a TTL the key vanishes when heartbeats stop - Redis has no last will
+            await (options.ttlSeconds
+                ? this.publisher.set(this.config.keys.status, payload, 'EX', options.ttlSeconds)
+                : this.publisher.set(this.config.keys.status, payload));
+        }
+    }
+
+    /**
+     * 🛑 Disconnect both Redis connections
+     */
+    async disconnect()
+    {
+        if (this.subscriber)
+        {
+            this.subscriber.disconnect();
+        }
+        if (this.publisher)
+        {
+            this.publisher.disconnect();
+        }
+        await super.disconnect();
+    }
+}
+
+module.exports = RedisTransport;
@@ -0,0 +1,190 @@
+/**
+ * 🔌 Transport - Base class for Whispermind_Conduit message transports
+ *
+ * A transport knows how to ingest requests from a message bus and how to publish
+ * messages back onto it. The conduit only ever talks in terms of channel *kinds*
+ * (request, response, status, agent_activity, stream, control); each transport
+ * maps those kinds to its own topic or channel names.
+ *
+ * Transports reconnect on their own after a connection drops, reporting every
+ * change through `setConnected()` so the conduit can track its health.
+ *
+ * Author: Mad Tinker
+ * Project: Madness Interactive - Whispermind_Conduit
+ */
+
+class Transport
+{
+    /**
+     * @param {string} name - Transport identifier (e.g. 'mqtt', 'redis')
+     * @param {object} config - Transport specific configuration, including a `channels` map
+     * @param {object} logger - Winston logger shared with the owning conduit
+     */
+    constructor(name, config, logger)
+    {
+        this.name = name;
+        this.config = config;
+        this.logger = logger;
+        this.isConnected = false;
+        this.lastError = null;
+
+        // Set by the TransportManager: (connected, detail) => void
+        this.onStateChange = null;
+        this.lastWill = null;
+    }
+
+    /**
+     * 🚀 Connect and start delivering requests to `onMessage(payload, origin)`
+     *
+     * `onMessage` resolves with the request outcome ({ status: 'completed' | 'failed' |
+     * 'rejected' | 'invalid' | 'cancelled' }) once it has been answered, for transports
+     * that acknowledge. A failure before any answer went out is marked `answered: false`. Messages on the control and history channels (when configured)
+     * go to `onControl(payload, origin)` instead. Transports that retry refused requests
+     * themselves set `redelivers: true` on the origin, and the conduit doesn't publish
+     * the refusal (overloaded, degraded, intake closed) for them.
+     *
+     * Should resolve once connected or once the first attempt has failed, and keep
+     * reconnecting in the background either way. Throwing makes the TransportManager
+     * retry the whole connect.
+     */
+    async connect(onMessage, onControl = null)
+    {
+        throw new Error(`Transport '${this.name}' does not implement connect()`);
+    }
+
+    /**
+     * 📤 Publish a message on the channel mapped to `kind`
+     */
+    async publish(kind, message, options = {})
+    {
+        throw new Error(`Transport '${this.name}' does not implement publish()`);
+    }
+
+    /**
+     * 🔄 Record a connection change and tell whoever is listening
+     *
+     * @param {boolean} connected
+     * @param {string|null} [detail] - Why the connection is down
+     */
+    setConnected(connected, detail = null)
+    {
+        const lastError = connected ? null : detail;
+        const changed = this.isConnected !== connected || this.lastError !== lastError;
+
+        this.isConnected = connected;
+        this.lastError = lastError;
+
+        if (changed)
+        {
+            this.onStateChange?.(connected, detail);
+        }
+    }
+
+    /**
+     * 🪦 Message the bus should publish on `kind` if this process dies without disconnecting
+     *
+     * Only transports whose bus supports it (MQTT) use it; set it before connecting.
+     */
+    setLastWill(kind, message)
+    {
+        this.lastWill = { kind, message };
+    }
+
+    /**
+     * 🛑 Close all connections held by the transport
+     */
+    async disconnect()
+    {
+        this.isConnected = false;
+    }
+
+    /**
+     * 🗺️ Resolve the topic/channel name for a channel kind
+     */
+    channelFor(kind)
+    {
+        const channel = this.config.channels[kind];
+        if (!channel)
+        {
+            throw new Error(`Transport '${this.name}' has no channel configured for '${kind}'`);
+        }
+        return channel;
+    }
+
+    /**
+     * 🧵 Derive a sub-channel of `kind`, e.g. a per-request stream channel
+     */
+    subChannel(kind, suffix)
+    {
+        return `${this.channelFor(kind)}${this.channelSeparator}${suffix}`;
+    }
+
+    /**
+     * 👂 True for channels the transport consumes - replies must never be sent there
+     */
+    listensOn(channel)
+    {
+        return channel === this.config.channels.request || this.controlChannels.includes(channel);
+    }
+
+    /**
+     * 🎛️ Control channel to listen on, or null when control messages are off
+     */
+    get controlChannel()
+    {
+        return this.config.channels.control || null;
+    }
+
+    /**
+     * 📚 History request channel to listen on, or null when the history API is off
+     */
+    get historyChannel()
+    {
+        return this.config.channels.history || null;
+    }
+
+    /**
+     * 🎛️ Every channel whose messages go to `onControl` - control and history requests
+     */
+    get controlChannels()
+    {
+        return [this.controlChannel, this.historyChannel].filter(Boolean);
+    }
+
+    /**
+     * ➗ Separator used when deriving sub-channels
+     */
+    get channelSeparator()
+    {
+        return ':';
+    }
+
+    /**
+     * 🧭 Build the origin descriptor handed to the conduit with every inbound message
+     */
+    createOrigin(source, extra = {})
+    {
+        return {
+            transport: this.name,
+            source,
+            ...extra
+        };
+    }
+
+    /**
+     * 📊 Summarize the transport for status messages
+     */
+    describe()
+    {
+        return {
+            name: this.name,
+            connected: this.isConnected,
+            ...(this.lastError && { last_error: this.lastError }),
+            request_channel: this.config.channels.request,
+            control_channel: this.controlChannel,
+            history_channel: this.historyChannel
+        };
+    }
+}
+
+module.exports = Transport;
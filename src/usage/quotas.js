@@ -0,0 +1,164 @@
+/**
+ * 🎟️ Quotas - Per-user limits checked before a request reaches the model
+ *
+ * Two limits, each 0 (or absent) for unlimited:
+ *
+ *   tokens_per_day       - tokens (prompt + completion) a user may spend per UTC day
+ *   requests_per_minute  - requests a user may send per minute
+ *
+ * A user's own entry wins over their client's quotas (see the clients file),
+ * which win over the file's `default`, which wins over the
+ * QUOTA_TOKENS_PER_DAY / QUOTA_REQUESTS_PER_MINUTE environment defaults.
+ * The token quota is checked against what was already spent, so the request
+ * that crosses the line still completes and the next one is refused.
+ *
+ * Quotas file (JSON):
+ *
+ *   {
+ *     "default": { "tokens_per_day": 200000, "requests_per_minute": 20 },
+ *     "users": { "batch-bot": { "requests_per_minute": 5 }, "mad_tinker": { "tokens_per_day": 0 } }
+ *   }
+ *
+ * Author: Mad Tinker
+ * Project: Madness Interactive - Whispermind_Conduit
+ */
+
+const fs = require('fs').promises;
+const { z } = require('zod');
+
+const QuotaLimitsSchema = z.object({
+    tokens_per_day: z.number().int().nonnegative().optional(),
+    requests_per_minute: z.number().int().nonnegative().optional()
+}).strict();
+
+const QuotasConfigSchema = z.object({
+    default: QuotaLimitsSchema.default({}),
+    users: z.record(QuotaLimitsSchema).default({})
+});
+
+/**
+ * 📄 Read and validate a quotas file - a missing file leaves only the environment defaults
+ */
+async function loadQuotas(filePath, logger)
+{
+    let raw = {};
+
+    try
+    {
+        raw = JSON.parse(await fs.readFile(filePath, 'utf8'));
+    } catch (error)
+    {
+        if (error.code !== 'ENOENT')
+        {
+            throw new Error(`Invalid quotas file ${filePath}: ${error.message}`);
+        }
+        logger.info('🎟️ No quotas file found, using the environment defaults:', { filePath });
+    }
+
+    const parsed = QuotasConfigSchema.safeParse(raw);
+    if (!parsed.success)
+    {
+        const problems = parsed.error.issues.map(issue => `${issue.path.join('.') || 'quotas'}: ${issue.message}`);
+        throw new Error(`Invalid quotas file ${filePath}: ${problems.join('; ')}`);
+    }
+
+    return parsed.data;
+}
+
+/**
+ * 🕛 Seconds until the next UTC midnight, when daily usage starts over
+ */
+function secondsUntilTomorrow(now = new Date())
+{
+    const midnight = Date.UTC(now.getUTCFullYear(), now.getUTCMonth(), now.getUTCDate() + 1);
+    return Math.ceil((midnight - now.getTime()) / 1000);
+}
+
+class QuotaPolicy
+{
+    /**
+     * @param {object} [quotas] - Result of `loadQuotas()`
+     * @param {object} [options]
+     * @param {object} [options.defaults] - { tokens_per_day, requests_per_minute } from the environment
+     */
+    constructor(quotas = { default: {}, users: {} }, { defaults = {} } = {})
+    {
+        this.defaults = { tokens_per_day: 0, requests_per_minute: 0, ...defaults, ...quotas.default };
+        this.users = quotas.users;
+    }
+
+    /**
+     * 📏 The limits that apply to a user
+     *
+     * @param {object} [clientLimits] - Quotas from the policy of the client the request came through
+     */
+    limitsFor(userId, clientLimits = {})
+    {
+        return {
+            ...this.defaults,
+            ...clientLimits,
+            ...(Object.hasOwn(this.users, userId) && this.users[userId])
+        };
+    }
+
+    /**
+     * 🚧 Check a request against the user's quotas and count it
+     *
+     * @param {string} userId
+     * @param {UsageStore} store - Daily usage and per-minute request counters
+     * @param {object} [clientLimits] - Quotas from the client's policy
+     * @returns {Promise<object|null>} null when allowed, otherwise
+     *   { quota, limit, used, retry_after_seconds, message }
+     */
+    async check(userId, store, clientLimits = {})
+    {
+        const limits = this.limitsFor(userId, clientLimits);
+
+        if (limits.tokens_per_day > 0)
+        {
+            const { total_tokens: used } = await store.day(userId);
+            if (used >= limits.tokens_per_day)
+            {
+                return {
+                    quota: 'tokens_per_day',
+                    limit: limits.tokens_per_day,
+                    used,
+                    retry_after_seconds: secondsUntilTomorrow(),
+                    message: `Daily token quota of ${limits.tokens_per_day} used up (${used} tokens today) - resets at 00:00 UTC`
+                };
+            }
+        }
+
+        if (limits.requests_per_minute > 0)
+        {
+            const { count, resetsInSeconds } = await store.countRequest(userId);
+            if (count > limits.requests_per_minute)
+            {
+                return {
+                    quota: 'requests_per_minute',
+                    limit: limits.requests_per_minute,
+                    used: count,
+                    retry_after_seconds: resetsInSeconds,
+                    message: `Request quota of ${limits.requests_per_minute} per minute reached - retry in ${resetsInSeconds}s`
+                };
+            }
+        }
+
+        return null;
+    }
+
+    describe()
+    {
+        return {
+            default: this.defaults,
+            users: Object.keys(this.users).length
+        };
+    }
+}
+
+module.exports = {
+    QuotaLimitsSchema,
+    QuotaPolicy,
+    loadQuotas,
+    secondsUntilTomorrow
+};
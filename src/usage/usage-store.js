@@ -0,0 +1,273 @@
+/**
+ * 🔢 Usage Stores - Token usage per user and day, and per-minute request counts
+ *
+ * Every answered request adds its prompt and completion tokens to the user's
+ * total for the (UTC) day. The Redis store keeps one `usage:<user>:<YYYY-MM-DD>`
+ * hash per user and day, expiring after the retention period; per-minute
+ * request counters live in short-lived `ratelimit:<user>:<minute>` keys.
+ * The memory store does the same within the process for conduits without Redis.
+ *
+ * Author: Mad Tinker
+ * Project: Madness Interactive - Whispermind_Conduit
+ */
+
+const Redis = require('ioredis');
+const { redisRetryStrategy } = require('../resilience/backoff');
+const { estimateTokens } = require('../history/context-builder');
+const { keySegment, escapePattern, deleteMatching } = require('../storage/redis-keys');
+
+const USAGE_FIELDS = ['requests', 'prompt_tokens', 'completion_tokens', 'total_tokens'];
+
+/**
+ * 📅 UTC day of a date as YYYY-MM-DD
+ */
+function dayOf(date = new Date())
+{
+    return date.toISOString().slice(0, 10);
+}
+
+/**
+ * ⏱️ The current one-minute window and the seconds left in it
+ */
+function currentMinute(now = Date.now())
+{
+    return {
+        minute: Math.floor(now / 60000),
+        resetsInSeconds: Math.max(1, Math.ceil((60000 - (now % 60000)) / 1000))
+    };
+}
+
+/**
+ * 🧮 OpenAI style usage for a response, estimated from the text when the backend reported none
+ *
+ * @param {object|null} reported - Usage from the backend
+ * @param {object[]} messages - Chat messages sent to the model
+ * @param {string} response - The answer
+ */
+function resolveUsage(reported, messages, response)
+{
+    if (reported && Number.isFinite(reported.prompt_tokens) && Number.isFinite(reported.completion_tokens))
+    {
+        return {
+            prompt_tokens: reported.prompt_tokens,
+            completion_tokens: reported.completion_tokens,
+            total_tokens: reported.total_tokens ?? reported.prompt_tokens + reported.completion_tokens
+        };
+    }
+
+    const promptTokens = messages.reduce((sum, message) => sum + estimateTokens(message.content), 0);
+    const completionTokens = estimateTokens(response);
+
+    return {
+        prompt_tokens: promptTokens,
+        completion_tokens: completionTokens,
+        total_tokens: promptTokens + completionTokens,
+        estimated: true
+    };
+}
+
+/**
+ * 📊 Usage totals with every field present
+ */
+function totalsFrom(values = {})
+{
+    return Object.fromEntries(USAGE_FIELDS.map(field => [field, parseInt(values[field]) || 0]));
+}
+
+/**
+ * 💾 RedisUsageStore - Daily usage hashes and per-minute counters in Redis
+ */
+class RedisUsageStore
+{
+    constructor({ redis, keyPrefix = 'usage', rateLimitPrefix = 'ratelimit', retentionDays = 90 })
+    {
+        this.redis = redis;
+        this.keyPrefix = keyPrefix;
+        this.rateLimitPrefix = rateLimitPrefix;
+        this.retentionSeconds = retentionDays * 86400;
+    }
+
+    keyFor(userId, day)
+    {
+        return `${this.keyPrefix}:${keySegment(userId)}:${day}`;
+    }
+
+    rateLimitKeyFor(userId, minute)
+    {
+        return `${this.rateLimitPrefix}:${keySegment(userId)}:${minute}`;
+    }
+
+    /**
+     * ➕ Add one answered request's tokens to the user's day
+     */
+    async record(userId, usage, at = new Date())
+    {
+        const key = this.keyFor(userId, dayOf(at));
+
+        await this.redis.multi()
+            .hincrby(key, 'requests', 1)
+            .hincrby(key, 'prompt_tokens', usage.prompt_tokens)
+            .hincrby(key, 'completion_tokens', usage.completion_tokens)
+            .hincrby(key, 'total_tokens', usage.total_tokens)
+            .expire(key, this.retentionSeconds)
+            .exec();
+    }
+
+    /**
+     * 📅 A user's totals for one day (today by default)
+     */
+    async day(userId, day = dayOf())
+    {
+        return totalsFrom(await this.redis.hgetall(this.keyFor(userId, day)));
+    }
+
+    /**
+     * 🚦 Count a request in the current minute
+     *
+     * @returns {Promise<{ count: number, resetsInSeconds: number }>}
+     */
+    async countRequest(userId)
+    {
+        const { minute, resetsInSeconds } = currentMinute();
+        const key = this.rateLimitKeyFor(userId, minute);
+
+        const [[, count]] = await this.redis.multi()
+            .incr(key)
+            .expire(key, 120)
+            .exec();
+
+        return { count, resetsInSeconds };
+    }
+
+    /**
+     * 🧹 Forget a user's daily usage and request counters
+     *
+     * @returns {Promise<number>} Number of days forgotten
+     */
+    async deleteUser(userId)
+    {
+        const days = await deleteMatching(this.redis, `${escapePattern(this.keyFor(userId, ''))}*`);
+        await deleteMatching(this.redis, `${escapePattern(this.rateLimitKeyFor(userId, ''))}*`);
+        return days;
+    }
+
+    async close()
+    {
+    }
+}
+
+/**
+ * 🧠 MemoryUsageStore - Process local usage for conduits without Redis
+ */
+class MemoryUsageStore
+{
+    constructor({ retentionDays = 90 } = {})
+    {
+        this.retentionDays = retentionDays;
+        this.days = new Map();
+        this.minutes = new Map();
+    }
+
+    async record(userId, usage, at = new Date())
+    {
+        const day = dayOf(at);
+        const key = `${userId}:${day}`;
+        const totals = this.days.get(key) || totalsFrom();
+
+        totals.requests++;
+        totals.prompt_tokens += usage.prompt_tokens;
+        totals.completion_tokens += usage.completion_tokens;
+        totals.total_tokens += usage.total_tokens;
+        this.days.set(key, totals);
+
+        // Forget days past the retention period
+        const oldest = dayOf(new Date(at.getTime() - this.retentionDays * 86400000));
+        for (const storedKey of this.days.keys())
+        {
+            if (storedKey.slice(storedKey.lastIndexOf(':') + 1) < oldest) this.days.delete(storedKey);
+        }
+    }
+
+    async day(userId, day = dayOf())
+    {
+        return { ...(this.days.get(`${userId}:${day}`) || totalsFrom()) };
+    }
+
+    async countRequest(userId)
+    {
+        const { minute, resetsInSeconds } = currentMinute();
+        const counter = this.minutes.get(userId);
+        const count = counter?.minute === minute ? counter.count + 1 : 1;
+
+        this.minutes.set(userId, { minute, count });
+        return { count, resetsInSeconds };
+    }
+
+    async deleteUser(userId)
+    {
+        let days = 0;
+
+        for (const key of this.days.keys())
+        {
+            if (key.slice(0, key.lastIndexOf(':')) !== userId) continue;
+
+            this.days.delete(key);
+            days++;
+        }
+        this.minutes.delete(userId);
+        return days;
+    }
+
+    async close()
+    {
+    }
+}
+
+/**
+ * 🏭 Build the configured usage store
+ *
+ * @param {object} options
+ * @param {string} options.type - 'redis' or 'memory'
+ * @param {object} [options.redis] - Existing ioredis client to reuse
+ * @param {object} [options.redisConfig] - Connection settings when no client is supplied
+ */
+function createUsageStore({ type, redis, redisConfig, ...options })
+{
+    if (type === 'memory')
+    {
+        return new MemoryUsageStore(options);
+    }
+
+    if (type !== 'redis')
+    {
+        throw new Error(`Unknown usage store '${type}' - use 'redis' or 'memory'`);
+    }
+
+    if (redis)
+    {
+        return new RedisUsageStore({ redis, ...options });
+    }
+
+    // No shared client - the store owns its own connection
+    const store = new RedisUsageStore({
+        redis: new Redis({
+            host: redisConfig.host,
+            port: redisConfig.port,
+            password: redisConfig.password,
+            db: redisConfig.db,
+            retryStrategy: redisRetryStrategy(redisConfig.reconnect),
+            maxRetriesPerRequest: 3
+        }),
+        ...options
+    });
+    store.close = async () => store.redis.disconnect();
+    return store;
+}
+
+module.exports = {
+    RedisUsageStore,
+    MemoryUsageStore,
+    createUsageStore,
+    resolveUsage,
+    dayOf
+};